@@ -24,6 +24,8 @@ const protectedPaths = [
   '/performers/*',
   '/locations/*',
   '/admin/*',
+  '/eloadoi-portal/*',
+  '/foglalasaim/*',
   '/api/*',
   '/install/*'
 ];
@@ -0,0 +1,25 @@
+/**
+ * Wizard Protection Middleware
+ * Védi a foglalás / ajánlatkérés varázsló email küldő végpontjait spam ellen
+ */
+
+const rateLimit = require('express-rate-limit');
+
+/**
+ * "Folytatás később" rate limiter
+ * Max 5 folytatási link óránként IP címenként (JSON válasz a varázsló számára)
+ */
+const resumeLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 óra
+  max: 5,
+  message: {
+    success: false,
+    message: 'Túl sok folytatási link kérés. Kérjük, próbálja újra később.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = {
+  resumeLinkLimiter
+};
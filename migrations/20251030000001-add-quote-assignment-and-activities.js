@@ -0,0 +1,89 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Ajánlatkérés hozzárendelése értékesítőhöz
+    await queryInterface.addColumn('quotes', 'assignedTo', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Assigned sales user'
+    });
+
+    await queryInterface.addColumn('quotes', 'assignedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('quotes', ['assignedTo']);
+
+    // Ajánlatkérés tevékenység napló
+    await queryInterface.createTable('quote_activities', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      quoteId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'quotes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      type: {
+        type: Sequelize.ENUM('status_change', 'assignment', 'note', 'proposal'),
+        allowNull: false
+      },
+      fromStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      toStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('quote_activities', ['quoteId', 'createdAt']);
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.dropTable('quote_activities');
+    await queryInterface.removeIndex('quotes', ['assignedTo']);
+    await queryInterface.removeColumn('quotes', 'assignedAt');
+    await queryInterface.removeColumn('quotes', 'assignedTo');
+  }
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Éves sorszám számlálók hivatkozási számokhoz (AJ-YYYY-NNNN, FO-YYYY-NNNNN)
+    await queryInterface.createTable('reference_sequences', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      prefix: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      year: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      lastValue: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('reference_sequences', ['prefix', 'year'], {
+      unique: true,
+      name: 'reference_sequences_prefix_year_unique'
+    });
+
+    // A számláló a meglévő legnagyobb sorszámtól folytatódik (a régi véletlenszerű AJ-YYYY-1000..9999 azonosítók is),
+    // így az idei évben sem ütközik az első kiosztott szám egy már létező ajánlatkéréssel
+    await queryInterface.sequelize.query(`
+      INSERT INTO reference_sequences (prefix, year, lastValue, createdAt, updatedAt)
+      SELECT 'AJ',
+             CAST(SUBSTRING(referenceId, 4, 4) AS UNSIGNED),
+             MAX(CAST(SUBSTRING_INDEX(referenceId, '-', -1) AS UNSIGNED)),
+             NOW(),
+             NOW()
+      FROM quotes
+      WHERE referenceId REGEXP '^AJ-[0-9]{4}-[0-9]+$'
+      GROUP BY CAST(SUBSTRING(referenceId, 4, 4) AS UNSIGNED)
+    `);
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.dropTable('reference_sequences');
+  }
+};
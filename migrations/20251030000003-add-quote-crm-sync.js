@@ -0,0 +1,63 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // vTiger szinkron mezők (a bookings tábla mintájára)
+    await queryInterface.addColumn('quotes', 'vtigerLeadId', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'vTiger CRM Lead ID when synced'
+    });
+
+    await queryInterface.addColumn('quotes', 'isSyncedToVtiger', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('quotes', 'syncAttempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('quotes', 'lastSyncAttempt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('quotes', 'syncError', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    // A meglévő ajánlatkérések nem kerülnek a vTiger-be új leadként (csak az ezután beérkezők)
+    await queryInterface.sequelize.query('UPDATE quotes SET isSyncedToVtiger = 1');
+
+    await queryInterface.addIndex('quotes', ['isSyncedToVtiger']);
+
+    // Cron job: ajánlatkérések szinkronizálása 5 percenként
+    await queryInterface.bulkInsert('cron_jobs', [
+      {
+        id: 'quote-sync',
+        name: 'Quote Sync',
+        schedule: '*/5 * * * *',
+        description: 'Ajánlatkéréseket szinkronizál vTiger-be (Leads)',
+        isActive: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ]);
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('cron_jobs', { id: 'quote-sync' });
+    await queryInterface.removeIndex('quotes', ['isSyncedToVtiger']);
+    await queryInterface.removeColumn('quotes', 'syncError');
+    await queryInterface.removeColumn('quotes', 'lastSyncAttempt');
+    await queryInterface.removeColumn('quotes', 'syncAttempts');
+    await queryInterface.removeColumn('quotes', 'isSyncedToVtiger');
+    await queryInterface.removeColumn('quotes', 'vtigerLeadId');
+  }
+};
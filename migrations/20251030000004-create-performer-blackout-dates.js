@@ -0,0 +1,61 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Előadók manuálisan letiltott napjai (szabadság, magánprogram, stb.)
+    await queryInterface.createTable('performer_blackout_dates', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      performerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'performers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('performer_blackout_dates', ['performerId', 'date'], {
+      unique: true,
+      name: 'performer_blackout_dates_performer_date_unique'
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.dropTable('performer_blackout_dates');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, _Sequelize) {
+    // Utazási költség becslés: légvonal → közúti távolság szorzó
+    await queryInterface.bulkInsert('settings', [
+      {
+        key: 'travel.road_factor',
+        value: '1.3',
+        type: 'number',
+        category: 'general',
+        description: 'Road distance factor applied to great-circle distance for travel cost estimates',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {
+      ignoreDuplicates: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('settings', { key: 'travel.road_factor' });
+  }
+};
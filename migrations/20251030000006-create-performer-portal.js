@@ -0,0 +1,138 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Felhasználó ↔ előadó kapcsolat (előadó / manager fiókok)
+    await queryInterface.createTable('performer_users', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      performerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'performers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('performer_users', ['userId', 'performerId'], {
+      unique: true,
+      name: 'performer_users_user_performer_unique'
+    });
+
+    // Előadók által javasolt adatmódosítások (admin jóváhagyásra vár)
+    await queryInterface.createTable('performer_change_requests', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      performerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'performers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      field: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      currentValue: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      proposedValue: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      reviewedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reviewNote: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('performer_change_requests', ['status']);
+    await queryInterface.addIndex('performer_change_requests', ['performerId', 'field']);
+
+    // Jóváhagyott helyi módosítások - a vTiger szinkron ezeket a mezőket nem írja felül
+    await queryInterface.addColumn('performers', 'lockedFields', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Locally approved fields skipped by the vTiger sync'
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeColumn('performers', 'lockedFields');
+    await queryInterface.dropTable('performer_change_requests');
+    await queryInterface.dropTable('performer_users');
+  }
+};
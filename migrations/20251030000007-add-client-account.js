@@ -0,0 +1,84 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Bejelentkezett megrendelő, aki az ajánlatot kérte ("Foglalásaim")
+    await queryInterface.addColumn('quotes', 'userId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('quotes', ['userId'], {
+      name: 'quotes_userId_index'
+    });
+
+    // Megrendelői üzenetek és lemondási kérések foglalásokhoz / ajánlatkérésekhez
+    await queryInterface.createTable('client_requests', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      bookingId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quoteId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'quotes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('message', 'cancellation'),
+        allowNull: false,
+        defaultValue: 'message'
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('client_requests', ['bookingId']);
+    await queryInterface.addIndex('client_requests', ['quoteId']);
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.dropTable('client_requests');
+    await queryInterface.removeIndex('quotes', 'quotes_userId_index');
+    await queryInterface.removeColumn('quotes', 'userId');
+  }
+};
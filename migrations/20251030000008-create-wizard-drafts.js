@@ -0,0 +1,116 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Foglalási / ajánlatkérő varázsló piszkozatai (folytatható tokennel, session-en túl is)
+    await queryInterface.createTable('wizard_drafts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      type: {
+        type: Sequelize.ENUM('booking', 'quote'),
+        allowNull: false
+      },
+      performerId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'performers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      performerSlug: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      data: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      lastStep: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      contactName: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      contactEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      contactPhone: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'submitted'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      resumeEmailSentAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      submittedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('wizard_drafts', ['status', 'updatedAt']);
+    await queryInterface.addIndex('wizard_drafts', ['userId', 'type']);
+
+    // Ennyi óra inaktivitás után számít egy piszkozat elhagyottnak
+    await queryInterface.bulkInsert('settings', [
+      {
+        key: 'wizard.draft_abandon_hours',
+        value: '24',
+        type: 'number',
+        category: 'general',
+        description: 'Hours of inactivity after which a booking / quote draft is listed as abandoned',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {
+      ignoreDuplicates: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('settings', { key: 'wizard.draft_abandon_hours' });
+    await queryInterface.dropTable('wizard_drafts');
+  }
+};
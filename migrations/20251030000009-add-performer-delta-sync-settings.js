@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, _Sequelize) {
+    // Delta előadó szinkron: a teljes egyeztetés ennyi óránként fut
+    // (a vtiger.sync_cursor / vtiger.sync_last_full_at kulcsokat a szinkron hozza létre)
+    await queryInterface.bulkInsert('settings', [
+      {
+        key: 'vtiger.sync_full_interval_hours',
+        value: '24',
+        type: 'number',
+        category: 'vtiger',
+        description: 'Hours between full performer reconciliations (delta sync in between)',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {
+      ignoreDuplicates: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('settings', {
+      key: ['vtiger.sync_full_interval_hours', 'vtiger.sync_cursor', 'vtiger.sync_last_full_at']
+    });
+  }
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Előadó adatok mezőszintű változásnaplója (vTiger szinkron + admin módosítás)
+    await queryInterface.createTable('performer_revisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      performerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'performers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      source: {
+        type: Sequelize.ENUM('sync', 'admin'),
+        allowNull: false,
+        defaultValue: 'sync'
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      flags: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('applied', 'pending', 'approved', 'rejected', 'superseded'),
+        allowNull: false,
+        defaultValue: 'applied'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('performer_revisions', ['performerId', 'createdAt']);
+    await queryInterface.addIndex('performer_revisions', ['status']);
+
+    // Gyanús szinkron változások visszatartása admin jóváhagyásig
+    await queryInterface.bulkInsert('settings', [
+      {
+        key: 'vtiger.sync_review_suspicious',
+        value: 'false',
+        type: 'boolean',
+        category: 'vtiger',
+        description: 'Hold suspicious performer changes from the vTiger sync for admin review',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        key: 'vtiger.sync_price_change_percent',
+        value: '30',
+        type: 'number',
+        category: 'vtiger',
+        description: 'Price change (%) above which a synced price change is flagged as suspicious',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {
+      ignoreDuplicates: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('settings', {
+      key: ['vtiger.sync_review_suspicious', 'vtiger.sync_price_change_percent']
+    });
+    await queryInterface.dropTable('performer_revisions');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, _Sequelize) {
+    // Tömeges deaktiválás elleni védelem: ennél nagyobb arányú eltűnésnél a szinkron nem deaktivál
+    await queryInterface.bulkInsert('settings', [
+      {
+        key: 'vtiger.sync_max_deactivation_percent',
+        value: '10',
+        type: 'number',
+        category: 'vtiger',
+        description: 'Max. share (%) of active performers a full sync may deactivate without manual confirmation',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {
+      ignoreDuplicates: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('settings', { key: 'vtiger.sync_max_deactivation_percent' });
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, _Sequelize) {
+    // Aktív CRM szolgáltató: vtiger (éles) vagy local (JSON fájl, fejlesztés/demó/teszt)
+    await queryInterface.bulkInsert('settings', [
+      {
+        key: 'crm.provider',
+        value: 'vtiger',
+        type: 'string',
+        category: 'crm',
+        description: 'Active CRM provider (vtiger | local)',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {
+      ignoreDuplicates: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('settings', { key: 'crm.provider' });
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+const SETTINGS = [
+  ['vtiger.request_timeout_ms', '15000', 'vTiger request timeout (ms)'],
+  ['vtiger.max_retries', '3', 'Retries of a failed vTiger request (network error, timeout, 5xx)'],
+  ['vtiger.retry_base_delay_ms', '1000', 'Base delay of the exponential retry backoff (ms)'],
+  ['vtiger.requests_per_minute', '60', 'Max. vTiger requests per minute'],
+  ['vtiger.breaker_failure_threshold', '5', 'Failed requests in a row that open the vTiger circuit breaker'],
+  ['vtiger.breaker_cooldown_seconds', '300', 'Seconds the open circuit breaker pauses vTiger requests']
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, _Sequelize) {
+    // vTiger kérés réteg: időkorlát, újrapróbálás, percenkénti keret, circuit breaker
+    await queryInterface.bulkInsert('settings', SETTINGS.map(([key, value, description]) => ({
+      key,
+      value,
+      type: 'number',
+      category: 'vtiger',
+      description,
+      isPublic: false,
+      isRequired: false,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    })), {
+      ignoreDuplicates: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('settings', { key: SETTINGS.map(([key]) => key) });
+  }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Foglalás státusz történet (admin workflow + visszairányú CRM szinkron)
+    await queryInterface.createTable('booking_status_changes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      bookingId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      fromStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      toStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('admin', 'crm'),
+        allowNull: false,
+        defaultValue: 'admin'
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      crmState: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      clientNotifiedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('booking_status_changes', ['bookingId', 'createdAt']);
+
+    // Utoljára látott CRM státusz a foglaláson
+    await queryInterface.addColumn('bookings', 'crmStatus', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Last seen CRM lead / sales order status'
+    });
+
+    await queryInterface.addColumn('bookings', 'crmStatusCheckedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.bulkInsert('settings', [
+      {
+        key: 'crm.booking_status_notify_client',
+        value: 'false',
+        type: 'boolean',
+        category: 'crm',
+        description: 'Email the client when the CRM sync confirms or cancels a booking',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        key: 'vtiger.sales_order_lead_field',
+        value: '',
+        type: 'string',
+        category: 'vtiger',
+        description: 'SalesOrder field holding the originating lead ID (empty: sales orders are not checked)',
+        isPublic: false,
+        isRequired: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {
+      ignoreDuplicates: true
+    });
+
+    // Cron job: foglalás státuszok visszaolvasása a CRM-ből 30 percenként
+    await queryInterface.bulkInsert('cron_jobs', [
+      {
+        id: 'booking-status-sync',
+        name: 'Booking Status Sync',
+        schedule: '*/30 * * * *',
+        description: 'Foglalás státuszok frissítése a CRM lead / Sales Order állapota alapján',
+        isActive: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ]);
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('cron_jobs', { id: 'booking-status-sync' });
+    await queryInterface.bulkDelete('settings', {
+      key: ['crm.booking_status_notify_client', 'vtiger.sales_order_lead_field']
+    });
+    await queryInterface.removeColumn('bookings', 'crmStatusCheckedAt');
+    await queryInterface.removeColumn('bookings', 'crmStatus');
+    await queryInterface.dropTable('booking_status_changes');
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Sikertelen CRM szinkron (dead-letter) és az admin által javított lead adatok
+    await queryInterface.addColumn('bookings', 'deadLetteredAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Every automatic CRM sync attempt failed (admin alert sent)'
+    });
+
+    await queryInterface.addColumn('bookings', 'syncPayloadOverride', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Admin corrections of the lead payload for the next retry'
+    });
+
+    // Meglévő, már feladott foglalások
+    await queryInterface.sequelize.query(
+      'UPDATE bookings SET deadLetteredAt = lastSyncAttempt '
+      + 'WHERE isSyncedToVtiger = false AND syncAttempts >= 3'
+    );
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeColumn('bookings', 'syncPayloadOverride');
+    await queryInterface.removeColumn('bookings', 'deadLetteredAt');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+const { generateEventSlug } = require('../utils/slugHelper');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Nyilvános esemény oldalak (/esemenyek/:slug)
+    await queryInterface.addColumn('Events', 'slug', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      unique: true,
+      comment: 'URL slug of the public event page'
+    });
+
+    // Meglévő események (a dátum YYYY-MM-DD szövegként, ahogy a DATEONLY mező a szinkronban is)
+    const [events] = await queryInterface.sequelize.query(
+      'SELECT id, vtigerId, subject, DATE_FORMAT(performanceDate, \'%Y-%m-%d\') AS performanceDate FROM Events'
+    );
+
+    for (const event of events) {
+      await queryInterface.sequelize.query('UPDATE Events SET slug = :slug WHERE id = :id', {
+        replacements: { slug: generateEventSlug(event), id: event.id }
+      });
+    }
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeColumn('Events', 'slug');
+  }
+};
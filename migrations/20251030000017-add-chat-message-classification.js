@@ -0,0 +1,84 @@
+'use strict';
+
+const CATEGORY = 'classification';
+
+const SETTINGS = [
+  {
+    settingKey: 'enabled',
+    settingValue: 'true',
+    dataType: 'boolean',
+    label: 'AI szándékfelismerés bekapcsolva',
+    description: 'Minden látogatói üzenetet osztályoz (foglalási szándék, panasz, árérdeklődés, munkatárs kérése). '
+      + 'Kikapcsolva a kulcsszavas eszkaláció működik.'
+  },
+  {
+    settingKey: 'minConfidence',
+    settingValue: '0.5',
+    dataType: 'number',
+    label: 'Minimális megbízhatóság (0-1)',
+    description: 'Ennél bizonytalanabb osztályozás alapján nem történik eszkaláció'
+  },
+  {
+    settingKey: 'humanRequestThreshold',
+    settingValue: '0.6',
+    dataType: 'number',
+    label: 'Munkatárs kérése - küszöb (0-1)',
+    description: 'Ha a látogató ennél erősebben kér élő munkatársat, a beszélgetés átkerül értékesítőhöz'
+  },
+  {
+    settingKey: 'complaintThreshold',
+    settingValue: '0.7',
+    dataType: 'number',
+    label: 'Panasz - küszöb (0-1)',
+    description: 'Panasz esetén ennél a pontszámnál eszkalál'
+  },
+  {
+    settingKey: 'escalateOnNegativeSentiment',
+    settingValue: 'true',
+    dataType: 'boolean',
+    label: 'Eszkaláció negatív hangulatnál',
+    description: 'Dühös, elégedetlen látogató esetén (a megbízhatósági küszöb felett)'
+  },
+  {
+    settingKey: 'escalateOnBookingIntent',
+    settingValue: 'false',
+    dataType: 'boolean',
+    label: 'Eszkaláció erős foglalási szándéknál',
+    description: 'Forró érdeklődő azonnal értékesítőhöz kerül'
+  },
+  {
+    settingKey: 'bookingIntentThreshold',
+    settingValue: '0.8',
+    dataType: 'number',
+    label: 'Foglalási szándék - küszöb (0-1)',
+    description: 'Csak bekapcsolt "Eszkaláció erős foglalási szándéknál" esetén'
+  }
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Látogatói üzenetek szándék / hangulat osztályozása
+    await queryInterface.addColumn('chat_messages', 'classification', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'AI intent/sentiment classification of a visitor message'
+    });
+
+    // Eszkalációs küszöbök az AI viselkedés admin oldalon
+    const now = new Date();
+    await queryInterface.bulkInsert('AIBehaviorSettings', SETTINGS.map((setting, index) => ({
+      ...setting,
+      category: CATEGORY,
+      isActive: true,
+      displayOrder: index + 1,
+      createdAt: now,
+      updatedAt: now
+    })));
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.bulkDelete('AIBehaviorSettings', { category: CATEGORY });
+    await queryInterface.removeColumn('chat_messages', 'classification');
+  }
+};
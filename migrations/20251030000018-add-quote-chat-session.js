@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Chat beszélgetésből létrehozott ajánlatkérés visszakapcsolása a sessionhöz
+    await queryInterface.addColumn('quotes', 'chatSessionId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Chat session the quote was converted from'
+    });
+
+    // Egy beszélgetésből csak egy ajánlatkérés készülhet
+    await queryInterface.addIndex('quotes', ['chatSessionId'], {
+      unique: true,
+      name: 'quotes_chat_session_id_unique'
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeIndex('quotes', 'quotes_chat_session_id_unique');
+    await queryInterface.removeColumn('quotes', 'chatSessionId');
+  }
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+const DEFAULT_RESPONSES = [
+  {
+    title: 'Üdvözlés',
+    shortcut: 'udv',
+    category: 'Általános',
+    content: 'Kedves {{visitorName}}! {{agentName}} vagyok, a Koncert24 munkatársa. Miben segíthetek?'
+  },
+  {
+    title: 'Előadó ára',
+    shortcut: 'ar',
+    category: 'Árak',
+    content: '{{performerName}} fellépti díja {{performerPrice}}. Részletek és foglalás: {{performerUrl}}'
+  },
+  {
+    title: 'Ajánlatkérés',
+    shortcut: 'ajanlat',
+    category: 'Foglalás',
+    content: 'Kérem, adja meg a rendezvény dátumát, helyszínét és a vendégek várható számát, '
+      + 'és {{performerName}} fellépésére pontos ajánlatot küldünk emailben.'
+  },
+  {
+    title: 'Elköszönés',
+    shortcut: 'bye',
+    category: 'Általános',
+    content: 'Köszönöm, hogy minket választott, {{visitorName}}! További kérdés esetén keressen bizalommal.'
+  }
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Round-robin elosztáshoz: utolsó chat hozzárendelés ideje értékesítőnként
+    await queryInterface.addColumn('booking_availability', 'lastAssignedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Last chat session routed to this agent'
+    });
+
+    // Gyors válaszok (sablonok változókkal) az admin chat felülethez
+    await queryInterface.createTable('canned_responses', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      title: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      shortcut: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        unique: true
+      },
+      category: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      usageCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('canned_responses', DEFAULT_RESPONSES.map((response) => ({
+      ...response,
+      isActive: true,
+      usageCount: 0,
+      createdAt: now,
+      updatedAt: now
+    })));
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.dropTable('canned_responses');
+    await queryInterface.removeColumn('booking_availability', 'lastAssignedAt');
+  }
+};
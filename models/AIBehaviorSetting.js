@@ -27,6 +27,7 @@ module.exports = (sequelize, DataTypes) => {
         'systemPrompt',
         'personality',
         'escalation',
+        'classification',
         'prohibited',
         'responseStyle',
         'specialCases',
@@ -117,6 +117,26 @@ const Booking = sequelize.define('Booking', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  deadLetteredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Every automatic CRM sync attempt failed (admin alert sent)'
+  },
+  syncPayloadOverride: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Admin corrections of the lead payload for the next retry'
+  },
+  // Reverse CRM status sync
+  crmStatus: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Last seen CRM lead / sales order status'
+  },
+  crmStatusCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   // Admin notes
   adminNotes: {
     type: DataTypes.TEXT,
@@ -121,6 +121,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       defaultValue: 15,
       comment: 'Auto offline after X minutes of inactivity'
+    },
+    lastAssignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Last chat session routed to this agent (round-robin order)'
     }
   }, {
     sequelize,
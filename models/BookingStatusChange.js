@@ -0,0 +1,64 @@
+/**
+ * BookingStatusChange Model
+ * Status history of bookings: who / what changed the status, when and why
+ * (admin workflow or the reverse CRM status sync)
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('BookingStatusChange', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  bookingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('admin', 'crm'),
+    allowNull: false,
+    defaultValue: 'admin'
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  crmState: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'CRM lead / sales order status that triggered the change'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin who changed the status (null for the CRM sync)'
+  },
+  clientNotifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'booking_status_changes',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['bookingId', 'createdAt'] }
+  ]
+});
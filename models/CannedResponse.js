@@ -0,0 +1,52 @@
+/**
+ * CannedResponse Model
+ * Reusable sales chat replies with variables ({{visitorName}}, {{performerName}}, {{performerPrice}}, ...)
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('CannedResponse', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  shortcut: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    unique: true,
+    comment: 'Quick lookup key in the chat UI, e.g. "ar"'
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'canned_responses',
+  timestamps: true
+});
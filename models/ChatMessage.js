@@ -104,6 +104,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'AI token usage, model info, etc.'
     },
+    classification: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'AI intent/sentiment classification of a visitor message'
+    },
     isRead: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
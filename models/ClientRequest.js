@@ -0,0 +1,54 @@
+/**
+ * ClientRequest Model
+ * Follow-up messages and cancellation requests sent by clients from "Foglalásaim"
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('ClientRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  bookingId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  quoteId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'quotes',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('message', 'cancellation'),
+    allowNull: false,
+    defaultValue: 'message'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  }
+}, {
+  tableName: 'client_requests',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['bookingId'] },
+    { fields: ['quoteId'] }
+  ]
+});
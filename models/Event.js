@@ -1,5 +1,7 @@
 'use strict';
 
+const { generateEventSlug } = require('../utils/slugHelper');
+
 module.exports = (sequelize, DataTypes) => {
   const Event = sequelize.define('Event', {
     id: {
@@ -13,6 +15,12 @@ module.exports = (sequelize, DataTypes) => {
       unique: true,
       comment: 'Vtiger Sales Order ID'
     },
+    slug: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      comment: 'Nyilvános esemény oldal URL slug'
+    },
     subject: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -60,7 +68,14 @@ module.exports = (sequelize, DataTypes) => {
     }
   }, {
     tableName: 'Events',
-    timestamps: true
+    timestamps: true,
+    hooks: {
+      beforeValidate: (event) => {
+        if (!event.slug && event.subject) {
+          event.slug = generateEventSlug(event);
+        }
+      }
+    }
   });
 
   Event.associate = function (models) {
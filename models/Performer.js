@@ -88,6 +88,11 @@ const Performer = sequelize.define('Performer', {
     type: DataTypes.STRING(50),
     allowNull: true,
     comment: 'Performer status from vTiger (Kiemelt, Népszerű, Kedvezményes, Akciós)'
+  },
+  lockedFields: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Locally approved fields (performer portal) skipped by the vTiger sync'
   }
 }, {
   tableName: 'performers',
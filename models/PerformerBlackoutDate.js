@@ -0,0 +1,48 @@
+/**
+ * PerformerBlackoutDate Model
+ * Days a performer is unavailable regardless of synced events (added manually by admins)
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('PerformerBlackoutDate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  performerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'performers',
+      key: 'id'
+    }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Internal note, not shown to clients'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'performer_blackout_dates',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['performerId', 'date'],
+      name: 'performer_blackout_dates_performer_date_unique'
+    }
+  ]
+});
@@ -0,0 +1,72 @@
+/**
+ * PerformerChangeRequest Model
+ * Description / rider changes proposed by performers in the portal, applied after admin approval
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('PerformerChangeRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  performerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'performers',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Proposing user'
+  },
+  field: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'description | technicalRequirements'
+  },
+  currentValue: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Value at the time of the proposal'
+  },
+  proposedValue: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'performer_change_requests',
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['performerId', 'field'] }
+  ]
+});
@@ -0,0 +1,70 @@
+/**
+ * PerformerRevision Model
+ * Field-level change history of performers (vTiger sync and admin edits)
+ * Suspicious sync changes are stored as pending revisions and applied after admin review
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('PerformerRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  performerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'performers',
+      key: 'id'
+    }
+  },
+  source: {
+    type: DataTypes.ENUM('sync', 'admin'),
+    allowNull: false,
+    defaultValue: 'sync'
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: '{ field: { from, to } }'
+  },
+  flags: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Suspicious changes: [{ field, reason }]'
+  },
+  status: {
+    type: DataTypes.ENUM('applied', 'pending', 'approved', 'rejected', 'superseded'),
+    allowNull: false,
+    defaultValue: 'applied'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Editing admin (null for the vTiger sync)'
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'performer_revisions',
+  timestamps: true,
+  indexes: [
+    { fields: ['performerId', 'createdAt'] },
+    { fields: ['status'] }
+  ]
+});
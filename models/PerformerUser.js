@@ -0,0 +1,39 @@
+/**
+ * PerformerUser Model
+ * Links performer-role users (artists, managers) to the Performer records they manage
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('PerformerUser', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  performerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'performers',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'performer_users',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'performerId'],
+      name: 'performer_users_user_performer_unique'
+    }
+  ]
+});
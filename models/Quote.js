@@ -15,7 +15,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(20),
       allowNull: false,
       unique: true,
-      comment: 'Format: AJ-YYYY-NNNN'
+      comment: 'Format: AJ-YYYY-NNNN (sequential per year, see referenceNumberService)'
     },
     performerId: {
       type: DataTypes.INTEGER,
@@ -98,6 +98,60 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM('pending', 'contacted', 'confirmed', 'rejected', 'cancelled'),
       defaultValue: 'pending',
       allowNull: false
+    },
+    // Logged-in client who submitted the request
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Sales assignment
+    assignedTo: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Assigned sales user'
+    },
+    assignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Chat conversation the quote was converted from
+    chatSessionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      }
+    },
+    // CRM sync
+    vtigerLeadId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'vTiger CRM Lead ID when synced'
+    },
+    isSyncedToVtiger: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    syncAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastSyncAttempt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    syncError: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
     tableName: 'quotes',
@@ -114,6 +168,17 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['createdAt']
+      },
+      {
+        fields: ['assignedTo']
+      },
+      {
+        fields: ['isSyncedToVtiger']
+      },
+      {
+        unique: true,
+        name: 'quotes_chat_session_id_unique',
+        fields: ['chatSessionId']
       }
     ]
   });
@@ -0,0 +1,60 @@
+/**
+ * QuoteActivity Model
+ * Timestamped activity history of a quote request (status changes, assignment, notes, proposals)
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('QuoteActivity', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  quoteId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'quotes',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who performed the action (NULL = system)'
+  },
+  type: {
+    type: DataTypes.ENUM('status_change', 'assignment', 'note', 'proposal'),
+    allowNull: false
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Extra data, e.g. proposed performer IDs or assignee'
+  }
+}, {
+  tableName: 'quote_activities',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['quoteId', 'createdAt']
+    }
+  ]
+});
@@ -0,0 +1,37 @@
+/**
+ * ReferenceSequence Model
+ * Per-prefix, per-year counter backing sequential reference numbers (AJ-YYYY-NNNN, FO-YYYY-NNNNN)
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('ReferenceSequence', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  prefix: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  lastValue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Last allocated number within the year'
+  }
+}, {
+  tableName: 'reference_sequences',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['prefix', 'year'],
+      name: 'reference_sequences_prefix_year_unique'
+    }
+  ]
+});
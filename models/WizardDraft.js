@@ -0,0 +1,84 @@
+/**
+ * WizardDraft Model
+ * Server-side drafts of the booking and quote wizards, resumable by token
+ */
+
+module.exports = (sequelize, DataTypes) => sequelize.define('WizardDraft', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  type: {
+    type: DataTypes.ENUM('booking', 'quote'),
+    allowNull: false
+  },
+  performerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'performers',
+      key: 'id'
+    }
+  },
+  performerSlug: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  lastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  contactName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  contactEmail: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  contactPhone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'submitted'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  resumeEmailSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'wizard_drafts',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'updatedAt'] },
+    { fields: ['userId', 'type'] }
+  ]
+});
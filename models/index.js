@@ -22,6 +22,16 @@ const OfflineMessage = require('./OfflineMessage');
 const BookingAvailability = require('./BookingAvailability');
 const SystemStatus = require('./SystemStatus');
 const Quote = require('./Quote');
+const QuoteActivity = require('./QuoteActivity');
+const ReferenceSequence = require('./ReferenceSequence');
+const PerformerBlackoutDate = require('./PerformerBlackoutDate');
+const PerformerUser = require('./PerformerUser');
+const PerformerChangeRequest = require('./PerformerChangeRequest');
+const ClientRequest = require('./ClientRequest');
+const WizardDraft = require('./WizardDraft');
+const PerformerRevision = require('./PerformerRevision');
+const BookingStatusChange = require('./BookingStatusChange');
+const CannedResponse = require('./CannedResponse');
 
 // Initialize models
 const LocationModel = Location(sequelize);
@@ -40,6 +50,16 @@ const OfflineMessageModel = OfflineMessage(sequelize, require('sequelize').DataT
 const BookingAvailabilityModel = BookingAvailability(sequelize, require('sequelize').DataTypes);
 const SystemStatusModel = SystemStatus(sequelize, require('sequelize').DataTypes);
 const QuoteModel = Quote(sequelize, require('sequelize').DataTypes);
+const QuoteActivityModel = QuoteActivity(sequelize, require('sequelize').DataTypes);
+const ReferenceSequenceModel = ReferenceSequence(sequelize, require('sequelize').DataTypes);
+const PerformerBlackoutDateModel = PerformerBlackoutDate(sequelize, require('sequelize').DataTypes);
+const PerformerUserModel = PerformerUser(sequelize, require('sequelize').DataTypes);
+const PerformerChangeRequestModel = PerformerChangeRequest(sequelize, require('sequelize').DataTypes);
+const ClientRequestModel = ClientRequest(sequelize, require('sequelize').DataTypes);
+const WizardDraftModel = WizardDraft(sequelize, require('sequelize').DataTypes);
+const PerformerRevisionModel = PerformerRevision(sequelize, require('sequelize').DataTypes);
+const BookingStatusChangeModel = BookingStatusChange(sequelize, require('sequelize').DataTypes);
+const CannedResponseModel = CannedResponse(sequelize, require('sequelize').DataTypes);
 
 // Define associations
 Booking.belongsTo(Performer, {
@@ -175,6 +195,165 @@ Performer.hasMany(QuoteModel, {
   as: 'quotes'
 });
 
+QuoteModel.belongsTo(User, {
+  foreignKey: 'assignedTo',
+  as: 'assignee'
+});
+
+User.hasMany(QuoteModel, {
+  foreignKey: 'assignedTo',
+  as: 'assignedQuotes'
+});
+
+QuoteModel.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(QuoteModel, {
+  foreignKey: 'userId',
+  as: 'quotes'
+});
+
+QuoteModel.belongsTo(ChatSessionModel, {
+  foreignKey: 'chatSessionId',
+  as: 'chatSession'
+});
+
+ChatSessionModel.hasMany(QuoteModel, {
+  foreignKey: 'chatSessionId',
+  as: 'quotes'
+});
+
+QuoteModel.hasMany(QuoteActivityModel, {
+  foreignKey: 'quoteId',
+  as: 'activities'
+});
+
+QuoteActivityModel.belongsTo(QuoteModel, {
+  foreignKey: 'quoteId',
+  as: 'quote'
+});
+
+QuoteActivityModel.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Performer.hasMany(PerformerBlackoutDateModel, {
+  foreignKey: 'performerId',
+  as: 'blackoutDates'
+});
+
+PerformerBlackoutDateModel.belongsTo(Performer, {
+  foreignKey: 'performerId',
+  as: 'performer'
+});
+
+PerformerBlackoutDateModel.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Performer portal associations
+User.belongsToMany(Performer, {
+  through: PerformerUserModel,
+  foreignKey: 'userId',
+  otherKey: 'performerId',
+  as: 'managedPerformers'
+});
+
+Performer.belongsToMany(User, {
+  through: PerformerUserModel,
+  foreignKey: 'performerId',
+  otherKey: 'userId',
+  as: 'portalUsers'
+});
+
+Performer.hasMany(PerformerChangeRequestModel, {
+  foreignKey: 'performerId',
+  as: 'changeRequests'
+});
+
+PerformerChangeRequestModel.belongsTo(Performer, {
+  foreignKey: 'performerId',
+  as: 'performer'
+});
+
+PerformerChangeRequestModel.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'requester'
+});
+
+PerformerChangeRequestModel.belongsTo(User, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
+
+// Performer revision associations (change history / review of suspicious sync changes)
+Performer.hasMany(PerformerRevisionModel, {
+  foreignKey: 'performerId',
+  as: 'revisions'
+});
+
+PerformerRevisionModel.belongsTo(Performer, {
+  foreignKey: 'performerId',
+  as: 'performer'
+});
+
+PerformerRevisionModel.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'editor'
+});
+
+PerformerRevisionModel.belongsTo(User, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
+
+// Booking status history (admin workflow and reverse CRM sync)
+Booking.hasMany(BookingStatusChangeModel, {
+  foreignKey: 'bookingId',
+  as: 'statusChanges'
+});
+
+BookingStatusChangeModel.belongsTo(Booking, {
+  foreignKey: 'bookingId',
+  as: 'booking'
+});
+
+BookingStatusChangeModel.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Client request associations ("Foglalásaim" messages / cancellation requests)
+Booking.hasMany(ClientRequestModel, {
+  foreignKey: 'bookingId',
+  as: 'clientRequests'
+});
+
+QuoteModel.hasMany(ClientRequestModel, {
+  foreignKey: 'quoteId',
+  as: 'clientRequests'
+});
+
+ClientRequestModel.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Wizard draft associations (resumable booking / quote drafts)
+WizardDraftModel.belongsTo(Performer, {
+  foreignKey: 'performerId',
+  as: 'performer'
+});
+
+WizardDraftModel.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
 // Chat associations
 ChatSessionModel.associate({ User, ChatMessage: ChatMessageModel });
 ChatMessageModel.associate({ ChatSession: ChatSessionModel, User });
@@ -182,6 +361,11 @@ OfflineMessageModel.associate({ ChatSession: ChatSessionModel, User });
 BookingAvailabilityModel.associate({ User });
 SystemStatusModel.associate({});
 
+CannedResponseModel.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'author'
+});
+
 module.exports = {
   sequelize,
   Performer,
@@ -206,5 +390,15 @@ module.exports = {
   OfflineMessage: OfflineMessageModel,
   BookingAvailability: BookingAvailabilityModel,
   SystemStatus: SystemStatusModel,
-  Quote: QuoteModel
+  Quote: QuoteModel,
+  QuoteActivity: QuoteActivityModel,
+  ReferenceSequence: ReferenceSequenceModel,
+  PerformerBlackoutDate: PerformerBlackoutDateModel,
+  PerformerUser: PerformerUserModel,
+  PerformerChangeRequest: PerformerChangeRequestModel,
+  ClientRequest: ClientRequestModel,
+  WizardDraft: WizardDraftModel,
+  PerformerRevision: PerformerRevisionModel,
+  BookingStatusChange: BookingStatusChangeModel,
+  CannedResponse: CannedResponseModel
 };
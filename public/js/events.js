@@ -9,7 +9,7 @@
   // DOM Elements
   const searchInput = document.getElementById('eventSearch');
   const clearSearchBtn = document.getElementById('clearSearch');
-  const filterButtons = document.querySelectorAll('.events__filter-btn');
+  const filterButtons = document.querySelectorAll('.events__filter-btn[data-filter]');
   const mobileFilterToggle = document.querySelector('.events__mobile-filter-toggle');
   const dateFiltersContainer = document.querySelector('.events__date-filters');
   const eventCards = document.querySelectorAll('.event__card');
@@ -456,10 +456,6 @@
       </div>
     ` : '';
 
-    const eventDateTime = event.performanceDate + (event.performanceTime ? `T${event.performanceTime}` : 'T19:00:00');
-    const eventDateISO = new Date(eventDateTime).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
-    const eventEndISO = new Date(new Date(eventDateTime).getTime() + 2 * 60 * 60 * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
-
     const actionsHtml = event.performer ? `
       <div class="event__actions">
         <a href="/eloadok/${event.performer.slug || event.performer.id}" class="btn btn--primary">
@@ -476,7 +472,7 @@
             Naptárhoz
           </button>
           <div class="event__calendar-menu">
-            <a href="https://www.google.com/calendar/render?action=TEMPLATE&text=${encodeURIComponent(event.subject)}&dates=${eventDateISO}/${eventEndISO}&details=${encodeURIComponent(event.performer ? `Előadó: ${event.performer.name}` : '')}&location=${encodeURIComponent(event.performanceLocation || '')}" target="_blank" class="event__calendar-option">
+            <a href="${event.googleCalendarUrl}" target="_blank" class="event__calendar-option">
               <svg viewBox="0 0 24 24" fill="currentColor">
                 <path d="M19 19H5V8h14m-3-7v2H8V1H6v2H5c-1.11 0-2 .89-2 2v14a2 2 0 002 2h14a2 2 0 002-2V5a2 2 0 00-2-2h-1V1m-1 11h-5v5h5v-5z"/>
               </svg>
@@ -537,7 +533,7 @@
           <div class="event__date-day">${day}</div>
         </div>
         <div class="event__details">
-          <h3 class="event__title">${event.subject}</h3>
+          <h3 class="event__title"><a href="/esemenyek/${event.slug || event.id}">${event.subject}</a></h3>
           ${performerHtml}
           ${timeHtml}
           ${locationHtml}
@@ -12,6 +12,11 @@ const ERROR_CONNECTION_FAILED = 'Kapcsolati hiba történt';
 const HEADER_CONTENT_TYPE_JSON = 'application/json';
 const CSRF_TOKEN_SELECTOR = 'meta[name="csrf-token"]';
 
+// Typing indicator timings
+const TYPING_NOTIFY_INTERVAL = 3000; // Resend "typing" at most this often
+const TYPING_IDLE_TIMEOUT = 4000; // Send "stopped typing" after this much silence
+const REMOTE_TYPING_TIMEOUT = 10000; // Hide sales typing indicator if no update arrives
+
 document.addEventListener('alpine:init', () => {
   Alpine.data('chatWidget', () => ({
     // State
@@ -20,6 +25,11 @@ document.addEventListener('alpine:init', () => {
     pollingActive: false, // Track if polling is already running
     pollInterval: 5000, // Current polling interval (5s, 10s, or 30s)
     consecutiveEmptyPolls: 0, // Counter for empty polls (for adaptive slowdown)
+    eventSource: null, // Server-Sent Events push channel (polling is the fallback)
+    streamConnected: false, // Push channel is open
+    typingSentAt: 0, // Last "typing" notification sent to sales
+    typingIdleTimer: null,
+    remoteTypingTimer: null,
     sessionToken: null,
     messages: [],
     inputMessage: '',
@@ -29,6 +39,7 @@ document.addEventListener('alpine:init', () => {
     aiAvailable: false,
     adminAvailable: false,
     showOfflineForm: false,
+    queue: null, // Waiting queue position while every sales agent is busy ({ position, estimatedWaitMinutes, agentsOnline })
 
     // Offline form data
     offlineForm: {
@@ -80,10 +91,7 @@ document.addEventListener('alpine:init', () => {
         }
       }
 
-      // Polling will start when chat is opened (in openChat method)
-
-      // Listen for new messages (if using WebSocket in future)
-      // this.listenForMessages();
+      // Live updates (push channel or polling) start when chat is opened (in openChat method)
     },
 
     // Setup proactive engagement
@@ -174,6 +182,155 @@ document.addEventListener('alpine:init', () => {
       }, 2000); // Wait 2 seconds before opening
     },
 
+    // Start live updates: Server-Sent Events push channel, adaptive polling as fallback
+    startLiveUpdates() {
+      if (this.eventSource || this.pollingActive || !this.sessionToken) {
+        return;
+      }
+
+      if (typeof EventSource === 'undefined') {
+        this.startPolling();
+        return;
+      }
+
+      const source = new EventSource(`/api/chat/session/${this.sessionToken}/stream`);
+      this.eventSource = source;
+
+      source.addEventListener('open', () => {
+        this.streamConnected = true;
+        // Catch up on messages sent while the stream was (re)connecting
+        this.checkForNewMessages();
+      });
+
+      source.addEventListener('message', (event) => {
+        this.handlePushedMessage(JSON.parse(event.data).message);
+      });
+
+      source.addEventListener('typing', (event) => {
+        this.handlePushedTyping(JSON.parse(event.data));
+      });
+
+      source.addEventListener('status', (event) => {
+        const data = JSON.parse(event.data);
+        if (data.status === 'escalated') {
+          this.mode = 'admin_only';
+        }
+        // Assigned to an agent (or closed) - no longer waiting
+        if (data.status !== 'escalated' || data.assignedSalesId) {
+          this.queue = null;
+        }
+      });
+
+      source.addEventListener('queue', (event) => {
+        this.queue = JSON.parse(event.data).queue;
+      });
+
+      source.addEventListener('error', () => {
+        // The browser reconnects by itself once; if that fails too, fall back to polling
+        if (this.streamConnected && source.readyState !== EventSource.CLOSED) {
+          this.streamConnected = false;
+          return;
+        }
+
+        this.stopLiveUpdates();
+        if (this.isOpen) {
+          this.startPolling();
+        }
+      });
+    },
+
+    // Stop the push channel (polling stops by itself when the chat closes)
+    stopLiveUpdates() {
+      if (this.eventSource) {
+        this.eventSource.close();
+        this.eventSource = null;
+      }
+      this.streamConnected = false;
+    },
+
+    // Message pushed by the server (own messages are already shown optimistically)
+    handlePushedMessage(message) {
+      if (message.role === 'user') {
+        // Replace the optimistic copy of our own message
+        this.messages = this.messages.filter((m) => !(m.pending && m.content === message.content));
+      } else {
+        this.isTyping = false;
+      }
+
+      if (this.addMessage(message)) {
+        this.scrollToBottom(true);
+      }
+    },
+
+    // Sales typing indicator pushed by the server
+    handlePushedTyping(data) {
+      if (data.role !== 'admin') {
+        return;
+      }
+
+      clearTimeout(this.remoteTypingTimer);
+      this.isTyping = data.isTyping;
+
+      if (data.isTyping) {
+        this.remoteTypingTimer = setTimeout(() => {
+          this.isTyping = false;
+        }, REMOTE_TYPING_TIMEOUT);
+      }
+    },
+
+    // Add a message unless it is already listed
+    addMessage(message) {
+      if (this.messages.some((m) => m.id === message.id)) {
+        return false;
+      }
+
+      this.messages.push(message);
+
+      // If chat is minimized, increase unread count
+      if (this.isMinimized && message.role !== 'user') {
+        this.unreadCount += 1;
+      }
+      return true;
+    },
+
+    // Tell sales that the visitor is typing (throttled)
+    notifyTyping() {
+      if (!this.sessionToken || this.mode === 'offline_mode') {
+        return;
+      }
+
+      clearTimeout(this.typingIdleTimer);
+      this.typingIdleTimer = setTimeout(() => this.sendTypingState(false), TYPING_IDLE_TIMEOUT);
+
+      if (Date.now() - this.typingSentAt > TYPING_NOTIFY_INTERVAL) {
+        this.sendTypingState(true);
+      }
+    },
+
+    // Send typing state (fire and forget)
+    sendTypingState(isTyping) {
+      if (!isTyping) {
+        clearTimeout(this.typingIdleTimer);
+        if (this.typingSentAt === 0) {
+          return; // Nothing to cancel
+        }
+      }
+
+      this.typingSentAt = isTyping ? Date.now() : 0;
+
+      const csrfToken = document.querySelector(CSRF_TOKEN_SELECTOR)?.getAttribute('content');
+      fetch(`/api/chat/session/${this.sessionToken}/typing`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': HEADER_CONTENT_TYPE_JSON,
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ isTyping })
+      }).catch(() => {
+        // Typing indicator is best effort
+      });
+    },
+
     // Start polling for new messages with adaptive interval
     startPolling() {
       // Prevent multiple polling instances
@@ -245,6 +402,7 @@ document.addEventListener('alpine:init', () => {
 
         if (data.success) {
           const newMessages = data.session.messages || [];
+          this.queue = data.session.queue || null;
 
           // Check if there are new messages
           if (newMessages.length > this.messages.length) {
@@ -252,19 +410,8 @@ document.addEventListener('alpine:init', () => {
             const newCount = newMessages.length - this.messages.length;
             const freshMessages = newMessages.slice(-newCount);
 
-            // Add new messages to the list
-            freshMessages.forEach((msg) => {
-              // Check if message doesn't already exist (by ID)
-              const exists = this.messages.some((m) => m.id === msg.id);
-              if (!exists) {
-                this.messages.push(msg);
-
-                // If chat is minimized, increase unread count
-                if (this.isMinimized && msg.role !== 'user') {
-                  this.unreadCount += 1;
-                }
-              }
-            });
+            // Add new messages to the list (skipping ones already shown)
+            freshMessages.forEach((msg) => this.addMessage(msg));
 
             // Auto-scroll to new messages
             this.scrollToBottom(true);
@@ -291,11 +438,6 @@ document.addEventListener('alpine:init', () => {
       this.isMinimized = false;
       this.unreadCount = 0;
 
-      // Start adaptive polling when chat opens (if not already running)
-      if (!this.pollingActive) {
-        this.startPolling();
-      }
-
       if (this.sessionToken) {
         // Already have a session, just show it
         this.scrollToBottom(true);
@@ -303,13 +445,17 @@ document.addEventListener('alpine:init', () => {
         // Create new session
         await this.createSession();
       }
+
+      // Start push channel (or polling fallback) when chat opens (if not already running)
+      this.startLiveUpdates();
     },
 
     // Close chat
     closeChat() {
-      // Close chat window and stop polling (end session)
+      // Close chat window and stop live updates (end session)
       this.isOpen = false;
       this.isMinimized = false;
+      this.stopLiveUpdates();
       // pollingActive will be set to false by schedulePoll when it detects isOpen = false
     },
 
@@ -346,13 +492,14 @@ document.addEventListener('alpine:init', () => {
         this.isTyping = false;
         this.mode = 'loading';
         this.showOfflineForm = false;
+        this.stopLiveUpdates(); // Stream belongs to the old session
         this.pollingActive = false; // Reset polling flag
 
         // Create new session
         await this.createSession();
 
-        // Restart polling with new session
-        this.startPolling();
+        // Restart live updates with new session
+        this.startLiveUpdates();
 
         // Show system message
         this.messages.push({
@@ -437,6 +584,7 @@ document.addEventListener('alpine:init', () => {
 
         if (data.success) {
           this.messages = data.session.messages || [];
+          this.queue = data.session.queue || null;
           this.scrollToBottom();
         }
       } catch (error) {
@@ -460,13 +608,17 @@ document.addEventListener('alpine:init', () => {
         this.consecutiveEmptyPolls = 0; // Reset idle counter
       }
 
+      // Message sent - sales no longer sees "typing"
+      this.sendTypingState(false);
+
       // Add user message to UI immediately with temporary ID
       const tempId = Date.now();
       this.messages.push({
         id: tempId,
         role: 'user',
         content: messageText,
-        createdAt: new Date().toISOString()
+        createdAt: new Date().toISOString(),
+        pending: true
       });
 
       this.scrollToBottom(true);
@@ -490,9 +642,9 @@ document.addEventListener('alpine:init', () => {
         const data = await response.json();
 
         if (data.success) {
-          // Remove temporary user message and add real ones
+          // Remove temporary user message and add real ones (the push channel may have delivered them already)
           this.messages = this.messages.filter((msg) => msg.id !== tempId);
-          this.messages.push(data.userMessage);
+          this.addMessage(data.userMessage);
 
           // Scroll to user message first
           this.scrollToBottom(true);
@@ -501,7 +653,7 @@ document.addEventListener('alpine:init', () => {
           if (data.aiMessage) {
             // Wait a bit before adding AI message for better UX
             setTimeout(() => {
-              this.messages.push(data.aiMessage);
+              this.addMessage(data.aiMessage);
               this.isTyping = false;
 
               // Show offline form if AI suggests it (with delay so user can read the message)
@@ -641,10 +793,13 @@ document.addEventListener('alpine:init', () => {
         console.log('📥 Escalate response data:', data);
 
         if (data.success) {
+          this.queue = data.queue || null;
           this.messages.push({
             id: Date.now(),
             role: 'system',
-            content: '🔄 Beszélgetés átirányítva egy munkatársunkhoz. Hamarosan válaszolunk!',
+            content: this.queue
+              ? '⏳ Minden munkatársunk foglalt - amint valaki felszabadul, átveszi a beszélgetést.'
+              : '🔄 Beszélgetés átirányítva egy munkatársunkhoz. Hamarosan válaszolunk!',
             createdAt: new Date().toISOString()
           });
 
@@ -683,6 +838,20 @@ document.addEventListener('alpine:init', () => {
       }
     },
 
+    // Waiting queue banner text
+    queueStatusText() {
+      if (!this.queue) {
+        return '';
+      }
+
+      if (!this.queue.estimatedWaitMinutes) {
+        return `⏳ Ön a(z) ${this.queue.position}. a várakozási sorban. Jelenleg nincs online munkatársunk.`;
+      }
+
+      return `⏳ Ön a(z) ${this.queue.position}. a várakozási sorban, `
+        + `a várható várakozási idő kb. ${this.queue.estimatedWaitMinutes} perc.`;
+    },
+
     // Show error message
     showError(message) {
       this.messages.push({
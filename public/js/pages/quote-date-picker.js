@@ -1,15 +1,36 @@
 /**
  * Date Picker Component for Quote Wizard
  * Simplified version that directly updates the hidden input field
+ *
+ * Optional performer availability: quoteDatePicker({ availabilityUrl })
+ * - blackout days are disabled
+ * - booked days (synced events) stay selectable but show a warning
  */
 
-function quoteDatePicker() {
+const DATE_WARNING_BOOKED = 'Az előadó ezen a napon már foglalt. Az ajánlatkérést rögzítjük, '
+  + 'de valószínűleg másik időpontot kell egyeztetnünk.';
+const DATE_WARNING_BLACKOUT = 'Az előadó ezen a napon nem elérhető, kérjük válassz másik dátumot.';
+
+function toIsoDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function quoteDatePicker(options = {}) {
   return {
     showCalendar: false,
     currentDate: new Date(),
     selectedDate: null,
+    bookedDates: [],
+    blackoutDates: [],
+    dateWarning: '',
+    availabilityRequested: false,
 
     init() {
+      this.loadAvailability();
+
       // Check if there's a saved date value and restore it
       const hiddenInput = document.getElementById('eventDate');
       console.log('Date picker init - hidden input value:', hiddenInput ? hiddenInput.value : 'no input');
@@ -24,6 +45,40 @@ function quoteDatePicker() {
       }
     },
 
+    async loadAvailability() {
+      if (!options.availabilityUrl || this.availabilityRequested) { return; }
+      this.availabilityRequested = true;
+
+      try {
+        const response = await fetch(options.availabilityUrl, { headers: { Accept: 'application/json' } });
+        const data = await response.json();
+        if (data.success) {
+          this.bookedDates = data.bookedDates || [];
+          this.blackoutDates = data.blackoutDates || [];
+          this.updateDateWarning();
+        }
+      } catch (error) {
+        // Availability is a hint only - the picker keeps working without it
+        console.warn('Availability could not be loaded:', error);
+      }
+    },
+
+    updateDateWarning() {
+      if (!this.selectedDate) {
+        this.dateWarning = '';
+        return;
+      }
+
+      const isoDate = toIsoDate(this.selectedDate);
+      if (this.blackoutDates.includes(isoDate)) {
+        this.dateWarning = DATE_WARNING_BLACKOUT;
+      } else if (this.bookedDates.includes(isoDate)) {
+        this.dateWarning = DATE_WARNING_BOOKED;
+      } else {
+        this.dateWarning = '';
+      }
+    },
+
     get calendarDates() {
       const year = this.currentDate.getFullYear();
       const month = this.currentDate.getMonth();
@@ -51,6 +106,8 @@ function quoteDatePicker() {
         const isPast = dateWithoutTime < today && !isToday;
         const isSelected = this.selectedDate
           && currentDate.toDateString() === this.selectedDate.toDateString();
+        const isoDate = toIsoDate(currentDate);
+        const isBlackout = this.blackoutDates.includes(isoDate);
 
         dates.push({
           key: `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}`,
@@ -59,7 +116,8 @@ function quoteDatePicker() {
           otherMonth: !isCurrentMonth,
           today: isToday,
           selected: isSelected,
-          disabled: isPast
+          booked: this.bookedDates.includes(isoDate),
+          disabled: isPast || isBlackout
         });
 
         currentDate.setDate(currentDate.getDate() + 1);
@@ -101,16 +159,13 @@ function quoteDatePicker() {
       this.selectedDate = dateObj.date;
 
       // Update hidden input with ISO date format (YYYY-MM-DD)
-      const year = dateObj.date.getFullYear();
-      const month = String(dateObj.date.getMonth() + 1).padStart(2, '0');
-      const day = String(dateObj.date.getDate()).padStart(2, '0');
-      const isoDate = `${year}-${month}-${day}`;
-
       const hiddenInput = document.getElementById('eventDate');
       if (hiddenInput) {
-        hiddenInput.value = isoDate;
+        hiddenInput.value = toIsoDate(dateObj.date);
       }
 
+      this.updateDateWarning();
+
       // Close calendar
       this.showCalendar = false;
     }
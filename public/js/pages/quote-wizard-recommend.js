@@ -1,6 +1,6 @@
 /**
  * Quote Wizard - Recommendation Flow (without performer)
- * Form handling & validation
+ * Form handling (fields are validated server-side, errors shown inline by wizard-validation.js)
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -33,48 +33,6 @@ document.addEventListener('DOMContentLoaded', () => {
         eventCategory: formData.get('eventCategory')
       };
 
-      // Validation with specific error messages
-      if (!data.eventDate) {
-        alert('Kérjük, válassz dátumot!');
-        return;
-      }
-      if (!data.eventTime) {
-        alert('Kérjük, válassz időpontot!');
-        return;
-      }
-      if (!data.eventLocation) {
-        alert('Kérjük, add meg a helyszínt!');
-        return;
-      }
-      if (!data.performerCount) {
-        alert('Kérjük, válaszd ki, hogy egy vagy több előadót szeretnél!');
-        return;
-      }
-      if (!data.budget || data.budget <= 0) {
-        alert('Kérjük, állítsd be a költségkeretet!');
-        return;
-      }
-      if (styles.length === 0) {
-        alert('Kérjük, válassz legalább egy stílust!');
-        return;
-      }
-      if (!data.eventType) {
-        alert('Kérjük, válassz műsor típust!');
-        return;
-      }
-      if (!data.guestCount) {
-        alert('Kérjük, válaszd ki a várható vendégszámot!');
-        return;
-      }
-      if (!data.eventName) {
-        alert('Kérjük, add meg a rendezvény nevét!');
-        return;
-      }
-      if (!data.eventCategory) {
-        alert('Kérjük, válassz esemény jelleget!');
-        return;
-      }
-
       // Submit to backend
       const submitButton = step1Form.querySelector('button[type="submit"]');
       submitButton.disabled = true;
@@ -94,7 +52,11 @@ document.addEventListener('DOMContentLoaded', () => {
         if (result.success) {
           window.location.href = result.redirect;
         } else {
-          alert(`Hiba történt: ${result.message}`);
+          if (result.errors && window.wizardValidation) {
+            window.wizardValidation.showErrors(step1Form, result);
+          } else {
+            alert(`Hiba történt: ${result.message}`);
+          }
           submitButton.disabled = false;
           submitButton.textContent = 'Tovább a következő lépésre';
         }
@@ -76,7 +76,11 @@ document.addEventListener('DOMContentLoaded', () => {
         if (result.success) {
           window.location.href = result.redirect;
         } else {
-          alert(`Hiba történt: ${result.message}`);
+          if (result.errors && window.wizardValidation) {
+            window.wizardValidation.showErrors(step1Form, result);
+          } else {
+            alert(`Hiba történt: ${result.message}`);
+          }
           submitButton.disabled = false;
           submitButton.textContent = 'Tovább a következő lépésre';
         }
@@ -151,7 +155,11 @@ document.addEventListener('DOMContentLoaded', () => {
         if (result.success) {
           window.location.href = result.redirect;
         } else {
-          alert(`Hiba történt: ${result.message}`);
+          if (result.errors && window.wizardValidation) {
+            window.wizardValidation.showErrors(step2Form, result);
+          } else {
+            alert(`Hiba történt: ${result.message}`);
+          }
           submitButton.disabled = false;
           submitButton.textContent = 'Tovább az összegzéshez';
         }
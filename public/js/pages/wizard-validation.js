@@ -0,0 +1,117 @@
+/**
+ * Wizard Validation - inline display of the server-side step validation errors
+ * (422 { success: false, message, errors: { field: message } })
+ *
+ * Booking step forms (classic POST, marked with data-wizard-validate) are submitted with fetch,
+ * so invalid fields are marked in place instead of a full page reload.
+ */
+
+(function () {
+  function getSummary(form) {
+    return form.querySelector('[data-wizard-errors]');
+  }
+
+  function clearErrors(form) {
+    form.querySelectorAll('[data-wizard-error]').forEach((element) => element.remove());
+    form.querySelectorAll('.is-invalid').forEach((element) => element.classList.remove('is-invalid'));
+
+    const summary = getSummary(form);
+    if (summary) {
+      summary.hidden = true;
+    }
+  }
+
+  function markField(form, field, message) {
+    const input = form.querySelector(`[name="${field}"]`);
+    if (!input) {
+      return false;
+    }
+
+    const container = input.closest('.form-group') || input.parentElement;
+    const errorElement = document.createElement('span');
+    errorElement.className = 'form__error';
+    errorElement.dataset.wizardError = '';
+    errorElement.textContent = message;
+    container.appendChild(errorElement);
+
+    if (input.type !== 'hidden') {
+      input.classList.add('is-invalid');
+    }
+
+    return true;
+  }
+
+  function showErrors(form, result) {
+    clearErrors(form);
+
+    const errors = result.errors || {};
+    const unplaced = Object.keys(errors).filter((field) => !markField(form, field, errors[field]));
+    const summary = getSummary(form);
+
+    if (summary) {
+      summary.querySelector('[data-wizard-errors-message]').textContent = result.message || '';
+      const list = summary.querySelector('[data-wizard-errors-list]');
+      list.innerHTML = '';
+      unplaced.forEach((field) => {
+        const item = document.createElement('li');
+        item.textContent = errors[field];
+        list.appendChild(item);
+      });
+      summary.hidden = false;
+    }
+
+    const firstError = form.querySelector('.is-invalid, [data-wizard-error]') || summary;
+    if (firstError) {
+      firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  async function submitForm(form) {
+    const submitButton = form.querySelector('button[type="submit"]');
+    if (submitButton) {
+      submitButton.disabled = true;
+    }
+
+    try {
+      const response = await fetch(form.action, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json'
+        },
+        body: new URLSearchParams(new FormData(form))
+      });
+
+      if (response.status === 422) {
+        showErrors(form, await response.json());
+        if (submitButton) {
+          submitButton.disabled = false;
+        }
+        return;
+      }
+
+      if (response.redirected) {
+        window.location.href = response.url;
+        return;
+      }
+
+      // Unexpected answer (e.g. expired session): fall back to a normal form post
+      form.submit();
+    } catch (error) {
+      console.error('Error:', error);
+      form.submit();
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    submitForm(e.currentTarget);
+  }
+
+  window.wizardValidation = { clearErrors, showErrors };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('form[data-wizard-validate]').forEach((form) => {
+      form.addEventListener('submit', handleSubmit);
+    });
+  });
+}());
@@ -9,11 +9,25 @@ const { AIBehaviorSetting } = require('../models');
 const { requireAdmin } = require('../middleware/auth');
 const { csrfProtection } = require('../middleware/advancedSecurity');
 const logger = require('../config/logger');
+const { SETTINGS_CATEGORY: CLASSIFICATION_CATEGORY, THRESHOLD_KEYS } = require('../services/chatIntentClassifier');
 
 // Constants
 const LAYOUT_ADMIN = 'layouts/admin';
 const ERROR_GENERAL = '/admin/ai-behavior?error=Hiba+történt';
 const SUCCESS_UPDATED = '/admin/ai-behavior?success=Beállítások+frissítve';
+const ERROR_THRESHOLD_RANGE = 'A küszöbnek 0 és 1 közötti számnak kell lennie';
+
+/**
+ * Eszkalációs küszöb ellenőrzése (0-1 közötti szám)
+ */
+function isInvalidThreshold(category, settingKey, value) {
+  if (category !== CLASSIFICATION_CATEGORY || !THRESHOLD_KEYS.includes(settingKey)) {
+    return false;
+  }
+
+  const number = Number(value);
+  return value === '' || !Number.isFinite(number) || number < 0 || number > 1;
+}
 
 /**
  * GET /admin/ai-behavior - AI viselkedési szabályok kezelő
@@ -59,6 +73,11 @@ router.post('/update', requireAdmin, csrfProtection, async (req, res) => {
       .map(async ([key, value]) => {
         const [category, settingKey] = key.split('__');
 
+        if (isInvalidThreshold(category, settingKey, value)) {
+          errors.push({ category, settingKey, error: ERROR_THRESHOLD_RANGE });
+          return;
+        }
+
         try {
           await AIBehaviorSetting.updateSetting(category, settingKey, value);
         } catch (error) {
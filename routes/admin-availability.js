@@ -0,0 +1,136 @@
+/**
+ * Admin Performer Availability Routes
+ * Előadók foglalt napjai (szinkronizált események) és manuális tiltott napok kezelése
+ *
+ * @route GET  /admin/availability
+ * @route POST /admin/availability/:performerId/blackout
+ * @route POST /admin/availability/:performerId/blackout/:id/delete
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const { Performer } = require('../models');
+const performerAvailabilityService = require('../services/performerAvailabilityService');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const AVAILABILITY_PATH = '/admin/availability';
+
+/**
+ * Redirect back to the performer's availability page
+ * @private
+ */
+function redirectToPerformer(res, performerId) {
+  return res.redirect(`${AVAILABILITY_PATH}?performerId=${performerId}`);
+}
+
+/**
+ * GET /admin/availability
+ * Performer selector, upcoming events and blackout dates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const performers = await Performer.findAll({
+      where: { isActive: true },
+      attributes: ['id', 'name'],
+      order: [['name', 'ASC']]
+    });
+
+    const performerId = parseInt(req.query.performerId, 10) || null;
+    let performer = null;
+    let events = [];
+    let blackoutDates = [];
+
+    if (performerId) {
+      performer = await Performer.findByPk(performerId, { attributes: ['id', 'name', 'slug'] });
+    }
+
+    if (performer) {
+      events = await performerAvailabilityService.listUpcomingEvents(performer.id);
+      blackoutDates = await performerAvailabilityService.listBlackoutDates(performer.id);
+    }
+
+    res.render('admin/availability/index', {
+      layout: LAYOUT_ADMIN,
+      title: 'Előadó Elérhetőség',
+      currentPath: req.originalUrl,
+      performers,
+      performer,
+      events,
+      blackoutDates,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error({ err: error, service: 'adminAvailability', operation: 'loadPage' }, 'Availability page error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt az elérhetőség betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * POST /admin/availability/:performerId/blackout
+ * Add blackout date(s) - single day or range
+ */
+router.post('/:performerId/blackout', async (req, res) => {
+  const performerId = parseInt(req.params.performerId, 10);
+
+  try {
+    const performer = await Performer.findByPk(performerId, { attributes: ['id'] });
+    if (!performer) {
+      req.session.messages = { error: 'Előadó nem található' };
+      return res.redirect(AVAILABILITY_PATH);
+    }
+
+    const days = await performerAvailabilityService.addBlackoutDates(performer.id, {
+      dateFrom: req.body.dateFrom,
+      dateTo: req.body.dateTo,
+      reason: req.body.reason
+    }, req.session.user);
+
+    req.session.messages = { success: `${days} nap letiltva` };
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminAvailability', operation: 'addBlackout', performerId },
+      'Blackout date add error'
+    );
+    req.session.messages = { error: error.message };
+  }
+
+  return redirectToPerformer(res, performerId);
+});
+
+/**
+ * POST /admin/availability/:performerId/blackout/:id/delete
+ * Remove a blackout date
+ */
+router.post('/:performerId/blackout/:id/delete', async (req, res) => {
+  const performerId = parseInt(req.params.performerId, 10);
+
+  try {
+    const deleted = await performerAvailabilityService.removeBlackoutDate(
+      performerId,
+      parseInt(req.params.id, 10)
+    );
+
+    req.session.messages = deleted
+      ? { success: 'Tiltott nap törölve' }
+      : { error: 'Tiltott nap nem található' };
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminAvailability', operation: 'removeBlackout', performerId },
+      'Blackout date delete error'
+    );
+    req.session.messages = { error: 'Hiba történt a törlés során' };
+  }
+
+  return redirectToPerformer(res, performerId);
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+/**
+ * Admin Booking Routes
+ * Foglalások listázása, szűrése, részletek, státuszváltás és admin jegyzetek
+ *
+ * @route GET  /admin/bookings
+ * @route GET  /admin/bookings/sync-failures
+ * @route POST /admin/bookings/sync-failures/retry
+ * @route GET  /admin/bookings/:id
+ * @route POST /admin/bookings/:id/status
+ * @route POST /admin/bookings/:id/notes
+ * @route POST /admin/bookings/:id/sync/retry
+ * @route POST /admin/bookings/:id/sync/payload
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const bookingService = require('../services/bookingService');
+const bookingCrmSyncService = require('../services/bookingCrmSyncService');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const BOOKINGS_LIST_PATH = '/admin/bookings';
+const BOOKING_NOT_FOUND_MSG = 'Foglalás nem található';
+
+/**
+ * GET /admin/bookings
+ * Booking list with status / performer / event date filters
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filters = {
+      status: req.query.status || '',
+      performerId: req.query.performerId || '',
+      dateFrom: req.query.dateFrom || '',
+      dateTo: req.query.dateTo || '',
+      search: req.query.search || '',
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const { bookings, pagination } = await bookingService.listBookings(filters);
+    const statusCounts = await bookingService.getStatusCounts();
+    const performers = await bookingService.getBookedPerformers();
+    const syncFailureCount = await bookingCrmSyncService.countFailedBookings();
+
+    res.render('admin/bookings/index', {
+      layout: LAYOUT_ADMIN,
+      title: 'Foglalások',
+      currentPath: req.originalUrl,
+      bookings,
+      pagination,
+      filters,
+      performers,
+      statusCounts,
+      syncFailureCount,
+      statusLabels: bookingService.STATUS_LABELS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error({ err: error, service: 'adminBookings', operation: 'list' }, 'Booking list error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt a foglalások betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * GET /admin/bookings/sync-failures
+ * Bookings that failed every automatic CRM sync attempt (dead-letter queue)
+ */
+router.get('/sync-failures', async (req, res) => {
+  try {
+    const bookings = await bookingCrmSyncService.listFailedBookings();
+
+    res.render('admin/bookings/sync-failures', {
+      layout: LAYOUT_ADMIN,
+      title: 'CRM szinkron hibák',
+      currentPath: req.originalUrl,
+      bookings,
+      maxSyncAttempts: bookingCrmSyncService.MAX_SYNC_ATTEMPTS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error({ err: error, service: 'adminBookings', operation: 'syncFailures' }, 'Sync failure list error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt a szinkron hibák betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * Response of a manual CRM retry
+ * @private
+ */
+function sendRetryResult(res, result) {
+  if ((result.paused || result.skipped) && result.results.length === 0) {
+    return res.json({ success: false, message: result.error });
+  }
+
+  const failed = result.results.filter((item) => !item.success);
+  const failedList = failed.map((item) => `#${item.bookingId} (${item.error})`).join(', ');
+  const failedNote = failed.length > 0 ? ` Sikertelen: ${failedList}` : '';
+
+  return res.json({
+    success: result.synced > 0 || failed.length === 0,
+    warning: failed.length > 0,
+    message: `${result.synced} foglalás elküldve a CRM-be.${failedNote}`,
+    results: result.results
+  });
+}
+
+/**
+ * POST /admin/bookings/sync-failures/retry
+ * Bulk retry (AJAX) - body: { ids: [...] } or { all: true }
+ */
+router.post('/sync-failures/retry', async (req, res) => {
+  try {
+    const ids = req.body.all === true
+      ? (await bookingCrmSyncService.listFailedBookings()).map((booking) => booking.id)
+      : [].concat(req.body.ids || []).map((id) => parseInt(id, 10)).filter((id) => id > 0);
+
+    if (ids.length === 0) {
+      return res.status(400).json({ success: false, message: 'Nincs kiválasztott foglalás' });
+    }
+
+    const result = await bookingCrmSyncService.retryBookings(ids);
+    return sendRetryResult(res, result);
+  } catch (error) {
+    logger.error({ err: error, service: 'adminBookings', operation: 'bulkSyncRetry' }, 'Bulk sync retry error');
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /admin/bookings/:id
+ * Booking detail page with every wizard field
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const booking = await bookingService.getBookingById(req.params.id);
+
+    if (!booking) {
+      req.session.messages = { error: BOOKING_NOT_FOUND_MSG };
+      return res.redirect(BOOKINGS_LIST_PATH);
+    }
+
+    res.render('admin/bookings/detail', {
+      layout: LAYOUT_ADMIN,
+      title: `Foglalás #${booking.id}`,
+      currentPath: req.originalUrl,
+      booking,
+      statusLabels: bookingService.STATUS_LABELS,
+      eventTypeLabels: bookingService.EVENT_TYPE_LABELS,
+      statusSourceLabels: bookingService.STATUS_SOURCE_LABELS,
+      allowedTransitions: bookingService.STATUS_TRANSITIONS[booking.status] || [],
+      syncFailed: !booking.isSyncedToVtiger && booking.syncAttempts >= bookingCrmSyncService.MAX_SYNC_ATTEMPTS,
+      leadPayload: bookingCrmSyncService.buildLeadPayload(booking),
+      payloadFields: bookingCrmSyncService.PAYLOAD_FIELDS,
+      payloadFieldLabels: bookingCrmSyncService.PAYLOAD_FIELD_LABELS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminBookings', operation: 'detail', bookingId: req.params.id },
+      'Booking detail error'
+    );
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt a foglalás betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * POST /admin/bookings/:id/status
+ * Status transition (AJAX)
+ */
+router.post('/:id/status', async (req, res) => {
+  try {
+    const booking = await bookingService.getBookingById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: BOOKING_NOT_FOUND_MSG });
+    }
+
+    const { status } = req.body;
+
+    if (!bookingService.canTransition(booking.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ez a státuszváltás nem engedélyezett'
+      });
+    }
+
+    await bookingService.updateStatus(booking, status, req.session.user);
+
+    return res.json({
+      success: true,
+      message: `Státusz módosítva: ${bookingService.STATUS_LABELS[status]}`,
+      status
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminBookings', operation: 'updateStatus', bookingId: req.params.id },
+      'Booking status update error'
+    );
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /admin/bookings/:id/notes
+ * Save admin notes (form POST)
+ */
+router.post('/:id/notes', async (req, res) => {
+  try {
+    const booking = await bookingService.getBookingById(req.params.id);
+
+    if (!booking) {
+      req.session.messages = { error: BOOKING_NOT_FOUND_MSG };
+      return res.redirect(BOOKINGS_LIST_PATH);
+    }
+
+    await bookingService.updateAdminNotes(booking, req.body.adminNotes);
+
+    req.session.messages = { success: 'Jegyzet mentve' };
+    return res.redirect(`${BOOKINGS_LIST_PATH}/${booking.id}`);
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminBookings', operation: 'updateNotes', bookingId: req.params.id },
+      'Booking notes update error'
+    );
+    req.session.messages = { error: 'Hiba történt a jegyzet mentése során' };
+    return res.redirect(`${BOOKINGS_LIST_PATH}/${req.params.id}`);
+  }
+});
+
+/**
+ * POST /admin/bookings/:id/sync/retry
+ * Send one booking to the CRM now (AJAX)
+ */
+router.post('/:id/sync/retry', async (req, res) => {
+  try {
+    const result = await bookingCrmSyncService.retryBookings([parseInt(req.params.id, 10)]);
+
+    if (!result.paused && !result.skipped && result.results.length === 0) {
+      return res.status(404).json({ success: false, message: 'A foglalás nem található vagy már szinkronizálva van' });
+    }
+
+    return sendRetryResult(res, result);
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminBookings', operation: 'syncRetry', bookingId: req.params.id },
+      'Booking sync retry error'
+    );
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /admin/bookings/:id/sync/payload
+ * Save the corrected lead fields (form POST), optionally retry right away
+ */
+router.post('/:id/sync/payload', async (req, res) => {
+  const detailPath = `${BOOKINGS_LIST_PATH}/${req.params.id}`;
+
+  try {
+    const booking = await bookingService.getBookingById(req.params.id);
+
+    if (!booking) {
+      req.session.messages = { error: BOOKING_NOT_FOUND_MSG };
+      return res.redirect(BOOKINGS_LIST_PATH);
+    }
+
+    await bookingCrmSyncService.savePayloadOverride(booking, req.body);
+
+    if (req.body.retry !== '1') {
+      req.session.messages = { success: 'Lead adatok mentve' };
+      return res.redirect(detailPath);
+    }
+
+    const result = await bookingCrmSyncService.retryBookings([booking.id]);
+    const outcome = result.results[0];
+
+    if (outcome && outcome.success) {
+      req.session.messages = { success: `Lead adatok mentve, a foglalás bekerült a CRM-be (${outcome.leadId})` };
+    } else {
+      const reason = outcome ? outcome.error : result.error;
+      req.session.messages = { error: `Lead adatok mentve, az újraküldés sikertelen: ${reason}` };
+    }
+    return res.redirect(detailPath);
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminBookings', operation: 'savePayload', bookingId: req.params.id },
+      'Booking lead payload save error'
+    );
+    req.session.messages = { error: `Hiba történt a mentés során: ${error.message}` };
+    return res.redirect(detailPath);
+  }
+});
+
+module.exports = router;
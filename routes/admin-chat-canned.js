@@ -0,0 +1,175 @@
+/**
+ * Admin Chat - Canned Response Routes
+ * Gyors válaszok kezelése és beillesztése a chat felületen (változók kitöltésével)
+ *
+ * @route GET  /admin/chat/canned-responses
+ * @route POST /admin/chat/canned-responses
+ * @route POST /admin/chat/canned-responses/:id
+ * @route POST /admin/chat/canned-responses/:id/delete
+ * @route GET  /admin/chat/canned-responses/active
+ * @route POST /admin/chat/session/:id/canned-responses/:responseId/render
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { ChatSession } = require('../models');
+const { requireAdminOrSales } = require('../middleware/auth');
+const cannedResponseService = require('../services/cannedResponseService');
+const { handleChatError } = require('./helpers/chat-helpers');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const CANNED_RESPONSES_PATH = '/admin/chat/canned-responses';
+
+const validateCannedResponse = [
+  body('title').trim().notEmpty().withMessage('A cím kötelező')
+    .isLength({ max: 100 }).withMessage('A cím legfeljebb 100 karakter'),
+  body('shortcut').optional({ checkFalsy: true }).trim()
+    .matches(/^[a-z0-9_-]{1,30}$/).withMessage('A rövidítés kisbetű, szám, - és _ lehet (max. 30 karakter)'),
+  body('category').optional({ checkFalsy: true }).trim()
+    .isLength({ max: 50 }).withMessage('A kategória legfeljebb 50 karakter'),
+  body('content').trim().notEmpty().withMessage('A válasz szövege kötelező')
+];
+
+/**
+ * Helper: Save the submitted response and redirect back to the list
+ */
+async function handleSave(req, res, id) {
+  const validation = validationResult(req);
+
+  if (!validation.isEmpty()) {
+    req.session.messages = { error: validation.array().map((err) => err.msg).join(', ') };
+    return res.redirect(CANNED_RESPONSES_PATH);
+  }
+
+  try {
+    await cannedResponseService.saveResponse(id, req.body, req.session.user);
+    req.session.messages = { success: id ? 'Gyors válasz frissítve' : 'Gyors válasz létrehozva' };
+  } catch (error) {
+    logger.warn(
+      { err: error, service: 'adminChat', operation: 'saveCannedResponse', responseId: id },
+      'Canned response save failed'
+    );
+    req.session.messages = { error: error.message };
+  }
+
+  return res.redirect(CANNED_RESPONSES_PATH);
+}
+
+/**
+ * GET /admin/chat/canned-responses
+ * Canned response library
+ */
+router.get('/canned-responses', requireAdminOrSales, async (req, res) => {
+  try {
+    const responses = await cannedResponseService.listResponses();
+
+    res.render('admin/chat/canned-responses', {
+      layout: LAYOUT_ADMIN,
+      title: 'Gyors válaszok',
+      currentPath: CANNED_RESPONSES_PATH,
+      responses,
+      variables: cannedResponseService.VARIABLES,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error({ err: error, service: 'adminChat', operation: 'listCannedResponses' }, 'Canned responses error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt a gyors válaszok betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * GET /admin/chat/canned-responses/active
+ * Active responses for the chat dashboard picker (AJAX)
+ */
+router.get('/canned-responses/active', requireAdminOrSales, async (req, res) => {
+  try {
+    const responses = await cannedResponseService.listActiveResponses();
+    return res.json({ success: true, responses });
+  } catch (error) {
+    logger.error({ err: error, service: 'adminChat', operation: 'activeCannedResponses' }, 'Canned responses error');
+    return handleChatError(res, error, 500, 'Failed to load canned responses');
+  }
+});
+
+/**
+ * POST /admin/chat/canned-responses
+ * Create a response
+ */
+router.post('/canned-responses', requireAdminOrSales, validateCannedResponse,
+  (req, res) => handleSave(req, res, null));
+
+/**
+ * POST /admin/chat/canned-responses/:id
+ * Update a response
+ */
+router.post('/canned-responses/:id(\\d+)', requireAdminOrSales, validateCannedResponse,
+  (req, res) => handleSave(req, res, parseInt(req.params.id, 10)));
+
+/**
+ * POST /admin/chat/canned-responses/:id/delete
+ * Delete a response
+ */
+router.post('/canned-responses/:id(\\d+)/delete', requireAdminOrSales, async (req, res) => {
+  try {
+    const deleted = await cannedResponseService.deleteResponse(parseInt(req.params.id, 10));
+    req.session.messages = deleted
+      ? { success: 'Gyors válasz törölve' }
+      : { error: 'A gyors válasz nem található' };
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminChat', operation: 'deleteCannedResponse', responseId: req.params.id },
+      'Canned response delete error'
+    );
+    req.session.messages = { error: 'Hiba történt a törlés során' };
+  }
+
+  return res.redirect(CANNED_RESPONSES_PATH);
+});
+
+/**
+ * POST /admin/chat/session/:id/canned-responses/:responseId/render
+ * Response text with the session's variables filled in, for the message input (AJAX)
+ */
+router.post('/session/:id/canned-responses/:responseId/render', requireAdminOrSales,
+  [
+    body('performerId').optional({ checkFalsy: true }).isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const validation = validationResult(req);
+      if (!validation.isEmpty()) {
+        return res.status(400).json({ success: false, error: 'Érvénytelen előadó' });
+      }
+
+      const session = await ChatSession.findByPk(req.params.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+
+      const content = await cannedResponseService.renderResponse(req.params.responseId, session, {
+        performerId: req.body.performerId || null,
+        agent: req.session.user
+      });
+
+      return res.json({ success: true, content });
+    } catch (error) {
+      logger.warn(
+        { err: error, service: 'adminChat', operation: 'renderCannedResponse', sessionId: req.params.id },
+        'Canned response render failed'
+      );
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Admin Chat - Quote Conversion Routes
+ * Chat beszélgetésből ajánlatkérés: AI által előtöltött űrlap ellenőrzése és mentése
+ *
+ * @route GET  /admin/chat/session/:id/quote
+ * @route POST /admin/chat/session/:id/quote
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { requireAdminOrSales } = require('../middleware/auth');
+const chatQuoteService = require('../services/chatQuoteService');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const CHAT_DASHBOARD_PATH = '/admin/chat';
+
+const validateQuoteForm = [
+  body('contactName').trim().notEmpty().withMessage('A kapcsolattartó neve kötelező'),
+  body('contactEmail').trim().isEmail().withMessage('Érvényes email cím megadása kötelező'),
+  body('eventDate').optional({ checkFalsy: true }).isISO8601().withMessage('Érvénytelen dátum'),
+  body('eventTime').optional({ checkFalsy: true }).matches(/^\d{1,2}:\d{2}$/).withMessage('Az időpont formátuma ÓÓ:PP'),
+  body('budget').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('A költségkeret pozitív egész szám'),
+  body('performerId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Érvénytelen előadó')
+];
+
+/**
+ * Helper: Render the review form
+ */
+function renderReview(res, preview, errors = []) {
+  res.render('admin/chat/quote-review', {
+    layout: LAYOUT_ADMIN,
+    title: `Ajánlatkérés chatből #${preview.session.id}`,
+    currentPath: CHAT_DASHBOARD_PATH,
+    ...preview,
+    errors
+  });
+}
+
+/**
+ * Helper: Render the form again with the submitted values and the errors
+ */
+async function renderSubmitted(req, res, statusCode, errors) {
+  try {
+    const preview = await chatQuoteService.getConversionPreview(req.params.id, { values: req.body });
+
+    if (!preview) {
+      return res.redirect(CHAT_DASHBOARD_PATH);
+    }
+
+    return renderReview(res.status(statusCode), preview, errors);
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminChat', operation: 'quoteReview', sessionId: req.params.id },
+      'Chat quote review render error'
+    );
+    return res.redirect(CHAT_DASHBOARD_PATH);
+  }
+}
+
+/**
+ * GET /admin/chat/session/:id/quote
+ * Review form pre-filled by the AI from the transcript
+ */
+router.get('/session/:id/quote', requireAdminOrSales, async (req, res) => {
+  try {
+    const preview = await chatQuoteService.getConversionPreview(req.params.id);
+
+    if (!preview) {
+      return res.redirect(CHAT_DASHBOARD_PATH);
+    }
+
+    return renderReview(res, preview);
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminChat', operation: 'quotePreview', sessionId: req.params.id },
+      'Chat quote preview error'
+    );
+    return res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt az ajánlatkérés előkészítése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * POST /admin/chat/session/:id/quote
+ * Create the reviewed quote and open it in the quote inbox
+ */
+router.post('/session/:id/quote', requireAdminOrSales, validateQuoteForm, async (req, res) => {
+  try {
+    const validation = validationResult(req);
+
+    if (!validation.isEmpty()) {
+      return await renderSubmitted(req, res, 422, validation.array().map((err) => err.msg));
+    }
+
+    const session = await chatQuoteService.getSessionWithMessages(req.params.id);
+    if (!session) {
+      return res.redirect(CHAT_DASHBOARD_PATH);
+    }
+
+    const quote = await chatQuoteService.convertToQuote(session, req.body, req.session.user);
+
+    req.session.messages = { success: `Ajánlatkérés létrehozva a chat beszélgetésből: ${quote.referenceId}` };
+    return res.redirect(`/admin/quotes/${quote.id}`);
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminChat', operation: 'convertToQuote', sessionId: req.params.id },
+      'Chat quote conversion error'
+    );
+    return await renderSubmitted(req, res, 400, [error.message]);
+  }
+});
+
+module.exports = router;
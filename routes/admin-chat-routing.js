@@ -0,0 +1,109 @@
+/**
+ * Admin Chat - Routing Routes
+ * Értékesítők terhelése, várakozó beszélgetések átvétele és átadás másik értékesítőnek
+ *
+ * @route GET  /admin/chat/agents
+ * @route POST /admin/chat/session/:id/claim
+ * @route POST /admin/chat/session/:id/transfer
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { ChatSession } = require('../models');
+const { requireAdminOrSales } = require('../middleware/auth');
+const chatRoutingService = require('../services/chatRoutingService');
+const { handleChatError, getValidationErrors } = require('./helpers/chat-helpers');
+
+// Error messages
+const ERROR_SESSION_NOT_FOUND = 'Session not found';
+
+/**
+ * GET /admin/chat/agents
+ * Online sales agents with their active chat count (transfer targets)
+ */
+router.get('/agents', requireAdminOrSales, async (req, res) => {
+  try {
+    const [loads, settings] = await Promise.all([
+      chatRoutingService.getAgentLoads(),
+      chatRoutingService.getRoutingSettings()
+    ]);
+
+    return res.json({
+      success: true,
+      maxChatsPerAgent: settings.maxChatsPerAgent,
+      agents: loads.map((load) => ({
+        id: load.agentId,
+        name: load.name,
+        activeChats: load.activeChats,
+        isCurrentUser: load.agentId === req.session.user.id
+      }))
+    });
+  } catch (error) {
+    logger.error({ err: error, service: 'adminChat', operation: 'getAgents' }, 'Get chat agents error');
+    return handleChatError(res, error, 500, 'Failed to load agents');
+  }
+});
+
+/**
+ * POST /admin/chat/session/:id/claim
+ * Take over a waiting session (AJAX)
+ */
+router.post('/session/:id/claim', requireAdminOrSales, async (req, res) => {
+  try {
+    const session = await ChatSession.findByPk(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: ERROR_SESSION_NOT_FOUND });
+    }
+
+    await chatRoutingService.claimSession(session, req.session.user);
+
+    return res.json({ success: true, message: 'Beszélgetés átvéve' });
+  } catch (error) {
+    logger.warn(
+      { err: error, service: 'adminChat', operation: 'claimSession', sessionId: req.params.id },
+      'Claim session failed'
+    );
+    return res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /admin/chat/session/:id/transfer
+ * Hand a session over to another online agent (AJAX) - session agent or admin only
+ */
+router.post('/session/:id/transfer', requireAdminOrSales,
+  [
+    body('agentId').notEmpty().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(getValidationErrors(errors));
+      }
+
+      const session = await ChatSession.findByPk(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ success: false, error: ERROR_SESSION_NOT_FOUND });
+      }
+
+      const { agent } = await chatRoutingService.transferSession(session, req.body.agentId, req.session.user);
+
+      return res.json({ success: true, message: `Beszélgetés átadva: ${agent.name}` });
+    } catch (error) {
+      logger.warn(
+        { err: error, service: 'adminChat', operation: 'transferSession', sessionId: req.params.id },
+        'Transfer session failed'
+      );
+      const statusCode = error.code === 'TRANSFER_FORBIDDEN' ? 403 : 400;
+      return res.status(statusCode).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -16,6 +16,9 @@ const SETTING_KEY_RETENTION_DAYS = 'offline_messages.retention_days';
 const SETTING_KEY_PROACTIVE_ENABLED = 'chat.proactive_enabled';
 const SETTING_KEY_PROACTIVE_DELAY = 'chat.proactive_delay';
 const chatService = require('../services/chatService');
+const chatRealtimeService = require('../services/chatRealtimeService');
+const chatQuoteService = require('../services/chatQuoteService');
+const chatRoutingService = require('../services/chatRoutingService');
 const availabilityService = require('../services/availabilityService');
 const { ChatSession, ChatMessage } = require('../models');
 const { body, validationResult } = require('express-validator');
@@ -43,6 +46,11 @@ router.get('/', requireAdminOrSales, async (req, res) => {
     // Get all active sessions (for admin overview)
     const allActiveSessions = await ChatSession.getActiveSessions();
 
+    // Escalated sessions waiting for a free agent
+    const queuedSessions = allActiveSessions
+      .filter((session) => session.status === 'escalated' && !session.assignedSalesId)
+      .sort((a, b) => new Date(a.escalatedAt) - new Date(b.escalatedAt));
+
     // Get admin availability
     const adminAvailability = await availabilityService.getAdminAvailability(adminId);
 
@@ -56,6 +64,7 @@ router.get('/', requireAdminOrSales, async (req, res) => {
       csrfToken: req.session.csrfToken,
       adminSessions,
       allActiveSessions,
+      queuedSessions,
       adminAvailability,
       systemStatus
     });
@@ -106,6 +115,7 @@ router.get('/settings', requireAdminOrSales, async (req, res) => {
     // Get admin's working hours
     const adminId = req.session.user.id;
     const adminAvailability = await availabilityService.getAdminAvailability(adminId);
+    const routingSettings = await chatRoutingService.getRoutingSettings();
 
     res.render('admin/chat/settings', {
       layout: LAYOUT_ADMIN,
@@ -119,6 +129,8 @@ router.get('/settings', requireAdminOrSales, async (req, res) => {
       proactiveEnabled,
       proactiveDelay,
       adminAvailability,
+      routingSettings,
+      routingStrategies: chatRoutingService.STRATEGIES,
       success: req.query.success,
       error: req.query.error
     });
@@ -243,7 +255,7 @@ async function updateRetentionSettings(settingsService, retentionDays) {
 /**
  * Validate chat settings input
  */
-function validateChatSettings(autoOfflineMinutes, proactiveDelay, retentionDays) {
+function validateChatSettings(autoOfflineMinutes, proactiveDelay, retentionDays, normalized) {
   if (autoOfflineMinutes) {
     const minutes = parseInt(autoOfflineMinutes, 10);
     if (minutes < 5 || minutes > 60) {
@@ -265,6 +277,11 @@ function validateChatSettings(autoOfflineMinutes, proactiveDelay, retentionDays)
     }
   }
 
+  const routingError = chatRoutingService.validateRoutingSettings(normalized);
+  if (routingError) {
+    return { valid: false, message: routingError };
+  }
+
   return { valid: true };
 }
 
@@ -313,7 +330,12 @@ router.post('/settings', requireAdminOrSales, async (req, res) => {
     } = extractChatSettings(normalized);
 
     // Validate input
-    const validation = validateChatSettings(autoOfflineMinutes, proactiveDelay, offlineMessagesRetentionDays);
+    const validation = validateChatSettings(
+      autoOfflineMinutes,
+      proactiveDelay,
+      offlineMessagesRetentionDays,
+      normalized
+    );
     if (!validation.valid) {
       return res.status(400).json({ success: false, message: validation.message });
     }
@@ -324,7 +346,10 @@ router.post('/settings', requireAdminOrSales, async (req, res) => {
     await updateAdminChatSettings(settingsService, adminChatEnabled);
     await updateAutoOfflineSettings(settingsService, req.session.user.id, autoOfflineMinutes);
     await updateRetentionSettings(settingsService, offlineMessagesRetentionDays);
-    await updateProactiveSettings(settingsService, proactiveEnabled, proactiveDelay);
+    await Promise.all([
+      updateProactiveSettings(settingsService, proactiveEnabled, proactiveDelay),
+      chatRoutingService.saveRoutingSettings(normalized)
+    ]);
 
     res.json({
       success: true,
@@ -413,11 +438,16 @@ router.get('/session/:id', requireAdminOrSales, async (req, res) => {
       });
     }
 
+    const linkedQuote = await chatQuoteService.getLinkedQuote(session.id);
+
     return res.json({
       success: true,
       session: {
         id: session.id,
         status: session.status,
+        assignedSalesId: session.assignedSalesId,
+        canTransfer: chatRoutingService.canTransfer(session, req.session.user),
+        quote: linkedQuote ? { id: linkedQuote.id, referenceId: linkedQuote.referenceId } : null,
         userName: session.userName,
         userEmail: session.userEmail,
         userPhone: session.userPhone,
@@ -426,7 +456,8 @@ router.get('/session/:id', requireAdminOrSales, async (req, res) => {
           role: msg.role,
           content: msg.content,
           createdAt: msg.createdAt,
-          isRead: msg.isRead
+          isRead: msg.isRead,
+          classification: msg.classification
         }))
       }
     });
@@ -439,6 +470,33 @@ router.get('/session/:id', requireAdminOrSales, async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/chat/stream
+ * Server-Sent Events stream of every chat session (messages, typing, status)
+ * The dashboard falls back to polling GET /session/:id when this fails.
+ */
+router.get('/stream', requireAdminOrSales, (req, res) => {
+  chatRealtimeService.subscribeAdmin(req, res);
+});
+
+/**
+ * POST /admin/chat/session/:id/typing
+ * Sales typing indicator (pushed to the visitor widget)
+ */
+router.post('/session/:id/typing', requireAdminOrSales,
+  [body('isTyping').isBoolean().toBoolean()],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(getValidationErrors(errors));
+    }
+
+    chatRealtimeService.publishTyping(parseInt(req.params.id, 10), 'admin', req.body.isTyping);
+
+    return res.json({ success: true });
+  }
+);
+
 /**
  * POST /admin/chat/heartbeat
  * Update admin heartbeat to keep them online (AJAX)
@@ -450,6 +508,9 @@ router.post('/heartbeat', requireAdminOrSales, async (req, res) => {
     // Update admin availability heartbeat
     const availability = await availabilityService.updateHeartbeat(adminId);
 
+    // An agent coming (back) online can take waiting visitors
+    chatRoutingService.requestQueueDrain();
+
     return res.json({
       success: true,
       isOnline: availability.is_online,
@@ -479,6 +540,9 @@ router.post('/toggle-online', requireAdminOrSales, async (req, res) => {
       await availabilityService.setAdminOffline(adminId);
     }
 
+    // Assign waiting visitors or refresh their estimated wait
+    chatRoutingService.requestQueueDrain();
+
     return res.json({
       success: true,
       isOnline: goOnline
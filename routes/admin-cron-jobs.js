@@ -1,6 +1,6 @@
 /**
  * Admin Cron Jobs Routes - Manual job execution endpoints
- * Sub-router for cron job manual triggers (/sync/* and /run/*)
+ * Sub-router for cron job manual triggers (/sync/* and /run/*) and the performer sync dry run
  */
 
 /* eslint-disable sonarjs/no-duplicate-string */
@@ -9,6 +9,7 @@ const express = require('express');
 const router = express.Router();
 const { requireAdmin } = require('../middleware/auth');
 const cronService = require('../services/cronService');
+const { CRM_PAUSED_MESSAGE } = require('../services/crmProviderService');
 const logger = require('../config/logger');
 
 // ============================================
@@ -18,26 +19,47 @@ const logger = require('../config/logger');
 /**
  * POST /admin/cron/sync/performers
  * Manuális előadó szinkronizálás vTiger-ből
+ * Body: { mode, confirmedVtigerIds } - confirmedVtigerIds: az előnézetben megerősített deaktiválandó előadók;
+ * ha a friss lista eltér tőle, a deaktiválás nem fut le
  */
 router.post('/sync/performers', requireAdmin, async (req, res) => {
   try {
+    const confirmedVtigerIds = Array.isArray(req.body.confirmedVtigerIds) ? req.body.confirmedVtigerIds : null;
+
     logger.info({
       service: 'adminCron',
       operation: 'manualSync',
       type: 'performers',
+      confirmedCount: confirmedVtigerIds ? confirmedVtigerIds.length : null,
       userId: req.session?.userId
     }, 'Manual performer sync triggered');
 
     const { SyncService } = require('../services/syncService');
     const syncService = new SyncService();
-    const result = await syncService.syncPerformers(false);
+    const result = await syncService.syncPerformers(false, { mode: req.body.mode, confirmedVtigerIds });
+
+    if (result.paused) {
+      return res.json({ success: false, message: result.error });
+    }
 
     const stats = result.stats || {};
-    const msg = 'Előadó szinkronizálás sikeres! '
-      + `${stats.created || 0} új, ${stats.updated || 0} frissített előadó.`;
+    const flaggedNote = stats.flagged ? ` ${stats.flagged} előadó gyanús változása jóváhagyásra vár.` : '';
+    const blocked = stats.deactivationBlocked;
+    let blockedNote = '';
+    if (blocked && blocked.previewChanged) {
+      blockedNote = ` A deaktiválás nem futott le: a deaktiválandó előadók köre (${blocked.count} előadó) `
+        + 'megváltozott az előnézet óta. Készíts új előnézetet, majd erősítsd meg újra.';
+    } else if (blocked) {
+      blockedNote = ` A deaktiválás leállt: ${blocked.count} előadó (${blocked.percent}%) hiányzik a vTiger válaszból `
+        + `(korlát: ${blocked.limitPercent}%). Nézd meg az előnézetet, majd erősítsd meg.`;
+    }
+    const msg = `Előadó szinkronizálás sikeres (${stats.mode === 'delta' ? 'delta' : 'teljes'})! `
+      + `${stats.created || 0} új, ${stats.updated || 0} frissített, ${stats.unchanged || 0} változatlan, `
+      + `${stats.deleted || 0} deaktivált előadó.${flaggedNote}${blockedNote}`;
 
     res.json({
       success: true,
+      warning: Boolean(blocked),
       message: msg
     });
   } catch (error) {
@@ -49,6 +71,29 @@ router.post('/sync/performers', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/cron/sync/performers/preview
+ * Dry run: kiket deaktiválna a következő teljes szinkron (adatbázis írás nélkül)
+ */
+router.get('/sync/performers/preview', requireAdmin, async (req, res) => {
+  try {
+    const { SyncService } = require('../services/syncService');
+    const syncService = new SyncService();
+    const preview = await syncService.previewDeactivation();
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in performer deactivation preview');
+    res.json({
+      success: false,
+      message: `Hiba történt: ${error.message}`
+    });
+  }
+});
+
 /**
  * POST /admin/cron/sync/geonames
  * Manuális földrajzi adatok szinkronizálása
@@ -91,11 +136,14 @@ router.post('/sync/bookings', requireAdmin, async (req, res) => {
       userId: req.session?.userId
     }, 'Manual booking sync triggered');
 
-    await cronService.syncBookingsToVTiger();
+    const result = await cronService.syncBookingsToVTiger();
+    const failedNote = result.failed ? ` ${result.failed} sikertelen (Foglalások → Szinkron hibák).` : '';
+    const pausedNote = result.paused ? ` ${CRM_PAUSED_MESSAGE}.` : '';
 
     res.json({
       success: true,
-      message: 'Foglalások szinkronizálása sikeres!'
+      warning: result.failed > 0 || result.paused,
+      message: `Foglalások szinkronizálása kész: ${result.synced} elküldve.${failedNote}${pausedNote}`
     });
   } catch (error) {
     logger.error({ err: error }, 'Error in manual booking sync');
@@ -106,6 +154,72 @@ router.post('/sync/bookings', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/cron/sync/quotes
+ * Manuális ajánlatkérések szinkronizálása
+ */
+router.post('/sync/quotes', requireAdmin, async (req, res) => {
+  try {
+    logger.info({
+      service: 'adminCron',
+      operation: 'manualSync',
+      type: 'quotes',
+      userId: req.session?.userId
+    }, 'Manual quote sync triggered');
+
+    await cronService.syncQuotesToVTiger();
+
+    res.json({
+      success: true,
+      message: 'Ajánlatkérések szinkronizálása sikeres!'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in manual quote sync');
+    res.json({
+      success: false,
+      message: `Hiba történt: ${error.message}`
+    });
+  }
+});
+
+/**
+ * POST /admin/cron/sync/booking-statuses
+ * Manuális foglalás státusz szinkron (CRM → foglalások)
+ */
+router.post('/sync/booking-statuses', requireAdmin, async (req, res) => {
+  try {
+    logger.info({
+      service: 'adminCron',
+      operation: 'manualSync',
+      type: 'bookingStatuses',
+      userId: req.session?.userId
+    }, 'Manual booking status sync triggered');
+
+    const { syncBookingStatuses } = require('../services/bookingStatusSyncService');
+    const result = await syncBookingStatuses();
+
+    if (result.paused) {
+      return res.json({ success: false, message: result.error });
+    }
+
+    const errorNote = result.errors ? `, ${result.errors} hiba` : '';
+    const msg = `Foglalás státuszok ellenőrizve: ${result.checked} foglalás, ${result.changed} státuszváltás, `
+      + `${result.notified} ügyfél értesítés${errorNote}.`;
+
+    res.json({
+      success: true,
+      warning: result.errors > 0,
+      message: msg
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in manual booking status sync');
+    res.json({
+      success: false,
+      message: `Hiba történt: ${error.message}`
+    });
+  }
+});
+
 /**
  * POST /admin/cron/sync/events
  * Manuális események szinkronizálása vTiger-ből
@@ -434,11 +548,19 @@ router.post('/run/infrastructure-health', requireAdmin, async (req, res) => {
     }, 'Manual infrastructure health check triggered');
 
     const infrastructureAlertService = require('../services/infrastructureAlertService');
-    await infrastructureAlertService.runHealthChecks();
+    const results = await infrastructureAlertService.runHealthChecks();
+    const problems = [
+      results.database.healthy ? null : 'adatbázis',
+      results.diskSpace.healthy ? null : `lemezterület (${results.diskSpace.usage}%)`,
+      results.vtigerCircuit.healthy ? null : `vTiger kapcsolat: ${results.vtigerCircuit.stateLabel}`
+    ].filter(Boolean);
 
     res.json({
       success: true,
-      message: 'Infrastruktúra health check sikeres! Minden rendben.'
+      warning: problems.length > 0,
+      message: problems.length > 0
+        ? `Infrastruktúra health check lefutott. Problémák: ${problems.join(', ')}`
+        : 'Infrastruktúra health check sikeres! Minden rendben.'
     });
   } catch (error) {
     logger.error({ err: error }, 'Error checking infrastructure health');
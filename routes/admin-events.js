@@ -90,6 +90,10 @@ router.post('/sync', async (req, res) => {
       endDate
     });
 
+    if (result.paused) {
+      return res.json({ success: false, message: result.message });
+    }
+
     // Szép, human-readable üzenet
     const message = `Létrehozva: ${result.created || 0}, `
       + `Frissítve: ${result.updated || 0}, Törölve: ${result.deleted || 0}`;
@@ -8,6 +8,94 @@ const router = express.Router();
 const { requireAdmin } = require('../middleware/auth');
 const { normalizeSettingsKeys } = require('../utils/sanitizeHelper');
 const logger = require('../config/logger');
+const crmProviderService = require('../services/crmProviderService');
+const { NOTIFY_CLIENT_KEY } = require('../services/bookingStatusSyncService');
+const vtigerResilience = require('../services/vtigerService-resilience');
+
+const SALES_ORDER_LEAD_FIELD_KEY = 'vtiger.sales_order_lead_field';
+const FULL_SYNC_INTERVAL_KEY = 'vtiger.sync_full_interval_hours';
+
+// vTiger request layer settings: form field → [min, description]
+const VTIGER_RESILIENCE_FIELDS = {
+  timeoutMs: [1000, 'vTiger request timeout (ms)'],
+  maxRetries: [0, 'Retries of a failed vTiger request (network error, timeout, 5xx)'],
+  retryBaseDelayMs: [100, 'Base delay of the exponential retry backoff (ms)'],
+  requestsPerMinute: [1, 'Max. vTiger requests per minute'],
+  breakerFailureThreshold: [1, 'Failed requests in a row that open the vTiger circuit breaker'],
+  breakerCooldownSeconds: [10, 'Seconds the open circuit breaker pauses vTiger requests']
+};
+
+/**
+ * Submitted vTiger request layer settings (empty fields are left unchanged)
+ * @param {Object} normalized - Normalized form values
+ * @returns {Array<Object>} [{ key, min, description }]
+ */
+function getSubmittedResilienceFields(normalized) {
+  return Object.entries(VTIGER_RESILIENCE_FIELDS)
+    .map(([name, [min, description]]) => ({ key: vtigerResilience.SETTING_KEYS[name], min, description }))
+    .filter(({ key }) => normalized[key] !== undefined && normalized[key] !== '');
+}
+
+/**
+ * Whether the value is a whole number not below the minimum
+ * @param {*} value - Submitted value
+ * @param {number} min - Minimum
+ * @returns {boolean}
+ */
+function isIntegerAtLeast(value, min) {
+  return /^\d+$/.test(String(value).trim()) && parseInt(value, 10) >= min;
+}
+
+/**
+ * Validate the vTiger settings form before anything is saved
+ * @param {Object} normalized - Normalized form values
+ * @returns {string|null} Error message or null when valid
+ */
+function validateVtigerSettings(normalized) {
+  const { 'vtiger.url': url, 'vtiger.username': username, 'vtiger.access_key': accessKey } = normalized;
+
+  if (!/^https?:\/\/[^\s/]+/i.test(String(url || '').trim())) {
+    return 'Érvénytelen Vtiger URL (http:// vagy https:// kezdetű cím szükséges)';
+  }
+
+  if (!String(username || '').trim()) {
+    return 'A Vtiger felhasználónév megadása kötelező';
+  }
+
+  if (!String(accessKey || '').trim()) {
+    return 'A Vtiger access key megadása kötelező';
+  }
+
+  const leadField = normalized[SALES_ORDER_LEAD_FIELD_KEY];
+  if (leadField !== undefined && String(leadField).trim() && !/^\w+$/.test(String(leadField).trim())) {
+    return `Érvénytelen mezőnév (${SALES_ORDER_LEAD_FIELD_KEY})`;
+  }
+
+  const fullSyncInterval = normalized[FULL_SYNC_INTERVAL_KEY];
+  if (fullSyncInterval !== undefined && fullSyncInterval !== '' && !isIntegerAtLeast(fullSyncInterval, 1)) {
+    return `Érvénytelen érték (${FULL_SYNC_INTERVAL_KEY}): legalább 1`;
+  }
+
+  const invalid = getSubmittedResilienceFields(normalized)
+    .find(({ key, min }) => !isIntegerAtLeast(normalized[key], min));
+
+  return invalid ? `Érvénytelen érték (${invalid.key}): legalább ${invalid.min}` : null;
+}
+
+/**
+ * Save the vTiger request layer settings (validated by validateVtigerSettings)
+ * @param {Object} normalized - Normalized form values
+ * @returns {Promise<void>}
+ */
+async function saveVtigerResilienceSettings(normalized) {
+  const { Setting } = require('../models');
+
+  for (const { key, description } of getSubmittedResilienceFields(normalized)) {
+    await Setting.set(key, parseInt(normalized[key], 10), 'number', 'vtiger', description);
+  }
+
+  vtigerResilience.clearConfigCache();
+}
 
 /**
  * GET /admin/integrations
@@ -31,6 +119,11 @@ router.get('/', requireAdmin, async (req, res) => {
     res.render('admin/integrations/index', {
       title: 'Integrációk',
       flatSettings,
+      crmProviders: crmProviderService.listProviders(),
+      activeCrmProvider: await crmProviderService.getActiveProviderKey(),
+      vtigerResilienceKeys: vtigerResilience.SETTING_KEYS,
+      vtigerResilienceDefaults: vtigerResilience.DEFAULT_CONFIG,
+      vtigerBreaker: vtigerResilience.getBreakerStatus(),
       layout: 'layouts/admin'
     });
   } catch (error) {
@@ -43,6 +136,66 @@ router.get('/', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/integrations/crm
+ * Select the active CRM provider (vtiger | local)
+ */
+router.post('/crm', requireAdmin, async (req, res) => {
+  try {
+    const normalized = normalizeSettingsKeys(req.body);
+    await crmProviderService.setActiveProvider(normalized[crmProviderService.CRM_PROVIDER_KEY]);
+
+    if (normalized[NOTIFY_CLIENT_KEY] !== undefined) {
+      const { Setting } = require('../models');
+      await Setting.set(
+        NOTIFY_CLIENT_KEY,
+        normalized[NOTIFY_CLIENT_KEY] === 'true',
+        'boolean',
+        'crm',
+        'Email the client when the CRM status sync confirms or cancels a booking'
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'CRM szolgáltató sikeresen mentve'
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminIntegrations', operation: 'saveCrmProvider' },
+      'CRM provider update error'
+    );
+    res.status(400).json({
+      success: false,
+      message: error.message || 'CRM szolgáltató mentése sikertelen'
+    });
+  }
+});
+
+/**
+ * POST /admin/integrations/crm/test
+ * Test the active CRM provider
+ */
+router.post('/crm/test', requireAdmin, async (req, res) => {
+  try {
+    const crmProvider = await crmProviderService.getCrmProvider();
+    const connected = await crmProvider.testConnection();
+
+    res.json({
+      success: connected,
+      message: connected
+        ? `${crmProvider.label}: kapcsolat rendben`
+        : `${crmProvider.label}: kapcsolat sikertelen`
+    });
+  } catch (error) {
+    logger.error({ err: error, service: 'adminIntegrations', operation: 'testCrmProvider' }, 'CRM provider test error');
+    res.status(500).json({
+      success: false,
+      message: error.message || 'CRM teszt sikertelen'
+    });
+  }
+});
+
 /**
  * POST /admin/integrations/vtiger
  * Update Vtiger CRM settings
@@ -53,21 +206,51 @@ router.post('/vtiger', requireAdmin, async (req, res) => {
 
     // Normalize keys (convert underscores back to dots)
     const normalized = normalizeSettingsKeys(req.body);
+
+    // Validate every field first so an invalid form does not leave half-saved settings
+    const validationError = validateVtigerSettings(normalized);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
     const { 'vtiger.url': url, 'vtiger.username': username, 'vtiger.access_key': accessKey } = normalized;
+    const fullSyncInterval = parseInt(normalized[FULL_SYNC_INTERVAL_KEY], 10);
 
     // Update settings
-    await Setting.set('vtiger.url', url, 'string', 'vtiger', 'Vtiger CRM URL');
-    await Setting.set('vtiger.username', username, 'string', 'vtiger', 'Vtiger username');
-    await Setting.set('vtiger.access_key', accessKey, 'string', 'vtiger', 'Vtiger access key');
+    await Setting.set('vtiger.url', url.trim(), 'string', 'vtiger', 'Vtiger CRM URL');
+    await Setting.set('vtiger.username', username.trim(), 'string', 'vtiger', 'Vtiger username');
+    await Setting.set('vtiger.access_key', accessKey.trim(), 'string', 'vtiger', 'Vtiger access key');
+
+    if (normalized[SALES_ORDER_LEAD_FIELD_KEY] !== undefined) {
+      await Setting.set(
+        SALES_ORDER_LEAD_FIELD_KEY,
+        String(normalized[SALES_ORDER_LEAD_FIELD_KEY]).trim(),
+        'string',
+        'vtiger',
+        'SalesOrder field holding the booking lead ID (booking status sync)'
+      );
+    }
 
-    res.json({
+    if (fullSyncInterval > 0) {
+      await Setting.set(
+        FULL_SYNC_INTERVAL_KEY,
+        fullSyncInterval,
+        'number',
+        'vtiger',
+        'Hours between full performer reconciliations (delta sync in between)'
+      );
+    }
+
+    await saveVtigerResilienceSettings(normalized);
+
+    return res.json({
       success: true,
       message: 'Vtiger CRM beállítások sikeresen mentve'
     });
   } catch (error) {
     const logContext = { err: error, service: 'adminIntegrations', operation: 'saveVtigerSettings' };
     logger.error(logContext, 'Vtiger settings update error');
-    res.status(500).json({
+    return res.status(500).json({
       success: false,
       message: error.message || 'Vtiger beállítások mentése sikertelen'
     });
@@ -106,6 +289,24 @@ router.post('/vtiger/test', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/integrations/vtiger/breaker/reset
+ * Close the vTiger circuit breaker manually (syncs resume immediately)
+ */
+router.post('/vtiger/breaker/reset', requireAdmin, (req, res) => {
+  vtigerResilience.resetBreaker();
+
+  logger.info(
+    { service: 'adminIntegrations', operation: 'resetVtigerBreaker', userId: req.session?.user?.id },
+    'vTiger circuit breaker reset'
+  );
+
+  res.json({
+    success: true,
+    message: 'vTiger kapcsolat visszaállítva, a szinkronok folytatódnak'
+  });
+});
+
 /**
  * POST /admin/integrations/geonames
  * Update Geonames API settings
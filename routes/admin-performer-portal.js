@@ -0,0 +1,166 @@
+/**
+ * Admin Performer Portal Routes
+ * Előadói fiókok összekapcsolása, előadói módosítási javaslatok jóváhagyása, zárolt mezők feloldása
+ *
+ * @route GET  /admin/performer-portal
+ * @route POST /admin/performer-portal/changes/:id/approve
+ * @route POST /admin/performer-portal/changes/:id/reject
+ * @route POST /admin/performer-portal/links
+ * @route POST /admin/performer-portal/links/delete
+ * @route POST /admin/performer-portal/performers/:performerId/unlock
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const { Performer } = require('../models');
+const performerPortalService = require('../services/performerPortalService');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const PORTAL_ADMIN_PATH = '/admin/performer-portal';
+
+/**
+ * GET /admin/performer-portal
+ * Change requests, portal users and locked fields
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status === undefined ? 'pending' : req.query.status;
+
+    const [changeRequests, pendingCount, portalUsers, lockedPerformers, performers] = await Promise.all([
+      performerPortalService.listChangeRequests({ status }),
+      performerPortalService.countPendingChangeRequests(),
+      performerPortalService.listPortalUsers(),
+      performerPortalService.listLockedPerformers(),
+      Performer.findAll({ where: { isActive: true }, attributes: ['id', 'name'], order: [['name', 'ASC']] })
+    ]);
+
+    res.render('admin/performer-portal/index', {
+      layout: LAYOUT_ADMIN,
+      title: 'Előadói Fiókok',
+      currentPath: req.originalUrl,
+      status,
+      changeRequests,
+      pendingCount,
+      portalUsers,
+      lockedPerformers,
+      performers,
+      editableFields: performerPortalService.EDITABLE_FIELDS,
+      changeStatusLabels: performerPortalService.CHANGE_STATUS_LABELS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminPerformerPortal', operation: 'loadPage' },
+      'Performer portal admin error'
+    );
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt az előadói fiókok betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * Approve / reject handler factory
+ * @private
+ */
+function reviewHandler(decision, successMessage) {
+  return async (req, res) => {
+    try {
+      await performerPortalService.reviewChangeRequest(
+        parseInt(req.params.id, 10),
+        decision,
+        req.session.user,
+        req.body.note
+      );
+      req.session.messages = { success: successMessage };
+    } catch (error) {
+      logger.error(
+        { err: error, service: 'adminPerformerPortal', operation: 'review', requestId: req.params.id, decision },
+        'Change request review error'
+      );
+      req.session.messages = { error: error.message };
+    }
+
+    return res.redirect(PORTAL_ADMIN_PATH);
+  };
+}
+
+/**
+ * POST /admin/performer-portal/changes/:id/approve
+ * Apply the proposed value and lock the field against the vTiger sync
+ */
+router.post('/changes/:id/approve', reviewHandler('approved', 'Módosítás jóváhagyva és közzétéve'));
+
+/**
+ * POST /admin/performer-portal/changes/:id/reject
+ */
+router.post('/changes/:id/reject', reviewHandler('rejected', 'Módosítás elutasítva'));
+
+/**
+ * POST /admin/performer-portal/links
+ * Link a performer-role user to a performer
+ */
+router.post('/links', async (req, res) => {
+  try {
+    const created = await performerPortalService.linkUser(
+      parseInt(req.body.userId, 10),
+      parseInt(req.body.performerId, 10)
+    );
+    req.session.messages = created
+      ? { success: 'Felhasználó hozzárendelve az előadóhoz' }
+      : { error: 'A felhasználó már hozzá van rendelve ehhez az előadóhoz' };
+  } catch (error) {
+    logger.error({ err: error, service: 'adminPerformerPortal', operation: 'link' }, 'Performer link error');
+    req.session.messages = { error: error.message };
+  }
+
+  return res.redirect(PORTAL_ADMIN_PATH);
+});
+
+/**
+ * POST /admin/performer-portal/links/delete
+ * Remove a user ↔ performer link
+ */
+router.post('/links/delete', async (req, res) => {
+  try {
+    const deleted = await performerPortalService.unlinkUser(
+      parseInt(req.body.userId, 10),
+      parseInt(req.body.performerId, 10)
+    );
+    req.session.messages = deleted
+      ? { success: 'Hozzárendelés törölve' }
+      : { error: 'Hozzárendelés nem található' };
+  } catch (error) {
+    logger.error({ err: error, service: 'adminPerformerPortal', operation: 'unlink' }, 'Performer unlink error');
+    req.session.messages = { error: 'Hiba történt a törlés során' };
+  }
+
+  return res.redirect(PORTAL_ADMIN_PATH);
+});
+
+/**
+ * POST /admin/performer-portal/performers/:performerId/unlock
+ * Release a locked field - the next vTiger sync overwrites it again
+ */
+router.post('/performers/:performerId/unlock', async (req, res) => {
+  try {
+    const unlocked = await performerPortalService.unlockField(parseInt(req.params.performerId, 10), req.body.field);
+    req.session.messages = unlocked
+      ? { success: 'Zárolás feloldva, a következő szinkron felülírja a mezőt' }
+      : { error: 'A mező nincs zárolva' };
+  } catch (error) {
+    logger.error({ err: error, service: 'adminPerformerPortal', operation: 'unlock' }, 'Field unlock error');
+    req.session.messages = { error: 'Hiba történt a feloldás során' };
+  }
+
+  return res.redirect(PORTAL_ADMIN_PATH);
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+/**
+ * Admin Performer Revision Routes
+ * Előadó adatok változásnaplója, gyanús szinkron változások jóváhagyása
+ *
+ * @route GET  /admin/performer-revisions
+ * @route POST /admin/performer-revisions/settings
+ * @route POST /admin/performer-revisions/:id/approve
+ * @route POST /admin/performer-revisions/:id/reject
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const { Performer, Setting } = require('../models');
+const performerRevisionService = require('../services/performerRevisionService');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const REVISIONS_ADMIN_PATH = '/admin/performer-revisions';
+
+/**
+ * GET /admin/performer-revisions
+ * Review queue, and the history of the selected performer (?performerId=)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const performerId = parseInt(req.query.performerId, 10) || null;
+
+    const [queue, performers, reviewSettings, selectedPerformer, revisions] = await Promise.all([
+      performerRevisionService.listReviewQueue(),
+      Performer.findAll({ attributes: ['id', 'name', 'isActive'], order: [['name', 'ASC']] }),
+      performerRevisionService.getReviewSettings(),
+      performerId ? Performer.findByPk(performerId, { attributes: ['id', 'name', 'slug', 'lockedFields'] }) : null,
+      performerId ? performerRevisionService.listRevisions(performerId) : []
+    ]);
+
+    res.render('admin/performer-revisions/index', {
+      layout: LAYOUT_ADMIN,
+      title: 'Előadó Változások',
+      currentPath: req.originalUrl,
+      pending: queue.pending,
+      flagged: queue.flagged,
+      performers,
+      reviewSettings,
+      selectedPerformer,
+      revisions,
+      fieldLabels: performerRevisionService.FIELD_LABELS,
+      statusLabels: performerRevisionService.STATUS_LABELS,
+      sourceLabels: performerRevisionService.SOURCE_LABELS,
+      flagLabels: performerRevisionService.FLAG_LABELS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminPerformerRevisions', operation: 'loadPage' },
+      'Performer revisions admin error'
+    );
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt az előadó változások betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * POST /admin/performer-revisions/settings
+ * Suspicious change review on/off and price change threshold
+ */
+router.post('/settings', async (req, res) => {
+  try {
+    const priceChangePercent = parseFloat(req.body.priceChangePercent);
+
+    if (!(priceChangePercent > 0 && priceChangePercent <= 1000)) {
+      throw new Error('Az árváltozás küszöbe 1 és 1000% között lehet');
+    }
+
+    await Setting.set(
+      'vtiger.sync_review_suspicious',
+      req.body.reviewEnabled === 'on',
+      'boolean',
+      'vtiger',
+      'Hold suspicious performer changes from the vTiger sync for admin review'
+    );
+    await Setting.set(
+      'vtiger.sync_price_change_percent',
+      priceChangePercent,
+      'number',
+      'vtiger',
+      'Price change (%) above which a synced price change is flagged as suspicious'
+    );
+
+    req.session.messages = { success: 'Beállítások mentve' };
+  } catch (error) {
+    logger.error({ err: error, service: 'adminPerformerRevisions', operation: 'saveSettings' }, 'Settings error');
+    req.session.messages = { error: error.message };
+  }
+
+  return res.redirect(REVISIONS_ADMIN_PATH);
+});
+
+/**
+ * Approve / reject handler factory
+ * @private
+ */
+function reviewHandler(decision, successMessage) {
+  return async (req, res) => {
+    try {
+      await performerRevisionService.reviewRevision(parseInt(req.params.id, 10), decision, req.session.user);
+      req.session.messages = { success: successMessage };
+    } catch (error) {
+      logger.error(
+        { err: error, service: 'adminPerformerRevisions', operation: 'review', revisionId: req.params.id, decision },
+        'Performer revision review error'
+      );
+      req.session.messages = { error: error.message };
+    }
+
+    // Reviewed from a performer's history: stay there
+    const performerId = parseInt(req.body.performerId, 10);
+    return res.redirect(performerId ? `${REVISIONS_ADMIN_PATH}?performerId=${performerId}` : REVISIONS_ADMIN_PATH);
+  };
+}
+
+/**
+ * POST /admin/performer-revisions/:id/approve
+ * Apply the held values to the performer
+ */
+router.post('/:id/approve', reviewHandler('approved', 'Változás jóváhagyva és közzétéve'));
+
+/**
+ * POST /admin/performer-revisions/:id/reject
+ * Keep the current values - the same vTiger values are not held again
+ */
+router.post('/:id/reject', reviewHandler('rejected', 'Változás elutasítva'));
+
+module.exports = router;
@@ -0,0 +1,211 @@
+/**
+ * Admin Quote Inbox Routes
+ * Ajánlatkérések kezelése értékesítőknek: keresés, hozzárendelés, státusz, előzmények, előadó javaslat
+ *
+ * @route GET  /admin/quotes
+ * @route GET  /admin/quotes/:id
+ * @route POST /admin/quotes/:id/assign
+ * @route POST /admin/quotes/:id/status
+ * @route POST /admin/quotes/:id/notes
+ * @route POST /admin/quotes/:id/propose
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const quoteService = require('../services/quoteService');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const QUOTES_LIST_PATH = '/admin/quotes';
+const QUOTE_NOT_FOUND_MSG = 'Ajánlatkérés nem található';
+
+/**
+ * Middleware: Load quote by :id param into req.quote (AJAX endpoints)
+ */
+async function loadQuote(req, res, next) {
+  try {
+    const quote = await quoteService.getQuoteById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({ success: false, message: QUOTE_NOT_FOUND_MSG });
+    }
+
+    req.quote = quote;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * GET /admin/quotes
+ * Quote inbox with search by reference ID / contact and filters
+ */
+router.get('/', async (req, res) => {
+  try {
+    const currentUserId = req.session.user.id;
+    const filters = {
+      status: req.query.status || '',
+      assignee: req.query.assignee || '',
+      search: (req.query.search || '').trim(),
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    const { quotes, pagination } = await quoteService.listQuotes(filters, currentUserId);
+    const counts = await quoteService.getInboxCounts(currentUserId);
+    const assignableUsers = await quoteService.getAssignableUsers();
+
+    res.render('admin/quotes/index', {
+      layout: LAYOUT_ADMIN,
+      title: 'Ajánlatkérések',
+      currentPath: req.originalUrl,
+      quotes,
+      pagination,
+      filters,
+      counts,
+      assignableUsers,
+      statusLabels: quoteService.STATUS_LABELS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error({ err: error, service: 'adminQuotes', operation: 'list' }, 'Quote inbox error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt az ajánlatkérések betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * GET /admin/quotes/:id
+ * Quote detail with activity history
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const quote = await quoteService.getQuoteById(req.params.id);
+
+    if (!quote) {
+      req.session.messages = { error: QUOTE_NOT_FOUND_MSG };
+      return res.redirect(QUOTES_LIST_PATH);
+    }
+
+    const assignableUsers = await quoteService.getAssignableUsers();
+
+    res.render('admin/quotes/detail', {
+      layout: LAYOUT_ADMIN,
+      title: `Ajánlatkérés ${quote.referenceId}`,
+      currentPath: req.originalUrl,
+      quote,
+      assignableUsers,
+      statusLabels: quoteService.STATUS_LABELS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminQuotes', operation: 'detail', quoteId: req.params.id },
+      'Quote detail error'
+    );
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt az ajánlatkérés betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * POST /admin/quotes/:id/assign
+ * Assign to a sales user (AJAX). Empty assigneeId = unassign.
+ */
+router.post('/:id/assign', loadQuote, async (req, res) => {
+  try {
+    const assigneeId = req.body.assigneeId ? parseInt(req.body.assigneeId, 10) : null;
+    await quoteService.assignQuote(req.quote, assigneeId, req.session.user);
+
+    return res.json({ success: true, message: 'Hozzárendelés mentve' });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminQuotes', operation: 'assign', quoteId: req.params.id },
+      'Quote assign error'
+    );
+    return res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /admin/quotes/:id/status
+ * Status change with optional comment (AJAX)
+ */
+router.post('/:id/status', loadQuote, async (req, res) => {
+  try {
+    const { status, comment } = req.body;
+    await quoteService.changeStatus(req.quote, status, req.session.user, comment);
+
+    return res.json({
+      success: true,
+      message: `Státusz módosítva: ${quoteService.STATUS_LABELS[status]}`
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminQuotes', operation: 'changeStatus', quoteId: req.params.id },
+      'Quote status change error'
+    );
+    return res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /admin/quotes/:id/notes
+ * Add internal note to the history (AJAX)
+ */
+router.post('/:id/notes', loadQuote, async (req, res) => {
+  try {
+    await quoteService.addNote(req.quote, req.body.message, req.session.user);
+    return res.json({ success: true, message: 'Jegyzet rögzítve' });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminQuotes', operation: 'addNote', quoteId: req.params.id },
+      'Quote note error'
+    );
+    return res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /admin/quotes/:id/propose
+ * Send performer proposals to the client (AJAX)
+ */
+router.post('/:id/propose', loadQuote, async (req, res) => {
+  try {
+    const { performerIds, message } = req.body;
+    const result = await quoteService.proposePerformers(req.quote, performerIds, message, req.session.user);
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Az email küldése sikertelen: ${result.error}`
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: `${result.performers.length} előadó javasolva a megrendelőnek`
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'adminQuotes', operation: 'propose', quoteId: req.params.id },
+      'Quote proposal error'
+    );
+    return res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+/**
+ * Admin vTiger Field Mapping Routes
+ * vTiger termék mezők → előadó mezők megfeleltetése (átalakítással), mintarekord előnézettel
+ *
+ * @route GET  /admin/vtiger-field-mapping
+ * @route POST /admin/vtiger-field-mapping
+ * @route POST /admin/vtiger-field-mapping/preview
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const { getProvider } = require('../services/crmProviderService');
+const fieldMapping = require('../services/vtigerService-fieldMapping');
+
+// Constants
+const LAYOUT_ADMIN = 'layouts/admin';
+const PRODUCTS_MODULE = 'Products';
+const RECORD_ID_PATTERN = /^\d+x\d+$/;
+
+/**
+ * vTiger webservice client (shared session of the vTiger CRM provider)
+ * @private
+ */
+function getVtigerClient() {
+  return getProvider('vtiger').client;
+}
+
+/**
+ * Live product field list (empty + error message if vTiger is unreachable)
+ * @private
+ */
+async function loadProductFields() {
+  try {
+    return { fields: await getVtigerClient().describeFields(PRODUCTS_MODULE), error: null };
+  } catch (error) {
+    logger.warn({ err: error, service: 'adminFieldMapping', operation: 'describe' }, 'vTiger describe failed');
+    return { fields: [], error: error.message };
+  }
+}
+
+/**
+ * GET /admin/vtiger-field-mapping
+ * Mapping editor with the live vTiger product fields
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [mapping, productFields] = await Promise.all([
+      fieldMapping.getFieldMapping(),
+      loadProductFields()
+    ]);
+
+    res.render('admin/vtiger-field-mapping/index', {
+      layout: LAYOUT_ADMIN,
+      title: 'vTiger mezőmegfeleltetés',
+      currentPath: req.originalUrl,
+      mapping,
+      defaultMapping: fieldMapping.DEFAULT_MAPPING,
+      attributes: fieldMapping.MAPPABLE_ATTRIBUTES,
+      transforms: fieldMapping.TRANSFORMS,
+      maxSources: fieldMapping.MAX_SOURCES,
+      productFields: productFields.fields,
+      productFieldsError: productFields.error
+    });
+  } catch (error) {
+    logger.error({ err: error, service: 'adminFieldMapping', operation: 'loadPage' }, 'Field mapping page error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'A mezőmegfeleltetés betöltése sikertelen',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+/**
+ * POST /admin/vtiger-field-mapping
+ * Save the mapping (AJAX) - body: { mapping }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { fields } = await loadProductFields();
+    await fieldMapping.saveFieldMapping(req.body.mapping, fields.map((field) => field.name));
+
+    logger.info({
+      service: 'adminFieldMapping',
+      operation: 'save',
+      userId: req.session?.userId,
+      validatedAgainstLiveFields: fields.length > 0
+    }, 'vTiger field mapping saved');
+
+    res.json({
+      success: true,
+      message: fields.length > 0
+        ? 'Mezőmegfeleltetés mentve'
+        : 'Mezőmegfeleltetés mentve (a vTiger nem elérhető, a mezőnevek nem lettek ellenőrizve)'
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /admin/vtiger-field-mapping/preview
+ * Apply the saved and the edited mapping to a sample product (AJAX) - body: { mapping, productId }
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const errors = fieldMapping.validateMapping(req.body.mapping);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join('; '), errors });
+    }
+
+    const client = getVtigerClient();
+    const productId = String(req.body.productId || '').trim();
+
+    if (productId && !RECORD_ID_PATTERN.test(productId)) {
+      return res.status(400).json({ success: false, message: 'Érvénytelen termék azonosító (pl. 14x1234)' });
+    }
+
+    await client.loadConfig();
+    const product = productId
+      ? await client.retrieve(productId)
+      : (await client.query(`SELECT * FROM ${PRODUCTS_MODULE} WHERE discontinued = 1 LIMIT 1;`) || [])[0];
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Nincs mintarekord' });
+    }
+
+    const savedMapping = await fieldMapping.getFieldMapping();
+    const usedFields = [...new Set(Object.values(req.body.mapping).flat().map((source) => source.field))];
+    const rawValues = usedFields.map((field) => [field, product[field] === undefined ? null : product[field]]);
+
+    return res.json({
+      success: true,
+      product: { id: product.id, name: product.productname },
+      rawValues: Object.fromEntries(rawValues),
+      current: fieldMapping.applyFieldMapping(product, savedMapping),
+      preview: fieldMapping.applyFieldMapping(product, { ...savedMapping, ...req.body.mapping })
+    });
+  } catch (error) {
+    logger.error({ err: error, service: 'adminFieldMapping', operation: 'preview' }, 'Field mapping preview error');
+    return res.status(500).json({ success: false, message: `Hiba történt: ${error.message}` });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Admin Wizard Drafts Routes
+ * Elhagyott foglalási / ajánlatkérő piszkozatok riportja a sales utánkövetéshez
+ *
+ * @route GET /admin/drafts
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const wizardDraftService = require('../services/wizardDraftService');
+
+/**
+ * GET /admin/drafts
+ * Abandoned drafts, most advanced (highest intent) first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filters = {
+      type: req.query.type || '',
+      minStep: req.query.minStep || '',
+      withContactOnly: req.query.withContactOnly === '1'
+    };
+
+    const { drafts, abandonHours } = await wizardDraftService.listAbandonedDrafts(filters);
+
+    res.render('admin/wizard-drafts/index', {
+      layout: 'layouts/admin',
+      title: 'Elhagyott Piszkozatok',
+      currentPath: req.originalUrl,
+      drafts,
+      abandonHours,
+      filters,
+      draftTypes: wizardDraftService.DRAFT_TYPES,
+      getProgress: wizardDraftService.getProgress,
+      baseUrl: process.env.BASE_URL || ''
+    });
+  } catch (error) {
+    logger.error({ err: error, service: 'adminWizardDrafts', operation: 'loadPage' }, 'Wizard drafts report error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt a piszkozatok betöltése során',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+module.exports = router;
@@ -13,6 +13,10 @@ const adminExitPopupRoutes = require('./admin-exit-popup');
 const adminBackupRoutes = require('./admin-backup');
 const adminSeoRoutes = require('./admin-seo');
 const adminEventsRoutes = require('./admin-events');
+const adminAvailabilityRoutes = require('./admin-availability');
+const adminPerformerPortalRoutes = require('./admin-performer-portal');
+const adminPerformerRevisionsRoutes = require('./admin-performer-revisions');
+const adminVtigerFieldMappingRoutes = require('./admin-vtiger-field-mapping');
 const adminPartnersRoutes = require('./admin-partners');
 const adminSecurityLogRoutes = require('./admin-security-log');
 const { requireAdmin } = require('../middleware/auth');
@@ -150,6 +154,10 @@ router.use('/exit-popup', requireAdmin, adminExitPopupRoutes);
 router.use('/backup', requireAdmin, adminBackupRoutes);
 router.use('/seo', requireAdmin, adminSeoRoutes);
 router.use('/events', requireAdmin, adminEventsRoutes);
+router.use('/availability', requireAdmin, adminAvailabilityRoutes);
+router.use('/performer-portal', requireAdmin, adminPerformerPortalRoutes);
+router.use('/performer-revisions', requireAdmin, adminPerformerRevisionsRoutes);
+router.use('/vtiger-field-mapping', requireAdmin, adminVtigerFieldMappingRoutes);
 router.use('/partners/categories', requireAdmin, require('./admin-partner-categories'));
 router.use('/partners', requireAdmin, adminPartnersRoutes);
 router.use('/security-log', requireAdmin, adminSecurityLogRoutes);
@@ -403,7 +411,10 @@ router.post('/sync/vtiger', requireAdmin, async (req, res) => {
     const syncService = new SyncService();
 
     // Run the sync
-    const result = await syncService.syncPerformers(true); // true = manual sync
+    const result = await syncService.syncPerformers(true, { // true = manual sync
+      mode: req.body.mode,
+      confirmedVtigerIds: Array.isArray(req.body.confirmedVtigerIds) ? req.body.confirmedVtigerIds : null
+    });
 
     if (!result || !result.success) {
       throw new Error(result?.error || 'Sync szolgáltatás hibát jelzett');
@@ -412,9 +423,13 @@ router.post('/sync/vtiger', requireAdmin, async (req, res) => {
     // Extract stats from result
     const stats = result.stats || {};
     const statsForDisplay = {
+      mode: stats.mode,
       total: stats.total || 0,
       created: stats.created || 0,
       updated: stats.updated || 0,
+      unchanged: stats.unchanged || 0,
+      deleted: stats.deleted || 0,
+      deactivationBlocked: stats.deactivationBlocked || null,
       categoriesCount: stats.categoriesCount || 0
     };
 
@@ -8,6 +8,9 @@ const express = require('express');
 const logger = require('../config/logger');
 const router = express.Router();
 const chatService = require('../services/chatService');
+const chatRealtimeService = require('../services/chatRealtimeService');
+const chatRoutingService = require('../services/chatRoutingService');
+const { ChatSession } = require('../models');
 const availabilityService = require('../services/availabilityService');
 const { body, validationResult } = require('express-validator');
 const {
@@ -164,12 +167,14 @@ router.post('/escalate',
         return handleChatError(res, new Error(ERROR_SESSION_NOT_FOUND), 404, ERROR_SESSION_NOT_FOUND);
       }
 
-      await chatService.escalateToSales(session.id, 'user_request');
+      const routing = await chatService.escalateToSales(session.id, 'user_request');
 
       return res.json({
         success: true,
-        message: 'Chat escalated to admin',
-        sessionStatus: 'escalated'
+        message: routing.queue ? 'Chat queued for the next free admin' : 'Chat escalated to admin',
+        sessionStatus: 'escalated',
+        agentName: routing.agent ? routing.agent.name : null,
+        queue: routing.queue
       });
     } catch (error) {
       // Handle no admin available error
@@ -329,6 +334,7 @@ router.get('/session/:token', async (req, res) => {
       session: {
         id: session.id,
         status: session.status,
+        queue: await chatRoutingService.getQueueStatus(session),
         messages: session.messages.map((msg) => ({
           id: msg.id,
           role: msg.role,
@@ -347,6 +353,68 @@ router.get('/session/:token', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/chat/session/:token/stream
+ * Server-Sent Events stream of a session (messages, typing, status)
+ * The widget falls back to polling GET /session/:token when this fails.
+ */
+router.get('/session/:token/stream', ipBlacklistChecker, async (req, res) => {
+  try {
+    const session = await ChatSession.findOne({
+      where: { sessionToken: req.params.token },
+      attributes: ['id']
+    });
+
+    if (!session) {
+      return handleChatError(res, new Error(ERROR_SESSION_NOT_FOUND), 404, ERROR_SESSION_NOT_FOUND);
+    }
+
+    return chatRealtimeService.subscribeSession(req, res, session.id);
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'apiChat', operation: 'openStream', token: req.params.token },
+      'Open chat stream error'
+    );
+    return handleChatError(res, error, 500, 'Failed to open stream');
+  }
+});
+
+/**
+ * POST /api/chat/session/:token/typing
+ * Visitor typing indicator (pushed to the sales dashboard)
+ */
+router.post('/session/:token/typing',
+  ipBlacklistChecker,
+  [body('isTyping').isBoolean().toBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(getValidationErrors(errors));
+      }
+
+      const session = await ChatSession.findOne({
+        where: { sessionToken: req.params.token },
+        attributes: ['id']
+      });
+
+      if (!session) {
+        return handleChatError(res, new Error(ERROR_SESSION_NOT_FOUND), 404, ERROR_SESSION_NOT_FOUND);
+      }
+
+      chatRealtimeService.publishTyping(session.id, 'user', req.body.isTyping);
+
+      return res.json({ success: true });
+    } catch (error) {
+      logger.error(
+        { err: error, service: 'apiChat', operation: 'typing', token: req.params.token },
+        'Typing indicator error'
+      );
+      return handleChatError(res, error, 500, 'Failed to send typing indicator');
+    }
+  }
+);
+
 /**
  * POST /api/chat/session/:token/close
  * Close a chat session
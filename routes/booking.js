@@ -2,12 +2,25 @@ const express = require('express');
 const router = express.Router();
 const { Performer, Booking, Setting } = require('../models');
 const bookingEmailService = require('../services/bookingEmailService');
+const travelCostService = require('../services/travelCostService');
+const wizardDraftService = require('../services/wizardDraftService');
+const {
+  BOOKING_STEP_RULES,
+  validateWizardStep,
+  consumeFlashedErrors
+} = require('./helpers/wizard-validation');
+const { resumeLinkLimiter } = require('../middleware/wizardProtection');
 const logger = require('../config/logger');
 
+// Expired sessions are restored from the saved draft (wizard_drafts)
+const DRAFT_TYPE = 'booking';
+const restoreDraft = wizardDraftService.restoreDraftMiddleware(DRAFT_TYPE);
+const validateStep = validateWizardStep(BOOKING_STEP_RULES, (req) => req.query.step);
+
 /**
  * Helper: Render step with common data
  */
-function renderStep({ res, step, performer, bookingData, basePath, session }) {
+function renderStep({ res, step, performer, bookingData, basePath, session, locals = {} }) {
   const stepTitles = {
     step1: `Foglalás - ${performer.name}`,
     step2: 'Foglalás - Kapcsolattartó',
@@ -23,7 +36,9 @@ function renderStep({ res, step, performer, bookingData, basePath, session }) {
     bookingData,
     basePath,
     isLoggedIn: Boolean(session.user),
-    user: session.user || null
+    user: session.user || null,
+    wizardErrors: consumeFlashedErrors(session),
+    ...locals
   });
 }
 
@@ -45,11 +60,46 @@ function validateStepData(step, bookingData, performerSlug) {
   return redirectStep ? `/foglalas/${performerSlug}?step=${redirectStep}` : null;
 }
 
+/**
+ * Helper: Extra data for the summary step (travel cost estimate)
+ */
+async function getSummaryLocals(performer, bookingData) {
+  const travelEstimate = await travelCostService.estimateTravelCost(performer, bookingData.eventLocation);
+
+  return {
+    travelEstimate,
+    travelEstimateText: travelCostService.formatEstimate(travelEstimate)
+  };
+}
+
+/**
+ * GET /foglalas/folytatas/:token
+ * Resume a saved booking draft ("Folytatás később" email link)
+ */
+router.get('/folytatas/:token', async (req, res) => {
+  try {
+    const resumePath = await wizardDraftService.resumeByToken(req, res, DRAFT_TYPE, req.params.token);
+
+    if (!resumePath) {
+      return res.status(404).render('error', {
+        title: 'Piszkozat nem található',
+        message: 'A foglalás piszkozata lejárt vagy már elküldték.',
+        statusCode: 404
+      });
+    }
+
+    return res.redirect(resumePath);
+  } catch (error) {
+    logger.error({ err: error, service: 'booking', operation: 'resume' }, 'Booking resume error');
+    return res.status(500).send('Hiba történt a piszkozat betöltése során.');
+  }
+});
+
 /**
  * GET /foglalas/:performerSlug
  * Multi-step booking flow
  */
-router.get('/:performerSlug', async (req, res) => {
+router.get('/:performerSlug', restoreDraft, async (req, res) => {
   try {
     const { performerSlug } = req.params;
     const { step = '1' } = req.query;
@@ -84,7 +134,15 @@ router.get('/:performerSlug', async (req, res) => {
       return res.redirect(`/foglalas/${performerSlug}?step=1`);
     }
 
-    return renderStep({ res, step: stepView, performer, bookingData, basePath, session: req.session });
+    return renderStep({
+      res,
+      step: stepView,
+      performer,
+      bookingData,
+      basePath,
+      session: req.session,
+      locals: stepView === 'step6' ? await getSummaryLocals(performer, bookingData) : {}
+    });
   } catch (error) {
     logger.error({
       service: 'booking',
@@ -98,9 +156,9 @@ router.get('/:performerSlug', async (req, res) => {
 
 /**
  * POST /foglalas/:performerSlug (step submissions)
- * Save step data to session and redirect to next step
+ * Validate the step (see helpers/wizard-validation), save it to session and draft, redirect to next step
  */
-router.post('/:performerSlug', (req, res) => {
+router.post('/:performerSlug', restoreDraft, validateStep, async (req, res) => {
   try {
     const { performerSlug } = req.params;
     const { step } = req.query;
@@ -125,7 +183,7 @@ router.post('/:performerSlug', (req, res) => {
           eventName: req.body.eventName,
           eventCategory: req.body.eventCategory
         };
-        return res.redirect(`/foglalas/${performerSlug}?step=2`);
+        break;
 
       case '3':
         req.session.bookingData = {
@@ -134,7 +192,7 @@ router.post('/:performerSlug', (req, res) => {
           contactEmail: req.body.contactEmail,
           contactPhone: req.body.contactPhone || ''
         };
-        return res.redirect(`/foglalas/${performerSlug}?step=3`);
+        break;
 
       case '4':
         req.session.bookingData = {
@@ -145,7 +203,7 @@ router.post('/:performerSlug', (req, res) => {
           registrationNumber: req.body.registrationNumber || '',
           representativeName: req.body.representativeName
         };
-        return res.redirect(`/foglalas/${performerSlug}?step=4`);
+        break;
 
       case '5':
         // Step 5: just displays step5.ejs (final review), but POST saves step 4 data
@@ -163,7 +221,7 @@ router.post('/:performerSlug', (req, res) => {
             logger.error({ err }, 'Session save error');
           }
         });
-        return res.redirect(`/foglalas/${performerSlug}?step=5`);
+        break;
 
       case '6':
         req.session.bookingData = {
@@ -171,11 +229,15 @@ router.post('/:performerSlug', (req, res) => {
           billingEmail: req.body.billingEmail,
           notes: req.body.notes || ''
         };
-        return res.redirect(`/foglalas/${performerSlug}?step=6`);
+        break;
 
       default:
         return res.status(400).json({ success: false, message: 'Invalid step' });
     }
+
+    await wizardDraftService.saveDraft(req, res, DRAFT_TYPE, step);
+
+    return res.redirect(`/foglalas/${performerSlug}?step=${step}`);
   } catch (error) {
     logger.error({
       service: 'booking',
@@ -187,10 +249,25 @@ router.post('/:performerSlug', (req, res) => {
   }
 });
 
+/**
+ * POST /foglalas/:performerSlug/kesobb
+ * "Folytatás később" - save the draft and email the resume link
+ */
+router.post('/:performerSlug/kesobb', resumeLinkLimiter, async (req, res) => {
+  try {
+    await wizardDraftService.sendResumeLink(req, res, DRAFT_TYPE, { email: req.body.email, step: req.body.step });
+
+    return res.json({ success: true, message: 'A folytatási linket elküldtük email címére' });
+  } catch (error) {
+    logger.warn({ service: 'booking', operation: 'continueLater', error: error.message }, 'Continue later failed');
+    return res.status(400).json({ success: false, message: error.message });
+  }
+});
+
 /**
  * Helper: Create booking record
  */
-async function createBookingRecord(bookingData, performer) {
+async function createBookingRecord(bookingData, performer, user) {
   // Map Hungarian category names to English ENUM values
   /* eslint-disable quote-props */
   const categoryMap = {
@@ -206,6 +283,7 @@ async function createBookingRecord(bookingData, performer) {
 
   return await Booking.create({
     performerId: performer.id,
+    userId: user ? user.id : null,
     // Event information
     eventDate: bookingData.eventDate,
     eventTime: bookingData.eventTime || null,
@@ -295,7 +373,7 @@ router.post('/:performerSlug/confirm', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Performer not found' });
     }
 
-    const booking = await createBookingRecord(bookingData, performer);
+    const booking = await createBookingRecord(bookingData, performer, req.session.user);
 
     logger.info({
       service: 'booking',
@@ -306,7 +384,7 @@ router.post('/:performerSlug/confirm', async (req, res) => {
 
     await sendBookingEmails(bookingData, performer, booking.id);
 
-    delete req.session.bookingData;
+    await wizardDraftService.completeDraft(req, res, DRAFT_TYPE);
 
     return res.redirect(`/foglalas/success/${booking.id}`);
   } catch (error) {
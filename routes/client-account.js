@@ -0,0 +1,124 @@
+/**
+ * Client Account Routes ("Foglalásaim")
+ * Megrendelők saját foglalásai és ajánlatkérései, összesítő letöltése, üzenet / lemondási kérés
+ *
+ * @route GET  /foglalasaim
+ * @route GET  /foglalasaim/:kind(foglalas|ajanlat)/:id/osszesito
+ * @route POST /foglalasaim/:kind(foglalas|ajanlat)/:id/uzenet
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const clientAccountService = require('../services/clientAccountService');
+const bookingService = require('../services/bookingService');
+const quoteService = require('../services/quoteService');
+
+// Constants
+const ACCOUNT_PATH = '/foglalasaim';
+const KIND_BY_SLUG = { foglalas: 'booking', ajanlat: 'quote' };
+
+/**
+ * Load an own booking / quote from :kind and :id
+ * @private
+ */
+async function loadOwnRecord(req, res, next) {
+  try {
+    const kind = KIND_BY_SLUG[req.params.kind];
+    const record = await clientAccountService.getOwnRecord(req.session.user, kind, parseInt(req.params.id, 10));
+
+    if (!record) {
+      req.session.messages = { error: 'A tétel nem található' };
+      return res.redirect(ACCOUNT_PATH);
+    }
+
+    req.recordKind = kind;
+    req.record = record;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * GET /foglalasaim
+ * Own bookings and quotes with live status
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [bookings, quotes] = await Promise.all([
+      clientAccountService.listBookings(req.session.user),
+      clientAccountService.listQuotes(req.session.user)
+    ]);
+
+    res.render('client-account/index', {
+      title: 'Foglalásaim',
+      bookings,
+      quotes,
+      bookingStatusLabels: bookingService.STATUS_LABELS,
+      quoteStatusLabels: quoteService.STATUS_LABELS,
+      eventTypeLabels: bookingService.EVENT_TYPE_LABELS,
+      requestTypeLabels: clientAccountService.REQUEST_TYPE_LABELS,
+      canRequestCancellation: clientAccountService.canRequestCancellation,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error({ err: error, service: 'clientAccount', operation: 'loadPage' }, 'Client account page error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt a foglalások betöltése során',
+      statusCode: 500
+    });
+  }
+});
+
+/**
+ * GET /foglalasaim/:kind/:id/osszesito
+ * Downloadable plain text summary
+ */
+router.get('/:kind(foglalas|ajanlat)/:id/osszesito', loadOwnRecord, (req, res) => {
+  const reference = clientAccountService.getReference(req.recordKind, req.record).replace('#', '');
+
+  res.attachment(`${req.params.kind}-${reference}.txt`);
+  res.type('text/plain; charset=utf-8');
+  res.send(clientAccountService.buildSummaryText(req.recordKind, req.record));
+});
+
+/**
+ * POST /foglalasaim/:kind/:id/uzenet
+ * Follow-up message or cancellation request (notifies sales)
+ */
+router.post('/:kind(foglalas|ajanlat)/:id/uzenet', loadOwnRecord, async (req, res) => {
+  try {
+    const { notified } = await clientAccountService.sendRequest(req.session.user, req.recordKind, req.record, {
+      type: req.body.type,
+      message: req.body.message
+    });
+
+    if (notified) {
+      req.session.messages = {
+        success: req.body.type === 'cancellation'
+          ? 'Lemondási kérését továbbítottuk kollégáinknak, hamarosan felveszik Önnel a kapcsolatot'
+          : 'Üzenetét továbbítottuk kollégáinknak'
+      };
+    } else {
+      req.session.messages = {
+        error: 'Kérését rögzítettük, de kollégáink értesítése most nem sikerült. '
+          + 'Sürgős esetben kérjük, keressen minket telefonon.'
+      };
+    }
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'clientAccount', operation: 'sendRequest', recordId: req.record.id },
+      'Client request error'
+    );
+    req.session.messages = { error: error.message };
+  }
+
+  return res.redirect(ACCOUNT_PATH);
+});
+
+module.exports = router;
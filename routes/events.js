@@ -1,9 +1,40 @@
 const express = require('express');
 const router = express.Router();
+const { Op } = require('sequelize');
 const { Event, Performer, Setting } = require('../models');
 const logger = require('../config/logger');
-const { generateICS } = require('../utils/calendar');
-const { getEventsMetaDescription } = require('../utils/seo-helpers');
+const {
+  WEEKDAY_LABELS,
+  generateICS,
+  generateCalendarFeed,
+  generateGoogleCalendarUrl,
+  getLocalDateString,
+  isValidDay,
+  formatDay,
+  buildCalendarRange,
+  buildCalendarWeeks
+} = require('../utils/calendar');
+const { getEventsMetaDescription, generateBreadcrumbSchema } = require('../utils/seo-helpers');
+const seoService = require('../services/seoService');
+const { generateSlug } = require('../utils/slugHelper');
+const {
+  getSiteDomain,
+  getEventPath,
+  buildFeedUrls,
+  parseLocation,
+  buildEventDates,
+  formatEventDate,
+  buildEventDescription,
+  buildEventPageSchema,
+  findPublicEvent,
+  getUpcomingPerformerEvents
+} = require('./helpers/event-helpers');
+
+const FEED_EVENT_LIMIT = 500;
+const ALL_EVENTS_FEED_PATH = '/naptar.ics';
+const FEED_CACHE_SECONDS = 1800;
+const FEED_ERROR_MESSAGE = 'Hiba a naptár létrehozása közben';
+const ERROR_TITLE = 'Hiba történt';
 
 // Helper: Get event date range based on settings
 async function getEventDateRange() {
@@ -36,33 +67,6 @@ async function getEventDateRange() {
   }
 }
 
-
-// Helper: Calculate end date/time for event (3 hours after start)
-function calculateEndDateTime(performanceDate, performanceTime) {
-  if (!performanceTime) {
-    return null;
-  }
-
-  const [hours, minutes] = performanceTime.split(':');
-  const endHours = (parseInt(hours, 10) + 3) % 24;
-  const endTime = `${String(endHours).padStart(2, '0')}:${minutes}:00`;
-  return `${performanceDate}T${endTime}`;
-}
-
-// Helper: Parse location to extract postal code and locality
-function parseLocation(performanceLocation) {
-  const locationParts = performanceLocation.split(',');
-  const firstPart = locationParts[0].trim();
-  const postalCodeMatch = firstPart.match(/^(\d{4})\s+(.+)$/);
-
-  return {
-    fullLocation: performanceLocation,
-    locality: postalCodeMatch ? postalCodeMatch[2] : firstPart,
-    postalCode: postalCodeMatch ? postalCodeMatch[1] : null,
-    streetAddress: locationParts.length > 1 ? locationParts.slice(1).join(',').trim() : null
-  };
-}
-
 // Helper: Build location schema for event
 function buildLocationSchema(performanceLocation) {
   if (!performanceLocation) {
@@ -127,40 +131,6 @@ function getEventImages(event) {
   return images.length === 1 ? images[0] : images;
 }
 
-// Helper: Build event description
-function buildEventDescription(event) {
-  if (event.itemName) {
-    return `${event.itemName} előadás: ${event.subject}`;
-  }
-  if (event.performer) {
-    return `${event.performer.name} koncert - ${event.subject}`;
-  }
-  return event.subject;
-}
-
-// Helper: Build structured data for single event
-/**
- * Helper: Build event dates
- */
-function buildEventDates(event) {
-  const dates = {};
-
-  if (event.performanceDate) {
-    let startDate = event.performanceDate;
-    if (event.performanceTime) {
-      startDate = `${event.performanceDate}T${event.performanceTime}`;
-    }
-    dates.startDate = startDate;
-
-    const endDate = calculateEndDateTime(event.performanceDate, event.performanceTime);
-    if (endDate) {
-      dates.endDate = endDate;
-    }
-  }
-
-  return dates;
-}
-
 /**
  * Helper: Build event offers
  */
@@ -183,6 +153,7 @@ function buildEventStructuredData(event, index, siteDomain) {
     item: {
       '@type': 'Event',
       name: event.subject,
+      url: `${siteDomain}${getEventPath(event)}`,
       eventStatus: 'https://schema.org/EventScheduled',
       eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode'
     }
@@ -212,6 +183,60 @@ function buildEventStructuredData(event, index, siteDomain) {
   return eventData;
 }
 
+// Helper: Approved events of the iCal feeds (from the start of the synced range)
+async function findFeedEvents(where = {}) {
+  const { startDate } = await getEventDateRange();
+
+  return Event.findAll({
+    where: {
+      ...where,
+      status: 'Approved',
+      performanceDate: { [Op.gte]: startDate }
+    },
+    include: [{
+      model: Performer,
+      as: 'performer',
+      attributes: ['id', 'name', 'slug'],
+      required: false
+    }],
+    order: [['performanceDate', 'ASC'], ['performanceTime', 'ASC']],
+    limit: FEED_EVENT_LIMIT
+  });
+}
+
+// Helper: Send an iCal feed - inline and cacheable, calendar apps poll the URL
+function sendCalendarFeed(res, filename, events, options) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+  res.send(generateCalendarFeed(events, { ...options, siteUrl: getSiteDomain() }));
+}
+
+// Helper: Does the event take place in the city (slug of the locality, districts included)
+function matchesCity(event, citySlug) {
+  if (!event.performanceLocation) {
+    return false;
+  }
+
+  const localitySlug = generateSlug(parseLocation(event.performanceLocation).locality);
+  return localitySlug === citySlug || localitySlug.startsWith(`${citySlug}-`);
+}
+
+// Helper: Query condition of a city feed, so the feed limit applies to the city's events only
+// The locality starts the location (after an optional postal code); the utf8mb4_unicode_ci collation
+// ignores accents, so the slug words match the written name. matchesCity() drops the looser
+// prefix matches (e.g. "buda" → Budaörs).
+function buildCityWhere(citySlug) {
+  const pattern = `${citySlug.replace(/[-_]/g, '%')}%`;
+
+  return {
+    [Op.or]: [
+      { performanceLocation: { [Op.like]: pattern } },
+      { performanceLocation: { [Op.like]: `____ ${pattern}` } }
+    ]
+  };
+}
+
 // GET /esemenyek - Public events page
 router.get('/', async (req, res) => {
   try {
@@ -225,8 +250,8 @@ router.get('/', async (req, res) => {
       where: {
         status: 'Approved',
         performanceDate: {
-          [require('sequelize').Op.gte]: startDate,
-          [require('sequelize').Op.lte]: endDate
+          [Op.gte]: startDate,
+          [Op.lte]: endDate
         }
       },
       include: [{
@@ -239,7 +264,7 @@ router.get('/', async (req, res) => {
     });
 
     // Schema.org structured data for events
-    const siteDomain = process.env.SITE_DOMAIN || 'http://localhost:3000';
+    const siteDomain = getSiteDomain();
     const structuredData = {
       '@context': 'https://schema.org',
       '@type': 'ItemList',
@@ -256,14 +281,16 @@ router.get('/', async (req, res) => {
       title: 'Események',
       pageDescription: metaDescription,
       events,
-      structuredData
+      structuredData,
+      googleCalendarUrl: generateGoogleCalendarUrl,
+      feedUrls: buildFeedUrls(ALL_EVENTS_FEED_PATH)
     });
   } catch (error) {
     logger.error({ err: error, service: 'events', operation: 'list' }, 'Error loading events page');
 
     res.status(500).render('error', {
       statusCode: 500,
-      title: 'Hiba történt',
+      title: ERROR_TITLE,
       message: 'Hiba az események betöltése közben'
     });
   }
@@ -295,8 +322,8 @@ router.get('/api/events', async (req, res) => {
       const tomorrow = new Date(today);
       tomorrow.setDate(tomorrow.getDate() + 1);
       where.performanceDate = {
-        [require('sequelize').Op.gte]: today,
-        [require('sequelize').Op.lt]: tomorrow
+        [Op.gte]: today,
+        [Op.lt]: tomorrow
       };
     } else if (filter === 'week') {
       // Aktuális hét (hétfő-vasárnap)
@@ -307,28 +334,27 @@ router.get('/api/events', async (req, res) => {
       const weekEnd = new Date(weekStart);
       weekEnd.setDate(weekStart.getDate() + 7); // Hétfőtől +7 nap = következő hétfő
       where.performanceDate = {
-        [require('sequelize').Op.gte]: weekStart,
-        [require('sequelize').Op.lt]: weekEnd
+        [Op.gte]: weekStart,
+        [Op.lt]: weekEnd
       };
     } else if (filter === 'month') {
       // Aktuális hónap (1-31 vagy hány nap van)
       const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
       const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1); // Következő hónap 1. napja
       where.performanceDate = {
-        [require('sequelize').Op.gte]: monthStart,
-        [require('sequelize').Op.lt]: monthEnd
+        [Op.gte]: monthStart,
+        [Op.lt]: monthEnd
       };
     } else {
       // Default: use settings-based date range
       where.performanceDate = {
-        [require('sequelize').Op.gte]: startDate,
-        [require('sequelize').Op.lte]: endDate
+        [Op.gte]: startDate,
+        [Op.lte]: endDate
       };
     }
 
     // Search filter
     if (search) {
-      const { Op } = require('sequelize');
       where[Op.or] = [
         { subject: { [Op.like]: `%${search}%` } },
         { itemName: { [Op.like]: `%${search}%` } },
@@ -360,7 +386,7 @@ router.get('/api/events', async (req, res) => {
 
     res.json({
       success: true,
-      events,
+      events: events.map((event) => ({ ...event.toJSON(), googleCalendarUrl: generateGoogleCalendarUrl(event) })),
       pagination: {
         page,
         limit,
@@ -378,6 +404,121 @@ router.get('/api/events', async (req, res) => {
   }
 });
 
+// GET /esemenyek/naptar - Month / week calendar view (?nezet=honap|het&datum=YYYY-MM-DD)
+router.get('/naptar', async (req, res) => {
+  try {
+    const view = req.query.nezet === 'het' ? 'het' : 'honap';
+    const today = getLocalDateString();
+    const range = buildCalendarRange(view, isValidDay(req.query.datum) ? req.query.datum : today);
+
+    const events = await Event.findAll({
+      where: {
+        status: 'Approved',
+        performanceDate: {
+          [Op.gte]: formatDay(range.start),
+          [Op.lte]: formatDay(range.end)
+        }
+      },
+      include: [{
+        model: Performer,
+        as: 'performer',
+        attributes: ['id', 'name', 'slug'],
+        required: false
+      }],
+      order: [['performanceDate', 'ASC'], ['performanceTime', 'ASC']]
+    });
+
+    res.render('events/calendar', {
+      title: `Eseménynaptár - ${range.title}`,
+      pageDescription: `Koncertek és előadások naptára: ${range.title}`,
+      view,
+      range,
+      today,
+      weeks: buildCalendarWeeks(range, events, today),
+      weekdayLabels: WEEKDAY_LABELS,
+      eventCount: events.length,
+      feedUrls: buildFeedUrls(ALL_EVENTS_FEED_PATH)
+    });
+  } catch (error) {
+    logger.error({ err: error, service: 'events', operation: 'calendar' }, 'Error loading events calendar');
+
+    res.status(500).render('error', {
+      statusCode: 500,
+      title: ERROR_TITLE,
+      message: 'Hiba az eseménynaptár betöltése közben'
+    });
+  }
+});
+
+// iCal feed: all events
+router.get(ALL_EVENTS_FEED_PATH, async (req, res) => {
+  try {
+    const events = await findFeedEvents();
+
+    sendCalendarFeed(res, 'koncert24-esemenyek.ics', events, {
+      name: 'koncert24.hu események',
+      description: 'A koncert24.hu előadóinak közelgő fellépései'
+    });
+  } catch (error) {
+    logger.error({ err: error, service: 'events', operation: 'feed' }, 'Error generating calendar feed');
+    res.status(500).send(FEED_ERROR_MESSAGE);
+  }
+});
+
+// iCal feed: events of a performer
+router.get('/eloado/:slug/naptar.ics', async (req, res) => {
+  try {
+    const performer = await Performer.findOne({ where: { slug: req.params.slug }, attributes: ['id', 'name', 'slug'] });
+
+    if (!performer) {
+      return res.status(404).send('Előadó nem található');
+    }
+
+    const events = await findFeedEvents({ performerId: performer.id });
+
+    return sendCalendarFeed(res, `koncert24-${performer.slug}.ics`, events, {
+      name: `${performer.name} - koncert24.hu`,
+      description: `${performer.name} közelgő fellépései`
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'events', operation: 'feed', slug: req.params.slug },
+      'Error generating performer calendar feed'
+    );
+    return res.status(500).send(FEED_ERROR_MESSAGE);
+  }
+});
+
+// iCal feed: events in a city (slug of the locality, e.g. /varos/budapest/naptar.ics)
+router.get('/varos/:city/naptar.ics', async (req, res) => {
+  try {
+    const citySlug = generateSlug(req.params.city);
+
+    if (!citySlug) {
+      return res.status(404).send('Város nem található');
+    }
+
+    const events = (await findFeedEvents(buildCityWhere(citySlug)))
+      .filter((event) => matchesCity(event, citySlug));
+    // City name as written in the events (the slug has no accents)
+    const exactMatch = events.find((event) => (
+      generateSlug(parseLocation(event.performanceLocation).locality) === citySlug
+    ));
+    const cityName = exactMatch ? parseLocation(exactMatch.performanceLocation).locality : req.params.city;
+
+    return sendCalendarFeed(res, `koncert24-${citySlug}.ics`, events, {
+      name: `${cityName} - koncert24.hu események`,
+      description: `Közelgő koncertek és előadások: ${cityName}`
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'events', operation: 'feed', city: req.params.city },
+      'Error generating city calendar feed'
+    );
+    return res.status(500).send(FEED_ERROR_MESSAGE);
+  }
+});
+
 // API: Download .ics calendar file for an event
 router.get('/:id/calendar.ics', async (req, res) => {
   try {
@@ -401,4 +542,69 @@ router.get('/:id/calendar.ics', async (req, res) => {
   }
 });
 
+// GET /esemenyek/:slug - Public event page (registered last, the fixed paths above take precedence)
+router.get('/:slug', async (req, res) => {
+  try {
+    const { event, redirectTo } = await findPublicEvent(req.params.slug);
+
+    if (redirectTo) {
+      return res.redirect(301, redirectTo);
+    }
+
+    if (!event) {
+      return res.status(404).render('error', {
+        statusCode: 404,
+        title: 'Esemény nem található',
+        message: 'A keresett esemény nem található vagy már nem elérhető'
+      });
+    }
+
+    const siteDomain = getSiteDomain();
+    const pageUrl = `${siteDomain}${getEventPath(event)}`;
+    const [otherEvents, metaTags] = await Promise.all([
+      event.performerId ? getUpcomingPerformerEvents(event.performerId, { excludeId: event.id, limit: 5 }) : [],
+      seoService.generateMetaTags({
+        title: event.subject,
+        description: buildEventDescription(event),
+        url: pageUrl,
+        image: event.imageUrl || (event.performer && event.performer.imageUrl)
+      })
+    ]);
+
+    const breadcrumbs = generateBreadcrumbSchema([
+      { name: 'Főoldal', url: siteDomain },
+      { name: 'Események', url: `${siteDomain}/esemenyek` },
+      { name: event.subject, url: pageUrl }
+    ]);
+
+    return res.render('events/detail', {
+      title: metaTags.title,
+      pageDescription: metaTags.description,
+      metaTags,
+      structuredData: [buildEventPageSchema(event, siteDomain), breadcrumbs],
+      event,
+      eventDateLabel: formatEventDate(event),
+      isPast: Boolean(event.performanceDate) && event.performanceDate < getLocalDateString(),
+      otherEvents,
+      googleCalendarUrl: generateGoogleCalendarUrl(event),
+      performerFeedUrls: event.performer && event.performer.slug
+        ? buildFeedUrls(`/eloado/${event.performer.slug}/naptar.ics`)
+        : null,
+      getEventPath,
+      formatEventDate
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'events', operation: 'detail', slug: req.params.slug },
+      'Error loading event page'
+    );
+
+    return res.status(500).render('error', {
+      statusCode: 500,
+      title: ERROR_TITLE,
+      message: 'Hiba az esemény betöltése közben'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,198 @@
+/**
+ * Event Route Helpers
+ * Shared by the public events pages and the performer detail page ("upcoming shows")
+ */
+
+const { Op } = require('sequelize');
+const { Event, Performer } = require('../../models');
+const seoService = require('../../services/seoService');
+const { getEventTimes, formatZonedDateTime, getLocalDateString } = require('../../utils/calendar');
+
+const PUBLIC_STATUS = 'Approved';
+const UPCOMING_EVENTS_LIMIT = 10;
+const RECORD_NUMBER_PATTERN = /-(\d+)$/;
+
+/**
+ * Public site URL (feed links, structured data)
+ */
+function getSiteDomain() {
+  return process.env.SITE_DOMAIN || 'http://localhost:3000';
+}
+
+/**
+ * Public page path of an event (id until the slug is backfilled)
+ */
+function getEventPath(event) {
+  return `/esemenyek/${event.slug || event.id}`;
+}
+
+/**
+ * Subscription URLs of an iCal feed (https, webcal://, Google Calendar)
+ * @param {string} path - Feed path under /esemenyek
+ */
+function buildFeedUrls(path) {
+  const url = `${getSiteDomain()}/esemenyek${path}`;
+  const webcal = url.replace(/^https?:/, 'webcal:');
+
+  return {
+    url,
+    webcal,
+    google: `https://calendar.google.com/calendar/r?cid=${encodeURIComponent(webcal)}`
+  };
+}
+
+/**
+ * Parse location to extract postal code and locality
+ */
+function parseLocation(performanceLocation) {
+  const locationParts = performanceLocation.split(',');
+  const firstPart = locationParts[0].trim();
+  const postalCodeMatch = firstPart.match(/^(\d{4})\s+(.+)$/);
+
+  return {
+    fullLocation: performanceLocation,
+    locality: postalCodeMatch ? postalCodeMatch[2] : firstPart,
+    postalCode: postalCodeMatch ? postalCodeMatch[1] : null,
+    streetAddress: locationParts.length > 1 ? locationParts.slice(1).join(',').trim() : null
+  };
+}
+
+/**
+ * schema.org start/end dates with the Budapest offset
+ * Without a performance time only the day is known, so no end date is given.
+ */
+function buildEventDates(event) {
+  if (!event.performanceDate) {
+    return {};
+  }
+
+  if (!event.performanceTime) {
+    return { startDate: String(event.performanceDate) };
+  }
+
+  const { start, end } = getEventTimes(event);
+  return { startDate: formatZonedDateTime(start), endDate: formatZonedDateTime(end) };
+}
+
+/**
+ * Human readable event date, e.g. "2025. március 5., szerda"
+ */
+function formatEventDate(event) {
+  if (!event.performanceDate) {
+    return '';
+  }
+
+  return new Date(`${event.performanceDate}T00:00:00Z`).toLocaleDateString('hu-HU', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    weekday: 'long',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Event description (meta description and JSON-LD)
+ */
+function buildEventDescription(event) {
+  if (event.itemName) {
+    return `${event.itemName} előadás: ${event.subject}`;
+  }
+  if (event.performer) {
+    return `${event.performer.name} koncert - ${event.subject}`;
+  }
+  return event.subject;
+}
+
+/**
+ * schema.org Event JSON-LD of an event page
+ * No offers: events carry no ticket or price data, so availability cannot be stated.
+ */
+function buildEventPageSchema(event, siteDomain) {
+  const location = event.performanceLocation ? parseLocation(event.performanceLocation) : null;
+  const { performer } = event;
+
+  return seoService.generateEventSchema({
+    name: event.subject,
+    description: buildEventDescription(event),
+    ...buildEventDates(event),
+    url: `${siteDomain}${getEventPath(event)}`,
+    image: event.imageUrl || (performer && performer.imageUrl) || undefined,
+    location: location && {
+      name: location.fullLocation,
+      city: location.locality,
+      postalCode: location.postalCode,
+      streetAddress: location.streetAddress
+    },
+    performer: performer && {
+      type: 'PerformingGroup',
+      name: performer.name,
+      url: `${siteDomain}/eloadok/${performer.slug || performer.id}`,
+      image: performer.imageUrl
+    }
+  });
+}
+
+/**
+ * Public (approved) event of a page URL
+ * Old slugs (changed subject) and numeric ids resolve to the current slug.
+ * @param {string} slugOrId - URL parameter
+ * @returns {Promise<Object>} { event, redirectTo }
+ */
+async function findPublicEvent(slugOrId) {
+  const include = [{ model: Performer, as: 'performer', required: false }];
+  const event = await Event.findOne({ where: { slug: slugOrId, status: PUBLIC_STATUS }, include });
+
+  if (event) {
+    return { event, redirectTo: null };
+  }
+
+  let where = null;
+  if (/^\d+$/.test(slugOrId)) {
+    where = { id: slugOrId };
+  } else if (RECORD_NUMBER_PATTERN.test(slugOrId)) {
+    where = { vtigerId: { [Op.like]: `%x${slugOrId.match(RECORD_NUMBER_PATTERN)[1]}` } };
+  }
+
+  const moved = where ? await Event.findOne({ where: { ...where, status: PUBLIC_STATUS } }) : null;
+
+  return { event: null, redirectTo: moved && moved.slug ? getEventPath(moved) : null };
+}
+
+/**
+ * Upcoming public events of a performer (today included)
+ * @param {number} performerId
+ * @param {Object} options - { excludeId, limit }
+ * @returns {Promise<Array>}
+ */
+async function getUpcomingPerformerEvents(performerId, { excludeId = null, limit = UPCOMING_EVENTS_LIMIT } = {}) {
+  const where = {
+    performerId,
+    status: PUBLIC_STATUS,
+    performanceDate: { [Op.gte]: getLocalDateString() }
+  };
+
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  return await Event.findAll({
+    where,
+    attributes: ['id', 'slug', 'subject', 'performanceDate', 'performanceTime', 'performanceLocation'],
+    order: [['performanceDate', 'ASC'], ['performanceTime', 'ASC']],
+    limit
+  });
+}
+
+module.exports = {
+  getSiteDomain,
+  getEventPath,
+  buildFeedUrls,
+  parseLocation,
+  buildEventDates,
+  formatEventDate,
+  buildEventDescription,
+  buildEventPageSchema,
+  findPublicEvent,
+  getUpcomingPerformerEvents
+};
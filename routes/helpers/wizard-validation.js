@@ -0,0 +1,323 @@
+/**
+ * Wizard Validation
+ * Declarative per-step express-validator rules of the booking (/foglalas) and quote (/ajanlat) wizards
+ *
+ * Rule sets are keyed by the step number the route receives:
+ * - booking: POST /foglalas/:performerSlug?step=N saves the fields of step N-1
+ * - quote: POST /ajanlat[/:performerSlug]/step/:stepNumber saves the fields of that step
+ */
+
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { Performer } = require('../../models');
+
+const GUEST_COUNT_OPTIONS = ['<100', '100-300', '300-800', '800+'];
+const EVENT_TYPE_OPTIONS = [
+  'outdoor_free', 'outdoor_paid', 'indoor_free', 'indoor_paid', 'private_personal', 'private_corporate'
+];
+const EVENT_CATEGORY_OPTIONS = [
+  'magánrendezvény', 'céges rendezvény', 'falunap', 'fesztivál', 'városi ünnep', 'iskolai rendezvény', 'egyéb'
+];
+const PERFORMER_COUNT_OPTIONS = ['1', 'multiple'];
+
+const MAX_EVENT_YEARS_AHEAD = 3;
+const DEFAULT_BUDGET_RANGE = { min: 100000, max: 10000000 };
+const BUDGET_SLIDER_STEP = 1000; // the slider rounds to the nearest 1000 Ft
+const NAME_MAX_LENGTH = 100;
+const TEXT_MAX_LENGTH = 255;
+
+const PHONE_PATTERN = /^\+?[0-9\s\-()/]{7,20}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const REGISTRATION_NUMBER_PATTERN = /^\d{2}-\d{2}-\d{6}$/;
+
+const PHONE_EXAMPLE = '(pl. +36 30 123 4567)';
+const ERRORS_MESSAGE = 'Kérjük, javítsa a megjelölt mezőket';
+
+/**
+ * Hungarian company tax number (adószám, 12345678-1-12) with törzsszám check digit
+ * @param {string} digits - 11 digits
+ * @returns {boolean}
+ */
+function isValidCompanyTaxNumber(digits) {
+  const weights = [9, 7, 3, 1, 9, 7, 3];
+  const sum = weights.reduce((total, weight, index) => total + (weight * Number(digits[index])), 0);
+  const checkDigit = (10 - (sum % 10)) % 10;
+
+  return checkDigit === Number(digits[7]) && /^[1-5]$/.test(digits[8]);
+}
+
+/**
+ * Hungarian personal tax ID (adóazonosító jel, 8xxxxxxxxx) with check digit
+ * @param {string} digits - 10 digits
+ * @returns {boolean}
+ */
+function isValidPersonalTaxId(digits) {
+  if (digits[0] !== '8') {
+    return false;
+  }
+
+  const sum = digits.slice(0, 9).split('').reduce((total, digit, index) => total + ((index + 1) * Number(digit)), 0);
+
+  return sum % 11 === Number(digits[9]);
+}
+
+/**
+ * Adószám (12345678-1-12) or adóazonosító jel (8xxxxxxxxx)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidHungarianTaxNumber(value) {
+  const compact = String(value).replace(/[\s-]/g, '');
+
+  if (/^\d{11}$/.test(compact)) {
+    return isValidCompanyTaxNumber(compact);
+  }
+
+  return /^\d{10}$/.test(compact) && isValidPersonalTaxId(compact);
+}
+
+/**
+ * Event date: ISO date, not in the past, at most MAX_EVENT_YEARS_AHEAD years ahead
+ * @param {string} value - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isUpcomingEventDate(value) {
+  const date = new Date(`${value}T00:00:00`);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const latest = new Date(today);
+  latest.setFullYear(latest.getFullYear() + MAX_EVENT_YEARS_AHEAD);
+
+  return date >= today && date <= latest;
+}
+
+/**
+ * Budget range of the recommendation wizard slider: lowest and highest performer price
+ * @returns {Promise<Object>} { min, max }
+ */
+async function getBudgetRange() {
+  const [minPrice, maxPrice] = await Promise.all([
+    Performer.min('price', { where: { price: { [Op.gt]: 0 } } }),
+    Performer.max('price')
+  ]);
+
+  return {
+    min: Math.floor(minPrice || DEFAULT_BUDGET_RANGE.min),
+    max: Math.ceil(maxPrice || DEFAULT_BUDGET_RANGE.max)
+  };
+}
+
+/**
+ * Budget within the slider range (slider values are rounded, so the bounds are too)
+ * @param {number} value
+ * @returns {Promise<boolean>}
+ * @throws {Error} Message with the allowed range
+ */
+async function isBudgetInRange(value) {
+  const { min, max } = await getBudgetRange();
+  const lowest = Math.floor(min / BUDGET_SLIDER_STEP) * BUDGET_SLIDER_STEP;
+  const highest = Math.ceil(max / BUDGET_SLIDER_STEP) * BUDGET_SLIDER_STEP;
+
+  if (value < lowest || value > highest) {
+    throw new Error(`A költségkeret ${min.toLocaleString('hu-HU')} és ${max.toLocaleString('hu-HU')} Ft között lehet`);
+  }
+
+  return true;
+}
+
+// Rule builders - messages name the field, so they work inline and in the no-JS summary as well
+
+const requiredText = (field, label, maxLength = TEXT_MAX_LENGTH) => body(field)
+  .trim()
+  .notEmpty().withMessage(`${label}: kötelező mező`)
+  .bail()
+  .isLength({ max: maxLength }).withMessage(`${label}: legfeljebb ${maxLength} karakter lehet`);
+
+const optionalText = (field, label, maxLength = TEXT_MAX_LENGTH) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .isLength({ max: maxLength }).withMessage(`${label}: legfeljebb ${maxLength} karakter lehet`);
+
+const requiredEmail = (field, label) => body(field)
+  .trim()
+  .notEmpty().withMessage(`${label}: kötelező mező`)
+  .bail()
+  .isEmail().withMessage(`${label}: érvénytelen email cím`);
+
+const requiredPhone = (field, label) => body(field)
+  .trim()
+  .notEmpty().withMessage(`${label}: kötelező mező`)
+  .bail()
+  .matches(PHONE_PATTERN).withMessage(`${label}: érvénytelen telefonszám ${PHONE_EXAMPLE}`);
+
+const optionalPhone = (field, label) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .matches(PHONE_PATTERN).withMessage(`${label}: érvénytelen telefonszám ${PHONE_EXAMPLE}`);
+
+const oneOf = (field, options, message) => body(field)
+  .notEmpty().withMessage(message)
+  .bail()
+  .isIn(options).withMessage(message);
+
+const eventRules = () => [
+  body('eventDate')
+    .trim()
+    .notEmpty().withMessage('Kérjük, válasszon dátumot')
+    .bail()
+    .isISO8601({ strict: true }).withMessage('Érvénytelen dátum')
+    .bail()
+    .custom(isUpcomingEventDate)
+    .withMessage(`A dátum nem lehet múltbeli, és legfeljebb ${MAX_EVENT_YEARS_AHEAD} évre előre adható meg`),
+  body('eventTime')
+    .if((value, { req }) => !['on', 'true', true].includes(req.body.eventTimeFlexible) || value)
+    .trim()
+    .notEmpty().withMessage('Kérjük, válasszon időpontot')
+    .bail()
+    .matches(TIME_PATTERN).withMessage('Érvénytelen időpont (ÓÓ:PP)'),
+  requiredText('eventLocation', 'Helyszín'),
+  oneOf('eventType', EVENT_TYPE_OPTIONS, 'Kérjük, válassza ki a rendezvény típusát'),
+  oneOf('guestCount', GUEST_COUNT_OPTIONS, 'Kérjük, válassza ki a várható vendégszámot'),
+  requiredText('eventName', 'Rendezvény neve'),
+  oneOf('eventCategory', EVENT_CATEGORY_OPTIONS, 'Kérjük, válassza ki a rendezvény jellegét')
+];
+
+const contactRules = (notesMaxLength) => [
+  requiredText('contactName', 'Név', NAME_MAX_LENGTH),
+  requiredEmail('contactEmail', 'Email cím'),
+  optionalPhone('contactPhone', 'Telefonszám'),
+  ...(notesMaxLength ? [optionalText('notes', 'Megjegyzés', notesMaxLength)] : [])
+];
+
+/**
+ * Booking wizard rules (key: ?step= of the POST)
+ */
+const BOOKING_STEP_RULES = {
+  2: [...eventRules(), optionalText('venueAddress', 'Pontos cím')],
+  3: contactRules(),
+  4: [
+    requiredText('clientName', 'Cégnév / név'),
+    requiredText('clientAddress', 'Székhely / lakcím'),
+    body('taxNumber')
+      .trim()
+      .notEmpty().withMessage('Adószám: kötelező mező')
+      .bail()
+      .custom(isValidHungarianTaxNumber)
+      .withMessage('Érvénytelen adószám (12345678-1-12) vagy adóazonosító jel (10 számjegy)'),
+    body('registrationNumber')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(REGISTRATION_NUMBER_PATTERN).withMessage('Érvénytelen cégjegyzékszám (pl. 01-09-123456)'),
+    requiredText('representativeName', 'Képviselő / anyja neve', NAME_MAX_LENGTH)
+  ],
+  5: [
+    requiredText('eventDayContactName', 'Helyszíni kapcsolattartó neve', NAME_MAX_LENGTH),
+    requiredPhone('eventDayContactPhone', 'Helyszíni kapcsolattartó telefonszáma'),
+    requiredEmail('eventDayContactEmail', 'Helyszíni kapcsolattartó email címe'),
+    requiredText('techContactName', 'Technikai kapcsolattartó neve', NAME_MAX_LENGTH),
+    requiredPhone('techContactPhone', 'Technikai kapcsolattartó telefonszáma'),
+    requiredEmail('techContactEmail', 'Technikai kapcsolattartó email címe')
+  ],
+  6: [
+    requiredEmail('billingEmail', 'Számlázási email cím'),
+    optionalText('notes', 'Megjegyzés', 500)
+  ]
+};
+
+/**
+ * Quote wizard rules with a selected performer (key: :stepNumber)
+ */
+const QUOTE_STEP_RULES = {
+  1: eventRules(),
+  2: contactRules(200)
+};
+
+/**
+ * Quote wizard rules of the recommendation flow ("Ki ér rá", key: :stepNumber)
+ */
+const RECOMMEND_STEP_RULES = {
+  1: [
+    ...eventRules(),
+    oneOf('performerCount', PERFORMER_COUNT_OPTIONS, 'Kérjük, válassza ki az előadók számát'),
+    body('budget')
+      .isInt({ min: 1 }).withMessage('Kérjük, adja meg a költségkeretet')
+      .bail()
+      .toInt()
+      .custom(isBudgetInRange),
+    body('styles')
+      .custom((value) => (Array.isArray(value) ? value.length > 0 : Boolean(value)))
+      .withMessage('Kérjük, válasszon legalább egy stílust')
+  ],
+  2: contactRules(200)
+};
+
+/**
+ * Field-level errors of a failed validation
+ * @param {Object} req
+ * @returns {Object|null} { field: message } (first error per field) or null if valid
+ */
+function getFieldErrors(req) {
+  const result = validationResult(req);
+
+  if (result.isEmpty()) {
+    return null;
+  }
+
+  return result.array().reduce((errors, error) => {
+    if (!errors[error.path]) {
+      errors[error.path] = error.msg;
+    }
+    return errors;
+  }, {});
+}
+
+/**
+ * Middleware factory: run the rules of the requested step
+ * Invalid requests get 422 + { success: false, message, errors: { field: message } }
+ * (classic form posts: the errors are flashed and the form step is shown again)
+ *
+ * @param {Object} rulesByStep - Step number → validation chains
+ * @param {Function} getStep - (req) => step number
+ * @returns {Function} Express middleware
+ */
+function validateWizardStep(rulesByStep, getStep) {
+  return async (req, res, next) => {
+    const rules = rulesByStep[getStep(req)] || [];
+    await Promise.all(rules.map((rule) => rule.run(req)));
+
+    const errors = getFieldErrors(req);
+
+    if (!errors) {
+      return next();
+    }
+
+    if (req.accepts(['html', 'json']) === 'json' || req.is('application/json')) {
+      return res.status(422).json({ success: false, message: ERRORS_MESSAGE, errors });
+    }
+
+    req.session.wizardErrors = { message: ERRORS_MESSAGE, errors };
+    return res.redirect(req.get('Referrer') || '/');
+  };
+}
+
+/**
+ * Read and clear the flashed errors (no-JS form posts)
+ * @param {Object} session
+ * @returns {Object|null} { message, errors }
+ */
+function consumeFlashedErrors(session) {
+  const flashed = session.wizardErrors || null;
+  delete session.wizardErrors;
+  return flashed;
+}
+
+module.exports = {
+  BOOKING_STEP_RULES,
+  QUOTE_STEP_RULES,
+  RECOMMEND_STEP_RULES,
+  isValidHungarianTaxNumber,
+  getBudgetRange,
+  validateWizardStep,
+  consumeFlashedErrors
+};
@@ -8,9 +8,17 @@ const infoRoutes = require('./info');
 const locationsRoutes = require('./locations');
 const eventsRoutes = require('./events');
 const partnerRoutes = require('./partners');
+const performerPortalRoutes = require('./performer-portal');
+const clientAccountRoutes = require('./client-account');
 const adminRoutes = require('./admin');
 const adminChatRoutes = require('./admin-chat');
 const adminChatOfflineRoutes = require('./admin-chat-offline');
+const adminChatQuoteRoutes = require('./admin-chat-quote');
+const adminChatRoutingRoutes = require('./admin-chat-routing');
+const adminChatCannedRoutes = require('./admin-chat-canned');
+const adminBookingsRoutes = require('./admin-bookings');
+const adminQuotesRoutes = require('./admin-quotes');
+const adminWizardDraftsRoutes = require('./admin-wizard-drafts');
 const adminUsersRoutes = require('./admin-users');
 const adminIntegrationsRoutes = require('./admin-integrations');
 const adminSocialRoutes = require('./admin-social');
@@ -21,7 +29,7 @@ const apiChatRoutes = require('./api-chat');
 const apiSecurityRoutes = require('./api-security');
 const installRoutes = require('./install');
 const { router: authRoutes } = require('./auth');
-const { requireAdminOrSales } = require('../middleware/auth');
+const { requireAdminOrSales, requireRole } = require('../middleware/auth');
 const blogRoutes = require('./blog');
 const seoRoutes = require('./seo');
 const styleguideRoutes = require('./styleguide');
@@ -50,10 +58,26 @@ router.use('/styleguide', styleguideRoutes);
 // Auth routes
 router.use('/auth', authRoutes);
 
+// Performer self-service portal
+router.use('/eloadoi-portal', requireRole('performer'), performerPortalRoutes);
+
+// Client account area ("Foglalásaim")
+router.use('/foglalasaim', requireRole('client'), clientAccountRoutes);
+
 // Admin routes (hidden) - Chat requires admin or sales authentication
 router.use('/admin/users', adminUsersRoutes);
-router.use('/admin/chat', requireAdminOrSales, adminChatOfflineRoutes);
+router.use(
+  '/admin/chat',
+  requireAdminOrSales,
+  adminChatOfflineRoutes,
+  adminChatQuoteRoutes,
+  adminChatRoutingRoutes,
+  adminChatCannedRoutes
+);
 router.use('/admin/chat', requireAdminOrSales, adminChatRoutes);
+router.use('/admin/bookings', requireAdminOrSales, adminBookingsRoutes);
+router.use('/admin/quotes', requireAdminOrSales, adminQuotesRoutes);
+router.use('/admin/drafts', requireAdminOrSales, adminWizardDraftsRoutes);
 router.use('/admin/integrations', adminIntegrationsRoutes);
 router.use('/admin/social', adminSocialRoutes);
 router.use('/admin/email', adminEmailRoutes);
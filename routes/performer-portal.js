@@ -0,0 +1,165 @@
+/**
+ * Performer Portal Routes
+ * Előadói fiók: saját események, beérkező foglalások / ajánlatkérések, nem elérhető napok,
+ * leírás és rider módosítási javaslatok (admin jóváhagyással)
+ *
+ * @route GET  /eloadoi-portal
+ * @route POST /eloadoi-portal/:performerId/blackout
+ * @route POST /eloadoi-portal/:performerId/blackout/:id/delete
+ * @route POST /eloadoi-portal/:performerId/changes
+ */
+
+const express = require('express');
+
+const logger = require('../config/logger');
+const router = express.Router();
+const performerPortalService = require('../services/performerPortalService');
+const performerAvailabilityService = require('../services/performerAvailabilityService');
+const bookingService = require('../services/bookingService');
+const quoteService = require('../services/quoteService');
+
+// Constants
+const PORTAL_PATH = '/eloadoi-portal';
+
+/**
+ * Redirect back to the portal page of a performer
+ * @private
+ */
+function redirectToPerformer(res, performerId) {
+  return res.redirect(`${PORTAL_PATH}?performerId=${performerId}`);
+}
+
+/**
+ * Load the performer from :performerId if it is linked to the logged-in user
+ * @private
+ */
+async function loadLinkedPerformer(req, res, next) {
+  try {
+    const performer = await performerPortalService.getLinkedPerformer(
+      req.session.user.id,
+      parseInt(req.params.performerId, 10)
+    );
+
+    if (!performer) {
+      req.session.messages = { error: 'Ehhez az előadóhoz nincs hozzáférésed' };
+      return res.redirect(PORTAL_PATH);
+    }
+
+    req.performer = performer;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * GET /eloadoi-portal
+ * Overview of the selected linked performer
+ */
+router.get('/', async (req, res) => {
+  try {
+    const performers = await performerPortalService.getLinkedPerformers(req.session.user.id);
+    const requestedId = parseInt(req.query.performerId, 10);
+    const performer = performers.find((item) => item.id === requestedId) || performers[0] || null;
+
+    let overview = { events: [], bookings: [], quotes: [], changeRequests: [] };
+    let blackoutDates = [];
+
+    if (performer) {
+      overview = await performerPortalService.getOverview(performer.id);
+      blackoutDates = await performerAvailabilityService.listBlackoutDates(performer.id);
+    }
+
+    res.render('performer-portal/index', {
+      title: 'Előadói fiók',
+      performers,
+      performer,
+      ...overview,
+      blackoutDates,
+      editableFields: performerPortalService.EDITABLE_FIELDS,
+      changeStatusLabels: performerPortalService.CHANGE_STATUS_LABELS,
+      bookingStatusLabels: bookingService.STATUS_LABELS,
+      quoteStatusLabels: quoteService.STATUS_LABELS,
+      messages: req.session.messages || {}
+    });
+
+    req.session.messages = {};
+  } catch (error) {
+    logger.error({ err: error, service: 'performerPortal', operation: 'loadPage' }, 'Performer portal error');
+    res.status(500).render('error', {
+      title: 'Hiba',
+      message: 'Hiba történt az előadói fiók betöltése során',
+      statusCode: 500
+    });
+  }
+});
+
+/**
+ * POST /eloadoi-portal/:performerId/blackout
+ * Mark unavailable date(s)
+ */
+router.post('/:performerId/blackout', loadLinkedPerformer, async (req, res) => {
+  try {
+    const days = await performerAvailabilityService.addBlackoutDates(req.performer.id, {
+      dateFrom: req.body.dateFrom,
+      dateTo: req.body.dateTo,
+      reason: req.body.reason
+    }, req.session.user);
+
+    req.session.messages = { success: `${days} nap megjelölve nem elérhetőként` };
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'performerPortal', operation: 'addBlackout', performerId: req.performer.id },
+      'Portal blackout date add error'
+    );
+    req.session.messages = { error: error.message };
+  }
+
+  return redirectToPerformer(res, req.performer.id);
+});
+
+/**
+ * POST /eloadoi-portal/:performerId/blackout/:id/delete
+ * Remove an unavailable date
+ */
+router.post('/:performerId/blackout/:id/delete', loadLinkedPerformer, async (req, res) => {
+  try {
+    const deleted = await performerAvailabilityService.removeBlackoutDate(
+      req.performer.id,
+      parseInt(req.params.id, 10)
+    );
+
+    req.session.messages = deleted
+      ? { success: 'Nap újra elérhető' }
+      : { error: 'A megjelölt nap nem található' };
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'performerPortal', operation: 'removeBlackout', performerId: req.performer.id },
+      'Portal blackout date delete error'
+    );
+    req.session.messages = { error: 'Hiba történt a törlés során' };
+  }
+
+  return redirectToPerformer(res, req.performer.id);
+});
+
+/**
+ * POST /eloadoi-portal/:performerId/changes
+ * Propose a description / rider change for admin approval
+ */
+router.post('/:performerId/changes', loadLinkedPerformer, async (req, res) => {
+  try {
+    await performerPortalService.proposeChange(req.performer, req.body.field, req.body.value, req.session.user);
+    req.session.messages = { success: 'Módosítási javaslat elküldve, jóváhagyás után jelenik meg az oldalon' };
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'performerPortal', operation: 'proposeChange', performerId: req.performer.id },
+      'Portal change proposal error'
+    );
+    req.session.messages = { error: error.message };
+  }
+
+  return redirectToPerformer(res, req.performer.id);
+});
+
+module.exports = router;
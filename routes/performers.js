@@ -3,6 +3,8 @@ const router = express.Router();
 const { Performer } = require('../models');
 const { Op } = require('sequelize');
 const { SyncService } = require('../services/syncService');
+const performerAvailabilityService = require('../services/performerAvailabilityService');
+const travelCostService = require('../services/travelCostService');
 const logger = require('../config/logger');
 const {
   getCategoryDisplayName,
@@ -30,6 +32,12 @@ const {
   generatePerformersListSchema,
   generateBreadcrumbSchema
 } = require('../utils/seo-helpers');
+const {
+  getEventPath,
+  buildFeedUrls,
+  formatEventDate,
+  getUpcomingPerformerEvents
+} = require('./helpers/event-helpers');
 
 // Initialize sync service
 const syncService = new SyncService();
@@ -100,6 +108,77 @@ router.get('/api/search', async (req, res) => {
   }
 });
 
+// API endpoint for performer availability (booking/quote date pickers)
+// GET /eloadok/api/:slug/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/api/:slug/availability', async (req, res) => {
+  let range;
+  try {
+    range = performerAvailabilityService.resolveRange(req.query.from, req.query.to);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, message: validationError.message });
+  }
+
+  try {
+    const performer = await Performer.findOne({
+      where: { slug: req.params.slug, isActive: true },
+      attributes: ['id']
+    });
+
+    if (!performer) {
+      return res.status(404).json({ success: false, message: 'Performer not found' });
+    }
+
+    const availability = await performerAvailabilityService.getAvailability(performer.id, range);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.json({ success: true, ...availability });
+  } catch (error) {
+    logger.error({ err: error, service: 'performers', operation: 'availability' }, 'Error loading availability');
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load availability'
+    });
+  }
+});
+
+// API endpoint for travel cost estimate (performer detail page)
+// GET /eloadok/api/:slug/travel-cost?location=Siófok
+router.get('/api/:slug/travel-cost', async (req, res) => {
+  try {
+    const location = (req.query.location || '').trim();
+
+    if (location.length < 2) {
+      return res.status(400).json({ success: false, message: 'Adja meg a rendezvény helyszínét' });
+    }
+
+    const performer = await Performer.findOne({
+      where: { slug: req.params.slug, isActive: true },
+      attributes: ['id', 'travelCost', 'travelCostCalculation']
+    });
+
+    if (!performer) {
+      return res.status(404).json({ success: false, message: 'Performer not found' });
+    }
+
+    const estimate = await travelCostService.estimateTravelCost(performer, location);
+
+    if (!estimate) {
+      return res.json({
+        success: false,
+        message: 'A helyszín nem található, az utazási költséget kollégáink egyedileg számolják ki'
+      });
+    }
+
+    return res.json({ success: true, estimate, summary: travelCostService.formatEstimate(estimate) });
+  } catch (error) {
+    logger.error({ err: error, service: 'performers', operation: 'travelCost' }, 'Error estimating travel cost');
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to estimate travel cost'
+    });
+  }
+});
+
 // AJAX endpoint for infinite scroll
 router.get('/api/load-more', async (req, res) => {
   try {
@@ -370,7 +449,10 @@ router.get('/:slug', async (req, res) => {
     }
 
     const categoryDisplayName = getCategoryDisplayName(performer.category);
-    const relatedPerformers = await getRelatedPerformers(performer);
+    const [relatedPerformers, upcomingEvents] = await Promise.all([
+      getRelatedPerformers(performer),
+      getUpcomingPerformerEvents(performer.id)
+    ]);
 
     // Generate structured data
     const performerSchema = generatePerformerSchema(performer, res.locals.siteDomain);
@@ -388,6 +470,10 @@ router.get('/:slug', async (req, res) => {
       structuredData: [performerSchema, breadcrumbs],
       performer,
       relatedPerformers,
+      upcomingEvents,
+      performerFeedUrls: buildFeedUrls(`/eloado/${performer.slug}/naptar.ics`),
+      getEventPath,
+      formatEventDate,
       categoryDisplayName,
       currentPage: 'eloadok'
     });
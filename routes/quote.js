@@ -3,13 +3,37 @@ const router = express.Router();
 const { Performer, Quote, Setting } = require('../models');
 const { Sequelize } = require('sequelize');
 const quoteEmailService = require('../services/quoteEmailService');
+const referenceNumberService = require('../services/referenceNumberService');
+const wizardDraftService = require('../services/wizardDraftService');
+const {
+  QUOTE_STEP_RULES,
+  RECOMMEND_STEP_RULES,
+  getBudgetRange,
+  validateWizardStep
+} = require('./helpers/wizard-validation');
+const { resumeLinkLimiter } = require('../middleware/wizardProtection');
 const logger = require('../config/logger');
 
+// Expired sessions are restored from the saved draft (wizard_drafts)
+const DRAFT_TYPE = 'quote';
+const restoreDraft = wizardDraftService.restoreDraftMiddleware(DRAFT_TYPE);
+const validateRecommendStep = validateWizardStep(RECOMMEND_STEP_RULES, (req) => req.params.stepNumber);
+const validateQuoteStep = validateWizardStep(QUOTE_STEP_RULES, (req) => req.params.stepNumber);
+
+/**
+ * Helper: Save the wizard draft and send the client to the next step
+ */
+async function saveDraftAndContinue(req, res, nextStep, redirect) {
+  await wizardDraftService.saveDraft(req, res, DRAFT_TYPE, nextStep);
+
+  return res.json({ success: true, redirect });
+}
+
 /**
  * GET /ajanlat (without performer - "Ki ér rá")
  * Step 1: Event Details + Budget + Style
  */
-router.get('/', async (req, res) => {
+router.get('/', restoreDraft, async (req, res) => {
   try {
     const step = parseInt(req.query.step) || 1;
 
@@ -28,18 +52,8 @@ router.get('/', async (req, res) => {
 
     // Route to appropriate step
     if (step === 1) {
-      // Get min and max performer price for budget slider
-      const minPriceResult = await Performer.min('price', {
-        where: {
-          price: {
-            [Sequelize.Op.gt]: 0
-          }
-        }
-      });
-      const maxPriceResult = await Performer.max('price');
-
-      const minBudget = Math.floor(minPriceResult || 100000);
-      const maxBudget = Math.ceil(maxPriceResult || 10000000);
+      // Min and max performer price for the budget slider (the step 1 validation uses the same range)
+      const { min: minBudget, max: maxBudget } = await getBudgetRange();
 
       return res.render('quote/recommend-step1', {
         title: 'Ajánlatkérés - Esemény részletei',
@@ -88,9 +102,9 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /ajanlat/step/:stepNumber (without performer)
- * Save step data to session
+ * Validate (see helpers/wizard-validation) and save step data to session
  */
-router.post('/step/:stepNumber', async (req, res) => {
+router.post('/step/:stepNumber', restoreDraft, validateRecommendStep, async (req, res) => {
   try {
     const { stepNumber } = req.params;
     const step = parseInt(stepNumber);
@@ -132,10 +146,7 @@ router.post('/step/:stepNumber', async (req, res) => {
         styles
       };
 
-      return res.json({
-        success: true,
-        redirect: '/ajanlat?step=2'
-      });
+      return await saveDraftAndContinue(req, res, 2, '/ajanlat?step=2');
     } else if (step === 2) {
       // Save contact details
       req.session.quoteData = {
@@ -146,10 +157,7 @@ router.post('/step/:stepNumber', async (req, res) => {
         notes: req.body.notes || ''
       };
 
-      return res.json({
-        success: true,
-        redirect: '/ajanlat?step=3'
-      });
+      return await saveDraftAndContinue(req, res, 3, '/ajanlat?step=3');
     }
     return res.status(400).json({ success: false, message: 'Invalid step' });
   } catch (error) {
@@ -170,14 +178,8 @@ router.post('/submit', async (req, res) => {
 
     const { quoteData } = req.session;
 
-    // Generate reference number
-    const now = new Date();
-    const year = now.getFullYear();
-    const randomNum = Math.floor(Math.random() * 9000) + 1000;
-    const referenceId = `AJ-${year}-${randomNum}`;
-
-    // Save to database (without performerId)
-    const quote = await Quote.create({
+    // Save to database (without performerId) with a sequential reference number
+    const quote = await referenceNumberService.createWithReference('quote', (referenceId) => Quote.create({
       referenceId,
       performerId: null,
       eventDate: quoteData.eventDate || null,
@@ -193,10 +195,12 @@ router.post('/submit', async (req, res) => {
       contactPhone: quoteData.contactPhone || null,
       notes: quoteData.notes || null,
       status: 'pending',
+      userId: req.session.user ? req.session.user.id : null,
       performerCount: quoteData.performerCount || null,
       budget: quoteData.budget || null,
       styles: quoteData.styles || null
-    });
+    }));
+    const { referenceId } = quote;
 
     logger.info({
       service: 'quote',
@@ -239,8 +243,8 @@ router.post('/submit', async (req, res) => {
       }, 'Failed to send quote confirmation email to user');
     }
 
-    // Clear session data
-    delete req.session.quoteData;
+    // Clear session data (the saved draft is marked as submitted)
+    await wizardDraftService.completeDraft(req, res, DRAFT_TYPE);
 
     return res.json({
       success: true,
@@ -262,11 +266,53 @@ router.post('/submit', async (req, res) => {
   }
 });
 
+/**
+ * "Folytatás később" - save the draft and email the resume link
+ */
+async function continueLaterHandler(req, res) {
+  try {
+    await wizardDraftService.sendResumeLink(req, res, DRAFT_TYPE, { email: req.body.email, step: req.body.step });
+
+    return res.json({ success: true, message: 'A folytatási linket elküldtük email címére' });
+  } catch (error) {
+    logger.warn({ service: 'quote', operation: 'continueLater', error: error.message }, 'Continue later failed');
+    return res.status(400).json({ success: false, message: error.message });
+  }
+}
+
+/**
+ * POST /ajanlat/kesobb (without performer)
+ */
+router.post('/kesobb', resumeLinkLimiter, continueLaterHandler);
+
+/**
+ * GET /ajanlat/folytatas/:token
+ * Resume a saved quote draft ("Folytatás később" email link)
+ */
+router.get('/folytatas/:token', async (req, res) => {
+  try {
+    const resumePath = await wizardDraftService.resumeByToken(req, res, DRAFT_TYPE, req.params.token);
+
+    if (!resumePath) {
+      return res.status(404).render('error', {
+        title: 'Piszkozat nem található',
+        message: 'Az ajánlatkérés piszkozata lejárt vagy már elküldték.',
+        statusCode: 404
+      });
+    }
+
+    return res.redirect(resumePath);
+  } catch (error) {
+    logger.error({ err: error, service: 'quote', operation: 'resume' }, 'Quote resume error');
+    return res.status(500).send('Hiba történt a piszkozat betöltése során.');
+  }
+});
+
 /**
  * GET /ajanlat/:performerSlug
  * Step 1: Event Details
  */
-router.get('/:performerSlug', async (req, res) => {
+router.get('/:performerSlug', restoreDraft, async (req, res) => {
   try {
     const { performerSlug } = req.params;
     const step = parseInt(req.query.step) || 1;
@@ -341,9 +387,9 @@ router.get('/:performerSlug', async (req, res) => {
 
 /**
  * POST /ajanlat/:performerSlug/step/:stepNumber
- * Save step data to session
+ * Validate (see helpers/wizard-validation) and save step data to session
  */
-router.post('/:performerSlug/step/:stepNumber', async (req, res) => {
+router.post('/:performerSlug/step/:stepNumber', restoreDraft, validateQuoteStep, async (req, res) => {
   try {
     const { performerSlug, stepNumber } = req.params;
     const step = parseInt(stepNumber);
@@ -375,10 +421,7 @@ router.post('/:performerSlug/step/:stepNumber', async (req, res) => {
         eventCategory: req.body.eventCategory
       };
 
-      return res.json({
-        success: true,
-        redirect: `/ajanlat/${performerSlug}?step=2`
-      });
+      return await saveDraftAndContinue(req, res, 2, `/ajanlat/${performerSlug}?step=2`);
     } else if (step === 2) {
       // Save contact details
       req.session.quoteData = {
@@ -389,10 +432,7 @@ router.post('/:performerSlug/step/:stepNumber', async (req, res) => {
         notes: req.body.notes || ''
       };
 
-      return res.json({
-        success: true,
-        redirect: `/ajanlat/${performerSlug}?step=3`
-      });
+      return await saveDraftAndContinue(req, res, 3, `/ajanlat/${performerSlug}?step=3`);
     }
     return res.status(400).json({ success: false, message: 'Invalid step' });
   } catch (error) {
@@ -401,6 +441,11 @@ router.post('/:performerSlug/step/:stepNumber', async (req, res) => {
   }
 });
 
+/**
+ * POST /ajanlat/:performerSlug/kesobb
+ */
+router.post('/:performerSlug/kesobb', resumeLinkLimiter, continueLaterHandler);
+
 /**
  * POST /ajanlat/:performerSlug/submit
  * Final submission - save to DB and send emails
@@ -424,14 +469,8 @@ router.post('/:performerSlug/submit', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Performer not found' });
     }
 
-    // Generate reference number
-    const now = new Date();
-    const year = now.getFullYear();
-    const randomNum = Math.floor(Math.random() * 9000) + 1000;
-    const referenceId = `AJ-${year}-${randomNum}`;
-
-    // Save to database
-    const quote = await Quote.create({
+    // Save to database with a sequential reference number
+    const quote = await referenceNumberService.createWithReference('quote', (referenceId) => Quote.create({
       referenceId,
       performerId: performer.id,
       eventDate: quoteData.eventDate || null,
@@ -446,8 +485,10 @@ router.post('/:performerSlug/submit', async (req, res) => {
       contactEmail: quoteData.contactEmail,
       contactPhone: quoteData.contactPhone || null,
       notes: quoteData.notes || null,
-      status: 'pending'
-    });
+      status: 'pending',
+      userId: req.session.user ? req.session.user.id : null
+    }));
+    const { referenceId } = quote;
 
     logger.info({
       service: 'quote',
@@ -491,8 +532,8 @@ router.post('/:performerSlug/submit', async (req, res) => {
       }, 'Failed to send quote confirmation email to user');
     }
 
-    // Clear session data
-    delete req.session.quoteData;
+    // Clear session data (the saved draft is marked as submitted)
+    await wizardDraftService.completeDraft(req, res, DRAFT_TYPE);
 
     return res.json({
       success: true,
@@ -20,6 +20,20 @@ async function seedCronJobs() {
       schedule: SCHEDULE_EVERY_5_MIN,
       isActive: true
     },
+    {
+      id: 'quote-sync',
+      name: 'Quote Sync',
+      description: 'Ajánlatkéréseket szinkronizál vTiger-be (Leads)',
+      schedule: SCHEDULE_EVERY_5_MIN,
+      isActive: true
+    },
+    {
+      id: 'booking-status-sync',
+      name: 'Booking Status Sync',
+      description: 'Foglalás státuszok frissítése a CRM lead / Sales Order állapota alapján',
+      schedule: '*/30 * * * *',
+      isActive: true
+    },
     {
       id: 'event-sync',
       name: 'Event Sync',
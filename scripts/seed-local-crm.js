@@ -0,0 +1,116 @@
+/**
+ * Seed script - helyi CRM (data/local-crm.json) feltöltése demó adatokkal
+ * Előadók és jóváhagyott események a "Helyi CRM" szolgáltatóhoz (Admin → Integrációk)
+ *
+ * Használat: node scripts/seed-local-crm.js [--force]
+ * --force: a meglévő fájlt felülírja (a leadek megmaradnak)
+ */
+
+const { LocalCrmProvider } = require('../services/crmProvider-local');
+
+const DEMO_PERFORMERS = [
+  {
+    vtigerId: 'local-p-1',
+    name: 'Demó Zenekar',
+    category: 'Zenekar',
+    price: 450000,
+    duration: 90,
+    performanceType: 'élő',
+    travelCost: 150,
+    style: ['Pop', 'Rock'],
+    status: 'Népszerű',
+    description: 'Bulizenekar magán- és céges rendezvényekre.'
+  },
+  {
+    vtigerId: 'local-p-2',
+    name: 'Demó Énekesnő',
+    category: 'Énekes',
+    price: 280000,
+    duration: 45,
+    performanceType: 'élő',
+    travelCost: 120,
+    style: ['Pop'],
+    status: 'Kiemelt',
+    description: 'Slágerek élő énekkel, saját hangtechnikával.'
+  },
+  {
+    vtigerId: 'local-p-3',
+    name: 'Demó DJ',
+    category: 'DJ',
+    price: 180000,
+    duration: 240,
+    performanceType: 'DJ',
+    travelCost: 100,
+    style: ['Retro', 'Disco'],
+    status: '',
+    description: 'Retro és disco zenék egész estés bulihoz.'
+  }
+];
+
+/**
+ * Date N days from today (YYYY-MM-DD)
+ */
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Approved sales order for a demo performer (vTiger record format)
+ */
+function buildSalesOrder(index, performer, days, location) {
+  /* eslint-disable camelcase -- vTiger record fields */
+  return {
+    id: `local-so-${index}`,
+    subject: `${performer.name} – ${location}`,
+    sostatus: 'Approved',
+    cf_793: daysFromToday(days),
+    cf_795: '20:00',
+    cf_813: location,
+    LineItems: [{ productid: performer.vtigerId, product_name: performer.name }]
+  };
+  /* eslint-enable camelcase */
+}
+
+async function seedLocalCrm(force = false) {
+  const provider = new LocalCrmProvider();
+  const modifiedAt = new Date().toISOString();
+
+  await provider.updateStore((store) => {
+    if (store.performers.length > 0 && !force) {
+      console.log(`ℹ️  ${provider.filePath} már tartalmaz adatokat (felülírás: --force)`);
+      return;
+    }
+
+    store.performers = DEMO_PERFORMERS.map((performer) => ({
+      isActive: true,
+      imageUrl: null,
+      travelCostCalculation: null,
+      technicalRequirements: null,
+      priceListRestriction: false,
+      ...performer,
+      modifiedAt
+    }));
+    store.salesOrders = [
+      buildSalesOrder(1, DEMO_PERFORMERS[0], 14, 'Budapest'),
+      buildSalesOrder(2, DEMO_PERFORMERS[1], 21, 'Debrecen'),
+      buildSalesOrder(3, DEMO_PERFORMERS[2], 35, 'Szeged')
+    ];
+
+    console.log(`✅ Helyi CRM feltöltve: ${provider.filePath}`);
+    console.log(`📊 ${store.performers.length} előadó, ${store.salesOrders.length} esemény\n`);
+  });
+}
+
+// Ha közvetlenül futtatjuk
+if (require.main === module) {
+  seedLocalCrm(process.argv.includes('--force'))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Hiba a seed során:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = seedLocalCrm;
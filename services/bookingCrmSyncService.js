@@ -0,0 +1,308 @@
+/**
+ * Booking CRM Sync Service
+ * Sends bookings to the active CRM provider as leads, and handles the dead-letter queue
+ *
+ * - The cron job tries every booking MAX_SYNC_ATTEMPTS times; after the last failure the
+ *   booking is dead-lettered (deadLetteredAt) and the sales address gets an alert email
+ * - Dead-lettered bookings are listed on /admin/bookings/sync-failures: single or bulk retry,
+ *   and the lead fields can be corrected before retrying (syncPayloadOverride)
+ */
+
+const { Op } = require('sequelize');
+const { Booking, Performer } = require('../models');
+const { getCrmProvider, syncsVtigerLeads, CRM_PAUSED_MESSAGE } = require('./crmProviderService');
+
+const NOT_VTIGER_MESSAGE = 'A foglalások csak a vTiger CRM-be szinkronizálhatók, a szinkron kimaradt';
+const { sendBookingSyncFailedEmail } = require('./bookingEmailService');
+const logger = require('../config/logger');
+
+const MAX_SYNC_ATTEMPTS = 3;
+const CRON_BATCH_SIZE = 10;
+
+// Lead fields the admin can correct before a retry → input type on the form
+const PAYLOAD_FIELDS = {
+  clientName: 'text',
+  clientEmail: 'email',
+  clientPhone: 'text',
+  clientCompany: 'text',
+  eventDate: 'date',
+  eventLocation: 'text',
+  eventType: 'text',
+  expectedGuests: 'number',
+  budget: 'number',
+  message: 'textarea'
+};
+
+const PAYLOAD_FIELD_LABELS = {
+  clientName: 'Név',
+  clientEmail: 'Email',
+  clientPhone: 'Telefon',
+  clientCompany: 'Cég',
+  eventDate: 'Esemény dátuma',
+  eventLocation: 'Helyszín',
+  eventType: 'Rendezvény típusa',
+  expectedGuests: 'Várható létszám',
+  budget: 'Költségkeret',
+  message: 'Üzenet'
+};
+
+/**
+ * Lead payload of a booking (booking fields, overridden by the admin corrections)
+ * @param {Object} booking - Booking instance with performer
+ * @returns {Object} createLead() input
+ */
+function buildLeadPayload(booking) {
+  const payload = {};
+
+  Object.keys(PAYLOAD_FIELDS).forEach((field) => {
+    payload[field] = booking[field];
+  });
+
+  return {
+    ...payload,
+    ...(booking.syncPayloadOverride || {}),
+    performer: booking.performer
+  };
+}
+
+/**
+ * Alert the sales team about a dead-lettered booking (a failed alert is logged only)
+ * @private
+ */
+async function sendDeadLetterAlert(booking) {
+  const logContext = { service: 'bookingCrmSync', operation: 'deadLetterAlert', bookingId: booking.id };
+
+  try {
+    if (await sendBookingSyncFailedEmail(booking)) {
+      return true;
+    }
+    logger.error(logContext, 'Failed to send booking sync failure alert');
+  } catch (error) {
+    logger.error({ err: error, ...logContext }, 'Failed to send booking sync failure alert');
+  }
+
+  return false;
+}
+
+/**
+ * Send one booking to the CRM and record the outcome
+ * The booking is dead-lettered (and the alert sent) when the cron attempts run out.
+ * @param {Object} crmProvider - Active CRM provider
+ * @param {Object} booking - Booking instance with performer
+ * @returns {Promise<Object>} { success, leadId, error }
+ */
+async function syncBookingToCrm(crmProvider, booking) {
+  const attempts = booking.syncAttempts + 1;
+
+  try {
+    const leadId = await crmProvider.createLead(buildLeadPayload(booking));
+
+    await booking.update({
+      vtigerLeadId: leadId,
+      isSyncedToVtiger: true,
+      syncAttempts: attempts,
+      lastSyncAttempt: new Date(),
+      syncError: null,
+      deadLetteredAt: null
+    });
+
+    logger.info({
+      service: 'bookingCrmSync',
+      operation: 'syncBooking',
+      bookingId: booking.id,
+      provider: crmProvider.key,
+      leadId
+    }, 'Booking synced to CRM');
+
+    return { success: true, leadId };
+  } catch (error) {
+    const deadLettered = !booking.deadLetteredAt && attempts >= MAX_SYNC_ATTEMPTS;
+
+    await booking.update({
+      syncAttempts: attempts,
+      lastSyncAttempt: new Date(),
+      syncError: error.message,
+      ...(deadLettered ? { deadLetteredAt: new Date() } : {})
+    });
+
+    logger.error({
+      err: error,
+      service: 'bookingCrmSync',
+      operation: 'syncBooking',
+      bookingId: booking.id,
+      attempts,
+      deadLettered
+    }, 'Failed to sync booking');
+
+    if (deadLettered) {
+      await sendDeadLetterAlert(booking);
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Cron: send the not yet synced bookings that still have attempts left
+ * @returns {Promise<Object>} { synced, failed, paused, skipped }
+ */
+async function syncPendingBookings() {
+  const stats = { synced: 0, failed: 0, paused: false, skipped: false };
+  const bookings = await Booking.findAll({
+    where: {
+      isSyncedToVtiger: false,
+      syncAttempts: { [Op.lt]: MAX_SYNC_ATTEMPTS }
+    },
+    include: [{ model: Performer, as: 'performer' }],
+    limit: CRON_BATCH_SIZE
+  });
+
+  if (bookings.length === 0) {
+    return stats;
+  }
+
+  const crmProvider = await getCrmProvider();
+
+  // Local lead IDs must not be stored as vTiger lead IDs: the bookings wait for the vTiger provider
+  if (!syncsVtigerLeads(crmProvider)) {
+    logger.info(
+      { service: 'bookingCrmSync', operation: 'syncPending', provider: crmProvider.key },
+      'Booking lead sync skipped'
+    );
+    stats.skipped = true;
+    return stats;
+  }
+
+  for (const booking of bookings) {
+    // Circuit breaker open: keep the remaining attempts for later
+    if (!crmProvider.isAvailable()) {
+      logger.warn({ service: 'bookingCrmSync', operation: 'syncPending', provider: crmProvider.key }, 'CRM paused');
+      stats.paused = true;
+      break;
+    }
+
+    const result = await syncBookingToCrm(crmProvider, booking);
+    stats[result.success ? 'synced' : 'failed'] += 1;
+  }
+
+  return stats;
+}
+
+/**
+ * Dead-lettered bookings (every cron attempt failed), most recent first
+ * @returns {Promise<Array>}
+ */
+async function listFailedBookings() {
+  return await Booking.findAll({
+    where: {
+      isSyncedToVtiger: false,
+      syncAttempts: { [Op.gte]: MAX_SYNC_ATTEMPTS }
+    },
+    include: [{ model: Performer, as: 'performer', attributes: ['id', 'name', 'vtigerId'], required: false }],
+    order: [['lastSyncAttempt', 'DESC']]
+  });
+}
+
+/**
+ * Number of dead-lettered bookings (admin badge)
+ * @returns {Promise<number>}
+ */
+async function countFailedBookings() {
+  return await Booking.count({
+    where: {
+      isSyncedToVtiger: false,
+      syncAttempts: { [Op.gte]: MAX_SYNC_ATTEMPTS }
+    }
+  });
+}
+
+/**
+ * Manual retry of not yet synced bookings (admin)
+ * @param {Array<number>} bookingIds
+ * @returns {Promise<Object>} { success, paused, skipped, synced, failed,
+ *   results: [{ bookingId, success, leadId, error }] }
+ */
+async function retryBookings(bookingIds) {
+  const crmProvider = await getCrmProvider();
+
+  if (!crmProvider.isAvailable()) {
+    return { success: false, paused: true, error: CRM_PAUSED_MESSAGE, synced: 0, failed: 0, results: [] };
+  }
+
+  if (!syncsVtigerLeads(crmProvider)) {
+    return { success: false, skipped: true, error: NOT_VTIGER_MESSAGE, synced: 0, failed: 0, results: [] };
+  }
+
+  const bookings = await Booking.findAll({
+    where: { id: { [Op.in]: bookingIds }, isSyncedToVtiger: false },
+    include: [{ model: Performer, as: 'performer' }],
+    order: [['id', 'ASC']]
+  });
+  const summary = { success: true, synced: 0, failed: 0, results: [] };
+
+  for (const booking of bookings) {
+    if (!crmProvider.isAvailable()) {
+      summary.paused = true;
+      break;
+    }
+
+    const result = await syncBookingToCrm(crmProvider, booking);
+    summary[result.success ? 'synced' : 'failed'] += 1;
+    summary.results.push({ bookingId: booking.id, ...result });
+  }
+
+  logger.info({
+    service: 'bookingCrmSync',
+    operation: 'retry',
+    requested: bookingIds.length,
+    synced: summary.synced,
+    failed: summary.failed
+  }, 'Manual booking CRM retry finished');
+
+  return summary;
+}
+
+/**
+ * Save the admin corrections of the lead payload (only fields that differ from the booking)
+ * @param {Object} booking - Booking instance
+ * @param {Object} values - Submitted form values
+ * @returns {Promise<Object|null>} Stored override
+ */
+async function savePayloadOverride(booking, values) {
+  const override = {};
+
+  Object.keys(PAYLOAD_FIELDS).forEach((field) => {
+    if (values[field] === undefined) {
+      return;
+    }
+
+    const value = String(values[field]).trim();
+    const original = booking[field] === null || booking[field] === undefined ? '' : String(booking[field]);
+
+    if (value !== original) {
+      override[field] = value === '' ? null : value;
+    }
+  });
+
+  if (override.clientEmail !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(override.clientEmail || '')) {
+    throw new Error('Érvénytelen email cím');
+  }
+
+  const stored = Object.keys(override).length > 0 ? override : null;
+  await booking.update({ syncPayloadOverride: stored });
+
+  return stored;
+}
+
+module.exports = {
+  MAX_SYNC_ATTEMPTS,
+  PAYLOAD_FIELDS,
+  PAYLOAD_FIELD_LABELS,
+  buildLeadPayload,
+  syncBookingToCrm,
+  syncPendingBookings,
+  listFailedBookings,
+  countFailedBookings,
+  retryBookings,
+  savePayloadOverride
+};
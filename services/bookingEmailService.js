@@ -1,37 +1,94 @@
 const logger = require('../config/logger');
 const emailService = require('./emailService');
 const emailTemplateService = require('./emailTemplateService');
+const travelCostService = require('./travelCostService');
+
+const NOT_PROVIDED = 'Nincs megadva';
+const SITE_NAME_KEY = 'general.site_name';
+
+/**
+ * Sales notification address (email.booking setting)
+ * @private
+ */
+async function getBookingEmail() {
+  const { Setting } = require('../models');
+  const bookingEmail = await Setting.get('email.booking');
+
+  if (!bookingEmail) {
+    throw new Error('Booking email not configured in settings');
+  }
+
+  return bookingEmail;
+}
+
+/**
+ * Estimated travel cost line for the admin notification (empty if not computable)
+ * @private
+ */
+async function buildTravelEstimateHtml(performer, eventLocation) {
+  const estimate = await travelCostService.estimateTravelCost(performer, eventLocation);
+  return estimate
+    ? `<p><strong>Becsült utazási költség:</strong> ${travelCostService.formatEstimate(estimate)}</p>`
+    : '';
+}
+
+// Event type labels of the admin notification
+const EVENT_TYPE_LABELS = {
+  outdoorFree: 'Nyilvános ingyenes rendezvény szabadtéren',
+  outdoorPaid: 'Nyilvános belépőjegyes rendezvény szabadtéren',
+  indoorFree: 'Nyilvános ingyenes rendezvény zárt helyiségben',
+  indoorPaid: 'Nyilvános belépőjegyes rendezvény zárt helyiségben',
+  privatePersonal: 'Zártkörű magánrendezvény',
+  privateCorporate: 'Zártkörű céges rendezvény',
+  wedding: 'Esküvő',
+  corporate: 'Céges rendezvény',
+  birthday: 'Születésnap',
+  festival: 'Fesztivál',
+  private: 'Magánrendezvény',
+  other: 'Egyéb'
+};
+
+/**
+ * Date, time and location lines of the booking emails
+ * @private
+ */
+function buildEventScheduleHtml(bookingData) {
+  const dateFlexibleNote = bookingData.eventDateFlexible ? ' <em>(Még nem fix a dátum)</em>' : '';
+  const timeFlexibleNote = bookingData.eventTimeFlexible ? ' <em>(Még nem fix az időpont)</em>' : '';
+
+  return `
+          <p><strong>Dátum:</strong> ${bookingData.eventDate || NOT_PROVIDED}${dateFlexibleNote}</p>
+          <p><strong>Időpont:</strong> ${bookingData.eventTime || NOT_PROVIDED}${timeFlexibleNote}</p>
+          <p><strong>Helyszín:</strong> ${bookingData.eventLocation || NOT_PROVIDED}</p>
+  `;
+}
+
+/**
+ * Event details block of the admin notification
+ * @private
+ */
+function buildEventDetailsHtml(bookingData, travelEstimateHtml) {
+  const eventTypeText = EVENT_TYPE_LABELS[bookingData.eventType] || bookingData.eventType || NOT_PROVIDED;
+
+  return `
+          <h3>📅 Rendezvény részletei</h3>
+          ${buildEventScheduleHtml(bookingData)}
+          ${bookingData.venueAddress ? `<p><strong>Pontos cím:</strong> ${bookingData.venueAddress}</p>` : ''}
+          ${travelEstimateHtml}
+          <p><strong>Típus:</strong> ${eventTypeText}</p>
+          <p><strong>Vendégszám:</strong> ${bookingData.guestCount || NOT_PROVIDED}</p>
+          ${bookingData.eventName ? `<p><strong>Rendezvény neve:</strong> ${bookingData.eventName}</p>` : ''}
+          ${bookingData.eventCategory ? `<p><strong>Kategória:</strong> ${bookingData.eventCategory}</p>` : ''}
+  `;
+}
 
 /**
  * Send booking notification email to admin
  */
 async function sendBookingNotificationEmail(bookingData, performer, bookingId) {
   try {
-    const { Setting } = require('../models');
-    const bookingEmail = await Setting.get('email.booking');
-
-    if (!bookingEmail) {
-      throw new Error('Booking email not configured in settings');
-    }
-
-    const siteName = await Setting.get('general.site_name') || 'Koncert24';
-
-    const eventTypeLabels = {
-      outdoorFree: 'Nyilvános ingyenes rendezvény szabadtéren',
-      outdoorPaid: 'Nyilvános belépőjegyes rendezvény szabadtéren',
-      indoorFree: 'Nyilvános ingyenes rendezvény zárt helyiségben',
-      indoorPaid: 'Nyilvános belépőjegyes rendezvény zárt helyiségben',
-      privatePersonal: 'Zártkörű magánrendezvény',
-      privateCorporate: 'Zártkörű céges rendezvény',
-      wedding: 'Esküvő',
-      corporate: 'Céges rendezvény',
-      birthday: 'Születésnap',
-      festival: 'Fesztivál',
-      private: 'Magánrendezvény',
-      other: 'Egyéb'
-    };
-
-    const eventTypeText = eventTypeLabels[bookingData.eventType] || bookingData.eventType || 'Nincs megadva';
+    const bookingEmail = await getBookingEmail();
+    const travelEstimateHtml = await buildTravelEstimateHtml(performer, bookingData.eventLocation);
 
     const htmlContent = `
       <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica,
@@ -48,21 +105,11 @@ async function sendBookingNotificationEmail(bookingData, performer, bookingId) {
           
           <h3>🎤 Előadó: ${performer.name}</h3>
           <p><strong>Foglalás #${bookingId}</strong></p>
-          
-          <h3>📅 Rendezvény részletei</h3>
-          <p><strong>Dátum:</strong> ${bookingData.eventDate || 'Nincs megadva'}${bookingData.eventDateFlexible ? ' <em>(Még nem fix a dátum)</em>' : ''}</p>
-          <p><strong>Időpont:</strong> ${bookingData.eventTime || 'Nincs megadva'}${bookingData.eventTimeFlexible ? ' <em>(Még nem fix az időpont)</em>' : ''}</p>
-          <p><strong>Helyszín:</strong> ${bookingData.eventLocation || 'Nincs megadva'}</p>
-          ${bookingData.venueAddress ? `<p><strong>Pontos cím:</strong> ${bookingData.venueAddress}</p>` : ''}
-          <p><strong>Típus:</strong> ${eventTypeText}</p>
-          <p><strong>Vendégszám:</strong> ${bookingData.guestCount || 'Nincs megadva'}</p>
-          ${bookingData.eventName ? `<p><strong>Rendezvény neve:</strong> ${bookingData.eventName}</p>` : ''}
-          ${bookingData.eventCategory ? `<p><strong>Kategória:</strong> ${bookingData.eventCategory}</p>` : ''}
-          
+          ${buildEventDetailsHtml(bookingData, travelEstimateHtml)}
           <h3>👤 Kapcsolattartó (szerződéses)</h3>
           <p><strong>Név:</strong> ${bookingData.contactName}</p>
           <p><strong>E-mail:</strong> ${bookingData.contactEmail}</p>
-          <p><strong>Telefon:</strong> ${bookingData.contactPhone || 'Nincs megadva'}</p>
+          <p><strong>Telefon:</strong> ${bookingData.contactPhone || NOT_PROVIDED}</p>
           
           <h3>🧾 Megrendelő adatai</h3>
           <p><strong>Név/Cégnév:</strong> ${bookingData.clientName}</p>
@@ -131,7 +178,7 @@ async function sendBookingNotificationEmail(bookingData, performer, bookingId) {
 async function sendBookingConfirmationEmail(bookingData, performer, bookingId) {
   try {
     const { Setting } = require('../models');
-    const siteName = await Setting.get('general.site_name') || 'Koncert24';
+    const siteName = await Setting.get(SITE_NAME_KEY) || 'Koncert24';
 
     const htmlContent = `
       <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica,
@@ -152,9 +199,7 @@ async function sendBookingConfirmationEmail(bookingData, performer, bookingId) {
           <h3>🎤 Előadó: ${performer.name}</h3>
           
           <h3>📅 Rendezvény részletei</h3>
-          <p><strong>Dátum:</strong> ${bookingData.eventDate || 'Nincs megadva'}${bookingData.eventDateFlexible ? ' <em>(Még nem fix a dátum)</em>' : ''}</p>
-          <p><strong>Időpont:</strong> ${bookingData.eventTime || 'Nincs megadva'}${bookingData.eventTimeFlexible ? ' <em>(Még nem fix az időpont)</em>' : ''}</p>
-          <p><strong>Helyszín:</strong> ${bookingData.eventLocation || 'Nincs megadva'}</p>
+          ${buildEventScheduleHtml(bookingData)}
           
           <p style="margin-top: 30px;">Köszönjük, hogy a ${siteName}-t választotta!</p>
         </div>
@@ -201,7 +246,7 @@ async function testBookingEmailConnection() {
 
     // Load booking email settings
     const bookingEmail = await Setting.get('email.booking');
-    const siteName = await Setting.get('general.site_name');
+    const siteName = await Setting.get(SITE_NAME_KEY);
     const companyName = await Setting.get('company.name');
 
     logger.info({
@@ -261,8 +306,246 @@ async function sendBookingTestEmail(bookingEmail, siteName, companyName) {
   return await emailService.sendEmail(emailOptions);
 }
 
+/**
+ * Escape HTML for email safety
+ * @private
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+
+  return String(text || '').replace(/[&<>"']/g, (m) => map[m]);
+}
+
+/**
+ * Notify the sales team about a client follow-up message / cancellation request ("Foglalásaim")
+ * @param {Object} data - { typeLabel, kindLabel, reference, adminUrl, record, message, user }
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendClientRequestEmail(data) {
+  const bookingEmail = await getBookingEmail();
+  const { typeLabel, kindLabel, reference, adminUrl, record, message, user } = data;
+  const adminLink = `${process.env.BASE_URL || ''}${adminUrl}`;
+  const performerName = record.performer ? record.performer.name : 'Előadó ajánlás';
+
+  const htmlContent = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica,
+      Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="padding: 30px; background-color: #ffffff;">
+        <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin-bottom: 20px;">
+          <p style="margin: 0; color: #92400e;">✉️ ${typeLabel} érkezett – ${kindLabel} ${reference}</p>
+        </div>
+        <p><strong>Megrendelő:</strong> ${escapeHtml(user.name)} (${escapeHtml(user.email)})</p>
+        <p><strong>Előadó:</strong> ${escapeHtml(performerName)}</p>
+        <p><strong>Dátum:</strong> ${record.eventDate || NOT_PROVIDED}</p>
+        <p><strong>Helyszín:</strong> ${escapeHtml(record.eventLocation) || NOT_PROVIDED}</p>
+        <h3>💬 Üzenet</h3>
+        <p style="white-space: pre-line;">${escapeHtml(message)}</p>
+        <p><a href="${adminLink}">Megnyitás az admin felületen</a></p>
+      </div>
+    </div>
+  `;
+
+  const result = await emailService.sendEmail({
+    to: bookingEmail,
+    replyTo: user.email,
+    subject: `✉️ ${typeLabel}: ${kindLabel} ${reference} - ${performerName}`,
+    html: htmlContent,
+    text: `${typeLabel} érkezett\n\n${kindLabel} ${reference}\nMegrendelő: ${user.name} (${user.email})\n`
+      + `Előadó: ${performerName}\n\n${message}\n\n${adminLink}`
+  });
+
+  if (result.success) {
+    logger.info({
+      service: 'bookingEmail',
+      operation: 'sendClientRequest',
+      reference,
+      to: bookingEmail
+    }, 'Client request email sent');
+  }
+
+  return result.success;
+}
+
+/**
+ * Send the "continue later" link of a booking / quote wizard draft to the visitor
+ * @param {Object} data - { to, name, typeLabel, performerName, resumeUrl }
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendDraftResumeEmail(data) {
+  const { to, name, typeLabel, performerName, resumeUrl } = data;
+  const subjectSuffix = performerName ? ` - ${performerName}` : '';
+
+  const htmlContent = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica,
+      Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="padding: 30px; background-color: #ffffff;">
+        <p>Kedves ${escapeHtml(name) || 'Érdeklődő'}!</p>
+        <p>Elmentettük a megkezdett ${typeLabel.toLowerCase()} adatait${escapeHtml(subjectSuffix)}.
+          Az alábbi linkre kattintva ott folytathatja, ahol abbahagyta:</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${resumeUrl}" style="background-color: #2563eb; color: #ffffff; padding: 12px 24px;
+            border-radius: 6px; text-decoration: none;">${typeLabel} folytatása</a>
+        </p>
+        <p style="color: #6b7280; font-size: 14px;">A link 30 napig érvényes. Ha nem Ön kezdte el az űrlapot,
+          hagyja figyelmen kívül ezt a levelet.</p>
+      </div>
+    </div>
+  `;
+
+  const result = await emailService.sendEmail({
+    to,
+    subject: `📝 ${typeLabel} folytatása${subjectSuffix}`,
+    html: htmlContent,
+    text: `Kedves ${name || 'Érdeklődő'}!\n\n`
+      + `Elmentettük a megkezdett ${typeLabel.toLowerCase()} adatait. Folytatás:\n${resumeUrl}\n\n`
+      + 'A link 30 napig érvényes.'
+  });
+
+  if (result.success) {
+    logger.info({
+      service: 'bookingEmail',
+      operation: 'sendDraftResume',
+      to
+    }, 'Draft resume email sent');
+  }
+
+  return result.success;
+}
+
+/**
+ * Alert the sales team that a booking could not be sent to the CRM (dead-letter queue)
+ * @param {Object} booking - Booking instance with performer and syncError
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendBookingSyncFailedEmail(booking) {
+  const bookingEmail = await getBookingEmail();
+  const listLink = `${process.env.BASE_URL || ''}/admin/bookings/sync-failures`;
+  const performerName = booking.performer ? booking.performer.name : NOT_PROVIDED;
+
+  const htmlContent = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica,
+      Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="padding: 30px; background-color: #ffffff;">
+        <div style="background-color: #fee2e2; border-left: 4px solid #ef4444; padding: 15px; margin-bottom: 20px;">
+          <p style="margin: 0; color: #991b1b;">
+            ⚠️ A(z) #${booking.id} foglalás ${booking.syncAttempts} próbálkozás után sem került be a CRM-be.
+          </p>
+        </div>
+        <p><strong>Megrendelő:</strong> ${escapeHtml(booking.clientName)} (${escapeHtml(booking.clientEmail)})</p>
+        <p><strong>Előadó:</strong> ${escapeHtml(performerName)}</p>
+        <p><strong>Dátum:</strong> ${booking.eventDate || NOT_PROVIDED}</p>
+        <h3>❌ Utolsó hiba</h3>
+        <p style="white-space: pre-line;">${escapeHtml(booking.syncError)}</p>
+        <p>Az automatikus szinkron nem próbálkozik tovább. Javítás és újraküldés:
+          <a href="${listLink}">Szinkron hibák</a></p>
+      </div>
+    </div>
+  `;
+
+  const result = await emailService.sendEmail({
+    to: bookingEmail,
+    subject: `⚠️ CRM szinkron hiba - Foglalás #${booking.id} - ${booking.clientName}`,
+    html: htmlContent,
+    text: `A(z) #${booking.id} foglalás ${booking.syncAttempts} próbálkozás után sem került be a CRM-be.\n\n`
+      + `Megrendelő: ${booking.clientName} (${booking.clientEmail})\nHiba: ${booking.syncError}\n\n${listLink}`
+  });
+
+  if (result.success) {
+    logger.info({
+      service: 'bookingEmail',
+      operation: 'sendSyncFailed',
+      bookingId: booking.id,
+      to: bookingEmail
+    }, 'Booking sync failure alert sent');
+  }
+
+  return result.success;
+}
+
+// Client notification texts of CRM status changes
+const STATUS_EMAIL_TEXTS = {
+  confirmed: {
+    icon: '✅',
+    title: 'Foglalás megerősítve',
+    color: '#10b981',
+    message: 'Örömmel értesítjük, hogy foglalását megerősítettük. Kollégánk hamarosan jelentkezik a részletekkel.'
+  },
+  cancelled: {
+    icon: '❌',
+    title: 'Foglalás lemondva',
+    color: '#ef4444',
+    message: 'Tájékoztatjuk, hogy foglalása lemondásra került. Kérdés esetén keressen minket bizalommal.'
+  }
+};
+
+/**
+ * Notify the client about a confirmed / cancelled booking (reverse CRM status sync)
+ * @param {Object} booking - Booking instance with performer
+ * @param {string} status - confirmed | cancelled
+ * @returns {Promise<boolean>} Whether the email was sent (false also if there is no email text for the status)
+ */
+async function sendBookingStatusEmail(booking, status) {
+  const texts = STATUS_EMAIL_TEXTS[status];
+
+  if (!texts) {
+    return false;
+  }
+
+  const { Setting } = require('../models');
+  const siteName = await Setting.get(SITE_NAME_KEY) || 'Koncert24';
+  const performerName = booking.performer ? booking.performer.name : '';
+
+  const htmlContent = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica,
+      Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: ${texts.color}; padding: 30px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0;">${texts.icon} ${texts.title}</h1>
+      </div>
+      <div style="padding: 30px; background-color: #ffffff;">
+        <p>Kedves ${escapeHtml(booking.clientName)}!</p>
+        <p>${texts.message}</p>
+        <p><strong>Foglalás #${booking.id}</strong></p>
+        <p><strong>Előadó:</strong> ${escapeHtml(performerName) || NOT_PROVIDED}</p>
+        <p><strong>Dátum:</strong> ${booking.eventDate || NOT_PROVIDED}</p>
+        <p><strong>Helyszín:</strong> ${escapeHtml(booking.eventLocation) || NOT_PROVIDED}</p>
+        <p style="margin-top: 30px;">Üdvözlettel: ${siteName}</p>
+      </div>
+    </div>
+  `;
+
+  const result = await emailService.sendEmail({
+    to: booking.clientEmail,
+    subject: [`${texts.icon} ${texts.title}`, `Foglalás #${booking.id}`, performerName].filter(Boolean).join(' - '),
+    html: htmlContent,
+    text: `Kedves ${booking.clientName}!\n\n${texts.message}\n\n`
+      + `Foglalás #${booking.id}\nElőadó: ${performerName || NOT_PROVIDED}\nDátum: ${booking.eventDate || NOT_PROVIDED}`
+  });
+
+  if (result.success) {
+    logger.info({
+      service: 'bookingEmail',
+      operation: 'sendStatus',
+      bookingId: booking.id,
+      status,
+      to: booking.clientEmail
+    }, 'Booking status email sent');
+  }
+
+  return result.success;
+}
+
 module.exports = {
   sendBookingNotificationEmail,
+  sendBookingStatusEmail,
+  sendBookingSyncFailedEmail,
+  sendClientRequestEmail,
+  sendDraftResumeEmail,
   sendBookingConfirmationEmail,
   testBookingEmailConnection,
   sendBookingTestEmail
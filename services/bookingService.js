@@ -0,0 +1,296 @@
+/**
+ * Booking Service
+ * Admin-side booking queries, status workflow and notes
+ */
+
+const { Op } = require('sequelize');
+const { Booking, BookingStatusChange, Performer, User, ClientRequest } = require('../models');
+const logger = require('../config/logger');
+
+// Státusz címkék (admin felület)
+const STATUS_LABELS = {
+  pending: 'Új',
+  contacted: 'Kapcsolatfelvétel',
+  confirmed: 'Megerősítve',
+  completed: 'Lezárva',
+  cancelled: 'Lemondva'
+};
+
+/**
+ * Engedélyezett státusz átmenetek
+ * pending → contacted → confirmed → completed, bármely nyitott állapotból → cancelled
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['contacted', 'cancelled'],
+  contacted: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Státusz változás forrása (státusz történet)
+const STATUS_SOURCE_LABELS = {
+  admin: 'Admin',
+  crm: 'CRM szinkron'
+};
+
+/* eslint-disable camelcase */
+const EVENT_TYPE_LABELS = {
+  outdoor_free: 'Nyilvános ingyenes rendezvény szabadtéren',
+  outdoor_paid: 'Nyilvános belépőjegyes rendezvény szabadtéren',
+  indoor_free: 'Nyilvános ingyenes rendezvény zárt helyiségben',
+  indoor_paid: 'Nyilvános belépőjegyes rendezvény zárt helyiségben',
+  private_personal: 'Zártkörű magánrendezvény',
+  private_corporate: 'Zártkörű céges rendezvény',
+  wedding: 'Esküvő',
+  corporate: 'Céges rendezvény',
+  birthday: 'Születésnap',
+  festival: 'Fesztivál',
+  private: 'Magánrendezvény',
+  other: 'Egyéb'
+};
+/* eslint-enable camelcase */
+
+const DEFAULT_PAGE_LIMIT = 25;
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus) {
+  const allowed = STATUS_TRANSITIONS[fromStatus] || [];
+  return allowed.includes(toStatus);
+}
+
+/**
+ * Build Sequelize where clause from admin list filters
+ * @private
+ */
+function buildWhereClause(filters) {
+  const where = {};
+  const { status, performerId, dateFrom, dateTo, search } = filters;
+
+  if (status && STATUS_LABELS[status]) {
+    where.status = status;
+  }
+
+  if (performerId) {
+    where.performerId = parseInt(performerId, 10);
+  }
+
+  if (dateFrom || dateTo) {
+    where.eventDate = {};
+    if (dateFrom) {
+      where.eventDate[Op.gte] = dateFrom;
+    }
+    if (dateTo) {
+      where.eventDate[Op.lte] = dateTo;
+    }
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { clientName: { [Op.like]: `%${search}%` } },
+      { clientEmail: { [Op.like]: `%${search}%` } },
+      { clientCompany: { [Op.like]: `%${search}%` } },
+      { eventLocation: { [Op.like]: `%${search}%` } }
+    ];
+  }
+
+  return where;
+}
+
+/**
+ * List bookings for the admin console with filters and pagination
+ * @param {Object} filters - { status, performerId, dateFrom, dateTo, search, page, limit }
+ * @returns {Promise<Object>} { bookings, pagination }
+ */
+async function listBookings(filters = {}) {
+  const page = parseInt(filters.page, 10) || 1;
+  const limit = parseInt(filters.limit, 10) || DEFAULT_PAGE_LIMIT;
+  const where = buildWhereClause(filters);
+
+  const { count, rows } = await Booking.findAndCountAll({
+    where,
+    include: [{
+      model: Performer,
+      as: 'performer',
+      attributes: ['id', 'name', 'slug'],
+      required: false
+    }],
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    bookings: rows,
+    pagination: {
+      page,
+      limit,
+      totalPages,
+      total: count,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+}
+
+/**
+ * Count bookings per status (for the stat cards)
+ * @returns {Promise<Object>} { pending: n, contacted: n, ... , total: n }
+ */
+async function getStatusCounts() {
+  const rows = await Booking.findAll({
+    attributes: ['status', [Booking.sequelize.fn('COUNT', Booking.sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true
+  });
+
+  const counts = { total: 0 };
+  Object.keys(STATUS_LABELS).forEach((status) => {
+    counts[status] = 0;
+  });
+
+  rows.forEach((row) => {
+    counts[row.status] = parseInt(row.count, 10);
+    counts.total += parseInt(row.count, 10);
+  });
+
+  return counts;
+}
+
+/**
+ * Get a single booking with performer and user
+ * @param {number} bookingId
+ * @returns {Promise<Object|null>}
+ */
+async function getBookingById(bookingId) {
+  return await Booking.findByPk(bookingId, {
+    include: [
+      { model: Performer, as: 'performer', required: false },
+      { model: User, as: 'user', attributes: ['id', 'name', 'email'], required: false },
+      {
+        model: ClientRequest,
+        as: 'clientRequests',
+        required: false,
+        include: [{ model: User, as: 'user', attributes: ['id', 'name'], required: false }]
+      },
+      {
+        model: BookingStatusChange,
+        as: 'statusChanges',
+        required: false,
+        include: [{ model: User, as: 'user', attributes: ['id', 'name'], required: false }]
+      }
+    ],
+    order: [
+      [{ model: ClientRequest, as: 'clientRequests' }, 'createdAt', 'DESC'],
+      [{ model: BookingStatusChange, as: 'statusChanges' }, 'createdAt', 'DESC']
+    ]
+  });
+}
+
+/**
+ * Set the status and append it to the status history
+ * @param {Object} booking - Booking instance
+ * @param {string} newStatus - New status
+ * @param {Object} change - { source: admin | crm, reason, crmState, userId }
+ * @returns {Promise<Object>} BookingStatusChange record
+ */
+async function recordStatusChange(booking, newStatus, change = {}) {
+  const previousStatus = booking.status;
+
+  return await Booking.sequelize.transaction(async (transaction) => {
+    await booking.update({ status: newStatus }, { transaction });
+
+    return await BookingStatusChange.create({
+      bookingId: booking.id,
+      fromStatus: previousStatus,
+      toStatus: newStatus,
+      source: change.source || 'admin',
+      reason: change.reason || null,
+      crmState: change.crmState || null,
+      userId: change.userId || null
+    }, { transaction });
+  });
+}
+
+/**
+ * Change booking status along the allowed workflow
+ * @param {Object} booking - Booking instance
+ * @param {string} newStatus - Requested status
+ * @param {Object} actor - { id, name } of the admin performing the change
+ * @returns {Promise<Object>} Updated booking
+ * @throws {Error} If the transition is not allowed
+ */
+async function updateStatus(booking, newStatus, actor = {}) {
+  if (!canTransition(booking.status, newStatus)) {
+    throw new Error(
+      `Nem engedélyezett státuszváltás: ${STATUS_LABELS[booking.status] || booking.status} → `
+      + `${STATUS_LABELS[newStatus] || newStatus}`
+    );
+  }
+
+  const previousStatus = booking.status;
+  await recordStatusChange(booking, newStatus, { source: 'admin', reason: 'Admin státuszváltás', userId: actor.id });
+
+  logger.info({
+    service: 'bookingService',
+    operation: 'updateStatus',
+    bookingId: booking.id,
+    previousStatus,
+    newStatus,
+    userId: actor.id
+  }, 'Booking status changed');
+
+  return booking;
+}
+
+/**
+ * Save admin notes on a booking
+ * @param {Object} booking - Booking instance
+ * @param {string} notes - Free text notes
+ * @returns {Promise<Object>} Updated booking
+ */
+async function updateAdminNotes(booking, notes) {
+  const trimmed = typeof notes === 'string' ? notes.trim() : '';
+  await booking.update({ adminNotes: trimmed || null });
+  return booking;
+}
+
+/**
+ * List performers that have at least one booking (filter dropdown)
+ * @returns {Promise<Array>}
+ */
+async function getBookedPerformers() {
+  return await Performer.findAll({
+    attributes: ['id', 'name'],
+    include: [{
+      model: Booking,
+      as: 'bookings',
+      attributes: [],
+      required: true
+    }],
+    group: ['Performer.id'],
+    order: [['name', 'ASC']]
+  });
+}
+
+module.exports = {
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  STATUS_SOURCE_LABELS,
+  EVENT_TYPE_LABELS,
+  canTransition,
+  listBookings,
+  getStatusCounts,
+  getBookingById,
+  updateStatus,
+  recordStatusChange,
+  updateAdminNotes,
+  getBookedPerformers
+};
@@ -0,0 +1,205 @@
+/**
+ * Booking Status Sync Service
+ * Reverse sync: polls the CRM leads / sales orders linked to bookings (vtigerLeadId)
+ * and moves the booking status along when the CRM state changes
+ *
+ * - CRM states are mapped with STATUS_MAP (lead statuses and sales order statuses)
+ * - Statuses follow bookingService.STATUS_TRANSITIONS: a CRM state further ahead is reached
+ *   step by step (pending → contacted → confirmed), every step in the status history
+ * - Every change is written to the status history (source: crm) with the CRM state
+ * - With crm.booking_status_notify_client the client is emailed on confirmation / cancellation
+ */
+
+const { Op } = require('sequelize');
+const { Booking, Performer, Setting } = require('../models');
+const { getCrmProvider, CRM_PAUSED_MESSAGE } = require('./crmProviderService');
+const { STATUS_TRANSITIONS, canTransition, recordStatusChange } = require('./bookingService');
+const { sendBookingStatusEmail } = require('./bookingEmailService');
+const logger = require('../config/logger');
+
+const NOTIFY_CLIENT_KEY = 'crm.booking_status_notify_client';
+const BATCH_SIZE = 50;
+
+// CRM state → booking status (vTiger leadstatus and sostatus values)
+const STATUS_MAP = {
+  'Attempted to Contact': 'contacted',
+  Contacted: 'contacted',
+  'Contact in Future': 'contacted',
+  'Pre Qualified': 'contacted',
+  Hot: 'contacted',
+  Warm: 'contacted',
+  Cold: 'contacted',
+  Converted: 'confirmed',
+  Created: 'confirmed',
+  Approved: 'confirmed',
+  Delivered: 'completed',
+  'Lost Lead': 'cancelled',
+  'Junk Lead': 'cancelled',
+  'Not Qualified': 'cancelled',
+  Cancelled: 'cancelled'
+};
+
+const OPEN_STATUSES = ['pending', 'contacted', 'confirmed'];
+const NOTIFY_STATUSES = ['confirmed', 'cancelled'];
+
+/**
+ * Allowed workflow steps from the current booking status to the one of a CRM state
+ * @param {string} currentStatus - Current booking status
+ * @param {string} crmState - CRM lead / sales order state
+ * @returns {string[]|null} Statuses to pass in order (last is the target) or null
+ *   (unmapped state, already there or not reachable through STATUS_TRANSITIONS)
+ */
+function resolveStatusPath(currentStatus, crmState) {
+  const target = STATUS_MAP[crmState];
+
+  if (!target || target === currentStatus || !OPEN_STATUSES.includes(currentStatus)) {
+    return null;
+  }
+
+  if (canTransition(currentStatus, target)) {
+    return [target];
+  }
+
+  // Step through the intermediate statuses (never via cancelled)
+  const path = [];
+  let status = currentStatus;
+  while (status !== target) {
+    const next = (STATUS_TRANSITIONS[status] || []).find((candidate) => candidate !== 'cancelled');
+    if (!next) {
+      return null;
+    }
+    path.push(next);
+    status = next;
+  }
+
+  return path;
+}
+
+/**
+ * Email the client about the new status (errors are logged, the sync goes on)
+ * @private
+ */
+async function notifyClient(booking, change) {
+  try {
+    if (!await sendBookingStatusEmail(booking, change.toStatus)) {
+      return false;
+    }
+    await change.update({ clientNotifiedAt: new Date() });
+    return true;
+  } catch (error) {
+    logger.error({
+      err: error,
+      service: 'bookingStatusSync',
+      operation: 'notifyClient',
+      bookingId: booking.id
+    }, 'Failed to send booking status email');
+    return false;
+  }
+}
+
+/**
+ * Check one booking against the CRM
+ * @private
+ * @returns {Promise<Object>} { changed, notified }
+ */
+async function syncBooking(crmProvider, booking, notifyEnabled) {
+  const crmStatus = await crmProvider.getLeadStatus(booking.vtigerLeadId);
+
+  await booking.update({
+    crmStatus: crmStatus ? String(crmStatus.state).substring(0, 100) : null,
+    crmStatusCheckedAt: new Date()
+  });
+
+  const path = crmStatus ? resolveStatusPath(booking.status, crmStatus.state) : null;
+
+  if (!path) {
+    return { changed: false, notified: false };
+  }
+
+  const fromStatus = booking.status;
+  const newStatus = path[path.length - 1];
+  const sourceLabel = crmStatus.source === 'salesOrder' ? 'vevői rendelés' : 'lead';
+  let change = null;
+
+  for (const status of path) {
+    // eslint-disable-next-line no-await-in-loop -- each step is recorded on top of the previous one
+    change = await recordStatusChange(booking, status, {
+      source: 'crm',
+      reason: `CRM ${sourceLabel} státusz: "${crmStatus.state}"`,
+      crmState: crmStatus.state
+    });
+  }
+
+  logger.info({
+    service: 'bookingStatusSync',
+    operation: 'syncBooking',
+    bookingId: booking.id,
+    fromStatus,
+    toStatus: newStatus,
+    steps: path.length,
+    crmState: crmStatus.state
+  }, 'Booking status updated from CRM');
+
+  const notified = notifyEnabled && NOTIFY_STATUSES.includes(newStatus)
+    ? await notifyClient(booking, change)
+    : false;
+
+  return { changed: true, notified };
+}
+
+/**
+ * Poll the CRM for the open bookings (least recently checked first)
+ * @returns {Promise<Object>} { success, paused, checked, changed, notified, errors }
+ */
+async function syncBookingStatuses() {
+  const stats = { success: true, checked: 0, changed: 0, notified: 0, errors: 0 };
+  const crmProvider = await getCrmProvider();
+
+  if (!crmProvider.isAvailable()) {
+    logger.warn({ service: 'bookingStatusSync', provider: crmProvider.key }, 'CRM paused, status sync skipped');
+    return { ...stats, success: false, paused: true, error: CRM_PAUSED_MESSAGE };
+  }
+
+  const notifyEnabled = await Setting.get(NOTIFY_CLIENT_KEY, false);
+  const bookings = await Booking.findAll({
+    where: {
+      status: { [Op.in]: OPEN_STATUSES },
+      vtigerLeadId: { [Op.ne]: null }
+    },
+    include: [{ model: Performer, as: 'performer', required: false }],
+    order: [['crmStatusCheckedAt', 'ASC'], ['id', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  for (const booking of bookings) {
+    if (!crmProvider.isAvailable()) {
+      logger.warn({ service: 'bookingStatusSync', provider: crmProvider.key }, 'CRM paused during status sync');
+      break;
+    }
+
+    try {
+      const result = await syncBooking(crmProvider, booking, notifyEnabled);
+      stats.checked += 1;
+      stats.changed += result.changed ? 1 : 0;
+      stats.notified += result.notified ? 1 : 0;
+    } catch (error) {
+      stats.errors += 1;
+      logger.error({
+        err: error,
+        service: 'bookingStatusSync',
+        operation: 'syncBooking',
+        bookingId: booking.id
+      }, 'Failed to check booking status in CRM');
+    }
+  }
+
+  logger.info({ service: 'bookingStatusSync', provider: crmProvider.key, ...stats }, 'Booking status sync completed');
+  return stats;
+}
+
+module.exports = {
+  STATUS_MAP,
+  NOTIFY_CLIENT_KEY,
+  resolveStatusPath,
+  syncBookingStatuses
+};
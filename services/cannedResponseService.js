@@ -0,0 +1,175 @@
+/**
+ * Canned Response Service
+ * Reusable sales chat replies: management and variable substitution for a chat session
+ *
+ * Variables: {{visitorName}}, {{agentName}}, {{performerName}}, {{performerPrice}}, {{performerUrl}}
+ * The performer variables need a performer picked in the chat UI.
+ */
+
+const { UniqueConstraintError } = require('sequelize');
+const { CannedResponse, Performer } = require('../models');
+const settingsService = require('./settingsService');
+
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+const DEFAULT_VISITOR_NAME = 'Érdeklődő';
+const CUSTOM_PRICE_LABEL = 'egyedi árajánlat alapján';
+
+// Sablon változók (súgó a gyors válaszok oldalon)
+const VARIABLES = {
+  visitorName: 'A látogató neve',
+  agentName: 'A válaszoló értékesítő neve',
+  performerName: 'A kiválasztott előadó neve',
+  performerPrice: 'A kiválasztott előadó fellépti díja',
+  performerUrl: 'A kiválasztott előadó oldalának címe'
+};
+const PERFORMER_VARIABLES = ['performerName', 'performerPrice', 'performerUrl'];
+
+/**
+ * Variables used in a template
+ * @param {string} content
+ * @returns {string[]}
+ */
+function getTemplateVariables(content) {
+  return [...content.matchAll(VARIABLE_PATTERN)].map((match) => match[1]);
+}
+
+/**
+ * All responses for the management page (active first, most used first)
+ * @returns {Promise<Array>}
+ */
+async function listResponses() {
+  return await CannedResponse.findAll({
+    order: [['isActive', 'DESC'], ['category', 'ASC'], ['usageCount', 'DESC'], ['title', 'ASC']]
+  });
+}
+
+/**
+ * Active responses for the chat UI picker
+ * @returns {Promise<Array>} [{ id, title, shortcut, category, needsPerformer }]
+ */
+async function listActiveResponses() {
+  const responses = await CannedResponse.findAll({
+    where: { isActive: true },
+    order: [['category', 'ASC'], ['usageCount', 'DESC'], ['title', 'ASC']]
+  });
+
+  return responses.map((response) => ({
+    id: response.id,
+    title: response.title,
+    shortcut: response.shortcut,
+    category: response.category,
+    needsPerformer: getTemplateVariables(response.content).some((name) => PERFORMER_VARIABLES.includes(name))
+  }));
+}
+
+/**
+ * Create or update a response
+ * @param {number|null} id - Response to update (null creates a new one)
+ * @param {Object} data - { title, shortcut, category, content, isActive }
+ * @param {Object} actor - Session user
+ * @returns {Promise<Object>} CannedResponse
+ * @throws {Error} Unknown variable, duplicate shortcut or missing response
+ */
+async function saveResponse(id, data, actor) {
+  const unknown = getTemplateVariables(data.content).filter((name) => !VARIABLES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Ismeretlen változó: {{${unknown[0]}}}`);
+  }
+
+  const values = {
+    title: data.title,
+    shortcut: data.shortcut || null,
+    category: data.category || null,
+    content: data.content,
+    isActive: data.isActive === true || data.isActive === 'true'
+  };
+
+  try {
+    if (!id) {
+      return await CannedResponse.create({ ...values, createdBy: actor.id });
+    }
+
+    const response = await CannedResponse.findByPk(id);
+    if (!response) {
+      throw new Error('A gyors válasz nem található');
+    }
+    return await response.update(values);
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw new Error(`A "${values.shortcut}" rövidítés már foglalt`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a response
+ * @param {number} id
+ * @returns {Promise<boolean>} Whether a response was deleted
+ */
+async function deleteResponse(id) {
+  return await CannedResponse.destroy({ where: { id } }) > 0;
+}
+
+/**
+ * Performer variable values
+ * @private
+ */
+async function getPerformerVariables(performerId) {
+  const performer = await Performer.findByPk(performerId, {
+    attributes: ['id', 'name', 'slug', 'price', 'priceListRestriction']
+  });
+  if (!performer) {
+    throw new Error('Az előadó nem található');
+  }
+
+  const domain = await settingsService.get('site.domain', '');
+  const hasPublicPrice = !performer.priceListRestriction && Number(performer.price) > 0;
+
+  return {
+    performerName: performer.name,
+    performerPrice: hasPublicPrice ? `${Number(performer.price).toLocaleString('hu-HU')} Ft` : CUSTOM_PRICE_LABEL,
+    performerUrl: `${domain}/eloadok/${performer.slug}`
+  };
+}
+
+/**
+ * Fill in a response for a chat session and count the usage
+ * @param {number} responseId
+ * @param {Object} session - ChatSession instance
+ * @param {Object} options - { performerId, agent }
+ * @returns {Promise<string>} Message text for the agent to review and send
+ * @throws {Error} Missing response or a performer variable without a performer
+ */
+async function renderResponse(responseId, session, { performerId = null, agent }) {
+  const response = await CannedResponse.findOne({ where: { id: responseId, isActive: true } });
+  if (!response) {
+    throw new Error('A gyors válasz nem található');
+  }
+
+  const used = getTemplateVariables(response.content);
+  const needsPerformer = used.some((name) => PERFORMER_VARIABLES.includes(name));
+
+  if (needsPerformer && !performerId) {
+    throw new Error('Ehhez a válaszhoz válasszon előadót');
+  }
+
+  const variables = {
+    visitorName: session.userName || DEFAULT_VISITOR_NAME,
+    agentName: agent.name,
+    ...(needsPerformer ? await getPerformerVariables(performerId) : {})
+  };
+
+  await response.increment('usageCount');
+
+  return response.content.replace(VARIABLE_PATTERN, (placeholder, name) => variables[name] ?? placeholder);
+}
+
+module.exports = {
+  VARIABLES,
+  listResponses,
+  listActiveResponses,
+  saveResponse,
+  deleteResponse,
+  renderResponse
+};
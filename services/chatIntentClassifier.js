@@ -0,0 +1,209 @@
+/**
+ * Chat Intent Classifier
+ * Structured intent/sentiment classification of visitor messages (OpenAI forced function call)
+ * and the escalation decision based on the thresholds of the AI behavior admin page
+ * (AIBehaviorSetting category "classification").
+ */
+
+const { AIBehaviorSetting } = require('../models');
+const logger = require('../config/logger');
+
+const SETTINGS_CATEGORY = 'classification';
+const CLASSIFIER_MODEL = 'gpt-4';
+const HISTORY_MESSAGES = 6;
+const INTENTS = ['booking', 'pricing', 'complaint', 'human_request', 'other'];
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Settings holding a 0-1 score threshold (validated on the admin page)
+const THRESHOLD_KEYS = ['minConfidence', 'humanRequestThreshold', 'complaintThreshold', 'bookingIntentThreshold'];
+
+const DEFAULT_THRESHOLDS = {
+  enabled: true,
+  minConfidence: 0.5,
+  humanRequestThreshold: 0.6,
+  complaintThreshold: 0.7,
+  escalateOnNegativeSentiment: true,
+  escalateOnBookingIntent: false,
+  bookingIntentThreshold: 0.8
+};
+
+const SCORE_PROPERTY = { type: 'number', minimum: 0, maximum: 1 };
+
+const CLASSIFY_FUNCTION = {
+  name: 'classify_message',
+  description: 'A látogató legutóbbi üzenetének szándék- és hangulatelemzése',
+  parameters: {
+    type: 'object',
+    properties: {
+      primaryIntent: { type: 'string', enum: INTENTS },
+      scores: {
+        type: 'object',
+        description: 'Az egyes szándékok erőssége 0 és 1 között',
+        properties: {
+          booking: { ...SCORE_PROPERTY, description: 'Foglalni / ajánlatot kérni szeretne' },
+          pricing: { ...SCORE_PROPERTY, description: 'Árakról, költségekről érdeklődik' },
+          complaint: { ...SCORE_PROPERTY, description: 'Panaszt tesz, elégedetlen' },
+          humanRequest: { ...SCORE_PROPERTY, description: 'Élő munkatárssal szeretne beszélni' }
+        },
+        required: ['booking', 'pricing', 'complaint', 'humanRequest']
+      },
+      sentiment: { type: 'string', enum: SENTIMENTS },
+      confidence: { ...SCORE_PROPERTY, description: 'Mennyire biztos az elemzés' }
+    },
+    required: ['primaryIntent', 'scores', 'sentiment', 'confidence']
+  }
+};
+
+/**
+ * Clamp a score into 0-1
+ * @private
+ */
+function toScore(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, 0), 1) : 0;
+}
+
+/**
+ * Normalize the function call arguments of the model
+ * @private
+ */
+function normalizeClassification(raw, model) {
+  const scores = raw.scores || {};
+
+  return {
+    primaryIntent: INTENTS.includes(raw.primaryIntent) ? raw.primaryIntent : 'other',
+    scores: {
+      booking: toScore(scores.booking),
+      pricing: toScore(scores.pricing),
+      complaint: toScore(scores.complaint),
+      humanRequest: toScore(scores.humanRequest)
+    },
+    sentiment: SENTIMENTS.includes(raw.sentiment) ? raw.sentiment : 'neutral',
+    confidence: toScore(raw.confidence),
+    model,
+    classifiedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Escalation thresholds from the AI behavior settings (defaults for missing rows)
+ * @returns {Promise<Object>}
+ */
+async function getThresholds() {
+  const settings = await AIBehaviorSetting.getByCategory(SETTINGS_CATEGORY);
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+
+  settings.forEach((setting) => {
+    if (setting.settingKey in thresholds) {
+      thresholds[setting.settingKey] = setting.getParsedValue();
+    }
+  });
+
+  return thresholds;
+}
+
+/**
+ * Classify a visitor message
+ * @param {Object} openai - OpenAI client
+ * @param {string} messageContent - Visitor message
+ * @param {Array} history - Previous conversation turns ({ role, content }), oldest first
+ * @returns {Promise<Object>} { primaryIntent, scores, sentiment, confidence, model, classifiedAt }
+ */
+async function classifyMessage(openai, messageContent, history = []) {
+  const context = history
+    .slice(-HISTORY_MESSAGES)
+    .map((msg) => `${msg.role === 'user' ? 'Látogató' : 'Asszisztens'}: ${msg.content}`)
+    .join('\n');
+  const contextBlock = context ? `Előzmények:\n${context}\n\n` : '';
+
+  const completion = await openai.chat.completions.create({
+    model: CLASSIFIER_MODEL,
+    messages: [
+      {
+        role: 'system',
+        content: 'Egy fellépő-közvetítő oldal chatjének üzeneteit elemzed. '
+          + 'Csak a látogató legutóbbi üzenetét osztályozd, az előzmények csak kontextus.'
+      },
+      { role: 'user', content: `${contextBlock}Legutóbbi üzenet:\n${messageContent}` }
+    ],
+    tools: [{ type: 'function', function: CLASSIFY_FUNCTION }],
+    // eslint-disable-next-line camelcase -- OpenAI API parameter
+    tool_choice: { type: 'function', function: { name: CLASSIFY_FUNCTION.name } },
+    temperature: 0,
+    // eslint-disable-next-line camelcase -- OpenAI API parameter
+    max_tokens: 150
+  });
+
+  // eslint-disable-next-line camelcase -- OpenAI API response field
+  const [toolCall] = completion.choices[0].message.tool_calls || [];
+  if (!toolCall) {
+    throw new Error('Classifier returned no function call');
+  }
+
+  return normalizeClassification(JSON.parse(toolCall.function.arguments), completion.model);
+}
+
+/**
+ * Escalation decision of a classification
+ * @param {Object} classification - classifyMessage() result
+ * @param {Object} thresholds - getThresholds() result
+ * @returns {Object} { escalate, reason } - reason is stored as the session's escalation reason
+ */
+function evaluateEscalation(classification, thresholds) {
+  const none = { escalate: false, reason: null };
+
+  if (!thresholds.enabled || classification.confidence < thresholds.minConfidence) {
+    return none;
+  }
+
+  const { scores } = classification;
+
+  if (scores.humanRequest >= thresholds.humanRequestThreshold) {
+    return { escalate: true, reason: 'ai_intent_human_request' };
+  }
+  if (scores.complaint >= thresholds.complaintThreshold) {
+    return { escalate: true, reason: 'ai_intent_complaint' };
+  }
+  if (thresholds.escalateOnNegativeSentiment && classification.sentiment === 'negative') {
+    return { escalate: true, reason: 'ai_negative_sentiment' };
+  }
+  if (thresholds.escalateOnBookingIntent && scores.booking >= thresholds.bookingIntentThreshold) {
+    return { escalate: true, reason: 'ai_intent_booking' };
+  }
+
+  return none;
+}
+
+/**
+ * Classify a visitor message and decide about escalation
+ * Returns null when classification is disabled or fails (callers fall back to keyword rules).
+ *
+ * @param {Object} openai - OpenAI client
+ * @param {string} messageContent
+ * @param {Array} history - Previous conversation turns
+ * @returns {Promise<Object|null>} { classification, escalate, reason }
+ */
+async function analyzeMessage(openai, messageContent, history = []) {
+  const thresholds = await getThresholds();
+
+  if (!thresholds.enabled) {
+    return null;
+  }
+
+  try {
+    const classification = await classifyMessage(openai, messageContent, history);
+    return { classification, ...evaluateEscalation(classification, thresholds) };
+  } catch (error) {
+    logger.warn({ err: error, service: 'chatIntentClassifier' }, 'Message classification failed');
+    return null;
+  }
+}
+
+module.exports = {
+  SETTINGS_CATEGORY,
+  THRESHOLD_KEYS,
+  getThresholds,
+  classifyMessage,
+  evaluateEscalation,
+  analyzeMessage
+};
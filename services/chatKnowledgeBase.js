@@ -13,7 +13,7 @@
  */
 
 const settingsService = require('./settingsService');
-const { FaqCategory, FaqItem, Performer } = require('../models');
+const { FaqCategory, FaqItem } = require('../models');
 const logger = require('../config/logger');
 
 /**
@@ -71,103 +71,6 @@ async function loadFaqFromDB() {
   }
 }
 
-/**
- * Search for specific performer(s) by name
- * Used for RAG (Retrieval Augmented Generation) when user asks about specific performer
- * @param {string} searchQuery - Performer name to search for
- * @returns {Promise<string|null>} Formatted performer details or null if not found
- */
-async function searchPerformerByName(searchQuery) {
-  try {
-    // Check if Performers RAG is enabled (default: true)
-    const { AIBehaviorSetting } = require('../models');
-    const settingsByCategory = await AIBehaviorSetting.getAllByCategory();
-    const kbContent = settingsByCategory.knowledgeBase || [];
-    const usePerformersSetting = kbContent.find((s) => s.settingKey === 'usePerformers');
-    const usePerformers = usePerformersSetting ? usePerformersSetting.getParsedValue() : true;
-
-    if (!usePerformers) {
-      logger.info({ searchQuery }, 'RAG: Performers search disabled in admin settings');
-      return null;
-    }
-
-    logger.info({ searchQuery }, 'RAG: searchPerformerByName called');
-
-    const { Op } = require('sequelize');
-
-    // Extract potential performer names from the query
-    // Look for capitalized words (performer names are usually capitalized)
-    const words = searchQuery.split(/\s+/);
-    const capitalizedWords = words.filter((word) => /^[A-ZÁÉÍÓÖŐÚÜŰ]/.test(word));
-
-    // Build search conditions for each potential name part
-    const searchConditions = capitalizedWords.map((word) => ({
-      name: { [Op.like]: `%${word}%` }
-    }));
-
-    if (searchConditions.length === 0) {
-      logger.info({ searchQuery }, 'RAG: No capitalized words found in query');
-      return null;
-    }
-
-    const performers = await Performer.findAll({
-      where: {
-        isActive: true,
-        [Op.or]: searchConditions
-      },
-      attributes: ['name', 'category', 'price', 'duration', 'performanceType', 'travelCost', 'description'],
-      order: [['name', 'ASC']],
-      limit: 10 // Max 10 results to prevent token overflow
-    });
-
-    logger.info({
-      searchQuery,
-      capitalizedWords,
-      resultCount: performers.length,
-      foundNames: performers.map((p) => p.name)
-    }, 'RAG: Performer search completed');
-
-    if (performers.length === 0) {
-      return null;
-    }
-
-    // Format detailed info
-    let output = `\n🎤 ELŐADÓ KERESÉS EREDMÉNYE: "${searchQuery}"\n${'═'.repeat(60)}\n\n`;
-
-    performers.forEach((p, idx) => {
-      output += `${idx + 1}. ${p.name}\n`;
-      output += `   Kategória: ${p.category || 'N/A'}\n`;
-
-      if (p.price) {
-        output += `   Ár: ${p.price.toLocaleString('hu-HU')} Ft\n`;
-      }
-
-      if (p.duration) {
-        output += `   Műsoridő: ${p.duration} perc\n`;
-      }
-
-      if (p.performanceType) {
-        output += `   Típus: ${p.performanceType}\n`;
-      }
-
-      if (p.travelCost) {
-        output += `   Utazási költség: ${p.travelCost}\n`;
-      }
-
-      if (p.description) {
-        output += `   Leírás: ${p.description}\n`;
-      }
-
-      output += '\n';
-    });
-
-    return output;
-  } catch (error) {
-    logger.warn({ err: error, searchQuery }, 'Failed to search performer');
-    return null;
-  }
-}
-
 /**
  * Get comprehensive knowledge base for AI context
  * Dynamically builds from database (NO hardcoded fallbacks)
@@ -257,6 +160,5 @@ esetén MINDIG továbbítsd a beszélgetést egy munkatársunknak!
 }
 
 module.exports = {
-  getEnhancedKnowledgeBase,
-  searchPerformerByName
+  getEnhancedKnowledgeBase
 };
@@ -0,0 +1,419 @@
+/**
+ * Chat Quote Service
+ * Converts a chat conversation into a quote request: the AI extracts the event details
+ * (date, location, budget, performer interest) from the transcript, the sales user reviews
+ * the pre-filled form, and the created quote links back to the session (quotes.chatSessionId).
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const { ChatSession, ChatMessage, Quote, Performer } = require('../models');
+const referenceNumberService = require('./referenceNumberService');
+const quoteService = require('./quoteService');
+const { createOpenAIClient } = require('./chatService');
+const { getLocalDateString, isValidDay } = require('../utils/calendar');
+const logger = require('../config/logger');
+
+const EXTRACTION_MODEL = 'gpt-4';
+const TRANSCRIPT_ROLES = ['user', 'assistant', 'admin'];
+const MAX_TRANSCRIPT_CHARS = 12000;
+const MAX_PERFORMER_MATCHES = 5;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// Beszélő címkék az átiratban
+const SPEAKER_LABELS = {
+  user: 'Látogató',
+  assistant: 'AI asszisztens',
+  admin: 'Értékesítő'
+};
+
+const EXTRACT_FUNCTION = {
+  name: 'extract_quote_details',
+  description: 'Ajánlatkéréshez szükséges rendezvény adatok kinyerése a chat beszélgetésből. '
+    + 'Csak azt add meg, ami a beszélgetésben elhangzott, a többi mezőt hagyd ki.',
+  parameters: {
+    type: 'object',
+    properties: {
+      eventDate: { type: 'string', description: 'Rendezvény dátuma YYYY-MM-DD formátumban' },
+      eventDateFlexible: { type: 'boolean', description: 'A dátum még nem végleges / rugalmas' },
+      eventTime: { type: 'string', description: 'Kezdési időpont HH:MM formátumban' },
+      eventLocation: { type: 'string', description: 'Helyszín (település, cím vagy helyszín neve)' },
+      eventType: { type: 'string', description: 'Rendezvény típusa, pl. esküvő, céges rendezvény, születésnap' },
+      guestCount: { type: 'string', description: 'Vendégek várható száma' },
+      budget: { type: 'integer', description: 'Költségkeret forintban' },
+      performerNames: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Előadók, akik iránt a látogató érdeklődött'
+      },
+      styles: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Kért zenei / műsor stílusok'
+      },
+      summary: { type: 'string', description: 'Az igény rövid összefoglalója az értékesítőnek (magyarul)' }
+    },
+    required: ['summary']
+  }
+};
+
+/**
+ * Trimmed string limited to a column length, null when empty
+ * @private
+ */
+function toText(value, maxLength) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  return value.trim().slice(0, maxLength);
+}
+
+/**
+ * Non-empty strings of an array
+ * @private
+ */
+function toTextList(value) {
+  return Array.isArray(value) ? value.map((item) => toText(item, 100)).filter(Boolean) : [];
+}
+
+/**
+ * Positive integer or null
+ * @private
+ */
+function toPositiveInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Normalize the function call arguments of the model
+ * @private
+ */
+function normalizeExtraction(raw) {
+  return {
+    eventDate: isValidDay(raw.eventDate) ? raw.eventDate : null,
+    eventDateFlexible: raw.eventDateFlexible === true,
+    eventTime: TIME_PATTERN.test(raw.eventTime || '') ? raw.eventTime : null,
+    eventLocation: toText(raw.eventLocation, 255),
+    eventType: toText(raw.eventType, 100),
+    guestCount: toText(raw.guestCount, 20),
+    budget: toPositiveInt(raw.budget),
+    performerNames: toTextList(raw.performerNames),
+    styles: toTextList(raw.styles),
+    summary: toText(raw.summary, 2000)
+  };
+}
+
+/**
+ * Readable transcript of the conversation (the most recent part when too long)
+ * @param {Array} messages - ChatMessage instances, oldest first
+ * @returns {string}
+ */
+function buildTranscript(messages) {
+  const transcript = messages
+    .filter((msg) => TRANSCRIPT_ROLES.includes(msg.role))
+    .map((msg) => `${SPEAKER_LABELS[msg.role]}: ${msg.content}`)
+    .join('\n');
+
+  return transcript.length > MAX_TRANSCRIPT_CHARS ? transcript.slice(-MAX_TRANSCRIPT_CHARS) : transcript;
+}
+
+/**
+ * Extract quote details from a transcript
+ * @param {Object} openai - OpenAI client
+ * @param {string} transcript
+ * @returns {Promise<Object>} Normalized details (missing values are null / empty)
+ */
+async function extractQuoteDetails(openai, transcript) {
+  const completion = await openai.chat.completions.create({
+    model: EXTRACTION_MODEL,
+    messages: [
+      {
+        role: 'system',
+        content: 'Egy fellépő-közvetítő iroda értékesítőjének segítesz ajánlatkérést rögzíteni '
+          + 'egy chat beszélgetésből. '
+          + `A mai dátum: ${getLocalDateString()}. A relatív dátumokat (pl. "jövő szombat") ehhez képest számold.`
+      },
+      { role: 'user', content: transcript }
+    ],
+    tools: [{ type: 'function', function: EXTRACT_FUNCTION }],
+    // eslint-disable-next-line camelcase -- OpenAI API parameter
+    tool_choice: { type: 'function', function: { name: EXTRACT_FUNCTION.name } },
+    temperature: 0,
+    // eslint-disable-next-line camelcase -- OpenAI API parameter
+    max_tokens: 500
+  });
+
+  // eslint-disable-next-line camelcase -- OpenAI API response field
+  const [toolCall] = completion.choices[0].message.tool_calls || [];
+  if (!toolCall) {
+    throw new Error('Extraction returned no function call');
+  }
+
+  return normalizeExtraction(JSON.parse(toolCall.function.arguments));
+}
+
+/**
+ * Active performers matching the names mentioned in the chat
+ * @private
+ */
+async function findMentionedPerformers(names) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  return await Performer.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: names.map((name) => ({ name: { [Op.like]: `%${name}%` } }))
+    },
+    attributes: ['id', 'name', 'slug'],
+    order: [['name', 'ASC']],
+    limit: MAX_PERFORMER_MATCHES
+  });
+}
+
+/**
+ * Quote form values from the session contact data and the extracted details
+ * @private
+ */
+function buildPrefill(session, details, performers) {
+  return {
+    performerId: performers.length > 0 ? performers[0].id : '',
+    eventDate: details.eventDate || '',
+    eventDateFlexible: details.eventDateFlexible,
+    eventTime: details.eventTime || '',
+    eventLocation: details.eventLocation || '',
+    eventType: details.eventType || '',
+    guestCount: details.guestCount || '',
+    budget: details.budget || '',
+    styles: details.styles.join(', '),
+    contactName: session.userName || '',
+    contactEmail: session.userEmail || '',
+    contactPhone: session.userPhone || '',
+    notes: details.summary || ''
+  };
+}
+
+/**
+ * Run the AI extraction; failures only mean an empty form for the reviewer
+ * @private
+ */
+async function tryExtract(transcript, sessionId) {
+  if (!transcript) {
+    return { details: null, aiError: 'A beszélgetésben még nincs üzenet' };
+  }
+
+  try {
+    const openai = await createOpenAIClient();
+    return { details: await extractQuoteDetails(openai, transcript), aiError: null };
+  } catch (error) {
+    logger.warn({ err: error, service: 'chatQuote', operation: 'extract', sessionId }, 'Quote extraction failed');
+    return { details: null, aiError: 'Az AI adatkinyerés nem sikerült, kérjük töltse ki kézzel az adatokat' };
+  }
+}
+
+/**
+ * Chat session with its messages, oldest first
+ * @param {number} sessionId
+ * @returns {Promise<Object|null>}
+ */
+async function getSessionWithMessages(sessionId) {
+  return await ChatSession.findByPk(sessionId, {
+    include: [{ model: ChatMessage, as: 'messages', required: false }],
+    order: [[{ model: ChatMessage, as: 'messages' }, 'createdAt', 'ASC']]
+  });
+}
+
+/**
+ * Quote already converted from a chat session
+ * @param {number} sessionId
+ * @returns {Promise<Object|null>}
+ */
+async function getLinkedQuote(sessionId) {
+  return await Quote.findOne({
+    where: { chatSessionId: sessionId },
+    attributes: ['id', 'referenceId', 'status', 'createdAt']
+  });
+}
+
+/**
+ * Submitted form values over the session defaults (re-rendering the form after a validation error)
+ * @private
+ */
+async function buildSubmittedPrefill(session, values) {
+  const prefill = buildPrefill(session, normalizeExtraction({}), []);
+
+  Object.keys(prefill).forEach((field) => {
+    if (values[field] !== undefined) {
+      prefill[field] = values[field];
+    }
+  });
+  prefill.eventDateFlexible = values.eventDateFlexible === true || values.eventDateFlexible === 'true';
+
+  const performerId = toPositiveInt(values.performerId);
+  const performers = performerId
+    ? await Performer.findAll({ where: { id: performerId }, attributes: ['id', 'name', 'slug'] })
+    : [];
+
+  return { prefill, performers };
+}
+
+/**
+ * Data of the review form: session, transcript, existing quote and the pre-filled values
+ * The AI extraction runs only for a fresh form of a not yet converted session.
+ * @param {number} sessionId
+ * @param {Object} options - { values: submitted form values instead of the AI extraction }
+ * @returns {Promise<Object|null>} { session, transcript, linkedQuote, prefill, performers, aiExtracted, aiError }
+ */
+async function getConversionPreview(sessionId, { values = null } = {}) {
+  const session = await getSessionWithMessages(sessionId);
+
+  if (!session) {
+    return null;
+  }
+
+  const transcript = buildTranscript(session.messages || []);
+  const linkedQuote = await getLinkedQuote(session.id);
+  const preview = { session, transcript, linkedQuote, aiExtracted: false, aiError: null };
+
+  if (values) {
+    return { ...preview, ...(await buildSubmittedPrefill(session, values)) };
+  }
+
+  const { details, aiError } = linkedQuote
+    ? { details: null, aiError: null }
+    : await tryExtract(transcript, session.id);
+  const performers = details ? await findMentionedPerformers(details.performerNames) : [];
+
+  return {
+    ...preview,
+    prefill: buildPrefill(session, details || normalizeExtraction({}), performers),
+    performers,
+    aiExtracted: Boolean(details),
+    aiError
+  };
+}
+
+/**
+ * Quote attributes from the reviewed form values
+ * @private
+ */
+function buildQuoteValues(session, data, performerId, actor) {
+  const eventType = toText(data.eventType, 100);
+  const styles = toTextList(String(data.styles || '').split(','));
+
+  return {
+    performerId,
+    eventDate: isValidDay(data.eventDate) ? data.eventDate : null,
+    eventDateFlexible: data.eventDateFlexible === true || data.eventDateFlexible === 'true',
+    eventTime: TIME_PATTERN.test(data.eventTime || '') ? data.eventTime : null,
+    eventLocation: toText(data.eventLocation, 255),
+    eventTypes: eventType ? [eventType] : null,
+    guestCount: toText(data.guestCount, 20),
+    budget: toPositiveInt(data.budget),
+    styles: styles.length > 0 ? styles : null,
+    contactName: data.contactName.trim(),
+    contactEmail: data.contactEmail.trim(),
+    contactPhone: toText(data.contactPhone, 50),
+    notes: toText(data.notes, 5000),
+    status: 'pending',
+    userId: session.userId || null,
+    assignedTo: actor.id,
+    assignedAt: new Date(),
+    chatSessionId: session.id
+  };
+}
+
+/**
+ * Error for a session that already has a quote
+ * @private
+ */
+function alreadyConvertedError(linkedQuote) {
+  return new Error(`Ebből a beszélgetésből már készült ajánlatkérés: ${linkedQuote.referenceId}`);
+}
+
+/**
+ * Check whether an error is the unique conflict on quotes.chatSessionId (a concurrent conversion)
+ * @private
+ */
+function isChatSessionConflict(error) {
+  if (!(error instanceof UniqueConstraintError)) {
+    return false;
+  }
+
+  const paths = (error.errors || []).map((item) => item.path);
+  const fields = Object.keys(error.fields || {});
+
+  return [...paths, ...fields].some((name) => name && name.includes('chatSession'));
+}
+
+/**
+ * Create the reviewed quote, assigned to the converting sales user
+ * The quote and its activity entry are written in one transaction; the unique index on
+ * quotes.chatSessionId rejects a concurrent second conversion of the same session.
+ * The CRM lead is pushed later by the quote sync job, so only a committed quote reaches it.
+ * @param {Object} session - ChatSession instance
+ * @param {Object} data - Reviewed form values
+ * @param {Object} actor - Session user
+ * @returns {Promise<Object>} Created Quote
+ * @throws {Error} If the session was already converted or the performer is unknown
+ */
+async function convertToQuote(session, data, actor) {
+  const linkedQuote = await getLinkedQuote(session.id);
+  if (linkedQuote) {
+    throw alreadyConvertedError(linkedQuote);
+  }
+
+  const performerId = toPositiveInt(data.performerId);
+  if (performerId && !(await Performer.findByPk(performerId, { attributes: ['id'] }))) {
+    throw new Error('A kiválasztott előadó nem található');
+  }
+
+  const values = buildQuoteValues(session, data, performerId, actor);
+
+  let quote;
+  try {
+    quote = await Quote.sequelize.transaction(async (transaction) => {
+      const created = await referenceNumberService.createWithReference(
+        'quote',
+        (referenceId) => Quote.create({ ...values, referenceId }, { transaction })
+      );
+
+      await quoteService.recordActivity({
+        quoteId: created.id,
+        userId: actor.id,
+        type: 'note',
+        message: `Chat beszélgetésből létrehozva (#${session.id})`,
+        metadata: { chatSessionId: session.id }
+      }, { transaction });
+
+      return created;
+    });
+  } catch (error) {
+    if (isChatSessionConflict(error)) {
+      const existing = await getLinkedQuote(session.id);
+      throw existing ? alreadyConvertedError(existing) : error;
+    }
+    throw error;
+  }
+
+  logger.info({
+    service: 'chatQuote',
+    operation: 'convertToQuote',
+    sessionId: session.id,
+    quoteId: quote.id,
+    referenceId: quote.referenceId,
+    userId: actor.id
+  }, 'Chat session converted to quote');
+
+  return quote;
+}
+
+module.exports = {
+  buildTranscript,
+  extractQuoteDetails,
+  getSessionWithMessages,
+  getLinkedQuote,
+  getConversionPreview,
+  convertToQuote
+};
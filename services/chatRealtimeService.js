@@ -0,0 +1,170 @@
+/**
+ * Chat Realtime Service
+ * Server-Sent Events push channel for the chat widget and the sales dashboard
+ * (new messages, typing indicators, session status changes, waiting queue positions)
+ *
+ * Every created ChatMessage and every ChatSession status / assignment change is published
+ * through model hooks, so callers do not have to notify the clients themselves.
+ * The channel is in-process: clients that cannot keep a stream open fall back to polling.
+ */
+
+const { EventEmitter } = require('events');
+const { ChatSession, ChatMessage } = require('../models');
+const logger = require('../config/logger');
+
+const ADMIN_CHANNEL = 'admin';
+const HOOK_NAME = 'chatRealtime';
+const HEARTBEAT_INTERVAL_MS = 25000;
+const RECONNECT_DELAY_MS = 3000;
+
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+/**
+ * Channel name of a chat session
+ */
+function getSessionChannel(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Message payload (same shape as the session API responses)
+ */
+function formatMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    content: message.content,
+    createdAt: message.createdAt,
+    isRead: message.isRead
+  };
+}
+
+/**
+ * Publish an event to the session's visitor and to the sales dashboards
+ * @param {number} sessionId
+ * @param {string} event - message | typing | status | queue
+ * @param {Object} data
+ */
+function publish(sessionId, event, data) {
+  const payload = { sessionId, ...data };
+
+  bus.emit(getSessionChannel(sessionId), event, payload);
+  bus.emit(ADMIN_CHANNEL, event, payload);
+}
+
+/**
+ * Publish a new chat message
+ */
+function publishMessage(message) {
+  publish(message.sessionId, 'message', { message: formatMessage(message) });
+}
+
+/**
+ * Publish a session status change
+ */
+function publishStatus(session) {
+  publish(session.id, 'status', {
+    status: session.status,
+    assignedSalesId: session.assignedSalesId || null
+  });
+}
+
+/**
+ * Publish a typing indicator
+ * @param {number} sessionId
+ * @param {string} role - user | admin
+ * @param {boolean} isTyping
+ */
+function publishTyping(sessionId, role, isTyping) {
+  publish(sessionId, 'typing', { role, isTyping: Boolean(isTyping) });
+}
+
+/**
+ * Publish the waiting queue position of an unassigned escalated session
+ * @param {number} sessionId
+ * @param {Object|null} queue - { position, agentsOnline, estimatedWaitMinutes }
+ */
+function publishQueue(sessionId, queue) {
+  publish(sessionId, 'queue', { queue });
+}
+
+/**
+ * Keep the request open as an event stream on a channel
+ * Compression buffers the response, so every write is flushed explicitly.
+ */
+function openStream(req, res, channel) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  const listener = (event, data) => {
+    write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  bus.on(channel, listener);
+  write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    bus.off(channel, listener);
+  });
+}
+
+/**
+ * Event stream of one chat session (visitor widget)
+ */
+function subscribeSession(req, res, sessionId) {
+  openStream(req, res, getSessionChannel(sessionId));
+}
+
+/**
+ * Event stream of every chat session (sales dashboard)
+ */
+function subscribeAdmin(req, res) {
+  openStream(req, res, ADMIN_CHANNEL);
+}
+
+/**
+ * Run a publisher without letting a push failure break the database write
+ */
+function safePublish(operation, publisher) {
+  return (instance, options) => {
+    try {
+      publisher(instance, options);
+    } catch (error) {
+      logger.error({ err: error, service: 'chatRealtime', operation }, 'Chat realtime publish failed');
+    }
+  };
+}
+
+ChatMessage.addHook('afterCreate', HOOK_NAME, safePublish('publishMessage', publishMessage));
+ChatSession.addHook('afterUpdate', HOOK_NAME, safePublish('publishStatus', (session) => {
+  if (session.changed('status') || session.changed('assignedSalesId')) {
+    publishStatus(session);
+  }
+}));
+
+module.exports = {
+  publishMessage,
+  publishStatus,
+  publishTyping,
+  publishQueue,
+  subscribeSession,
+  subscribeAdmin
+};
@@ -0,0 +1,581 @@
+/**
+ * Chat Routing Service
+ * Distributes escalated chat sessions across the online sales agents (BookingAvailability heartbeats),
+ * keeps a waiting queue while every agent is at capacity and transfers sessions between agents.
+ *
+ * The queue is every escalated session without an assigned agent, oldest escalation first.
+ * Queued sessions are assigned automatically when an agent frees up (session closed / transferred)
+ * or comes online (heartbeat); visitors get their position and estimated wait over the push channel.
+ */
+
+const { fn, col } = require('sequelize');
+const { ChatSession, ChatMessage, BookingAvailability, AIBehaviorSetting } = require('../models');
+const settingsService = require('./settingsService');
+const chatRealtimeService = require('./chatRealtimeService');
+const logger = require('../config/logger');
+
+const HOOK_NAME = 'chatRouting';
+const FINISHED_STATUSES = ['resolved', 'closed', 'offline'];
+const DEFAULT_ASSIGNMENT_TEMPLATE = 'Beszélgetés átadva: {{adminName}} munkatársunknak';
+
+// Elosztási stratégiák (chat beállítások oldal)
+const STRATEGIES = {
+  leastBusy: 'Legkevésbé terhelt értékesítő',
+  roundRobin: 'Körforgásos (round-robin)'
+};
+
+// Routing beállítások (settings tábla, "chat" kategória)
+const ROUTING_SETTINGS = {
+  strategy: {
+    key: 'chat.routing_strategy',
+    defaultValue: 'leastBusy',
+    type: 'string',
+    description: 'Eszkalált chatek elosztási stratégiája'
+  },
+  maxChatsPerAgent: {
+    key: 'chat.max_chats_per_agent',
+    defaultValue: 3,
+    type: 'number',
+    min: 1,
+    max: 20,
+    description: 'Egyidejű chatek száma értékesítőnként (felette várakozási sor)'
+  },
+  avgHandleMinutes: {
+    key: 'chat.avg_handle_minutes',
+    defaultValue: 8,
+    type: 'number',
+    min: 1,
+    max: 60,
+    description: 'Átlagos kezelési idő (perc) a várakozási idő becsléséhez'
+  }
+};
+
+// Serializes routing decisions (route, claim, transfer, queue drain) so loads and queue places
+// are never decided on stale data
+let routingChain = Promise.resolve();
+
+/**
+ * Run a routing task after the previous ones (a failure does not block the next task)
+ * Tasks must not await runExclusive themselves - that would wait for their own end.
+ * @private
+ */
+function runExclusive(task) {
+  const run = routingChain.then(task);
+  routingChain = run.catch(() => null);
+  return run;
+}
+
+/**
+ * Current routing settings
+ * @returns {Promise<Object>} { strategy, maxChatsPerAgent, avgHandleMinutes }
+ */
+async function getRoutingSettings() {
+  const entries = await Promise.all(Object.entries(ROUTING_SETTINGS).map(async ([name, setting]) => {
+    const value = await settingsService.get(setting.key, setting.defaultValue);
+    return [name, setting.type === 'number' ? parseInt(value, 10) || setting.defaultValue : value];
+  }));
+  const settings = Object.fromEntries(entries);
+
+  if (!STRATEGIES[settings.strategy]) {
+    settings.strategy = ROUTING_SETTINGS.strategy.defaultValue;
+  }
+
+  return settings;
+}
+
+/**
+ * Validate submitted routing settings (normalized chat settings body)
+ * @param {Object} normalized - Setting key → value
+ * @returns {string|null} Error message
+ */
+function validateRoutingSettings(normalized) {
+  const strategy = normalized[ROUTING_SETTINGS.strategy.key];
+  if (strategy !== undefined && !STRATEGIES[strategy]) {
+    return 'Ismeretlen elosztási stratégia';
+  }
+
+  const invalid = ['maxChatsPerAgent', 'avgHandleMinutes'].find((name) => {
+    const setting = ROUTING_SETTINGS[name];
+    const value = normalized[setting.key];
+    if (value === undefined) {
+      return false;
+    }
+    const number = parseInt(value, 10);
+    return !(number >= setting.min && number <= setting.max);
+  });
+
+  if (invalid) {
+    const { min, max } = ROUTING_SETTINGS[invalid];
+    return `Az érték ${min} és ${max} között kell legyen`;
+  }
+
+  return null;
+}
+
+/**
+ * Save submitted routing settings (validated with validateRoutingSettings)
+ * @param {Object} normalized - Setting key → value
+ */
+async function saveRoutingSettings(normalized) {
+  const updates = Object.values(ROUTING_SETTINGS)
+    .filter((setting) => normalized[setting.key] !== undefined)
+    .map((setting) => {
+      const raw = normalized[setting.key];
+      const value = setting.type === 'number' ? parseInt(raw, 10) : raw;
+      return settingsService.set(setting.key, value, setting.type, 'chat', setting.description);
+    });
+
+  await Promise.all(updates);
+
+  if (updates.length > 0) {
+    // A higher capacity may let queued visitors in right away
+    requestQueueDrain();
+  }
+}
+
+/**
+ * Online sales agents with their current load
+ * @returns {Promise<Array>} [{ availability, agentId, name, activeChats, lastAssignedAt }]
+ */
+async function getAgentLoads() {
+  const agents = await BookingAvailability.getAvailableAdmins();
+
+  if (agents.length === 0) {
+    return [];
+  }
+
+  const counts = await ChatSession.findAll({
+    attributes: ['assignedSalesId', [fn('COUNT', col('id')), 'activeChats']],
+    where: { status: 'escalated', assignedSalesId: agents.map((agent) => agent.adminId) },
+    group: ['assignedSalesId'],
+    raw: true
+  });
+  const countByAgent = new Map(counts.map((row) => [row.assignedSalesId, parseInt(row.activeChats, 10)]));
+
+  return agents.map((agent) => ({
+    availability: agent,
+    agentId: agent.adminId,
+    name: agent.admin.name,
+    activeChats: countByAgent.get(agent.adminId) || 0,
+    lastAssignedAt: agent.lastAssignedAt ? new Date(agent.lastAssignedAt).getTime() : 0
+  }));
+}
+
+/**
+ * Choose the agent of the next session (null when everybody is at capacity)
+ * leastBusy: fewest active chats, the longest idle first on ties
+ * roundRobin: the longest idle agent that still has capacity
+ * @param {Array} loads - getAgentLoads() result
+ * @param {Object} settings - getRoutingSettings() result
+ * @returns {Object|null}
+ */
+function pickAgent(loads, settings) {
+  const candidates = loads.filter((load) => load.activeChats < settings.maxChatsPerAgent);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const byIdle = (a, b) => a.lastAssignedAt - b.lastAssignedAt;
+  const byLoad = (a, b) => a.activeChats - b.activeChats;
+  const compare = settings.strategy === 'roundRobin'
+    ? (a, b) => byIdle(a, b) || byLoad(a, b)
+    : (a, b) => byLoad(a, b) || byIdle(a, b);
+
+  return [...candidates].sort(compare)[0];
+}
+
+/**
+ * Visitor-facing assignment message (escalation "systemMessageTemplate" of the AI behavior settings)
+ * @private
+ */
+async function getAssignmentMessage(agentName) {
+  const escalationSettings = await AIBehaviorSetting.getByCategory('escalation');
+  const templateSetting = escalationSettings.find((setting) => setting.settingKey === 'systemMessageTemplate');
+  const template = templateSetting ? templateSetting.getParsedValue() : DEFAULT_ASSIGNMENT_TEMPLATE;
+
+  return template.replace(/\{\{adminName\}\}/g, agentName);
+}
+
+/**
+ * Assign a session to an agent and tell the visitor
+ * Conditional update: only succeeds while the session is escalated and still has the expected agent
+ * (null for a waiting session), so an assignment made in the meantime is never overwritten.
+ * @private
+ * @returns {Promise<boolean>} Whether the session was assigned
+ */
+async function assignToAgent(session, agentId, agentName, expectedAgentId = null) {
+  const [affected] = await ChatSession.update(
+    { assignedSalesId: agentId },
+    { where: { id: session.id, status: 'escalated', assignedSalesId: expectedAgentId } }
+  );
+
+  if (affected === 0) {
+    return false;
+  }
+
+  await session.reload();
+  // Bulk updates skip the instance hooks that push the change to the clients
+  chatRealtimeService.publishStatus(session);
+
+  await BookingAvailability.update({ lastAssignedAt: new Date() }, { where: { adminId: agentId } });
+
+  await ChatMessage.create({
+    sessionId: session.id,
+    role: 'system',
+    content: await getAssignmentMessage(agentName)
+  });
+
+  return true;
+}
+
+/**
+ * Estimated wait of a queue position
+ * @private
+ */
+function buildQueueStatus(position, agentsOnline, settings) {
+  return {
+    position,
+    agentsOnline,
+    estimatedWaitMinutes: agentsOnline > 0
+      ? Math.ceil(position / agentsOnline) * settings.avgHandleMinutes
+      : null
+  };
+}
+
+/**
+ * Waiting sessions, first in line first
+ * @returns {Promise<Array>}
+ */
+async function getQueuedSessions() {
+  return await ChatSession.findAll({
+    where: { status: 'escalated', assignedSalesId: null },
+    order: [['escalatedAt', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+/**
+ * Queue position and estimated wait of a session
+ * @param {Object} session - ChatSession instance
+ * @returns {Promise<Object|null>} { position, agentsOnline, estimatedWaitMinutes } or null when not queued
+ */
+async function getQueueStatus(session) {
+  if (session.status !== 'escalated' || session.assignedSalesId) {
+    return null;
+  }
+
+  const [queued, agents, settings] = await Promise.all([
+    getQueuedSessions(),
+    BookingAvailability.getAvailableAdmins(),
+    getRoutingSettings()
+  ]);
+  const index = queued.findIndex((queuedSession) => queuedSession.id === session.id);
+
+  return buildQueueStatus(index === -1 ? queued.length + 1 : index + 1, agents.length, settings);
+}
+
+/**
+ * Push the current position to every waiting visitor
+ * @private
+ */
+function publishQueueUpdates(queued, agentsOnline, settings) {
+  queued.forEach((session, index) => {
+    chatRealtimeService.publishQueue(session.id, buildQueueStatus(index + 1, agentsOnline, settings));
+  });
+}
+
+/**
+ * Assign waiting sessions while agents have free capacity, then update the remaining visitors
+ * @returns {Promise<number>} Number of assigned sessions
+ */
+async function drainQueue() {
+  const queued = await getQueuedSessions();
+
+  if (queued.length === 0) {
+    return 0;
+  }
+
+  const [loads, settings] = await Promise.all([getAgentLoads(), getRoutingSettings()]);
+  const waiting = [];
+  let assigned = 0;
+
+  for (const session of queued) {
+    const agent = pickAgent(loads, settings);
+    // eslint-disable-next-line no-await-in-loop -- every assignment changes the loads of the next pick
+    const isAssigned = agent ? await assignToAgent(session, agent.agentId, agent.name) : false;
+
+    if (!agent) {
+      waiting.push(session);
+    } else if (isAssigned) {
+      agent.activeChats += 1;
+      agent.lastAssignedAt = Date.now();
+      assigned += 1;
+    }
+    // A failed conditional assignment means the session was claimed or closed - it left the queue
+  }
+
+  publishQueueUpdates(waiting, loads.length, settings);
+
+  if (assigned > 0) {
+    logger.info({ service: 'chatRouting', operation: 'drainQueue', assigned }, 'Queued chat sessions assigned');
+  }
+
+  return assigned;
+}
+
+/**
+ * Schedule a queue drain after the running routing tasks (failures are only logged)
+ * @returns {Promise<number>}
+ */
+function requestQueueDrain() {
+  return runExclusive(drainQueue).catch((error) => {
+    logger.error({ err: error, service: 'chatRouting', operation: 'drainQueue' }, 'Chat queue drain failed');
+    return 0;
+  });
+}
+
+/**
+ * Agent of an assigned session
+ * @private
+ * @returns {Promise<Object|null>} { id, name }
+ */
+async function getAssignedAgent(session) {
+  const agent = await session.getAssignedSales({ attributes: ['id', 'name'] });
+  return agent ? { id: agent.id, name: agent.name } : null;
+}
+
+/**
+ * Routing result of an already escalated session (its agent or its queue place)
+ * @private
+ */
+async function describeEscalated(session) {
+  if (session.assignedSalesId) {
+    return { session, agent: await getAssignedAgent(session), queue: null };
+  }
+  return { session, agent: null, queue: await getQueueStatus(session) };
+}
+
+/**
+ * Keep an escalated session in the waiting queue and tell the visitor the position
+ * @private
+ */
+async function queueSession(session) {
+  // Capacity may have freed up without a drain (e.g. an agent came online between heartbeats);
+  // the drain also pushes the queue position to the visitor. Runs inside the routing task already.
+  await drainQueue();
+  await session.reload();
+
+  // The drain may have assigned this very session
+  if (session.assignedSalesId) {
+    return await describeEscalated(session);
+  }
+
+  const queue = await getQueueStatus(session);
+
+  await ChatMessage.create({
+    sessionId: session.id,
+    role: 'system',
+    content: `Minden munkatársunk foglalt. Ön a(z) ${queue.position}. a sorban, `
+      + `a várható várakozási idő kb. ${queue.estimatedWaitMinutes} perc.`
+  });
+
+  logger.info({
+    service: 'chatRouting',
+    operation: 'queueSession',
+    sessionId: session.id,
+    position: queue.position
+  }, 'Chat session queued - all agents at capacity');
+
+  return { session, agent: null, queue };
+}
+
+/**
+ * Assign the next free agent or queue the session (inside the routing task)
+ * @private
+ */
+async function assignOrQueue(session, reason) {
+  // A concurrent request may have escalated the session while this one waited
+  await session.reload();
+  if (session.status === 'escalated') {
+    return await describeEscalated(session);
+  }
+
+  const [loads, settings] = await Promise.all([getAgentLoads(), getRoutingSettings()]);
+
+  if (loads.length === 0) {
+    const error = new Error('NO_ADMIN_AVAILABLE');
+    error.code = 'NO_ADMIN_AVAILABLE';
+    throw error;
+  }
+
+  // Visitors already waiting go first: a new session only skips the queue when it is empty
+  const waiting = await ChatSession.count({ where: { status: 'escalated', assignedSalesId: null } });
+  const agent = waiting === 0 ? pickAgent(loads, settings) : null;
+  await session.escalateToSales(null, reason);
+
+  if (agent && await assignToAgent(session, agent.agentId, agent.name)) {
+    logger.info({
+      service: 'chatRouting',
+      operation: 'routeSession',
+      sessionId: session.id,
+      agentId: agent.agentId,
+      strategy: settings.strategy
+    }, 'Chat session routed to agent');
+    return { session, agent: { id: agent.agentId, name: agent.name }, queue: null };
+  }
+
+  return await queueSession(session);
+}
+
+/**
+ * Route an escalating session: assign an agent or put it in the waiting queue
+ * An already escalated session keeps its agent / queue place.
+ *
+ * @param {Object} session - ChatSession instance
+ * @param {string} reason - Escalation reason
+ * @returns {Promise<Object>} { session, agent: { id, name } | null, queue: queue status | null }
+ * @throws {Error} NO_ADMIN_AVAILABLE when no sales agent is online
+ */
+async function routeSession(session, reason) {
+  if (session.status === 'escalated') {
+    return await describeEscalated(session);
+  }
+
+  return await runExclusive(() => assignOrQueue(session, reason));
+}
+
+/**
+ * Error of a session that already has an agent
+ * @private
+ */
+function alreadyAssignedError() {
+  const error = new Error('A beszélgetést már átvette egy munkatárs');
+  error.code = 'ALREADY_ASSIGNED';
+  return error;
+}
+
+/**
+ * Take over a waiting session (sales user answers a queued visitor)
+ * @param {Object} session - ChatSession instance
+ * @param {Object} actor - Session user ({ id, name })
+ * @returns {Promise<Object>} Updated session
+ * @throws {Error} ALREADY_ASSIGNED if another agent has the session
+ */
+async function claimSession(session, actor) {
+  return await runExclusive(async () => {
+    await session.reload();
+    if (session.assignedSalesId) {
+      throw alreadyAssignedError();
+    }
+
+    if (session.status !== 'escalated') {
+      await session.escalateToSales(null, 'agent_claim');
+    }
+
+    if (!await assignToAgent(session, actor.id, actor.name)) {
+      throw alreadyAssignedError();
+    }
+
+    // The visitors behind it move up
+    requestQueueDrain();
+
+    return session;
+  });
+}
+
+/**
+ * Only the session's agent or an admin may hand a session over (same rule as closing)
+ * @param {Object} session - ChatSession instance
+ * @param {Object} actor - Session user
+ * @returns {boolean}
+ */
+function canTransfer(session, actor) {
+  return actor.role === 'admin' || (Boolean(session.assignedSalesId) && session.assignedSalesId === actor.id);
+}
+
+/**
+ * Transfer checks and assignment (inside the routing task)
+ * @private
+ */
+async function transferNow(session, toAgentId, actor) {
+  if (!canTransfer(session, actor)) {
+    const error = new Error('Csak a beszélgetést kezelő munkatárs vagy admin adhatja át');
+    error.code = 'TRANSFER_FORBIDDEN';
+    throw error;
+  }
+
+  if (FINISHED_STATUSES.includes(session.status)) {
+    throw new Error('Lezárt beszélgetés nem adható át');
+  }
+
+  if (session.assignedSalesId === toAgentId) {
+    throw new Error('A beszélgetés már ennél a munkatársnál van');
+  }
+
+  const target = (await getAgentLoads()).find((load) => load.agentId === toAgentId);
+  if (!target) {
+    throw new Error('A kiválasztott munkatárs nem elérhető');
+  }
+
+  const fromAgentId = session.status === 'escalated' ? session.assignedSalesId : null;
+
+  if (session.status !== 'escalated') {
+    await session.escalateToSales(null, 'agent_transfer');
+  }
+  if (!await assignToAgent(session, target.agentId, target.name, fromAgentId)) {
+    throw new Error('A beszélgetés közben megváltozott, kérjük frissítse az oldalt');
+  }
+
+  logger.info({
+    service: 'chatRouting',
+    operation: 'transferSession',
+    sessionId: session.id,
+    fromAgentId,
+    toAgentId: target.agentId,
+    userId: actor.id
+  }, 'Chat session transferred');
+
+  // The previous agent has a free slot now
+  requestQueueDrain();
+
+  return { session, agent: { id: target.agentId, name: target.name } };
+}
+
+/**
+ * Transfer a session to another online agent
+ * @param {Object} session - ChatSession instance
+ * @param {number} toAgentId - Target sales user
+ * @param {Object} actor - Session user performing the transfer
+ * @returns {Promise<Object>} { session, agent: { id, name } }
+ * @throws {Error} TRANSFER_FORBIDDEN unless the actor is the session's agent or an admin,
+ *   or if the session is finished or the target is not an online agent
+ */
+async function transferSession(session, toAgentId, actor) {
+  return await runExclusive(async () => {
+    await session.reload();
+    return await transferNow(session, toAgentId, actor);
+  });
+}
+
+// A finished escalated session frees a slot of its agent (or leaves the queue)
+ChatSession.addHook('afterUpdate', HOOK_NAME, (session) => {
+  if (session.changed('status') && session.previous('status') === 'escalated') {
+    requestQueueDrain();
+  }
+});
+
+module.exports = {
+  STRATEGIES,
+  ROUTING_SETTINGS,
+  getRoutingSettings,
+  validateRoutingSettings,
+  saveRoutingSettings,
+  getAgentLoads,
+  pickAgent,
+  getQueueStatus,
+  requestQueueDrain,
+  routeSession,
+  claimSession,
+  canTransfer,
+  transferSession
+};
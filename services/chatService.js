@@ -3,16 +3,24 @@
  * Handles AI chat, admin escalation, and offline fallback logic
  */
 
-const { ChatSession, ChatMessage, OfflineMessage, SystemStatus, BookingAvailability } = require('../models');
+const { ChatSession, ChatMessage, OfflineMessage, SystemStatus, User } = require('../models');
 const logger = require('../config/logger');
 const settingsService = require('./settingsService');
 const crypto = require('crypto');
+const { Op } = require('sequelize');
 const sessionHelpers = require('./chatService-session');
 const { sendOfflineMessageEmail: sendOfflineEmail } = require('./chatService-offline');
+const chatRoutingService = require('./chatRoutingService');
 
 // Error messages
 const ERROR_SESSION_NOT_FOUND = 'Session not found';
 
+// Tool calling: model rounds per answer (the last one must answer in text)
+const MAX_TOOL_ROUNDS = 3;
+const TOOL_INSTRUCTIONS = 'ESZKÖZÖK: Előadó kereséshez, elérhetőséghez, gyakori kérdésekhez és ajánlatkéréshez '
+  + 'használd a rendelkezésre álló függvényeket. Előadót, árat vagy szabad dátumot csak a függvények '
+  + 'eredménye alapján említs. Ajánlatkérés indítása után add meg a látogatónak a kapott linket.';
+
 // OpenAI import (will be installed later)
 let OpenAI = null;
 try {
@@ -174,25 +182,62 @@ function handleEscalatedSessionResponse(session) {
   };
 }
 
-// Helper: Handle AI response with potential escalation
-async function handleAIResponse(session, messageContent) {
-  try {
-    const response = await getAIResponse(session, messageContent);
+/**
+ * Helper: Classify the visitor message (intent, sentiment) and store the result on it
+ * @returns {Promise<Object|null>} { classification, escalate, reason } or null (disabled / failed)
+ */
+async function classifyUserMessage(openai, userMessage) {
+  const { analyzeMessage } = require('./chatIntentClassifier');
+
+  const previousMessages = await ChatMessage.findAll({
+    where: { sessionId: userMessage.sessionId, id: { [Op.lt]: userMessage.id }, role: ['user', 'assistant', 'admin'] },
+    order: [['createdAt', 'DESC']],
+    limit: 6
+  });
+
+  const analysis = await analyzeMessage(openai, userMessage.content, previousMessages.reverse());
 
-    // Check if escalation needed based on DB keywords
-    const { shouldAutoEscalate } = require('./chatBehaviorRules');
-    const needsEscalation = await shouldAutoEscalate(messageContent);
+  if (analysis) {
+    await userMessage.update({
+      classification: { ...analysis.classification, escalationReason: analysis.reason }
+    });
+  }
 
-    // Also check if AI is uncertain
-    const responseLower = response.content.toLowerCase();
-    const aiUncertain = responseLower.includes('nem tudom')
-      || responseLower.includes('nem vagyok biztos')
-      || responseLower.includes('munkatárs');
+  return analysis;
+}
 
-    if (needsEscalation || aiUncertain) {
+/**
+ * Helper: Escalation decision of a visitor message
+ * Structured AI classification first; DB keywords only when classification is off or failed.
+ */
+async function decideEscalation(openai, userMessage) {
+  const analysis = await classifyUserMessage(openai, userMessage);
+
+  if (analysis) {
+    return { escalate: analysis.escalate, reason: analysis.reason };
+  }
+
+  const { shouldAutoEscalate } = require('./chatBehaviorRules');
+  const escalate = await shouldAutoEscalate(userMessage.content);
+
+  return { escalate, reason: escalate ? 'keyword_match' : null };
+}
+
+// Helper: Handle AI response with potential escalation
+async function handleAIResponse(session, userMessage) {
+  try {
+    const openai = await createOpenAIClient();
+    const [response, escalation] = await Promise.all([
+      getAIResponse(session, userMessage.content, openai),
+      decideEscalation(openai, userMessage)
+    ]);
+
+    if (escalation.escalate) {
       try {
-        await escalateToSales(session.id, 'user_request_or_complex_query');
-        response.content += '\n\n🔄 Kérdését továbbítottam egy munkatársunknak, aki hamarosan válaszol!';
+        const routing = await escalateToSales(session.id, escalation.reason);
+        response.content += routing.queue
+          ? '\n\n⏳ Kérdését továbbítottam, amint egy munkatársunk felszabadul, átveszi a beszélgetést!'
+          : '\n\n🔄 Kérdését továbbítottam egy munkatársunknak, aki hamarosan válaszol!';
       } catch (escalationError) {
         logger.warn({
           err: escalationError,
@@ -250,7 +295,7 @@ async function handleUserMessage(sessionToken, messageContent) {
   } else if (session.status === 'escalated') {
     response = handleEscalatedSessionResponse(session);
   } else {
-    response = await handleAIResponse(session, messageContent);
+    response = await handleAIResponse(session, userMessage);
   }
 
   // Save AI/system response (only if there is a response)
@@ -276,37 +321,6 @@ async function handleUserMessage(sessionToken, messageContent) {
   };
 }
 
-/**
- * Build enhanced system prompt with performer context (RAG)
- */
-async function buildEnhancedSystemPrompt(userMessage, sessionId) {
-  const systemPrompt = await buildSystemPrompt();
-
-  // Check if user message contains performer name - RAG approach
-  const { searchPerformerByName } = require('./chatKnowledgeBase');
-  const performerContext = await searchPerformerByName(userMessage);
-
-  // If performer found, add context to system prompt
-  if (performerContext) {
-    logger.info({
-      service: 'chat',
-      sessionId,
-      hasPerformerContext: true,
-      performerContextLength: performerContext.length
-    }, 'RAG: Added performer context to system prompt');
-    return `${systemPrompt}\n\n${performerContext}`;
-  }
-
-  logger.info({
-    service: 'chat',
-    sessionId,
-    hasPerformerContext: false,
-    userMessageSample: userMessage.substring(0, 50)
-  }, 'RAG: No performer context found');
-
-  return systemPrompt;
-}
-
 /**
  * Build conversation history for AI
  */
@@ -340,9 +354,10 @@ async function buildConversationHistory(session, userMessage, systemPrompt) {
 }
 
 /**
- * Get AI response using OpenAI
+ * OpenAI client (AI enabled, healthy and configured)
+ * @throws {Error} If AI cannot be used
  */
-async function getAIResponse(session, userMessage) {
+async function createOpenAIClient() {
   if (!OpenAI) {
     throw new Error('OpenAI not available');
   }
@@ -359,44 +374,93 @@ async function getAIResponse(session, userMessage) {
     throw new Error('OpenAI API key not configured');
   }
 
-  const openai = new OpenAI({ apiKey });
-
-  // Build enhanced system prompt (with RAG if needed)
-  const enhancedSystemPrompt = await buildEnhancedSystemPrompt(userMessage, session.id);
+  return new OpenAI({ apiKey });
+}
 
-  // Build conversation history
-  const conversationHistory = await buildConversationHistory(session, userMessage, enhancedSystemPrompt);
+/**
+ * Get AI response using OpenAI
+ * @param {Object} openai - Client to reuse (optional)
+ */
+async function getAIResponse(session, userMessage, openai = null) {
+  const client = openai || await createOpenAIClient();
+  const systemPrompt = `${await buildSystemPrompt()}\n\n${TOOL_INSTRUCTIONS}`;
+  const conversationHistory = await buildConversationHistory(session, userMessage, systemPrompt);
 
   try {
-    const completion = await openai.chat.completions.create({
+    return await runToolConversation(client, session, conversationHistory);
+  } catch (error) {
+    logger.error({
+      err: error,
+      service: 'chat',
+      sessionId: session.id,
+      messageLength: userMessage?.length
+    }, 'OpenAI API error');
+    throw error;
+  }
+}
+
+/**
+ * Chat completion with tool calling
+ * Requested tools are executed and their results sent back until the model answers in text.
+ * Every tool call is recorded in the message metadata (audit).
+ */
+async function runToolConversation(openai, session, messages) {
+  const { getToolDefinitions, executeToolCall } = require('./chatTools');
+  const tools = await getToolDefinitions();
+  const toolCalls = [];
+  let tokens = 0;
+  let completion = null;
+
+  for (let round = 1; round <= MAX_TOOL_ROUNDS; round += 1) {
+    // eslint-disable-next-line no-await-in-loop -- each round depends on the previous tool results
+    completion = await openai.chat.completions.create({
       model: 'gpt-4',
-      messages: conversationHistory,
+      messages,
+      tools,
+      // eslint-disable-next-line camelcase -- OpenAI API parameter
+      tool_choice: round === MAX_TOOL_ROUNDS ? 'none' : 'auto',
       temperature: 0.7,
       // eslint-disable-next-line camelcase -- OpenAI API parameter
       max_tokens: 500
     });
+    tokens += completion.usage.total_tokens;
 
-    const responseContent = completion.choices[0].message.content;
+    const { message } = completion.choices[0];
+    // eslint-disable-next-line camelcase -- OpenAI API response field
+    const requestedCalls = message.tool_calls || [];
+    if (requestedCalls.length === 0) {
+      break;
+    }
 
-    return {
-      role: 'assistant',
-      content: responseContent,
-      metadata: {
-        model: completion.model,
-        tokens: completion.usage.total_tokens,
-        // eslint-disable-next-line camelcase -- OpenAI API response field
-        finish_reason: completion.choices[0].finish_reason
-      }
-    };
-  } catch (error) {
-    logger.error({
-      err: error,
+    messages.push(message);
+    for (const toolCall of requestedCalls) {
+      // eslint-disable-next-line no-await-in-loop -- tool results are appended in call order
+      const { content, audit } = await executeToolCall(toolCall, { session });
+      // eslint-disable-next-line camelcase -- OpenAI API field
+      messages.push({ role: 'tool', tool_call_id: toolCall.id, content });
+      toolCalls.push({ ...audit, round });
+    }
+  }
+
+  if (toolCalls.length > 0) {
+    logger.info({
       service: 'chat',
       sessionId: session.id,
-      messageLength: userMessage?.length
-    }, 'OpenAI API error');
-    throw error;
+      tools: toolCalls.map((call) => call.name)
+    }, 'AI tool calls executed');
   }
+
+  return {
+    role: 'assistant',
+    content: completion.choices[0].message.content,
+    metadata: {
+      model: completion.model,
+      tokens,
+      // eslint-disable-next-line camelcase -- OpenAI API response field
+      finish_reason: completion.choices[0].finish_reason,
+      ...(toolCalls.length > 0 && { toolCalls })
+    }
+  };
 }
 
 /**
@@ -472,6 +536,7 @@ async function getKnowledgeBase() {
 
 /**
  * Escalate session to sales
+ * @returns {Promise<Object>} { session, agent, queue } - queue is set while every agent is at capacity
  * @throws {Error} 'NO_ADMIN_AVAILABLE' if no sales person is online
  */
 async function escalateToSales(sessionId, reason) {
@@ -480,39 +545,24 @@ async function escalateToSales(sessionId, reason) {
     throw new Error(ERROR_SESSION_NOT_FOUND);
   }
 
-  // Get available admin
-  const availableAdmins = await BookingAvailability.getAvailableAdmins();
-  if (availableAdmins.length === 0) {
-    const error = new Error('NO_ADMIN_AVAILABLE');
-    error.code = 'NO_ADMIN_AVAILABLE';
-    throw error;
-  }
-
-  // Assign to first available admin (can be improved with load balancing)
-  const assignedAdmin = availableAdmins[0];
-
-  await session.escalateToSales(assignedAdmin.adminId, reason);
-
-  // Get system message template from DB
-  const { AIBehaviorSetting } = require('../models');
-  const escalationSettings = await AIBehaviorSetting.getAllByCategory();
-  const escalationConfig = escalationSettings.escalation || [];
-
-  const systemMessageSetting = escalationConfig.find((s) => s.settingKey === 'systemMessageTemplate');
-  const systemMessageTemplate = systemMessageSetting
-    ? systemMessageSetting.getParsedValue()
-    : 'Beszélgetés átadva: {{adminName}} munkatársunknak';
-
-  const systemMessage = systemMessageTemplate.replace(/\{\{adminName\}\}/g, assignedAdmin.admin.name);
+  // Assigns an agent by the routing strategy or puts the session in the waiting queue
+  return await chatRoutingService.routeSession(session, reason);
+}
 
-  // System message
-  await ChatMessage.create({
-    sessionId,
-    role: 'system',
-    content: systemMessage
-  });
+/**
+ * Take over a session the sales user replied to (skipped if another agent got it first)
+ * @private
+ */
+async function claimForReply(session, adminId) {
+  const admin = await User.findByPk(adminId, { attributes: ['id', 'name'] });
 
-  return session;
+  try {
+    await chatRoutingService.claimSession(session, { id: adminId, name: admin ? admin.name : '' });
+  } catch (error) {
+    if (error.code !== 'ALREADY_ASSIGNED') {
+      throw error;
+    }
+  }
 }
 
 /**
@@ -532,11 +582,9 @@ async function handleAdminMessage(sessionId, adminId, messageContent) {
     adminId
   });
 
-  // Update session
-  if (session.status !== 'escalated') {
-    session.status = 'escalated';
-    session.assignedSalesId = adminId;
-    await session.save();
+  // Answering an unassigned (queued or not yet escalated) session takes it over
+  if (session.status !== 'escalated' || !session.assignedSalesId) {
+    await claimForReply(session, adminId);
   }
 
   return adminMessage;
@@ -585,5 +633,6 @@ module.exports = {
   getSession: getSessionHelper,
   getAdminSessions: getAdminSessionsHelper,
   checkAIHealth,
+  createOpenAIClient,
   getAIResponse
 };
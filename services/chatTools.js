@@ -0,0 +1,388 @@
+/**
+ * Chat Assistant Tools
+ * OpenAI function calling tools of the chat assistant:
+ * - search_performers: performers by name, category, style, price range and date availability
+ * - check_performer_availability: a single performer on a given day
+ * - search_faq: active FAQ items
+ * - create_quote_draft: pre-filled quote request (WizardDraft) the visitor finishes on /ajanlat
+ *
+ * Every executed call is returned as an audit record (stored in ChatMessage.metadata by chatService).
+ */
+
+const { Op, Sequelize } = require('sequelize');
+const { Performer, FaqItem, FaqCategory, AIBehaviorSetting } = require('../models');
+const performerAvailabilityService = require('./performerAvailabilityService');
+const wizardDraftService = require('./wizardDraftService');
+const { getLocalDateString } = require('../utils/calendar');
+const logger = require('../config/logger');
+
+const MAX_PERFORMER_RESULTS = 8;
+const MAX_FAQ_RESULTS = 5;
+const MAX_AUDIT_RESULT_LENGTH = 2000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PARAMETER = { type: 'string', description: 'Dátum YYYY-MM-DD formátumban' };
+const PERFORMER_PARAMETER = { type: 'string', description: 'Az előadó slug-ja (a keresési találatból) vagy neve' };
+
+const PERFORMER_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_performers',
+      description: 'Előadók keresése név, kategória, stílus, ár és szabad dátum szerint. '
+        + 'Mindig ezt használd, ha a látogató előadót keres vagy ajánlást kér.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Előadó nevének részlete' },
+          category: { type: 'string', description: 'Kategória, pl. pop, mulatós, gyermekműsor, humorista' },
+          style: { type: 'string', description: 'Stílus, pl. rock, retro, jazz' },
+          priceMin: { type: 'number', description: 'Minimális ár forintban' },
+          priceMax: { type: 'number', description: 'Maximális ár forintban' },
+          date: { ...DATE_PARAMETER, description: 'Rendezvény napja (YYYY-MM-DD) - csak az aznap elérhetők' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'check_performer_availability',
+      description: 'Egy előadó elérhetőségének ellenőrzése egy adott napon.',
+      parameters: {
+        type: 'object',
+        properties: {
+          performer: PERFORMER_PARAMETER,
+          date: DATE_PARAMETER
+        },
+        required: ['performer', 'date']
+      }
+    }
+  }
+];
+
+const GENERAL_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_faq',
+      description: 'Keresés a gyakori kérdések között (foglalás, fizetés, technika, utazás stb.).',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Kulcsszavak' }
+        },
+        required: ['query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'create_quote_draft',
+      description: 'Előre kitöltött ajánlatkérés indítása a látogató nevében. '
+        + 'Csak akkor használd, ha a látogató kifejezetten ajánlatot szeretne egy előadóra. '
+        + 'A visszakapott linket add át neki: ott ellenőrzi és elküldi a kérést.',
+      parameters: {
+        type: 'object',
+        properties: {
+          performer: PERFORMER_PARAMETER,
+          eventDate: DATE_PARAMETER,
+          eventLocation: { type: 'string', description: 'Helyszín (település)' },
+          guestCount: { type: 'string', enum: ['<100', '100-300', '300-800', '800+'] },
+          eventName: { type: 'string', description: 'Rendezvény neve' },
+          contactName: { type: 'string' },
+          contactEmail: { type: 'string' },
+          contactPhone: { type: 'string' },
+          notes: { type: 'string', description: 'Egyéb kérések, megjegyzések' }
+        },
+        required: ['performer']
+      }
+    }
+  }
+];
+
+/**
+ * Tool definitions offered to the model
+ * Performer tools follow the "usePerformers" knowledge base switch of the AI behavior settings.
+ * @returns {Promise<Array>}
+ */
+async function getToolDefinitions() {
+  const settingsByCategory = await AIBehaviorSetting.getAllByCategory();
+  const usePerformersSetting = (settingsByCategory.knowledgeBase || []).find((s) => s.settingKey === 'usePerformers');
+  const usePerformers = usePerformersSetting ? usePerformersSetting.getParsedValue() : true;
+
+  return usePerformers ? [...PERFORMER_TOOLS, ...GENERAL_TOOLS] : GENERAL_TOOLS;
+}
+
+/**
+ * Valid upcoming date (YYYY-MM-DD) or null
+ * @private
+ */
+function normalizeDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    return null;
+  }
+
+  return value >= getLocalDateString() ? value : null;
+}
+
+/**
+ * Public performer data for the model (prices hidden when the price list is restricted)
+ * @private
+ */
+function formatPerformer(performer) {
+  return {
+    slug: performer.slug,
+    name: performer.name,
+    category: performer.category,
+    style: performer.style || [],
+    performanceType: performer.performanceType || null,
+    durationMinutes: performer.duration || null,
+    price: performer.priceListRestriction || !performer.price ? null : Number(performer.price),
+    url: `/eloadok/${performer.slug}`
+  };
+}
+
+/**
+ * Availability label of a day (booked days may still be requested)
+ * @private
+ */
+async function getDayStatus(performerId, date) {
+  const { available, reason } = await performerAvailabilityService.checkDate(performerId, date);
+
+  if (available) {
+    return 'available';
+  }
+  return reason === 'blackout' ? 'unavailable' : 'booked';
+}
+
+/**
+ * Active performer by slug or name
+ * @private
+ */
+async function findPerformer(slugOrName) {
+  if (typeof slugOrName !== 'string' || !slugOrName.trim()) {
+    return null;
+  }
+
+  const value = slugOrName.trim();
+
+  return await Performer.findOne({
+    where: {
+      isActive: true,
+      [Op.or]: [{ slug: value }, { name: { [Op.like]: `%${value}%` } }]
+    },
+    order: [['name', 'ASC']]
+  });
+}
+
+/**
+ * Where clause of a performer search
+ * @private
+ */
+function buildPerformerWhere(args) {
+  const where = { isActive: true };
+
+  if (args.name) {
+    where.name = { [Op.like]: `%${args.name}%` };
+  }
+  if (args.category) {
+    where.category = { [Op.like]: `%${args.category}%` };
+  }
+  if (args.style) {
+    // Case-insensitive partial match inside the style array
+    const pattern = `%${String(args.style).toLowerCase()}%`;
+    where[Op.and] = [Sequelize.where(
+      Sequelize.fn('JSON_SEARCH', Sequelize.fn('LOWER', Sequelize.col('style')), 'one', pattern),
+      { [Op.ne]: null }
+    )];
+  }
+  if (args.priceMin || args.priceMax) {
+    where.price = {};
+    if (args.priceMin) {
+      where.price[Op.gte] = Number(args.priceMin);
+    }
+    if (args.priceMax) {
+      where.price[Op.lte] = Number(args.priceMax);
+    }
+  }
+
+  return where;
+}
+
+/**
+ * search_performers
+ * With a date, performers not taking bookings that day are left out.
+ * @private
+ */
+async function searchPerformers(args) {
+  const date = normalizeDate(args.date);
+  const performers = await Performer.findAll({
+    where: buildPerformerWhere(args),
+    order: [['name', 'ASC']],
+    // Leave enough rows for the unavailable ones filtered out below
+    limit: date ? MAX_PERFORMER_RESULTS * 3 : MAX_PERFORMER_RESULTS
+  });
+
+  let results = performers.map(formatPerformer);
+
+  if (date) {
+    const statuses = await Promise.all(performers.map((performer) => getDayStatus(performer.id, date)));
+    results = results
+      .map((result, index) => ({ ...result, availability: statuses[index] }))
+      .filter((result) => result.availability !== 'unavailable');
+  }
+
+  results = results.slice(0, MAX_PERFORMER_RESULTS);
+
+  return { count: results.length, date, performers: results };
+}
+
+/**
+ * check_performer_availability
+ * @private
+ */
+async function checkPerformerAvailability(args) {
+  const performer = await findPerformer(args.performer);
+  if (!performer) {
+    return { error: 'performer_not_found' };
+  }
+
+  const date = normalizeDate(args.date);
+  if (!date) {
+    return { error: 'invalid_or_past_date' };
+  }
+
+  return {
+    performer: formatPerformer(performer),
+    date,
+    availability: await getDayStatus(performer.id, date),
+    note: 'booked: aznap már van fellépése, de érdemes rákérdezni; unavailable: nem vállal fellépést'
+  };
+}
+
+/**
+ * search_faq
+ * @private
+ */
+async function searchFaq(args) {
+  const words = String(args.query || '')
+    .split(/\s+/)
+    .filter((word) => word.length >= 3)
+    .slice(0, 5);
+
+  if (words.length === 0) {
+    return { count: 0, items: [] };
+  }
+
+  const items = await FaqItem.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: words.flatMap((word) => [
+        { question: { [Op.like]: `%${word}%` } },
+        { answer: { [Op.like]: `%${word}%` } }
+      ])
+    },
+    include: [{ model: FaqCategory, as: 'category', where: { isActive: true }, required: true }],
+    order: [['displayOrder', 'ASC']],
+    limit: MAX_FAQ_RESULTS
+  });
+
+  return {
+    count: items.length,
+    items: items.map((item) => ({ category: item.category.name, question: item.question, answer: item.answer }))
+  };
+}
+
+/**
+ * create_quote_draft
+ * Contact details default to the ones given when the chat session was opened.
+ * @private
+ */
+async function createQuoteDraft(args, { session }) {
+  const performer = await findPerformer(args.performer);
+  if (!performer) {
+    return { error: 'performer_not_found' };
+  }
+
+  const contactEmail = args.contactEmail || session.userEmail || null;
+  const data = {
+    performerId: performer.id,
+    performerName: performer.name,
+    performerSlug: performer.slug,
+    performerImage: performer.imageUrl,
+    performerPrice: performer.price,
+    eventDate: normalizeDate(args.eventDate),
+    eventLocation: args.eventLocation || null,
+    guestCount: args.guestCount || null,
+    eventName: args.eventName || null,
+    contactName: args.contactName || session.userName || null,
+    contactEmail: contactEmail && EMAIL_PATTERN.test(contactEmail) ? contactEmail : null,
+    contactPhone: args.contactPhone || session.userPhone || null,
+    notes: args.notes || null,
+    source: 'chat',
+    chatSessionId: session.id
+  };
+
+  const draft = await wizardDraftService.createDraft('quote', data, { userId: session.userId || null });
+
+  return {
+    draftId: draft.id,
+    performer: performer.name,
+    resumeUrl: wizardDraftService.getResumeUrl(draft),
+    missingFields: ['eventDate', 'eventLocation', 'contactName', 'contactEmail'].filter((field) => !data[field])
+  };
+}
+
+/* eslint-disable camelcase -- OpenAI tool names */
+const TOOL_HANDLERS = {
+  search_performers: searchPerformers,
+  check_performer_availability: checkPerformerAvailability,
+  search_faq: searchFaq,
+  create_quote_draft: createQuoteDraft
+};
+/* eslint-enable camelcase */
+
+/**
+ * Execute a tool call requested by the model
+ * Failures are returned to the model as { error } so it can answer without the data.
+ *
+ * @param {Object} toolCall - OpenAI tool call ({ id, function: { name, arguments } })
+ * @param {Object} context - { session } ChatSession of the conversation
+ * @returns {Promise<Object>} { content, audit } - content is the tool message, audit goes to the metadata
+ */
+async function executeToolCall(toolCall, context) {
+  const { name } = toolCall.function;
+  const startedAt = Date.now();
+  let args = {};
+  let result;
+
+  try {
+    args = JSON.parse(toolCall.function.arguments || '{}');
+    const handler = TOOL_HANDLERS[name];
+    result = handler ? await handler(args, context) : { error: 'unknown_tool' };
+  } catch (error) {
+    logger.error({ err: error, service: 'chatTools', tool: name, sessionId: context.session.id }, 'Chat tool failed');
+    result = { error: 'tool_failed' };
+  }
+
+  const content = JSON.stringify(result);
+
+  return {
+    content,
+    audit: {
+      id: toolCall.id,
+      name,
+      arguments: args,
+      result: content.length > MAX_AUDIT_RESULT_LENGTH ? `${content.substring(0, MAX_AUDIT_RESULT_LENGTH)}…` : content,
+      error: result.error || null,
+      durationMs: Date.now() - startedAt
+    }
+  };
+}
+
+module.exports = {
+  getToolDefinitions,
+  executeToolCall
+};
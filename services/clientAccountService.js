@@ -0,0 +1,249 @@
+/**
+ * Client Account Service
+ * "Foglalásaim" area for client users: own bookings and quotes, text summary download,
+ * follow-up messages and cancellation requests (the sales team is notified by email)
+ *
+ * Ownership: records created while logged in (userId), plus records submitted earlier with
+ * the same e-mail address once the user's address is verified.
+ */
+
+const { Op } = require('sequelize');
+const { Booking, Quote, Performer, ClientRequest } = require('../models');
+const bookingService = require('./bookingService');
+const quoteService = require('./quoteService');
+const bookingEmailService = require('./bookingEmailService');
+const logger = require('../config/logger');
+
+const REQUEST_TYPE_LABELS = {
+  message: 'Üzenet',
+  cancellation: 'Lemondási kérés'
+};
+
+// Lemondás csak nyitott állapotból kérhető
+const CANCELLABLE_STATUSES = ['pending', 'contacted', 'confirmed'];
+
+const MAX_MESSAGE_LENGTH = 2000;
+const PLACEHOLDER = '-';
+
+const PERFORMER_INCLUDE = { model: Performer, as: 'performer', attributes: ['id', 'name', 'slug'], required: false };
+const REQUESTS_INCLUDE = { model: ClientRequest, as: 'clientRequests', required: false };
+
+/**
+ * Ownership where clause
+ * @private
+ */
+function buildOwnerWhere(user, emailField) {
+  const conditions = [{ userId: user.id }];
+
+  if (user.emailVerified && user.email) {
+    conditions.push({ [emailField]: user.email });
+  }
+
+  return { [Op.or]: conditions };
+}
+
+/**
+ * Bookings of a client
+ * @param {Object} user - Session user
+ * @returns {Promise<Array>}
+ */
+async function listBookings(user) {
+  return await Booking.findAll({
+    where: buildOwnerWhere(user, 'clientEmail'),
+    include: [PERFORMER_INCLUDE, REQUESTS_INCLUDE],
+    order: [['eventDate', 'DESC']]
+  });
+}
+
+/**
+ * Quotes of a client
+ * @param {Object} user - Session user
+ * @returns {Promise<Array>}
+ */
+async function listQuotes(user) {
+  return await Quote.findAll({
+    where: buildOwnerWhere(user, 'contactEmail'),
+    include: [PERFORMER_INCLUDE, REQUESTS_INCLUDE],
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Single booking or quote of a client
+ * @param {Object} user - Session user
+ * @param {string} kind - booking | quote
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getOwnRecord(user, kind, id) {
+  const model = kind === 'booking' ? Booking : Quote;
+  const emailField = kind === 'booking' ? 'clientEmail' : 'contactEmail';
+
+  return await model.findOne({
+    where: { [Op.and]: [{ id }, buildOwnerWhere(user, emailField)] },
+    include: [PERFORMER_INCLUDE]
+  });
+}
+
+/**
+ * Human readable reference of a record
+ * @param {string} kind - booking | quote
+ * @param {Object} record
+ * @returns {string}
+ */
+function getReference(kind, record) {
+  return kind === 'booking' ? `#${record.id}` : record.referenceId;
+}
+
+/**
+ * Booking specific summary lines
+ * @private
+ */
+function buildBookingSummaryLines(booking) {
+  return [
+    `Pontos cím: ${booking.eventAddress || PLACEHOLDER}`,
+    `Típus: ${bookingService.EVENT_TYPE_LABELS[booking.eventType] || booking.eventType || PLACEHOLDER}`,
+    `Vendégszám: ${booking.expectedGuests || PLACEHOLDER}`,
+    '',
+    'MEGRENDELŐ',
+    `Kapcsolattartó: ${booking.clientName} (${booking.clientEmail}, ${booking.clientPhone || PLACEHOLDER})`,
+    `Cégnév: ${booking.clientCompany || PLACEHOLDER}`,
+    `Adószám: ${booking.taxNumber || PLACEHOLDER}`,
+    `Számlázási e-mail: ${booking.invoiceEmail || PLACEHOLDER}`
+  ];
+}
+
+/**
+ * Quote specific summary lines
+ * @private
+ */
+function buildQuoteSummaryLines(quote) {
+  return [
+    `Vendégek száma: ${quote.guestCount || PLACEHOLDER}`,
+    `Rendezvény neve: ${quote.eventName || PLACEHOLDER}`,
+    '',
+    'KAPCSOLATTARTÓ',
+    `${quote.contactName} (${quote.contactEmail}, ${quote.contactPhone || PLACEHOLDER})`
+  ];
+}
+
+/**
+ * Plain text summary (downloadable)
+ * @param {string} kind - booking | quote
+ * @param {Object} record - Booking or Quote with performer
+ * @returns {string}
+ */
+function buildSummaryText(kind, record) {
+  const isBooking = kind === 'booking';
+  const statusLabels = isBooking ? bookingService.STATUS_LABELS : quoteService.STATUS_LABELS;
+  const message = isBooking ? record.message : record.notes;
+
+  const lines = [
+    `${isBooking ? 'FOGLALÁS' : 'AJÁNLATKÉRÉS'} ${getReference(kind, record)}`,
+    `Státusz: ${statusLabels[record.status] || record.status}`,
+    `Beküldve: ${new Date(record.createdAt).toLocaleString('hu-HU')}`,
+    '',
+    'RENDEZVÉNY',
+    `Előadó: ${record.performer ? record.performer.name : 'Előadó ajánlást kért'}`,
+    `Dátum: ${record.eventDate || PLACEHOLDER}`,
+    `Időpont: ${record.eventTime || PLACEHOLDER}`,
+    `Helyszín: ${record.eventLocation || PLACEHOLDER}`,
+    ...(isBooking ? buildBookingSummaryLines(record) : buildQuoteSummaryLines(record)),
+    ...(message ? ['', 'MEGJEGYZÉS', message] : [])
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Whether a cancellation can be requested for a record
+ * @param {Object} record
+ * @returns {boolean}
+ */
+function canRequestCancellation(record) {
+  return CANCELLABLE_STATUSES.includes(record.status);
+}
+
+/**
+ * Store a follow-up message / cancellation request and notify the sales team
+ * @param {Object} user - Session user
+ * @param {string} kind - booking | quote
+ * @param {Object} record - Own Booking or Quote
+ * @param {Object} data - { type, message }
+ * @returns {Promise<Object>} { request: ClientRequest, notified: whether the sales team got the email }
+ * @throws {Error} If the request is invalid
+ */
+async function sendRequest(user, kind, record, data) {
+  const type = REQUEST_TYPE_LABELS[data.type] ? data.type : 'message';
+  const message = typeof data.message === 'string' ? data.message.trim() : '';
+
+  if (!message) {
+    throw new Error('Kérjük, írja meg üzenetét');
+  }
+
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Az üzenet legfeljebb ${MAX_MESSAGE_LENGTH} karakter lehet`);
+  }
+
+  if (type === 'cancellation' && !canRequestCancellation(record)) {
+    throw new Error('Ennél a tételnél lemondás már nem kérhető');
+  }
+
+  const request = await ClientRequest.create({
+    userId: user.id,
+    bookingId: kind === 'booking' ? record.id : null,
+    quoteId: kind === 'quote' ? record.id : null,
+    type,
+    message
+  });
+
+  logger.info({
+    service: 'clientAccount',
+    operation: 'sendRequest',
+    kind,
+    recordId: record.id,
+    type,
+    userId: user.id
+  }, 'Client request stored');
+
+  let notified = false;
+  try {
+    notified = await bookingEmailService.sendClientRequestEmail({
+      typeLabel: REQUEST_TYPE_LABELS[type],
+      kindLabel: kind === 'booking' ? 'Foglalás' : 'Ajánlatkérés',
+      reference: getReference(kind, record),
+      adminUrl: kind === 'booking' ? `/admin/bookings/${record.id}` : `/admin/quotes/${record.id}`,
+      record,
+      message,
+      user
+    });
+  } catch (error) {
+    logger.warn({
+      service: 'clientAccount',
+      operation: 'sendRequest',
+      requestId: request.id,
+      error: error.message
+    }, 'Failed to notify sales about client request');
+  }
+
+  if (!notified) {
+    logger.warn({
+      service: 'clientAccount',
+      operation: 'sendRequest',
+      requestId: request.id
+    }, 'Sales team not notified about client request');
+  }
+
+  return { request, notified };
+}
+
+module.exports = {
+  REQUEST_TYPE_LABELS,
+  listBookings,
+  listQuotes,
+  getOwnRecord,
+  getReference,
+  buildSummaryText,
+  canRequestCancellation,
+  sendRequest
+};
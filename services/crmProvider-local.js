@@ -0,0 +1,215 @@
+/**
+ * Local CRM Provider
+ * File-based CRM stand-in for development, demos and automated tests
+ *
+ * Data is kept in one JSON file (default: data/local-crm.json, override: LOCAL_CRM_FILE):
+ * {
+ *   "performers": [ { vtigerId, name, category, isActive, price, ..., modifiedAt } ],
+ *   "salesOrders": [ { id, subject, sostatus, cf_793, cf_795, cf_813, account_id, LineItems } ],
+ *   "leads": [ { id, type, createdAt, data, status } ]
+ * }
+ * Performers use the same object shape as VTigerService.getPerformers() returns,
+ * sales orders the vTiger record format - so the sync services work unchanged.
+ * Lead status: set "status" on a lead (vTiger leadstatus values), or add a sales order with
+ * "leadId" to simulate a conversion.
+ * The file is created empty on first use; scripts/seed-local-crm.js fills it with demo data.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../config/logger');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'local-crm.json');
+
+class LocalCrmProvider {
+  /**
+   * @param {Object} options - { filePath } (tests can point to a temporary file)
+   */
+  constructor(options = {}) {
+    this.key = 'local';
+    this.label = 'Helyi CRM (JSON fájl)';
+    this.filePath = options.filePath || process.env.LOCAL_CRM_FILE || DEFAULT_DATA_FILE;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read the store (missing file = empty store)
+   * @returns {Promise<Object>}
+   */
+  async readStore() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const store = JSON.parse(content);
+
+      return {
+        performers: store.performers || [],
+        salesOrders: store.salesOrders || [],
+        leads: store.leads || []
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { performers: [], salesOrders: [], leads: [] };
+      }
+      throw new Error(`A helyi CRM fájl nem olvasható (${this.filePath}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Modify the store - writes are serialized and atomic (temp file + rename)
+   * @param {Function} mutate - (store) => result
+   * @returns {Promise<*>} Result of mutate
+   */
+  updateStore(mutate) {
+    const run = async () => {
+      const store = await this.readStore();
+      const result = mutate(store);
+      const tempPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(store, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+
+      return result;
+    };
+
+    const next = this.writeQueue.then(run, run);
+    this.writeQueue = next.catch(() => null);
+    return next;
+  }
+
+  /**
+   * The local store is always available
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Check that the data file is readable and writable (created if missing)
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    await this.updateStore(() => null);
+    return true;
+  }
+
+  /**
+   * Performers - full: active ones, delta: every performer modified since the given time
+   * (the local store is read at once, so failedIds stays empty)
+   * @param {Object} options - { modifiedSince: Date|null, failedIds }
+   * @returns {Promise<Array>} Performer objects
+   */
+  async getPerformers(options = {}) {
+    const { performers } = await this.readStore();
+    const modifiedSince = options.modifiedSince ? new Date(options.modifiedSince) : null;
+
+    const selected = performers.filter((performer) => (modifiedSince
+      ? new Date(performer.modifiedAt || 0) > modifiedSince
+      : performer.isActive !== false));
+
+    logger.info({
+      service: 'localCrm',
+      operation: 'getPerformers',
+      mode: modifiedSince ? 'delta' : 'full',
+      count: selected.length
+    }, 'Performers loaded from local CRM');
+
+    return selected.map(({ modifiedAt: _modifiedAt, ...performer }) => ({ isActive: true, ...performer }));
+  }
+
+  /**
+   * One page of approved sales orders in a performance date range
+   * @param {Object} options - { startDate, endDate, offset, limit }
+   * @returns {Promise<Array>} Sales order records
+   */
+  async getApprovedSalesOrders({ startDate, endDate, offset, limit }) {
+    const { salesOrders } = await this.readStore();
+
+    return salesOrders
+      .filter((order) => order.sostatus === 'Approved' && order.cf_793 >= startDate && order.cf_793 <= endDate)
+      .slice(offset, offset + limit);
+  }
+
+  /**
+   * Full sales order record
+   * @param {string} id - Sales order ID
+   * @returns {Promise<Object|null>}
+   */
+  async getSalesOrder(id) {
+    const { salesOrders } = await this.readStore();
+    return salesOrders.find((order) => order.id === id) || null;
+  }
+
+  /**
+   * Image URL of a product (the performer's imageUrl)
+   * @param {string} productId - Performer vtigerId
+   * @returns {Promise<string|null>}
+   */
+  async getProductImageUrl(productId) {
+    const { performers } = await this.readStore();
+    const performer = performers.find((item) => item.vtigerId === productId);
+    return performer ? performer.imageUrl || null : null;
+  }
+
+  /**
+   * Current CRM state of a lead (linked sales order first, then the lead's own status)
+   * @param {string} leadId
+   * @returns {Promise<Object|null>} { state, source } or null if the lead is unknown
+   */
+  async getLeadStatus(leadId) {
+    const { leads, salesOrders } = await this.readStore();
+    const order = salesOrders.find((item) => item.leadId === leadId);
+
+    if (order) {
+      return { state: order.sostatus, source: 'salesOrder' };
+    }
+
+    const lead = leads.find((item) => item.id === leadId);
+    return lead ? { state: lead.status || 'Not Contacted', source: 'lead' } : null;
+  }
+
+  /**
+   * Store a lead
+   * @private
+   */
+  storeLead(type, data) {
+    return this.updateStore((store) => {
+      const id = `local-lead-${store.leads.length + 1}`;
+      store.leads.push({ id, type, createdAt: new Date().toISOString(), data });
+
+      logger.info({ service: 'localCrm', operation: 'createLead', leadId: id, type }, 'Lead stored in local CRM');
+      return id;
+    });
+  }
+
+  /**
+   * Create a lead from a booking
+   * @param {Object} bookingData - Booking fields with the performer
+   * @returns {Promise<string>} Lead ID
+   */
+  async createLead(bookingData) {
+    const { performer, ...data } = bookingData;
+
+    return await this.storeLead('booking', {
+      ...data,
+      performer: performer ? { vtigerId: performer.vtigerId, name: performer.name } : null
+    });
+  }
+
+  /**
+   * Create a lead from a quote request
+   * @param {Object} quote - Quote instance with optional performer association
+   * @returns {Promise<string>} Lead ID
+   */
+  async createQuoteLead(quote) {
+    const { performer, ...data } = typeof quote.toJSON === 'function' ? quote.toJSON() : quote;
+
+    return await this.storeLead('quote', {
+      ...data,
+      performer: performer ? { vtigerId: performer.vtigerId, name: performer.name } : null
+    });
+  }
+}
+
+module.exports = { LocalCrmProvider, DEFAULT_DATA_FILE };
@@ -0,0 +1,157 @@
+/**
+ * vTiger CRM Provider
+ * CRM provider implementation backed by the vTiger webservice (VTigerService)
+ *
+ * Sales orders are returned in vTiger record format (cf_793 = performance date,
+ * cf_795 = time, cf_813 = location) - the event sync maps them from there.
+ */
+
+const { VTigerService } = require('./vtigerService');
+const { isCircuitOpen } = require('./vtigerService-resilience');
+const { Setting } = require('../models');
+
+const RECORD_ID_PATTERN = /^\d+x\d+$/;
+const FIELD_NAME_PATTERN = /^\w+$/;
+const CONVERTED_FLAG_VALUES = ['1', 'true'];
+
+class VtigerCrmProvider {
+  /**
+   * @param {VTigerService} client - Webservice client (injectable for scripts)
+   */
+  constructor(client = new VTigerService()) {
+    this.key = 'vtiger';
+    this.label = 'vTiger CRM';
+    this.client = client;
+  }
+
+  /**
+   * Requests can be sent (the circuit breaker is not open)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !isCircuitOpen();
+  }
+
+  /**
+   * Check the connection (authentication)
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    return await this.client.authenticate();
+  }
+
+  /**
+   * Performers (products) - full: active ones, delta: every product modified since the given time
+   * @param {Object} options - { modifiedSince: Date|null, failedIds: collects the IDs not retrieved }
+   * @returns {Promise<Array>} Performer objects
+   */
+  async getPerformers(options = {}) {
+    return await this.client.getPerformers(options);
+  }
+
+  /**
+   * One page of approved sales orders in a performance date range (id and basic fields only)
+   * @param {Object} options - { startDate, endDate, offset, limit }
+   * @returns {Promise<Array>} Sales order records
+   */
+  async getApprovedSalesOrders({ startDate, endDate, offset, limit }) {
+    const query = 'SELECT id, sostatus, subject, cf_793, cf_795, cf_813 FROM SalesOrder '
+      + `WHERE sostatus='Approved' AND cf_793 >= '${startDate}' AND cf_793 <= '${endDate}' `
+      + `LIMIT ${offset}, ${limit};`;
+
+    return await this.client.query(query) || [];
+  }
+
+  /**
+   * Full sales order record (with LineItems)
+   * @param {string} id - Sales order ID
+   * @returns {Promise<Object|null>}
+   */
+  async getSalesOrder(id) {
+    return await this.client.retrieve(id);
+  }
+
+  /**
+   * Public image URL of a product
+   * @param {string} productId
+   * @returns {Promise<string|null>}
+   */
+  async getProductImageUrl(productId) {
+    const product = await this.client.retrieve(productId);
+
+    if (product && product.imagename && product.imageattachmentids) {
+      return this.client.generateImageUrl(product.imagename, product.imageattachmentids);
+    }
+
+    return null;
+  }
+
+  /**
+   * Current CRM state of a lead created by createLead()
+   * A linked sales order (vtiger.sales_order_lead_field) wins over the lead status. vTiger hides
+   * converted leads from queries, so a lead missing from the query only counts as converted when
+   * the retrieved record carries the converted flag - deleted, merged or hidden leads stay unknown.
+   * @param {string} leadId - Lead ID (e.g. 10x123)
+   * @returns {Promise<Object|null>} { state, source: lead | salesOrder } or null if unknown
+   */
+  async getLeadStatus(leadId) {
+    if (!RECORD_ID_PATTERN.test(String(leadId))) {
+      return null;
+    }
+
+    const leadField = await Setting.get('vtiger.sales_order_lead_field');
+
+    if (leadField && FIELD_NAME_PATTERN.test(leadField)) {
+      const orders = await this.client.query(
+        `SELECT id, sostatus FROM SalesOrder WHERE ${leadField} = '${leadId}' ORDER BY modifiedtime DESC LIMIT 1;`
+      );
+
+      if (orders && orders.length > 0) {
+        return { state: orders[0].sostatus, source: 'salesOrder' };
+      }
+    }
+
+    const leads = await this.client.query(`SELECT id, leadstatus FROM Leads WHERE id = '${leadId}';`);
+
+    if (leads && leads.length > 0) {
+      return { state: leads[0].leadstatus || 'Not Contacted', source: 'lead' };
+    }
+
+    const lead = await this.retrieveLead(leadId);
+    return lead && CONVERTED_FLAG_VALUES.includes(String(lead.isconverted))
+      ? { state: 'Converted', source: 'lead' }
+      : null;
+  }
+
+  /**
+   * Full lead record, null when it cannot be retrieved (deleted, no permission)
+   * @private
+   */
+  async retrieveLead(leadId) {
+    try {
+      return await this.client.retrieve(leadId);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Create a lead from a booking
+   * @param {Object} bookingData - Booking fields with the performer
+   * @returns {Promise<string>} Lead ID
+   */
+  async createLead(bookingData) {
+    return await this.client.createLead(bookingData);
+  }
+
+  /**
+   * Create a lead from a quote request
+   * @param {Object} quote - Quote instance with optional performer association
+   * @returns {Promise<string>} Lead ID
+   */
+  async createQuoteLead(quote) {
+    return await this.client.createQuoteLead(quote);
+  }
+}
+
+module.exports = { VtigerCrmProvider };
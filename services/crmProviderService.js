@@ -0,0 +1,133 @@
+/**
+ * CRM Provider Service
+ * Selects the CRM implementation the sync services and the booking/quote lead cron talk to
+ *
+ * Provider interface:
+ * - isAvailable() → boolean (false while the vTiger circuit breaker is open - syncs pause)
+ * - testConnection() → boolean
+ * - getPerformers({ modifiedSince, failedIds }) → performer objects (see VTigerService.buildPerformerObject);
+ *   IDs of records that could not be retrieved are pushed to failedIds
+ * - getApprovedSalesOrders({ startDate, endDate, offset, limit }) → sales order records (one page)
+ * - getSalesOrder(id) → sales order record with LineItems
+ * - getProductImageUrl(productId) → string|null
+ * - createLead(bookingData) / createQuoteLead(quote) → lead ID
+ * - getLeadStatus(leadId) → { state, source: lead | salesOrder } | null
+ *
+ * The active provider is stored in the crm.provider setting (vtiger | local).
+ * The local provider is refused in production unless CRM_ALLOW_LOCAL_PROVIDER=true.
+ * Only the vTiger provider writes lead IDs back to the bookings/quotes (isSyncedToVtiger, vtigerLeadId).
+ */
+
+const { Setting } = require('../models');
+const { VtigerCrmProvider } = require('./crmProvider-vtiger');
+const { LocalCrmProvider } = require('./crmProvider-local');
+
+const CRM_PROVIDER_KEY = 'crm.provider';
+const DEFAULT_PROVIDER = 'vtiger';
+const CRM_PAUSED_MESSAGE = 'A CRM kapcsolat ismételt hibák miatt szünetel, a szinkron kimaradt';
+
+const PROVIDERS = {
+  vtiger: {
+    label: 'vTiger CRM',
+    description: 'Éles CRM: előadók, események és leadek a vTiger webservice-en keresztül.',
+    create: () => new VtigerCrmProvider(),
+    isAllowed: () => true
+  },
+  local: {
+    label: 'Helyi CRM (JSON fájl)',
+    description: 'Fejlesztéshez, bemutatóhoz és tesztekhez: az adatok a data/local-crm.json fájlban vannak.',
+    create: () => new LocalCrmProvider(),
+    isAllowed: () => process.env.NODE_ENV !== 'production' || process.env.CRM_ALLOW_LOCAL_PROVIDER === 'true'
+  }
+};
+
+// One instance per provider (the vTiger session is reused between calls)
+const instances = new Map();
+
+/**
+ * Provider instance by key
+ * @param {string} key - vtiger | local
+ * @returns {Object} Provider instance
+ * @throws {Error} Unknown provider
+ */
+function getProvider(key) {
+  if (!PROVIDERS[key]) {
+    throw new Error(`Ismeretlen CRM szolgáltató: ${key}`);
+  }
+
+  if (!instances.has(key)) {
+    instances.set(key, PROVIDERS[key].create());
+  }
+
+  return instances.get(key);
+}
+
+/**
+ * Key of the active provider
+ * @returns {Promise<string>}
+ */
+async function getActiveProviderKey() {
+  const key = await Setting.get(CRM_PROVIDER_KEY, DEFAULT_PROVIDER) || DEFAULT_PROVIDER;
+
+  // A stored but no longer allowed provider (e.g. local in production) falls back to vTiger
+  return PROVIDERS[key] && PROVIDERS[key].isAllowed() ? key : DEFAULT_PROVIDER;
+}
+
+/**
+ * Active provider instance
+ * @returns {Promise<Object>}
+ */
+async function getCrmProvider() {
+  return getProvider(await getActiveProviderKey());
+}
+
+/**
+ * Whether the provider writes its lead IDs back to the bookings/quotes as vTiger lead IDs
+ * @param {Object} crmProvider - Provider instance
+ * @returns {boolean}
+ */
+function syncsVtigerLeads(crmProvider) {
+  return crmProvider.key === DEFAULT_PROVIDER;
+}
+
+/**
+ * Selectable providers (admin integrations page)
+ * @returns {Array<Object>} [{ key, label, description, allowed }]
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([key, provider]) => ({
+    key,
+    label: provider.label,
+    description: provider.description,
+    allowed: provider.isAllowed()
+  }));
+}
+
+/**
+ * Save the active provider
+ * @param {string} key - vtiger | local
+ * @returns {Promise<void>}
+ * @throws {Error} Unknown provider or not allowed in this environment
+ */
+async function setActiveProvider(key) {
+  if (!PROVIDERS[key]) {
+    throw new Error(`Ismeretlen CRM szolgáltató: ${key}`);
+  }
+
+  if (!PROVIDERS[key].isAllowed()) {
+    throw new Error(`${PROVIDERS[key].label} éles környezetben nem használható`);
+  }
+
+  await Setting.set(CRM_PROVIDER_KEY, key, 'string', 'crm', 'Active CRM provider (vtiger | local)');
+}
+
+module.exports = {
+  CRM_PROVIDER_KEY,
+  CRM_PAUSED_MESSAGE,
+  getProvider,
+  getActiveProviderKey,
+  getCrmProvider,
+  syncsVtigerLeads,
+  listProviders,
+  setActiveProvider
+};
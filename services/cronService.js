@@ -1,22 +1,24 @@
 const cron = require('node-cron');
 const logger = require('../config/logger');
 const { SyncService } = require('./syncService');
-const { VTigerService } = require('./vtigerService');
+const { getCrmProvider, syncsVtigerLeads } = require('./crmProviderService');
 const GeoNamesLocationCronService = require('./geoNamesLocationCronService');
 const eventCronService = require('./eventCronService');
 const emailService = require('./emailService');
 const availabilityService = require('./availabilityService');
 const securityAlertService = require('./securityAlertService');
 const chatSessionCleanupService = require('./chatSessionCleanupService');
+const wizardDraftService = require('./wizardDraftService');
 const infrastructureAlertService = require('./infrastructureAlertService');
+const { syncBookingStatuses } = require('./bookingStatusSyncService');
+const bookingCrmSyncService = require('./bookingCrmSyncService');
 const { cleanupOldSecurityLogs, cleanupOldLogs, runDailyBackup } = require('./cronService-helpers');
-const { Performer, Booking, CronJob } = require('../models');
+const { Performer, Booking, Quote, CronJob } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 
 // Initialize services
 const syncService = new SyncService();
-const vtigerService = new VTigerService();
 
 // Store active cron tasks
 const activeCronTasks = new Map();
@@ -27,6 +29,9 @@ const activeCronTasks = new Map();
 const jobHandlers = {
   'performer-sync': async () => {
     const result = await syncService.syncPerformers(false);
+    if (result.paused) {
+      return;
+    }
     if (!result.success) {
       logger.error({ error: result.error, service: 'cron', job: 'performer-sync' }, 'Performer sync failed');
       throw new Error(result.error);
@@ -51,6 +56,23 @@ const jobHandlers = {
     await syncBookingsToVTiger();
   },
 
+  'booking-status-sync': async () => {
+    const result = await syncBookingStatuses();
+    if (result.paused) {
+      return;
+    }
+    if (result.errors > 0) {
+      logger.warn(
+        { service: 'cron', job: 'booking-status-sync', errors: result.errors },
+        'Booking status sync had errors'
+      );
+    }
+  },
+
+  'quote-sync': async () => {
+    await syncQuotesToVTiger();
+  },
+
   'daily-maintenance': async () => {
     await performDailyMaintenance();
   },
@@ -339,12 +361,27 @@ function getActiveCronTasks() {
 }
 
 /**
- * Sync bookings to vTiger CRM
- * @returns {Promise<void>}
+ * Sync bookings to the active CRM provider (vTiger or the local stand-in) as leads
+ * Bookings failing every attempt are dead-lettered (see bookingCrmSyncService)
+ * @returns {Promise<Object>} { synced, failed, paused }
  */
 async function syncBookingsToVTiger() {
   try {
-    const unsyncedBookings = await Booking.findAll({
+    return await bookingCrmSyncService.syncPendingBookings();
+  } catch (error) {
+    logger.error({ err: error, service: 'cron', operation: 'bookingSync' }, 'Failed to sync bookings to vTiger');
+    throw error;
+  }
+}
+
+/**
+ * Sync quote requests to the active CRM provider as leads
+ * Same retry/attempt tracking as bookings (max 3 attempts)
+ * @returns {Promise<void>}
+ */
+async function syncQuotesToVTiger() {
+  try {
+    const unsyncedQuotes = await Quote.findAll({
       where: {
         isSyncedToVtiger: false,
         syncAttempts: { [Op.lt]: 3 }
@@ -356,39 +393,46 @@ async function syncBookingsToVTiger() {
       limit: 10
     });
 
-    for (const booking of unsyncedBookings) {
+    if (unsyncedQuotes.length === 0) {
+      return;
+    }
+
+    const crmProvider = await getCrmProvider();
+
+    // Local lead IDs must not be stored as vTiger lead IDs: the quotes wait for the vTiger provider
+    if (!syncsVtigerLeads(crmProvider)) {
+      logger.info({ service: 'cron', operation: 'quoteSync', provider: crmProvider.key }, 'Quote lead sync skipped');
+      return;
+    }
+
+    for (const quote of unsyncedQuotes) {
+      if (!crmProvider.isAvailable()) {
+        logger.warn({ service: 'cron', operation: 'quoteSync', provider: crmProvider.key }, 'CRM paused');
+        break;
+      }
+
       try {
-        const leadId = await vtigerService.createLead({
-          clientName: booking.clientName,
-          clientEmail: booking.clientEmail,
-          clientPhone: booking.clientPhone,
-          clientCompany: booking.clientCompany,
-          eventDate: booking.eventDate,
-          eventLocation: booking.eventLocation,
-          eventType: booking.eventType,
-          expectedGuests: booking.expectedGuests,
-          message: booking.message,
-          budget: booking.budget,
-          performer: booking.performer
-        });
+        const leadId = await crmProvider.createQuoteLead(quote);
 
-        await booking.update({
+        await quote.update({
           vtigerLeadId: leadId,
           isSyncedToVtiger: true,
-          syncAttempts: booking.syncAttempts + 1,
+          syncAttempts: quote.syncAttempts + 1,
           lastSyncAttempt: new Date(),
           syncError: null
         });
 
         logger.info({
           service: 'cron',
-          operation: 'bookingSync',
-          bookingId: booking.id,
+          operation: 'quoteSync',
+          quoteId: quote.id,
+          referenceId: quote.referenceId,
+          provider: crmProvider.key,
           leadId
-        }, 'Booking synced to vTiger');
+        }, 'Quote synced to CRM');
       } catch (error) {
-        await booking.update({
-          syncAttempts: booking.syncAttempts + 1,
+        await quote.update({
+          syncAttempts: quote.syncAttempts + 1,
           lastSyncAttempt: new Date(),
           syncError: error.message
         });
@@ -396,13 +440,13 @@ async function syncBookingsToVTiger() {
         logger.error({
           err: error,
           service: 'cron',
-          operation: 'bookingSync',
-          bookingId: booking.id
-        }, 'Failed to sync booking');
+          operation: 'quoteSync',
+          quoteId: quote.id
+        }, 'Failed to sync quote');
       }
     }
   } catch (error) {
-    logger.error({ err: error, service: 'cron', operation: 'bookingSync' }, 'Failed to sync bookings to vTiger');
+    logger.error({ err: error, service: 'cron', operation: 'quoteSync' }, 'Failed to sync quotes to vTiger');
     throw error;
   }
 }
@@ -422,6 +466,9 @@ async function performDailyMaintenance() {
     // Clean up old log files
     await cleanupOldLogs();
 
+    // Clean up expired booking / quote wizard drafts
+    await wizardDraftService.cleanupOldDrafts();
+
     // Log statistics
     const performerCount = await Performer.count({ where: { isActive: true } });
     const bookingCount = await Booking.count();
@@ -447,6 +494,7 @@ module.exports = {
   startCronJob,
   getActiveCronTasks,
   syncBookingsToVTiger,
+  syncQuotesToVTiger,
   performDailyMaintenance,
   cleanupOldLogs,
   cleanupOldSecurityLogs
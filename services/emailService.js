@@ -332,6 +332,7 @@ class EmailService {
      * @param {string} options.text - Plain text content
      * @param {string} options.html - HTML content (optional)
      * @param {string} options.from - Sender email (optional, uses default)
+     * @param {string} options.replyTo - Reply-To address (optional)
      * @returns {Promise<Object>} Send result
      */
   async sendEmail(options) {
@@ -355,6 +356,7 @@ class EmailService {
       const mailOptions = {
         from: options.from || defaultFrom,
         to: options.to,
+        replyTo: options.replyTo || undefined,
         subject: options.subject,
         text: options.text,
         html: options.html || null
@@ -1,10 +1,8 @@
-const { VTigerService } = require('./vtigerService');
+const { getCrmProvider, CRM_PAUSED_MESSAGE } = require('./crmProviderService');
 const { Event, Performer } = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../config/logger');
-
-// VTiger service instance létrehozása
-const vtigerService = new VTigerService();
+const { generateEventSlug } = require('../utils/slugHelper');
 
 /**
  * HTML entitások dekódolása
@@ -52,20 +50,11 @@ function decodeHtmlEntities(text) {
 
 class EventSyncService {
   /**
-   * Helper: Query építése
-   */
-  buildSalesOrderQuery(startDate, endDate, offset, limit) {
-    return 'SELECT id, sostatus, subject, cf_793, cf_795, cf_813 FROM SalesOrder '
-      + `WHERE sostatus='Approved' AND cf_793 >= '${startDate}' AND cf_793 <= '${endDate}' `
-      + `LIMIT ${offset}, ${limit};`;
-  }
-
-  /**
-   * Helper: Egy lapnyi Sales Order lekérése
+   * Helper: Egy lapnyi jóváhagyott Sales Order lekérése az aktív CRM-ből
    */
   async fetchSalesOrderPage(startDate, endDate, offset, limit) {
-    const query = this.buildSalesOrderQuery(startDate, endDate, offset, limit);
-    const salesOrders = await vtigerService.query(query);
+    const crmProvider = await getCrmProvider();
+    const salesOrders = await crmProvider.getApprovedSalesOrders({ startDate, endDate, offset, limit });
 
     if (!salesOrders || salesOrders.length === 0) {
       return { salesOrders: [], hasMore: false };
@@ -142,11 +131,13 @@ class EventSyncService {
    * Helper: Sales Orders feldolgozása
    */
   async processSalesOrders(salesOrders, stats) {
+    const crmProvider = await getCrmProvider();
+
     for (const basicOrder of salesOrders) {
       stats.processed += 1;
 
       try {
-        const fullOrder = await vtigerService.retrieve(basicOrder.id);
+        const fullOrder = await crmProvider.getSalesOrder(basicOrder.id);
         await this.processSalesOrder(fullOrder, stats);
       } catch (error) {
         stats.errors += 1;
@@ -227,6 +218,19 @@ class EventSyncService {
     };
 
     try {
+      const crmProvider = await getCrmProvider();
+
+      // Circuit breaker open: skip the run (the existing events stay untouched)
+      if (!crmProvider.isAvailable()) {
+        logger.warn({ service: 'eventSync', provider: crmProvider.key }, 'CRM circuit breaker open - sync paused');
+        return {
+          ...stats,
+          paused: true,
+          duration: Date.now() - startTime,
+          message: CRM_PAUSED_MESSAGE
+        };
+      }
+
       const { startDate, endDate } = this.getDateRange(options);
       const allSalesOrders = await this.fetchAllSalesOrders(startDate, endDate);
 
@@ -318,15 +322,11 @@ class EventSyncService {
     return { itemName, imageUrl };
   }
 
-  // Helper: Fetch product image from vTiger
+  // Helper: Fetch product image from the CRM
   async fetchProductImage(productId, vtigerId) {
     try {
-      const product = await vtigerService.retrieve(productId);
-
-      if (product.imagename && product.imageattachmentids) {
-        return vtigerService.generateImageUrl(product.imagename, product.imageattachmentids);
-      }
-      return null;
+      const crmProvider = await getCrmProvider();
+      return await crmProvider.getProductImageUrl(productId);
     } catch (error) {
       logger.warn({
         err: error,
@@ -375,6 +375,7 @@ class EventSyncService {
   buildEventData(orderData, itemData, performerId, rawOrder) {
     return {
       vtigerId: orderData.vtigerId,
+      slug: generateEventSlug(orderData),
       subject: orderData.subject,
       performanceDate: orderData.performanceDate,
       performanceTime: orderData.performanceTime,
@@ -418,7 +419,8 @@ class EventSyncService {
    */
   async syncSingleEvent(vtigerId) {
     try {
-      const order = await vtigerService.retrieve(vtigerId);
+      const crmProvider = await getCrmProvider();
+      const order = await crmProvider.getSalesOrder(vtigerId);
       if (!order) {
         throw new Error(`Nem található Sales Order: ${vtigerId}`);
       }
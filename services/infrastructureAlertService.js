@@ -2,6 +2,7 @@ const logger = require('../config/logger');
 const emailService = require('./emailService');
 const nodemailer = require('nodemailer');
 const { sequelize } = require('../models');
+const { getBreakerStatus } = require('./vtigerService-resilience');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const os = require('os');
@@ -27,6 +28,7 @@ const CRITICAL_SMTP_CONFIG = {
  * Features:
  * - Database connection monitoring (every 5 minutes)
  * - Disk space monitoring (daily + on-demand)
+ * - vTiger circuit breaker state (open = CRM requests and syncs paused)
  * - Uncaught exception / critical error alerts
  * - Rate limiting: Max 5 alerts/hour (spam protection)
  */
@@ -588,6 +590,20 @@ AUTO-RECOVERY: PM2 újraindította az app-ot, jelenleg FUT.
   }
 }
 
+/**
+ * 3. VTIGER CIRCUIT BREAKER
+ * Reported only (the breaker recovers by itself after the cooldown)
+ */
+function checkVtigerCircuit() {
+  const status = getBreakerStatus();
+
+  if (status.state !== 'closed') {
+    logger.warn({ service: 'infrastructureAlert', ...status }, 'vTiger circuit breaker not closed');
+  }
+
+  return { healthy: status.state === 'closed', ...status, timestamp: new Date().toISOString() };
+}
+
 /**
  * HEALTH CHECK RUNNER (Called by cron job)
  * Runs all health checks and returns results
@@ -598,10 +614,11 @@ async function runHealthChecks() {
   const results = {
     database: await checkDatabaseHealth(),
     diskSpace: await checkDiskSpace(),
+    vtigerCircuit: checkVtigerCircuit(),
     timestamp: new Date().toISOString()
   };
 
-  const allHealthy = results.database.healthy && results.diskSpace.healthy;
+  const allHealthy = results.database.healthy && results.diskSpace.healthy && results.vtigerCircuit.healthy;
 
   logger.info(
     {
@@ -609,7 +626,8 @@ async function runHealthChecks() {
       allHealthy,
       database: results.database.healthy,
       diskSpace: results.diskSpace.healthy,
-      diskUsage: results.diskSpace.usage
+      diskUsage: results.diskSpace.usage,
+      vtigerCircuit: results.vtigerCircuit.state
     },
     'Infrastructure health check completed'
   );
@@ -620,6 +638,7 @@ async function runHealthChecks() {
 module.exports = {
   checkDatabaseHealth,
   checkDiskSpace,
+  checkVtigerCircuit,
   alertCriticalError,
   runHealthChecks,
   // For testing
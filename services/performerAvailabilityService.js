@@ -0,0 +1,288 @@
+/**
+ * Performer Availability Service
+ * Per-performer booked dates from synced vTiger sales orders (Events) plus manual blackout dates
+ *
+ * - Event rows (Approved sales orders) → the day is booked, clients are warned but may still ask
+ * - PerformerBlackoutDate rows → the performer is not available at all on that day
+ */
+
+const { Op } = require('sequelize');
+const { Event, PerformerBlackoutDate, User } = require('../models');
+const logger = require('../config/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_MONTHS = 12;
+const MAX_RANGE_DAYS = 550;
+const MAX_BLACKOUT_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC based, DATEONLY safe)
+ * @private
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC midnight Date
+ * @private
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Number of days between two YYYY-MM-DD dates (inclusive)
+ * @private
+ */
+function countDays(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / DAY_MS) + 1;
+}
+
+/**
+ * Resolve and validate a date range (defaults: today → +12 months)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Object} { from, to }
+ * @throws {Error} If the range is invalid or too long
+ */
+function resolveRange(from, to) {
+  const today = new Date();
+  const fromDate = from ? parseDate(from) : parseDate(toDateString(today));
+  let toDate = to ? parseDate(to) : null;
+
+  if (!fromDate || (to && !toDate)) {
+    throw new Error('Érvénytelen dátum formátum (YYYY-MM-DD)');
+  }
+
+  if (!toDate) {
+    toDate = new Date(fromDate);
+    toDate.setUTCMonth(toDate.getUTCMonth() + DEFAULT_RANGE_MONTHS);
+  }
+
+  const range = { from: toDateString(fromDate), to: toDateString(toDate) };
+
+  if (toDate < fromDate) {
+    throw new Error('A záró dátum nem lehet korábbi a kezdő dátumnál');
+  }
+
+  if (countDays(range.from, range.to) > MAX_RANGE_DAYS) {
+    throw new Error(`Legfeljebb ${MAX_RANGE_DAYS} napos időszak kérdezhető le`);
+  }
+
+  return range;
+}
+
+/**
+ * Expand a date range into an array of YYYY-MM-DD strings
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+function expandDateRange(from, to) {
+  const dates = [];
+  const current = parseDate(from);
+  const days = countDays(from, to);
+
+  for (let i = 0; i < days; i += 1) {
+    dates.push(toDateString(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Booked dates from synced events
+ * @private
+ */
+async function getEventDates(performerId, range) {
+  const events = await Event.findAll({
+    where: {
+      performerId,
+      performanceDate: { [Op.between]: [range.from, range.to] }
+    },
+    attributes: ['performanceDate'],
+    raw: true
+  });
+
+  return [...new Set(events.map((event) => event.performanceDate))].sort();
+}
+
+/**
+ * Blackout dates in range
+ * @private
+ */
+async function getBlackoutDates(performerId, range) {
+  const rows = await PerformerBlackoutDate.findAll({
+    where: {
+      performerId,
+      date: { [Op.between]: [range.from, range.to] }
+    },
+    attributes: ['date'],
+    order: [['date', 'ASC']],
+    raw: true
+  });
+
+  return rows.map((row) => row.date);
+}
+
+/**
+ * Public availability of a performer (no internal reasons or event details)
+ * @param {number} performerId
+ * @param {Object} options - { from, to } YYYY-MM-DD
+ * @returns {Promise<Object>} { from, to, bookedDates, blackoutDates }
+ */
+async function getAvailability(performerId, options = {}) {
+  const range = resolveRange(options.from, options.to);
+
+  const [bookedDates, blackoutDates] = await Promise.all([
+    getEventDates(performerId, range),
+    getBlackoutDates(performerId, range)
+  ]);
+
+  return {
+    from: range.from,
+    to: range.to,
+    bookedDates,
+    blackoutDates
+  };
+}
+
+/**
+ * Check a single date for a performer
+ * @param {number} performerId
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} { available, reason: 'booked' | 'blackout' | null }
+ */
+async function checkDate(performerId, date) {
+  if (!performerId || !parseDate(date)) {
+    return { available: true, reason: null };
+  }
+
+  const blackout = await PerformerBlackoutDate.count({ where: { performerId, date } });
+  if (blackout > 0) {
+    return { available: false, reason: 'blackout' };
+  }
+
+  const booked = await Event.count({ where: { performerId, performanceDate: date } });
+  if (booked > 0) {
+    return { available: false, reason: 'booked' };
+  }
+
+  return { available: true, reason: null };
+}
+
+/**
+ * List blackout dates of a performer (admin view)
+ * @param {number} performerId
+ * @param {Object} options - { includePast: false }
+ * @returns {Promise<Array>}
+ */
+async function listBlackoutDates(performerId, options = {}) {
+  const where = { performerId };
+
+  if (!options.includePast) {
+    where.date = { [Op.gte]: toDateString(new Date()) };
+  }
+
+  return await PerformerBlackoutDate.findAll({
+    where,
+    include: [{ model: User, as: 'creator', attributes: ['id', 'name'], required: false }],
+    order: [['date', 'ASC']]
+  });
+}
+
+/**
+ * List upcoming synced events of a performer (admin view)
+ * @param {number} performerId
+ * @returns {Promise<Array>}
+ */
+async function listUpcomingEvents(performerId) {
+  return await Event.findAll({
+    where: {
+      performerId,
+      performanceDate: { [Op.gte]: toDateString(new Date()) }
+    },
+    attributes: ['id', 'subject', 'performanceDate', 'performanceTime', 'performanceLocation'],
+    order: [['performanceDate', 'ASC']]
+  });
+}
+
+/**
+ * Add blackout dates for a date range (single day: dateFrom === dateTo)
+ * Already existing days are skipped.
+ * @param {number} performerId
+ * @param {Object} data - { dateFrom, dateTo, reason }
+ * @param {Object} actor - Session user
+ * @returns {Promise<number>} Number of requested days
+ * @throws {Error} If the range is invalid
+ */
+async function addBlackoutDates(performerId, data, actor = {}) {
+  const dateTo = data.dateTo || data.dateFrom;
+
+  if (!parseDate(data.dateFrom) || !parseDate(dateTo)) {
+    throw new Error('Érvénytelen dátum formátum (YYYY-MM-DD)');
+  }
+
+  if (dateTo < data.dateFrom) {
+    throw new Error('A záró dátum nem lehet korábbi a kezdő dátumnál');
+  }
+
+  if (countDays(data.dateFrom, dateTo) > MAX_BLACKOUT_RANGE_DAYS) {
+    throw new Error(`Egyszerre legfeljebb ${MAX_BLACKOUT_RANGE_DAYS} nap tiltható le`);
+  }
+
+  const reason = typeof data.reason === 'string' && data.reason.trim() ? data.reason.trim() : null;
+  const rows = expandDateRange(data.dateFrom, dateTo).map((date) => ({
+    performerId,
+    date,
+    reason,
+    createdBy: actor.id || null
+  }));
+
+  await PerformerBlackoutDate.bulkCreate(rows, { ignoreDuplicates: true });
+
+  logger.info({
+    service: 'performerAvailability',
+    operation: 'addBlackoutDates',
+    performerId,
+    dateFrom: data.dateFrom,
+    dateTo,
+    days: rows.length,
+    userId: actor.id
+  }, 'Blackout dates added');
+
+  return rows.length;
+}
+
+/**
+ * Remove a blackout date
+ * @param {number} performerId
+ * @param {number} blackoutId
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function removeBlackoutDate(performerId, blackoutId) {
+  const deleted = await PerformerBlackoutDate.destroy({
+    where: { id: blackoutId, performerId }
+  });
+
+  return deleted > 0;
+}
+
+module.exports = {
+  resolveRange,
+  expandDateRange,
+  getAvailability,
+  checkDate,
+  listBlackoutDates,
+  listUpcomingEvents,
+  addBlackoutDates,
+  removeBlackoutDate
+};
@@ -0,0 +1,364 @@
+/**
+ * Performer Portal Service
+ * Self-service area for performer-role users (artists, managers)
+ *
+ * - PerformerUser links a user to one or more Performer records
+ * - Overview: upcoming synced events, incoming bookings and quotes (no client contact data)
+ * - Description / rider changes are stored as PerformerChangeRequest rows and applied only after
+ *   admin approval. Approved fields are added to Performer.lockedFields so the vTiger sync
+ *   does not overwrite them until an admin releases the lock.
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Performer,
+  PerformerUser,
+  PerformerChangeRequest,
+  Event,
+  Booking,
+  Quote,
+  User
+} = require('../models');
+const performerRevisionService = require('./performerRevisionService');
+const logger = require('../config/logger');
+
+// Előadó által módosítható mezők
+const EDITABLE_FIELDS = {
+  description: 'Leírás',
+  technicalRequirements: 'Technikai igények (rider)'
+};
+
+const CHANGE_STATUS_LABELS = {
+  pending: 'Jóváhagyásra vár',
+  approved: 'Jóváhagyva',
+  rejected: 'Elutasítva'
+};
+
+const MAX_FIELD_LENGTH = 20000;
+const OVERVIEW_LIMIT = 20;
+
+/**
+ * Today as YYYY-MM-DD
+ * @private
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Performers linked to a user
+ * @param {number} userId
+ * @returns {Promise<Array>} Performer list
+ */
+async function getLinkedPerformers(userId) {
+  const links = await PerformerUser.findAll({ where: { userId }, attributes: ['performerId'], raw: true });
+
+  if (links.length === 0) {
+    return [];
+  }
+
+  return await Performer.findAll({
+    where: { id: links.map((link) => link.performerId) },
+    order: [['name', 'ASC']]
+  });
+}
+
+/**
+ * Linked performer by id (null if the user does not manage it)
+ * @param {number} userId
+ * @param {number} performerId
+ * @returns {Promise<Object|null>}
+ */
+async function getLinkedPerformer(userId, performerId) {
+  const link = await PerformerUser.findOne({ where: { userId, performerId } });
+  return link ? await Performer.findByPk(performerId) : null;
+}
+
+/**
+ * Portal overview of a performer
+ * @param {number} performerId
+ * @returns {Promise<Object>} { events, bookings, quotes, changeRequests }
+ */
+async function getOverview(performerId) {
+  const [events, bookings, quotes, changeRequests] = await Promise.all([
+    Event.findAll({
+      where: { performerId, performanceDate: { [Op.gte]: today() } },
+      attributes: ['id', 'subject', 'performanceDate', 'performanceTime', 'performanceLocation'],
+      order: [['performanceDate', 'ASC']],
+      limit: OVERVIEW_LIMIT
+    }),
+    Booking.findAll({
+      where: { performerId, eventDate: { [Op.gte]: today() } },
+      attributes: [
+        'id', 'eventDate', 'eventTime', 'eventLocation', 'eventType', 'expectedGuests', 'status', 'createdAt'
+      ],
+      order: [['eventDate', 'ASC']],
+      limit: OVERVIEW_LIMIT
+    }),
+    Quote.findAll({
+      where: { performerId, status: { [Op.notIn]: ['rejected', 'cancelled'] } },
+      attributes: ['id', 'referenceId', 'eventDate', 'eventLocation', 'guestCount', 'status', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit: OVERVIEW_LIMIT
+    }),
+    PerformerChangeRequest.findAll({
+      where: { performerId },
+      order: [['createdAt', 'DESC']],
+      limit: OVERVIEW_LIMIT
+    })
+  ]);
+
+  return { events, bookings, quotes, changeRequests };
+}
+
+/**
+ * Propose a description / rider change
+ * A pending proposal for the same field is replaced.
+ * @param {Object} performer - Performer instance
+ * @param {string} field - Key of EDITABLE_FIELDS
+ * @param {string} value - Proposed value
+ * @param {Object} actor - Session user
+ * @returns {Promise<Object>} PerformerChangeRequest
+ * @throws {Error} If the field or value is invalid
+ */
+async function proposeChange(performer, field, value, actor) {
+  if (!EDITABLE_FIELDS[field]) {
+    throw new Error('Ez a mező nem módosítható');
+  }
+
+  const proposedValue = typeof value === 'string' ? value.trim() : '';
+
+  if (proposedValue.length > MAX_FIELD_LENGTH) {
+    throw new Error(`Legfeljebb ${MAX_FIELD_LENGTH} karakter adható meg`);
+  }
+
+  if (proposedValue === (performer[field] || '').trim()) {
+    throw new Error('A javasolt szöveg megegyezik a jelenlegivel');
+  }
+
+  const existing = await PerformerChangeRequest.findOne({
+    where: { performerId: performer.id, field, status: 'pending' }
+  });
+
+  const data = {
+    userId: actor.id,
+    currentValue: performer[field] || null,
+    proposedValue
+  };
+
+  const request = existing
+    ? await existing.update(data)
+    : await PerformerChangeRequest.create({ ...data, performerId: performer.id, field });
+
+  logger.info({
+    service: 'performerPortal',
+    operation: 'proposeChange',
+    performerId: performer.id,
+    field,
+    requestId: request.id,
+    userId: actor.id
+  }, 'Performer change proposed');
+
+  return request;
+}
+
+/**
+ * Change requests for the admin review list
+ * @param {Object} filters - { status }
+ * @returns {Promise<Array>}
+ */
+async function listChangeRequests(filters = {}) {
+  const where = {};
+
+  if (filters.status && CHANGE_STATUS_LABELS[filters.status]) {
+    where.status = filters.status;
+  }
+
+  return await PerformerChangeRequest.findAll({
+    where,
+    include: [
+      { model: Performer, as: 'performer', attributes: ['id', 'name', 'slug', 'lockedFields'] },
+      { model: User, as: 'requester', attributes: ['id', 'name', 'email'], required: false },
+      { model: User, as: 'reviewer', attributes: ['id', 'name'], required: false }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: 100
+  });
+}
+
+/**
+ * Number of change requests waiting for review
+ * @returns {Promise<number>}
+ */
+async function countPendingChangeRequests() {
+  return await PerformerChangeRequest.count({ where: { status: 'pending' } });
+}
+
+/**
+ * Approve or reject a change request
+ * Approval writes the value to the performer and locks the field against the vTiger sync.
+ * @param {number} requestId
+ * @param {string} decision - approved | rejected
+ * @param {Object} actor - Session user
+ * @param {string} note - Optional review note
+ * @returns {Promise<Object>} Updated request
+ * @throws {Error} If the request is missing or already reviewed
+ */
+async function reviewChangeRequest(requestId, decision, actor, note) {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new Error('Érvénytelen döntés');
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const request = await PerformerChangeRequest.findByPk(requestId, { transaction });
+
+    if (!request) {
+      throw new Error('Módosítási kérés nem található');
+    }
+
+    if (request.status !== 'pending') {
+      throw new Error('Ez a kérés már el lett bírálva');
+    }
+
+    if (decision === 'approved') {
+      const performer = await Performer.findByPk(request.performerId, { transaction });
+      const lockedFields = new Set(performer.lockedFields || []);
+      lockedFields.add(request.field);
+
+      await performerRevisionService.recordAdminChange(
+        performer,
+        { [request.field]: request.proposedValue },
+        actor,
+        { transaction }
+      );
+
+      await performer.update({
+        [request.field]: request.proposedValue,
+        lockedFields: Array.from(lockedFields)
+      }, { transaction });
+    }
+
+    await request.update({
+      status: decision,
+      reviewedBy: actor.id,
+      reviewedAt: new Date(),
+      reviewNote: typeof note === 'string' && note.trim() ? note.trim() : null
+    }, { transaction });
+
+    logger.info({
+      service: 'performerPortal',
+      operation: 'reviewChangeRequest',
+      requestId,
+      performerId: request.performerId,
+      field: request.field,
+      decision,
+      userId: actor.id
+    }, 'Performer change request reviewed');
+
+    return request;
+  });
+}
+
+/**
+ * Release a locked field so the next vTiger sync overwrites it again
+ * @param {number} performerId
+ * @param {string} field
+ * @returns {Promise<boolean>} True if the field was locked
+ */
+async function unlockField(performerId, field) {
+  const performer = await Performer.findByPk(performerId);
+
+  if (!performer || !(performer.lockedFields || []).includes(field)) {
+    return false;
+  }
+
+  await performer.update({ lockedFields: performer.lockedFields.filter((item) => item !== field) });
+  return true;
+}
+
+/**
+ * Performers with locked fields (admin view)
+ * @returns {Promise<Array>}
+ */
+async function listLockedPerformers() {
+  const performers = await Performer.findAll({
+    where: { lockedFields: { [Op.ne]: null } },
+    attributes: ['id', 'name', 'slug', 'lockedFields'],
+    order: [['name', 'ASC']]
+  });
+
+  return performers.filter((performer) => Array.isArray(performer.lockedFields) && performer.lockedFields.length > 0);
+}
+
+/**
+ * Performer-role users with their linked performers (admin view)
+ * @returns {Promise<Array>}
+ */
+async function listPortalUsers() {
+  return await User.findAll({
+    where: { role: 'performer' },
+    attributes: ['id', 'name', 'email', 'isActive'],
+    include: [{
+      model: Performer,
+      as: 'managedPerformers',
+      attributes: ['id', 'name', 'slug'],
+      through: { attributes: [] },
+      required: false
+    }],
+    order: [['name', 'ASC']]
+  });
+}
+
+/**
+ * Link a performer-role user to a performer
+ * @param {number} userId
+ * @param {number} performerId
+ * @returns {Promise<boolean>} True if a new link was created
+ * @throws {Error} If the user or performer is invalid
+ */
+async function linkUser(userId, performerId) {
+  const [user, performer] = await Promise.all([
+    User.findByPk(userId, { attributes: ['id', 'role'] }),
+    Performer.findByPk(performerId, { attributes: ['id'] })
+  ]);
+
+  if (!user || user.role !== 'performer') {
+    throw new Error('Csak előadó szerepkörű felhasználó kapcsolható előadóhoz');
+  }
+
+  if (!performer) {
+    throw new Error('Előadó nem található');
+  }
+
+  const [, created] = await PerformerUser.findOrCreate({ where: { userId, performerId } });
+  return created;
+}
+
+/**
+ * Remove a user ↔ performer link
+ * @param {number} userId
+ * @param {number} performerId
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function unlinkUser(userId, performerId) {
+  const deleted = await PerformerUser.destroy({ where: { userId, performerId } });
+  return deleted > 0;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  CHANGE_STATUS_LABELS,
+  getLinkedPerformers,
+  getLinkedPerformer,
+  getOverview,
+  proposeChange,
+  listChangeRequests,
+  countPendingChangeRequests,
+  reviewChangeRequest,
+  unlockField,
+  listLockedPerformers,
+  listPortalUsers,
+  linkUser,
+  unlinkUser
+};
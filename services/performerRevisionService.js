@@ -0,0 +1,478 @@
+/**
+ * Performer Revision Service
+ * Field-level change history of performers
+ *
+ * - Every vTiger sync update and admin edit is stored as a PerformerRevision ({ field: { from, to } })
+ * - Suspicious sync changes (price jump over the threshold, emptied description, removed image)
+ *   are flagged. With vtiger.sync_review_suspicious enabled the flagged fields are held back
+ *   in a pending revision and only go live after admin approval.
+ * - A rejected value is not held again until vTiger sends a different one
+ * - A held revision is superseded when vTiger stops sending the held values (e.g. reverts them)
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Performer, PerformerRevision, Setting, User } = require('../models');
+const logger = require('../config/logger');
+
+const FIELD_LABELS = {
+  name: 'Név',
+  category: 'Kategória',
+  description: 'Leírás',
+  imageUrl: 'Kép',
+  price: 'Ár',
+  duration: 'Időtartam',
+  isActive: 'Aktív',
+  performanceType: 'Előadás típusa',
+  travelCost: 'Utazási költség',
+  travelCostCalculation: 'Utazási költség számítása',
+  technicalRequirements: 'Technikai igények',
+  style: 'Stílus',
+  status: 'Státusz'
+};
+
+const STATUS_LABELS = {
+  applied: 'Alkalmazva',
+  pending: 'Jóváhagyásra vár',
+  approved: 'Jóváhagyva',
+  rejected: 'Elutasítva',
+  superseded: 'Elavult'
+};
+
+const SOURCE_LABELS = {
+  sync: 'vTiger szinkron',
+  admin: 'Admin'
+};
+
+const FLAG_LABELS = {
+  priceJump: 'Jelentős árváltozás',
+  descriptionEmptied: 'Kiürült leírás',
+  imageRemoved: 'Eltávolított kép'
+};
+
+const DEFAULT_PRICE_CHANGE_PERCENT = 30;
+const HISTORY_LIMIT = 200;
+const USER_ATTRIBUTES = ['id', 'name'];
+
+/**
+ * Empty value (null, undefined, whitespace-only string)
+ * @private
+ */
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Compare a stored value with a new one (DECIMAL comes back as string, JSON as object)
+ * @private
+ */
+function isSameValue(typeKey, current, next) {
+  if (current === null || current === undefined || next === null) {
+    return (current ?? null) === next;
+  }
+
+  switch (typeKey) {
+    case 'DECIMAL':
+    case 'INTEGER':
+    case 'FLOAT':
+      return Number(current) === Number(next);
+    case 'BOOLEAN':
+      return Boolean(current) === Boolean(next);
+    case 'JSON':
+      return JSON.stringify(current) === JSON.stringify(next);
+    default:
+      return String(current) === String(next);
+  }
+}
+
+/**
+ * Fields whose new value differs from the stored one (lastSyncAt and non-model fields ignored)
+ * @param {Object} performer - Performer instance
+ * @param {Object} data - New values
+ * @returns {Array<string>} Changed field names
+ */
+function getChangedFields(performer, data) {
+  return Object.keys(data).filter((field) => {
+    const attribute = Performer.rawAttributes[field];
+
+    if (!attribute || field === 'lastSyncAt' || data[field] === undefined) {
+      return false;
+    }
+
+    return !isSameValue(attribute.type.key, performer.get(field), data[field]);
+  });
+}
+
+/**
+ * Per-field diff of a performer update
+ * @param {Object} performer - Performer instance (current values)
+ * @param {Object} data - New values
+ * @param {Array<string>} fields - Changed fields
+ * @returns {Object} { field: { from, to } }
+ */
+function buildChanges(performer, data, fields) {
+  return fields.reduce((changes, field) => {
+    changes[field] = { from: performer.get(field) ?? null, to: data[field] ?? null };
+    return changes;
+  }, {});
+}
+
+/**
+ * Suspicious changes of a diff
+ * @param {Object} changes - { field: { from, to } }
+ * @param {number} priceChangePercent - Price change threshold in percent
+ * @returns {Array<Object>} [{ field, reason }]
+ */
+function detectSuspiciousChanges(changes, priceChangePercent = DEFAULT_PRICE_CHANGE_PERCENT) {
+  const flags = [];
+
+  if (changes.price) {
+    const from = parseFloat(changes.price.from) || 0;
+    const to = parseFloat(changes.price.to) || 0;
+
+    if (from > 0 && (Math.abs(to - from) / from) * 100 > priceChangePercent) {
+      flags.push({ field: 'price', reason: 'priceJump' });
+    }
+  }
+
+  if (changes.description && !isBlank(changes.description.from) && isBlank(changes.description.to)) {
+    flags.push({ field: 'description', reason: 'descriptionEmptied' });
+  }
+
+  if (changes.imageUrl && !isBlank(changes.imageUrl.from) && isBlank(changes.imageUrl.to)) {
+    flags.push({ field: 'imageUrl', reason: 'imageRemoved' });
+  }
+
+  return flags;
+}
+
+/**
+ * Review settings of the sync (loaded once per sync run)
+ * @returns {Promise<Object>} { enabled, priceChangePercent }
+ */
+async function getReviewSettings() {
+  const enabled = await Setting.get('vtiger.sync_review_suspicious', false);
+  const priceChangePercent = parseFloat(await Setting.get('vtiger.sync_price_change_percent'))
+    || DEFAULT_PRICE_CHANGE_PERCENT;
+
+  return { enabled: enabled === true, priceChangePercent };
+}
+
+/**
+ * Fields whose new value was already rejected by an admin
+ * @private
+ */
+async function findRejectedFields(performerId, changes, fields, transaction) {
+  if (fields.length === 0) {
+    return [];
+  }
+
+  const rejected = await PerformerRevision.findOne({
+    where: { performerId, status: 'rejected' },
+    order: [['reviewedAt', 'DESC']],
+    transaction
+  });
+
+  if (!rejected) {
+    return [];
+  }
+
+  return fields.filter((field) => rejected.changes[field]
+    && JSON.stringify(rejected.changes[field].to) === JSON.stringify(changes[field].to));
+}
+
+/**
+ * Store held changes - one pending revision per performer, refreshed with the latest vTiger values
+ * @private
+ */
+async function holdChanges(performer, changes, flags, transaction) {
+  const pending = await PerformerRevision.findOne({
+    where: { performerId: performer.id, source: 'sync', status: 'pending' },
+    transaction
+  });
+
+  if (pending) {
+    return await pending.update({ changes, flags }, { transaction });
+  }
+
+  return await PerformerRevision.create({
+    performerId: performer.id,
+    source: 'sync',
+    status: 'pending',
+    changes,
+    flags
+  }, { transaction });
+}
+
+/**
+ * Close the pending sync revision of a performer when vTiger no longer sends the held values
+ * (reverted, or applied without review since), so a later approval cannot write stale data
+ * @private
+ */
+async function supersedePending(performerId, transaction) {
+  const [count] = await PerformerRevision.update(
+    { status: 'superseded', reviewedAt: new Date() },
+    { where: { performerId, source: 'sync', status: 'pending' }, transaction }
+  );
+
+  if (count > 0) {
+    logger.info({
+      service: 'performerRevision',
+      operation: 'supersedePending',
+      performerId
+    }, 'Held performer changes superseded by vTiger');
+  }
+
+  return count;
+}
+
+/**
+ * Pick a subset of an object
+ * @private
+ */
+function pick(object, fields) {
+  return fields.reduce((picked, field) => {
+    picked[field] = object[field];
+    return picked;
+  }, {});
+}
+
+/**
+ * Apply a vTiger sync update with revision logging
+ * Flagged fields are held for review when reviewing is enabled
+ *
+ * @param {Object} performer - Performer instance
+ * @param {Object} data - Update data built from vTiger (locked fields already removed)
+ * @param {Array<string>} changedFields - Fields that differ from the stored values
+ * @param {Object} reviewSettings - getReviewSettings() result
+ * @returns {Promise<Object>} { applied, held } field counts
+ */
+async function applySyncChanges(performer, data, changedFields, reviewSettings) {
+  const changes = buildChanges(performer, data, changedFields);
+  const flags = detectSuspiciousChanges(changes, reviewSettings.priceChangePercent);
+  const flaggedFields = reviewSettings.enabled ? [...new Set(flags.map((flag) => flag.field))] : [];
+
+  return await sequelize.transaction(async (transaction) => {
+    const rejectedFields = await findRejectedFields(performer.id, changes, flaggedFields, transaction);
+    const heldFields = flaggedFields.filter((field) => !rejectedFields.includes(field));
+    const appliedFields = changedFields.filter((field) => !flaggedFields.includes(field));
+
+    const updateData = { ...data };
+    flaggedFields.forEach((field) => {
+      delete updateData[field];
+    });
+
+    if (heldFields.length > 0) {
+      await holdChanges(
+        performer,
+        pick(changes, heldFields),
+        flags.filter((flag) => heldFields.includes(flag.field)),
+        transaction
+      );
+
+      logger.warn({
+        service: 'performerRevision',
+        operation: 'holdSyncChanges',
+        performerId: performer.id,
+        fields: heldFields
+      }, 'Suspicious performer changes held for review');
+    } else {
+      await supersedePending(performer.id, transaction);
+    }
+
+    if (appliedFields.length > 0) {
+      await PerformerRevision.create({
+        performerId: performer.id,
+        source: 'sync',
+        status: 'applied',
+        changes: pick(changes, appliedFields),
+        flags: flags.length > 0 && !reviewSettings.enabled ? flags : null
+      }, { transaction });
+    }
+
+    await performer.update(updateData, { transaction });
+
+    return { applied: appliedFields.length, held: heldFields.length };
+  });
+}
+
+/**
+ * Close a held sync revision after a sync that found no differences for the performer
+ * (vTiger sends the current values again, so the held ones were reverted)
+ * @param {number} performerId
+ * @returns {Promise<number>} Number of superseded revisions
+ */
+async function supersedeRevertedChanges(performerId) {
+  return await supersedePending(performerId);
+}
+
+/**
+ * Deactivate a performer removed from vTiger, logged as a sync revision
+ * @param {Object} performer - Performer instance
+ * @returns {Promise<Object>} Created PerformerRevision
+ */
+async function applySyncDeactivation(performer) {
+  return await sequelize.transaction(async (transaction) => {
+    const revision = await PerformerRevision.create({
+      performerId: performer.id,
+      source: 'sync',
+      status: 'applied',
+      changes: buildChanges(performer, { isActive: false }, ['isActive'])
+    }, { transaction });
+
+    await performer.update({ isActive: false }, { transaction });
+
+    return revision;
+  });
+}
+
+/**
+ * Log an admin edit of a performer (call before the update, with the new values)
+ *
+ * @param {Object} performer - Performer instance (current values)
+ * @param {Object} values - New values
+ * @param {Object} actor - Session user
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object|null>} PerformerRevision (null if nothing changed)
+ */
+async function recordAdminChange(performer, values, actor, options = {}) {
+  const fields = getChangedFields(performer, values);
+
+  if (fields.length === 0) {
+    return null;
+  }
+
+  return await PerformerRevision.create({
+    performerId: performer.id,
+    source: 'admin',
+    status: 'applied',
+    changes: buildChanges(performer, values, fields),
+    userId: actor ? actor.id : null
+  }, { transaction: options.transaction });
+}
+
+/**
+ * Approve or reject a held sync change
+ * Approval writes the held values (except fields locked in the meantime) to the performer.
+ *
+ * @param {number} revisionId
+ * @param {string} decision - approved | rejected
+ * @param {Object} actor - Session user
+ * @returns {Promise<Object>} Updated revision
+ * @throws {Error} If the revision is missing or already reviewed
+ */
+async function reviewRevision(revisionId, decision, actor) {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new Error('Érvénytelen döntés');
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const revision = await PerformerRevision.findByPk(revisionId, { transaction });
+
+    if (!revision) {
+      throw new Error('Változás nem található');
+    }
+
+    if (revision.status !== 'pending') {
+      throw new Error('Ez a változás már el lett bírálva');
+    }
+
+    if (decision === 'approved') {
+      const performer = await Performer.findByPk(revision.performerId, { transaction });
+      const lockedFields = performer.lockedFields || [];
+      const values = {};
+
+      Object.entries(revision.changes)
+        .filter(([field]) => !lockedFields.includes(field))
+        .forEach(([field, change]) => {
+          values[field] = change.to;
+        });
+
+      await performer.update(values, { transaction });
+    }
+
+    await revision.update({
+      status: decision,
+      reviewedBy: actor.id,
+      reviewedAt: new Date()
+    }, { transaction });
+
+    logger.info({
+      service: 'performerRevision',
+      operation: 'reviewRevision',
+      revisionId,
+      performerId: revision.performerId,
+      decision,
+      userId: actor.id
+    }, 'Performer revision reviewed');
+
+    return revision;
+  });
+}
+
+/**
+ * Change history of a performer, newest first
+ * @param {number} performerId
+ * @returns {Promise<Array>}
+ */
+async function listRevisions(performerId) {
+  return await PerformerRevision.findAll({
+    where: { performerId },
+    include: [
+      { model: User, as: 'editor', attributes: USER_ATTRIBUTES, required: false },
+      { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES, required: false }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: HISTORY_LIMIT
+  });
+}
+
+/**
+ * Held changes waiting for review, plus recently flagged (already applied) ones
+ * @returns {Promise<Object>} { pending, flagged }
+ */
+async function listReviewQueue() {
+  const performerInclude = { model: Performer, as: 'performer', attributes: ['id', 'name', 'slug'] };
+
+  const [pending, flagged] = await Promise.all([
+    PerformerRevision.findAll({
+      where: { status: 'pending' },
+      include: [performerInclude],
+      order: [['updatedAt', 'DESC']]
+    }),
+    PerformerRevision.findAll({
+      where: { status: 'applied', flags: { [Op.ne]: null } },
+      include: [performerInclude],
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    })
+  ]);
+
+  return { pending, flagged };
+}
+
+/**
+ * Number of held changes (sidebar badge)
+ * @returns {Promise<number>}
+ */
+async function countPendingRevisions() {
+  return await PerformerRevision.count({ where: { status: 'pending' } });
+}
+
+module.exports = {
+  FIELD_LABELS,
+  STATUS_LABELS,
+  SOURCE_LABELS,
+  FLAG_LABELS,
+  getChangedFields,
+  buildChanges,
+  detectSuspiciousChanges,
+  getReviewSettings,
+  applySyncChanges,
+  supersedeRevertedChanges,
+  applySyncDeactivation,
+  recordAdminChange,
+  reviewRevision,
+  listRevisions,
+  listReviewQueue,
+  countPendingRevisions
+};
@@ -0,0 +1,574 @@
+/**
+ * Quote Email Service - Templates
+ * HTML and plain text building blocks of the quote emails (see quoteEmailService)
+ */
+
+/* eslint-disable max-len -- Email templates contain long HTML strings */
+
+const TEXT_PLACEHOLDER = 'Nincs megadva';
+const PERFORMER_COUNT_SINGLE = 'Egy előadó';
+const PERFORMER_COUNT_MULTIPLE = 'Több előadó';
+
+// HTML Style constants for email templates
+const BADGE_NOT_FIXED = '<span style="display: inline-block; padding: 2px 8px; '
+  + 'background-color: #fbbf24; color: #78350f; border-radius: 4px; '
+  + 'font-size: 12px; margin-left: 8px;">Nem fix</span>';
+
+const EMAIL_CONTAINER_STYLE = 'font-family: -apple-system, BlinkMacSystemFont, '
+  + '\'Segoe UI\', Roboto, \'Helvetica Neue\', Arial, sans-serif; '
+  + 'max-width: 600px; margin: 0 auto; background-color: #ffffff; '
+  + 'border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);';
+
+const EMAIL_FOOTER_STYLE = 'text-align: center; padding: 20px; background-color: #f8fafc; '
+  + 'color: #64748b; font-size: 12px; border-top: 1px solid #e2e8f0;';
+
+/**
+ * Build event details HTML for quote email
+ */
+function buildEventDetailsHtml(quoteData) {
+  const eventTypesMap = {
+    szabadteri: '🌳 Szabadtéri',
+    belteri: '🏢 Beltéri',
+    ceges: '💼 Céges',
+    privat: '🎉 Privát',
+    belepos: '🎫 Belépős'
+  };
+
+  const eventTypeLabels = {
+    outdoorFree: 'Nyilvános ingyenes rendezvény szabadtéren',
+    outdoorPaid: 'Nyilvános belépőjegyes rendezvény szabadtéren',
+    indoorFree: 'Nyilvános ingyenes rendezvény zárt helyiségben',
+    indoorPaid: 'Nyilvános belépőjegyes rendezvény zárt helyiségben',
+    privatePersonal: 'Zártkörű magánrendezvény',
+    privateCorporate: 'Zártkörű céges rendezvény'
+  };
+
+  // Handle eventType (singular - from select dropdown)
+  const eventTypeText = quoteData.eventType
+    ? eventTypeLabels[quoteData.eventType] || quoteData.eventType
+    : null;
+
+  // Handle eventTypes (plural - from checkboxes)
+  const eventTypesText = quoteData.eventTypes && quoteData.eventTypes.length > 0
+    ? quoteData.eventTypes.map((type) => eventTypesMap[type] || type).join(', ')
+    : null;
+
+  // Use eventType if available, otherwise eventTypes, otherwise placeholder
+  const eventTypesHtml = eventTypeText || eventTypesText || TEXT_PLACEHOLDER;
+
+  const eventDateText = quoteData.eventDate
+    ? new Date(quoteData.eventDate).toLocaleDateString('hu-HU', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    })
+    : TEXT_PLACEHOLDER;
+
+  const dateFlexibleBadge = quoteData.eventDateFlexible
+    ? BADGE_NOT_FIXED
+    : '';
+
+  const timeFlexibleBadge = quoteData.eventTimeFlexible
+    ? BADGE_NOT_FIXED
+    : '';
+
+  const guestCountMap = {
+    '<100': 'Kevesebb mint 100 fő',
+    '100-300': '100-300 fő',
+    '300-800': '300-800 fő',
+    '800+': '800+ fő'
+  };
+
+  const guestCountText = guestCountMap[quoteData.guestCount] || quoteData.guestCount || TEXT_PLACEHOLDER;
+
+  return `
+    <h3 style="color: #1e293b; margin: 20px 0 10px 0; font-size: 16px; font-weight: 600;">📅 Rendezvény Részletek</h3>
+    <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px; width: 40%;">Dátum:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">
+          ${eventDateText}${dateFlexibleBadge}
+        </td>
+      </tr>
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Időpont:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">
+          ${quoteData.eventTime || TEXT_PLACEHOLDER}${timeFlexibleBadge}
+        </td>
+      </tr>
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Helyszín:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">${quoteData.eventLocation || TEXT_PLACEHOLDER}</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Rendezvény típusa:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">${eventTypesHtml}</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Vendégek száma:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">${guestCountText}</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Rendezvény neve:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">${quoteData.eventName || TEXT_PLACEHOLDER}</td>
+      </tr>
+      <tr>
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Kategória:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">${quoteData.eventCategory || TEXT_PLACEHOLDER}</td>
+      </tr>
+    </table>
+  `;
+}
+
+/**
+ * Build contact info HTML for quote email
+ */
+function buildContactInfoHtml(quoteData) {
+  return `
+    <h3 style="color: #1e293b; margin: 20px 0 10px 0; font-size: 16px; font-weight: 600;">👤 Kapcsolattartó</h3>
+    <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px; width: 40%;">Név:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">${quoteData.contactName}</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Email:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">
+          <a href="mailto:${quoteData.contactEmail}" style="color: #2563eb; text-decoration: none;">
+            ${quoteData.contactEmail}
+          </a>
+        </td>
+      </tr>
+      ${quoteData.contactPhone ? `
+      <tr>
+        <td style="padding: 10px; color: #64748b; font-size: 14px;">Telefon:</td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">
+          <a href="tel:${quoteData.contactPhone}" style="color: #2563eb; text-decoration: none;">
+            ${quoteData.contactPhone}
+          </a>
+        </td>
+      </tr>
+      ` : ''}
+    </table>
+  `;
+}
+
+/**
+ * Build notes section HTML for quote email
+ */
+function buildNotesHtml(quoteData) {
+  if (!quoteData.notes || quoteData.notes.trim() === '') {
+    return '';
+  }
+
+  return `
+    <h3 style="color: #1e293b; margin: 20px 0 10px 0; font-size: 16px; font-weight: 600;">💬 További információk</h3>
+    <div style="background-color: #f8fafc; border-left: 4px solid #3b82f6; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
+      <p style="margin: 0; color: #1e293b; font-size: 14px; line-height: 1.6; white-space: pre-wrap;">${quoteData.notes}</p>
+    </div>
+  `;
+}
+
+/**
+ * Build recommendation request details HTML (performer count, budget, styles)
+ * @private
+ */
+function buildRecommendationDetailsHtml(quoteData) {
+  let recommendationDetails = '';
+
+  if (!quoteData) {
+    return recommendationDetails;
+  }
+
+  if (quoteData.performerCount) {
+    const performerCountText = quoteData.performerCount === '1' ? PERFORMER_COUNT_SINGLE : PERFORMER_COUNT_MULTIPLE;
+    recommendationDetails += `<p style="margin: 10px 0 0 0; font-size: 14px;">👥 ${performerCountText}</p>`;
+  }
+
+  if (quoteData.budget) {
+    const budgetText = new Intl.NumberFormat('hu-HU').format(quoteData.budget);
+    recommendationDetails += `<p style="margin: 5px 0 0 0; font-size: 14px;">💰 Költségkeret: ${budgetText} Ft</p>`;
+  }
+
+  if (quoteData.styles && quoteData.styles.length > 0) {
+    recommendationDetails += `<p style="margin: 5px 0 0 0; font-size: 14px;">🎵 Stílusok: ${quoteData.styles.join(', ')}</p>`;
+  }
+
+  return recommendationDetails;
+}
+
+/**
+ * Build performer info HTML for quote email
+ */
+function buildPerformerInfoHtml(performer, quoteData = null) {
+  if (!performer) {
+    const recommendationDetails = buildRecommendationDetailsHtml(quoteData);
+
+    return `
+      <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); color: white; padding: 20px; margin-bottom: 20px; border-radius: 8px;">
+        <h2 style="margin: 0 0 10px 0; font-size: 24px; font-weight: 700;">🎯 Előadó ajánlás kérés</h2>
+        <p style="margin: 0; font-size: 14px; opacity: 0.9;">
+          Az ügyfél nem választott konkrét előadót, ajánlást kér
+        </p>
+        ${recommendationDetails}
+      </div>
+    `;
+  }
+
+  return `
+    <div style="background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; padding: 20px; margin-bottom: 20px; border-radius: 8px;">
+      <h2 style="margin: 0 0 10px 0; font-size: 24px; font-weight: 700;">🎵 ${performer.name}</h2>
+      <p style="margin: 0; font-size: 14px; opacity: 0.9;">
+        ${performer.performer_type || 'Előadó'} | ${performer.genres ? performer.genres.join(', ') : ''}
+      </p>
+    </div>
+  `;
+}
+
+/**
+ * Build travel cost estimate HTML
+ */
+function buildTravelEstimateHtml(travelEstimateText) {
+  if (!travelEstimateText) {
+    return '';
+  }
+
+  return `
+    <p style="margin: -10px 0 20px 0; color: #64748b; font-size: 13px;">
+      🚐 Becsült utazási költség: <strong>${travelEstimateText}</strong>
+    </p>
+  `;
+}
+
+/**
+ * Format the event date of a quote (long Hungarian date or placeholder)
+ */
+function formatEventDate(quoteData) {
+  return quoteData.eventDate
+    ? new Date(quoteData.eventDate).toLocaleDateString('hu-HU', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    })
+    : TEXT_PLACEHOLDER;
+}
+
+/**
+ * Plain text lines of a recommendation request (no specific performer chosen)
+ */
+function buildRecommendationText(quoteData) {
+  let text = '';
+
+  if (quoteData.performerCount) {
+    const performerCountText = quoteData.performerCount === '1' ? PERFORMER_COUNT_SINGLE : PERFORMER_COUNT_MULTIPLE;
+    text += `Előadók száma: ${performerCountText}\n`;
+  }
+  if (quoteData.budget) {
+    text += `Költségkeret: ${new Intl.NumberFormat('hu-HU').format(quoteData.budget)} Ft\n`;
+  }
+  if (quoteData.styles && quoteData.styles.length > 0) {
+    text += `Preferált stílusok: ${quoteData.styles.join(', ')}\n`;
+  }
+
+  return text;
+}
+
+/**
+ * Plain text date, time and location lines of a quote
+ */
+function buildEventScheduleText(quoteData, formattedDate) {
+  return `Dátum: ${formattedDate}${quoteData.eventDateFlexible ? ' (Nem fix)' : ''}\n`
+    + `Időpont: ${quoteData.eventTime || TEXT_PLACEHOLDER}${quoteData.eventTimeFlexible ? ' (Nem fix)' : ''}\n`
+    + `Helyszín: ${quoteData.eventLocation || TEXT_PLACEHOLDER}\n`;
+}
+
+/**
+ * Build HTML of the sales notification email
+ * @param {Object} quoteData - Quote data from session
+ * @param {Object|null} performer - Chosen performer (null = recommendation request)
+ * @param {string} referenceId - Quote reference ID
+ * @param {Object} details - { companyName, travelEstimateText }
+ * @returns {string}
+ */
+function buildNotificationHtml(quoteData, performer, referenceId, { companyName, travelEstimateText }) {
+  let html = `
+      <div style="${EMAIL_CONTAINER_STYLE}">
+        <div style="padding: 30px;">
+    `;
+
+  html += buildPerformerInfoHtml(performer, quoteData);
+
+  html += `
+      <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
+        <p style="margin: 0; color: #78350f; font-size: 14px; font-weight: 600;">
+          ⚡ ÚJ AJÁNLATKÉRÉS ÉRKEZETT
+        </p>
+        <p style="margin: 5px 0 0 0; color: #78350f; font-size: 12px;">
+          Hivatkozási szám: <strong>${referenceId}</strong>
+        </p>
+      </div>
+    `;
+
+  html += buildEventDetailsHtml(quoteData);
+  html += buildTravelEstimateHtml(travelEstimateText);
+  html += buildContactInfoHtml(quoteData);
+  html += buildNotesHtml(quoteData);
+
+  html += `
+      <div style="background-color: #dbeafe; border-left: 4px solid #3b82f6; padding: 15px; margin-top: 20px; border-radius: 4px;">
+        <p style="margin: 0; color: #1e40af; font-size: 14px; font-weight: 600;">
+          ⚠️ Teendő
+        </p>
+        <p style="margin: 5px 0 0 0; color: #1e40af; font-size: 13px;">
+          Kérjük, vegye fel a kapcsolatot az ügyféllel 24 órán belül az ajánlat elkészítéséhez!
+        </p>
+      </div>
+    `;
+
+  html += `
+        </div>
+        <div style="${EMAIL_FOOTER_STYLE}">
+          <p style="margin: 0;">${companyName} - Ajánlatkérő rendszer</p>
+        </div>
+      </div>
+    `;
+
+  return html;
+}
+
+/**
+ * Build plain text version of the sales notification email
+ * @param {Object} quoteData - Quote data from session
+ * @param {Object|null} performer - Chosen performer (null = recommendation request)
+ * @param {string} referenceId - Quote reference ID
+ * @param {Object} details - { companyName, formattedDate, travelEstimateText }
+ * @returns {string}
+ */
+function buildNotificationText(quoteData, performer, referenceId, { companyName, formattedDate, travelEstimateText }) {
+  let text = 'ÚJ AJÁNLATKÉRÉS ÉRKEZETT\n\n';
+
+  if (performer) {
+    text += `Előadó: ${performer.name}\n`;
+  } else {
+    text += 'Típus: Előadó ajánlás kérés\n';
+    text += buildRecommendationText(quoteData);
+  }
+
+  text += `Hivatkozási szám: ${referenceId}\n\n`;
+  text += '📅 RENDEZVÉNY RÉSZLETEK\n';
+  text += buildEventScheduleText(quoteData, formattedDate);
+  text += travelEstimateText ? `Becsült utazási költség: ${travelEstimateText}\n` : '';
+  text += `Vendégek száma: ${quoteData.guestCount || TEXT_PLACEHOLDER}\n`;
+  text += `Rendezvény neve: ${quoteData.eventName || TEXT_PLACEHOLDER}\n`;
+  text += `Kategória: ${quoteData.eventCategory || TEXT_PLACEHOLDER}\n\n`;
+  text += '👤 KAPCSOLATTARTÓ\n';
+  text += `Név: ${quoteData.contactName}\nEmail: ${quoteData.contactEmail}\n`;
+  if (quoteData.contactPhone) {
+    text += `Telefon: ${quoteData.contactPhone}\n`;
+  }
+
+  if (quoteData.notes) {
+    text += `\n💬 TOVÁBBI INFORMÁCIÓK\n${quoteData.notes}\n`;
+  }
+
+  text += '\n⚠️ Teendő: Kérjük, vegye fel a kapcsolatot az ügyféllel 24 órán belül az ajánlat elkészítéséhez!\n';
+  return `${text}\n${companyName} - Ajánlatkérő rendszer`;
+}
+
+/**
+ * Build HTML of the customer confirmation email
+ * @param {Object} quoteData - Quote data from session
+ * @param {Object|null} performer - Chosen performer (null = recommendation request)
+ * @param {string} referenceId - Quote reference ID
+ * @param {Object} branding - { siteName, companyName, bookingEmail }
+ * @returns {string}
+ */
+function buildConfirmationHtml(quoteData, performer, referenceId, { siteName, companyName, bookingEmail }) {
+  const requestSubject = performer ? `<strong>${performer.name}</strong> előadóra` : 'előadó ajánlásra';
+
+  return `
+      <div style="${EMAIL_CONTAINER_STYLE}">
+        <div style="padding: 30px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <div style="width: 64px; height: 64px; background: linear-gradient(135deg, #10b981 0%, #059669 100%); border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; margin-bottom: 15px;">
+              <span style="font-size: 32px;">✓</span>
+            </div>
+            <h1 style="margin: 0 0 10px 0; color: #1e293b; font-size: 28px; font-weight: 700;">Ajánlatkérés Rögzítve!</h1>
+            <p style="margin: 0; color: #64748b; font-size: 16px;">Hivatkozási szám: <strong style="color: #1e293b;">${referenceId}</strong></p>
+          </div>
+
+          <p style="color: #475569; font-size: 15px; line-height: 1.6; margin: 0 0 20px 0;">
+            Kedves <strong>${quoteData.contactName}</strong>!
+          </p>
+
+          <p style="color: #475569; font-size: 15px; line-height: 1.6; margin: 0 0 20px 0;">
+            Köszönjük, hogy a <strong>${siteName}</strong> oldalon keresztül kért ajánlatot ${requestSubject}!
+          </p>
+
+          <div style="background-color: #dbeafe; border-left: 4px solid #3b82f6; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
+            <p style="margin: 0; color: #1e40af; font-size: 14px; font-weight: 600;">
+              📧 Mi történik ezután?
+            </p>
+            <p style="margin: 10px 0 0 0; color: #1e40af; font-size: 13px; line-height: 1.6;">
+              Kollégáink <strong>24 órán belül</strong> felveszik Önnel a kapcsolatot az ajánlat részleteivel és az esetleges további kérdések tisztázásával.
+            </p>
+          </div>
+
+          ${buildPerformerInfoHtml(performer, quoteData)}
+          ${buildEventDetailsHtml(quoteData)}
+
+          ${quoteData.notes ? `
+          <div style="background-color: #f8fafc; border-left: 4px solid #64748b; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
+            <p style="margin: 0 0 10px 0; color: #1e293b; font-size: 14px; font-weight: 600;">💬 Az Ön üzenete:</p>
+            <p style="margin: 0; color: #475569; font-size: 13px; line-height: 1.6; white-space: pre-wrap;">${quoteData.notes}</p>
+          </div>
+          ` : ''}
+
+          <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
+            <p style="margin: 0; color: #78350f; font-size: 13px; font-weight: 600;">
+              ⚠️ Fontos
+            </p>
+            <p style="margin: 5px 0 0 0; color: #78350f; font-size: 12px; line-height: 1.6;">
+              Ez az ajánlatkérés még <strong>nem minősül végleges foglalásnak</strong>. A foglalás akkor véglegesedik, amikor kollégáink visszaigazolják a részleteket és Ön elfogadja az ajánlatot.
+            </p>
+          </div>
+
+          ${bookingEmail ? `
+          <p style="color: #64748b; font-size: 14px; line-height: 1.6; margin: 20px 0 0 0;">
+            Kérdése van? Írjon nekünk: <a href="mailto:${bookingEmail}" style="color: #2563eb; text-decoration: none;">${bookingEmail}</a>
+          </p>
+          ` : ''}
+        </div>
+
+        <div style="${EMAIL_FOOTER_STYLE}">
+          <p style="margin: 0 0 5px 0;">${companyName}</p>
+          <p style="margin: 0;">Ajánlatkérő rendszer</p>
+        </div>
+      </div>
+    `;
+}
+
+/**
+ * Build plain text version of the customer confirmation email
+ * @param {Object} quoteData - Quote data from session
+ * @param {Object|null} performer - Chosen performer (null = recommendation request)
+ * @param {string} referenceId - Quote reference ID
+ * @param {Object} branding - { siteName, companyName, bookingEmail }
+ * @returns {string}
+ */
+function buildConfirmationText(quoteData, performer, referenceId, { siteName, companyName, bookingEmail }) {
+  let text = 'AJÁNLATKÉRÉS RÖGZÍTVE!\n\n';
+  text += `Hivatkozási szám: ${referenceId}\n\n`;
+  text += `Kedves ${quoteData.contactName}!\n\n`;
+
+  if (performer) {
+    text += `Köszönjük, hogy a ${siteName} oldalon keresztül kért ajánlatot ${performer.name} előadóra!\n\n`;
+  } else {
+    text += `Köszönjük, hogy a ${siteName} oldalon keresztül kért ajánlatot előadó ajánlásra!\n\n`;
+    text += `${buildRecommendationText(quoteData)}\n`;
+  }
+
+  text += '📧 MI TÖRTÉNIK EZUTÁN?\n';
+  text += 'Kollégáink 24 órán belül felveszik Önnel a kapcsolatot az ajánlat részleteivel.\n\n';
+  text += '📅 RENDEZVÉNY RÉSZLETEK\n';
+  text += buildEventScheduleText(quoteData, formatEventDate(quoteData));
+  text += `Vendégek száma: ${quoteData.guestCount || TEXT_PLACEHOLDER}\n`;
+  text += `Rendezvény neve: ${quoteData.eventName || TEXT_PLACEHOLDER}\n\n`;
+
+  if (quoteData.notes) {
+    text += `💬 AZ ÖN ÜZENETE:\n${quoteData.notes}\n\n`;
+  }
+
+  text += '⚠️ FONTOS\n';
+  text += 'Ez az ajánlatkérés még nem minősül végleges foglalásnak.\n\n';
+
+  if (bookingEmail) {
+    text += `Kérdése van? Írjon nekünk: ${bookingEmail}\n\n`;
+  }
+
+  return `${text}${companyName} - Ajánlatkérő rendszer`;
+}
+
+/**
+ * Build proposed performer list HTML for proposal email
+ */
+function buildProposedPerformersHtml(performers, domain) {
+  const rows = performers.map((performer) => {
+    const priceText = performer.price
+      ? `${new Intl.NumberFormat('hu-HU').format(performer.price)} Ft-tól`
+      : 'Ár egyeztetés alapján';
+
+    return `
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 10px; color: #1e293b; font-size: 14px;">
+          <a href="${domain}/eloadok/${performer.slug}"
+             style="color: #2563eb; text-decoration: none; font-weight: 600;">
+            ${performer.name}
+          </a>
+          <div style="color: #64748b; font-size: 12px;">${performer.category || ''}</div>
+        </td>
+        <td style="padding: 10px; color: #1e293b; font-size: 14px; text-align: right;">${priceText}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <h3 style="color: #1e293b; margin: 20px 0 10px 0; font-size: 16px; font-weight: 600;">🎤 Javasolt előadók</h3>
+    <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+      ${rows}
+    </table>
+  `;
+}
+
+/**
+ * Build plain text version of the performer proposal email
+ */
+function buildProposalText(quote, performers, { message, senderName, companyName, domain }) {
+  const lines = [
+    'ELŐADÓ JAVASLATOK AJÁNLATKÉRÉSÉHEZ',
+    '',
+    `Hivatkozási szám: ${quote.referenceId}`,
+    '',
+    `Kedves ${quote.contactName}!`,
+    ''
+  ];
+
+  if (message) {
+    lines.push(message, '');
+  }
+
+  lines.push('🎤 JAVASOLT ELŐADÓK');
+  performers.forEach((performer) => {
+    lines.push(`- ${performer.name}: ${domain}/eloadok/${performer.slug}`);
+  });
+
+  lines.push('', 'Kérjük, válaszoljon erre az emailre, melyik előadó nyerte el tetszését.');
+  if (senderName) {
+    lines.push('', 'Üdvözlettel:', senderName);
+  }
+  lines.push('', `${companyName} - Ajánlatkérő rendszer`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  TEXT_PLACEHOLDER,
+  PERFORMER_COUNT_SINGLE,
+  PERFORMER_COUNT_MULTIPLE,
+  EMAIL_CONTAINER_STYLE,
+  EMAIL_FOOTER_STYLE,
+  formatEventDate,
+  buildEventDetailsHtml,
+  buildContactInfoHtml,
+  buildNotesHtml,
+  buildPerformerInfoHtml,
+  buildTravelEstimateHtml,
+  buildRecommendationText,
+  buildEventScheduleText,
+  buildNotificationHtml,
+  buildNotificationText,
+  buildConfirmationHtml,
+  buildConfirmationText,
+  buildProposedPerformersHtml,
+  buildProposalText
+};
@@ -0,0 +1,353 @@
+/**
+ * Quote Service
+ * Sales-side quote inbox: listing, assignment, status changes, activity history and performer proposals
+ */
+
+const { Op } = require('sequelize');
+const { Quote, QuoteActivity, Performer, User, ClientRequest } = require('../models');
+const quoteEmailService = require('./quoteEmailService');
+const logger = require('../config/logger');
+
+// Státusz címkék (admin felület)
+const STATUS_LABELS = {
+  pending: 'Új',
+  contacted: 'Kapcsolatfelvétel',
+  confirmed: 'Megerősítve',
+  rejected: 'Elutasítva',
+  cancelled: 'Lemondva'
+};
+
+// Szerepkörök, akikhez ajánlatkérés rendelhető
+const ASSIGNABLE_ROLES = ['sales', 'admin'];
+
+const MAX_PROPOSED_PERFORMERS = 10;
+const DEFAULT_PAGE_LIMIT = 25;
+
+/**
+ * Build Sequelize where clause from inbox filters
+ * @private
+ */
+function buildWhereClause(filters, currentUserId) {
+  const where = {};
+  const { status, assignee, search } = filters;
+
+  if (status && STATUS_LABELS[status]) {
+    where.status = status;
+  }
+
+  if (assignee === 'me') {
+    where.assignedTo = currentUserId;
+  } else if (assignee === 'unassigned') {
+    where.assignedTo = null;
+  } else if (assignee) {
+    where.assignedTo = parseInt(assignee, 10);
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { referenceId: { [Op.like]: `%${search}%` } },
+      { contactName: { [Op.like]: `%${search}%` } },
+      { contactEmail: { [Op.like]: `%${search}%` } }
+    ];
+  }
+
+  return where;
+}
+
+/**
+ * Record an activity entry on a quote
+ * @param {Object} data - { quoteId, userId, type, fromStatus, toStatus, message, metadata }
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} Created QuoteActivity
+ */
+async function recordActivity(data, options = {}) {
+  return await QuoteActivity.create({
+    quoteId: data.quoteId,
+    userId: data.userId || null,
+    type: data.type,
+    fromStatus: data.fromStatus || null,
+    toStatus: data.toStatus || null,
+    message: data.message || null,
+    metadata: data.metadata || null
+  }, { transaction: options.transaction });
+}
+
+/**
+ * List quotes for the inbox with filters and pagination
+ * @param {Object} filters - { status, assignee, search, page, limit }
+ * @param {number} currentUserId - Logged in user (for the "mine" filter)
+ * @returns {Promise<Object>} { quotes, pagination }
+ */
+async function listQuotes(filters = {}, currentUserId = null) {
+  const page = parseInt(filters.page, 10) || 1;
+  const limit = parseInt(filters.limit, 10) || DEFAULT_PAGE_LIMIT;
+
+  const { count, rows } = await Quote.findAndCountAll({
+    where: buildWhereClause(filters, currentUserId),
+    include: [
+      { model: Performer, as: 'performer', attributes: ['id', 'name', 'slug'], required: false },
+      { model: User, as: 'assignee', attributes: ['id', 'name'], required: false }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    quotes: rows,
+    pagination: {
+      page,
+      limit,
+      totalPages,
+      total: count,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+}
+
+/**
+ * Inbox counters: open, unassigned, assigned to current user
+ * @param {number} currentUserId
+ * @returns {Promise<Object>}
+ */
+async function getInboxCounts(currentUserId) {
+  const openStatuses = ['pending', 'contacted'];
+
+  const [open, unassigned, mine, total] = await Promise.all([
+    Quote.count({ where: { status: { [Op.in]: openStatuses } } }),
+    Quote.count({ where: { status: { [Op.in]: openStatuses }, assignedTo: null } }),
+    Quote.count({ where: { status: { [Op.in]: openStatuses }, assignedTo: currentUserId } }),
+    Quote.count()
+  ]);
+
+  return { open, unassigned, mine, total };
+}
+
+/**
+ * Get a quote with performer, assignee and activity history
+ * @param {number} quoteId
+ * @returns {Promise<Object|null>}
+ */
+async function getQuoteById(quoteId) {
+  return await Quote.findByPk(quoteId, {
+    include: [
+      { model: Performer, as: 'performer', required: false },
+      { model: User, as: 'assignee', attributes: ['id', 'name', 'email'], required: false },
+      {
+        model: QuoteActivity,
+        as: 'activities',
+        required: false,
+        include: [{ model: User, as: 'user', attributes: ['id', 'name'], required: false }]
+      },
+      {
+        model: ClientRequest,
+        as: 'clientRequests',
+        required: false,
+        include: [{ model: User, as: 'user', attributes: ['id', 'name'], required: false }]
+      }
+    ],
+    order: [
+      [{ model: QuoteActivity, as: 'activities' }, 'createdAt', 'DESC'],
+      [{ model: ClientRequest, as: 'clientRequests' }, 'createdAt', 'DESC']
+    ]
+  });
+}
+
+/**
+ * Users a quote can be assigned to
+ * @returns {Promise<Array>}
+ */
+async function getAssignableUsers() {
+  return await User.findAll({
+    where: {
+      role: { [Op.in]: ASSIGNABLE_ROLES },
+      isActive: true
+    },
+    attributes: ['id', 'name', 'role'],
+    order: [['name', 'ASC']]
+  });
+}
+
+/**
+ * Assign (or unassign) a quote to a sales user
+ * @param {Object} quote - Quote instance
+ * @param {number|null} assigneeId - User ID or null to unassign
+ * @param {Object} actor - Session user performing the action
+ * @returns {Promise<Object>} Updated quote
+ * @throws {Error} If the assignee is not a sales/admin user
+ */
+async function assignQuote(quote, assigneeId, actor) {
+  let assignee = null;
+
+  if (assigneeId) {
+    assignee = await User.findOne({
+      where: { id: assigneeId, role: { [Op.in]: ASSIGNABLE_ROLES }, isActive: true },
+      attributes: ['id', 'name']
+    });
+
+    if (!assignee) {
+      throw new Error('A kiválasztott felhasználó nem értékesítő');
+    }
+  }
+
+  const previousAssignee = quote.assignedTo;
+
+  await quote.update({
+    assignedTo: assignee ? assignee.id : null,
+    assignedAt: assignee ? new Date() : null
+  });
+
+  await recordActivity({
+    quoteId: quote.id,
+    userId: actor.id,
+    type: 'assignment',
+    message: assignee ? `Hozzárendelve: ${assignee.name}` : 'Hozzárendelés törölve',
+    metadata: { previousAssignee, assignedTo: assignee ? assignee.id : null }
+  });
+
+  logger.info({
+    service: 'quoteService',
+    operation: 'assignQuote',
+    quoteId: quote.id,
+    assignedTo: assignee ? assignee.id : null,
+    userId: actor.id
+  }, 'Quote assignment changed');
+
+  return quote;
+}
+
+/**
+ * Change quote status and record it in the activity history
+ * @param {Object} quote - Quote instance
+ * @param {string} newStatus - New status
+ * @param {Object} actor - Session user
+ * @param {string} comment - Optional comment
+ * @returns {Promise<Object>} Updated quote
+ * @throws {Error} If the status is invalid or unchanged
+ */
+async function changeStatus(quote, newStatus, actor, comment = '') {
+  if (!STATUS_LABELS[newStatus]) {
+    throw new Error('Érvénytelen státusz');
+  }
+
+  if (quote.status === newStatus) {
+    throw new Error('Az ajánlatkérés már ebben a státuszban van');
+  }
+
+  const fromStatus = quote.status;
+  await quote.update({ status: newStatus });
+
+  await recordActivity({
+    quoteId: quote.id,
+    userId: actor.id,
+    type: 'status_change',
+    fromStatus,
+    toStatus: newStatus,
+    message: comment ? comment.trim() : null
+  });
+
+  logger.info({
+    service: 'quoteService',
+    operation: 'changeStatus',
+    quoteId: quote.id,
+    fromStatus,
+    toStatus: newStatus,
+    userId: actor.id
+  }, 'Quote status changed');
+
+  return quote;
+}
+
+/**
+ * Add an internal note to the quote history
+ * @param {Object} quote - Quote instance
+ * @param {string} message - Note text
+ * @param {Object} actor - Session user
+ * @returns {Promise<Object>} Created activity
+ */
+async function addNote(quote, message, actor) {
+  const trimmed = typeof message === 'string' ? message.trim() : '';
+
+  if (!trimmed) {
+    throw new Error('A jegyzet nem lehet üres');
+  }
+
+  return await recordActivity({
+    quoteId: quote.id,
+    userId: actor.id,
+    type: 'note',
+    message: trimmed
+  });
+}
+
+/**
+ * Propose performers to the client via email and record it
+ * Moves a pending quote to "contacted".
+ * @param {Object} quote - Quote instance
+ * @param {Array<number>} performerIds - Proposed performer IDs
+ * @param {string} message - Personal message to the client
+ * @param {Object} actor - Session user (name/email used as sender)
+ * @returns {Promise<Object>} { success, performers, error }
+ */
+async function proposePerformers(quote, performerIds, message, actor) {
+  const ids = [...new Set((performerIds || []).map((id) => parseInt(id, 10)).filter(Boolean))];
+
+  if (ids.length === 0) {
+    throw new Error('Legalább egy előadót ki kell választani');
+  }
+
+  if (ids.length > MAX_PROPOSED_PERFORMERS) {
+    throw new Error(`Legfeljebb ${MAX_PROPOSED_PERFORMERS} előadó javasolható egyszerre`);
+  }
+
+  const performers = await Performer.findAll({
+    where: { id: { [Op.in]: ids }, isActive: true },
+    attributes: ['id', 'name', 'slug', 'category', 'price']
+  });
+
+  if (performers.length === 0) {
+    throw new Error('A kiválasztott előadók nem elérhetők');
+  }
+
+  const emailResult = await quoteEmailService.sendPerformerProposalEmail(quote, performers, {
+    message,
+    senderName: actor.name,
+    senderEmail: actor.email
+  });
+
+  if (!emailResult.success) {
+    return { success: false, performers, error: emailResult.error };
+  }
+
+  await recordActivity({
+    quoteId: quote.id,
+    userId: actor.id,
+    type: 'proposal',
+    message: message ? message.trim() : null,
+    metadata: {
+      performers: performers.map((performer) => ({ id: performer.id, name: performer.name }))
+    }
+  });
+
+  if (quote.status === 'pending') {
+    await changeStatus(quote, 'contacted', actor, 'Előadó javaslat elküldve');
+  }
+
+  return { success: true, performers };
+}
+
+module.exports = {
+  STATUS_LABELS,
+  recordActivity,
+  listQuotes,
+  getInboxCounts,
+  getQuoteById,
+  getAssignableUsers,
+  assignQuote,
+  changeStatus,
+  addNote,
+  proposePerformers
+};
@@ -0,0 +1,137 @@
+/**
+ * Reference Number Service
+ * Sequential, per-year reference numbers for quotes (AJ-YYYY-NNNN) and bookings (FO-YYYY-NNNNN)
+ *
+ * Numbers are allocated from the reference_sequences counter inside a transaction:
+ * INSERT ... ON DUPLICATE KEY UPDATE locks the counter row until commit, so concurrent
+ * submissions never receive the same number. createWithReference() additionally retries
+ * when the record insert still hits a unique conflict (e.g. a legacy random ID).
+ * The migration seeds the counters from the highest existing quote reference of each year.
+ */
+
+const { sequelize, ReferenceSequence } = require('../models');
+const logger = require('../config/logger');
+
+// Hivatkozási szám típusok
+const REFERENCE_TYPES = {
+  quote: { prefix: 'AJ', digits: 4 },
+  booking: { prefix: 'FO', digits: 5 }
+};
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Resolve reference type configuration
+ * @private
+ */
+function getTypeConfig(type) {
+  const config = REFERENCE_TYPES[type];
+
+  if (!config) {
+    throw new Error(`Unknown reference type: ${type}`);
+  }
+
+  return config;
+}
+
+/**
+ * Format a reference number, e.g. formatReference('quote', 2025, 7) → AJ-2025-0007
+ * @param {string} type - Reference type (quote | booking)
+ * @param {number} year
+ * @param {number} value - Sequence value within the year
+ * @returns {string}
+ */
+function formatReference(type, year, value) {
+  const { prefix, digits } = getTypeConfig(type);
+  return `${prefix}-${year}-${String(value).padStart(digits, '0')}`;
+}
+
+/**
+ * Allocate the next reference number for the given type and year
+ * @param {string} type - Reference type (quote | booking)
+ * @param {Date} date - Date determining the year (default: now)
+ * @returns {Promise<string>} Reference number
+ */
+async function allocate(type, date = new Date()) {
+  const { prefix } = getTypeConfig(type);
+  const year = date.getFullYear();
+
+  const value = await sequelize.transaction(async (transaction) => {
+    await sequelize.query(
+      'INSERT INTO reference_sequences (prefix, year, lastValue, createdAt, updatedAt) VALUES (?, ?, 1, NOW(), NOW()) '
+      + 'ON DUPLICATE KEY UPDATE lastValue = lastValue + 1, updatedAt = NOW()',
+      {
+        replacements: [prefix, year],
+        type: sequelize.QueryTypes.INSERT,
+        transaction
+      }
+    );
+
+    const sequence = await ReferenceSequence.findOne({
+      where: { prefix, year },
+      transaction
+    });
+
+    return sequence.lastValue;
+  });
+
+  return formatReference(type, year, value);
+}
+
+/**
+ * Check whether an error is a unique conflict on the reference field
+ * @private
+ */
+function isReferenceConflict(error, field) {
+  if (!error || error.name !== 'SequelizeUniqueConstraintError') {
+    return false;
+  }
+
+  const paths = (error.errors || []).map((item) => item.path);
+  const fields = Object.keys(error.fields || {});
+
+  return [...paths, ...fields].some((name) => name && name.includes(field));
+}
+
+/**
+ * Allocate a reference number and create the record with it.
+ * Retries with a fresh number if the insert hits a unique conflict on the reference field.
+ * @param {string} type - Reference type (quote | booking)
+ * @param {Function} createFn - async (referenceId) => created record
+ * @param {Object} options - { field: 'referenceId' }
+ * @returns {Promise<Object>} Created record
+ */
+async function createWithReference(type, createFn, options = {}) {
+  const field = options.field || 'referenceId';
+
+  const attempt = async (attemptNumber) => {
+    const referenceId = await allocate(type);
+
+    try {
+      return await createFn(referenceId);
+    } catch (error) {
+      if (!isReferenceConflict(error, field) || attemptNumber >= MAX_ATTEMPTS) {
+        throw error;
+      }
+
+      logger.warn({
+        service: 'referenceNumber',
+        operation: 'createWithReference',
+        type,
+        referenceId,
+        attempt: attemptNumber
+      }, 'Reference number already taken, retrying with next number');
+
+      return await attempt(attemptNumber + 1);
+    }
+  };
+
+  return await attempt(1);
+}
+
+module.exports = {
+  REFERENCE_TYPES,
+  formatReference,
+  allocate,
+  createWithReference
+};
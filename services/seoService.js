@@ -251,6 +251,9 @@ class SEOService {
    * Schema.org Event strukturált adat
    *
    * @param {Object} event - Esemény adatai
+   *   (name, description, startDate, endDate, url, image,
+   *   location: { name, city, postalCode, streetAddress },
+   *   performer: { name, type, url, image })
    * @returns {Object} JSON-LD strukturált adat
    */
   generateEventSchema(event) {
@@ -262,9 +265,22 @@ class SEOService {
       startDate: event.startDate,
       endDate: event.endDate,
       eventStatus: `${SCHEMA_CONTEXT}/EventScheduled`,
-      eventAttendanceMode: `${SCHEMA_CONTEXT}/OfflineEventAttendanceMode`
+      eventAttendanceMode: `${SCHEMA_CONTEXT}/OfflineEventAttendanceMode`,
+      organizer: {
+        '@type': 'Organization',
+        name: this.defaultSettings.siteName,
+        url: this.defaultSettings.siteDomain
+      }
     };
 
+    if (event.url) {
+      schema.url = event.url;
+    }
+
+    if (event.image) {
+      schema.image = event.image;
+    }
+
     if (event.location) {
       schema.location = {
         '@type': 'Place',
@@ -275,13 +291,27 @@ class SEOService {
           addressCountry: 'HU'
         }
       };
+
+      if (event.location.postalCode) {
+        schema.location.address.postalCode = event.location.postalCode;
+      }
+      if (event.location.streetAddress) {
+        schema.location.address.streetAddress = event.location.streetAddress;
+      }
     }
 
     if (event.performer) {
       schema.performer = {
-        '@type': 'Person',
+        '@type': event.performer.type || 'Person',
         name: event.performer.name
       };
+
+      if (event.performer.url) {
+        schema.performer.url = event.performer.url;
+      }
+      if (event.performer.image) {
+        schema.performer.image = event.performer.image;
+      }
     }
 
     return schema;
@@ -114,6 +114,12 @@ class SitemapService {
         priority: 0.9,
         lastmod: new Date()
       },
+      {
+        url: `${this.baseDomain}/esemenyek`,
+        changefreq: 'daily',
+        priority: 0.8,
+        lastmod: new Date()
+      },
       {
         url: `${this.baseDomain}/info/rolunk`,
         changefreq: 'monthly',
@@ -162,6 +168,38 @@ class SitemapService {
     }
   }
 
+  /**
+   * Közelgő események sitemap generálás (nyilvános esemény oldalak)
+   */
+  async generateEventPages() {
+    try {
+      const { Event } = require('../models');
+      const { Op } = require('sequelize');
+      const { getLocalDateString } = require('../utils/calendar');
+
+      const events = await Event.findAll({
+        where: {
+          status: 'Approved',
+          slug: { [Op.ne]: null },
+          performanceDate: { [Op.gte]: getLocalDateString() }
+        },
+        attributes: ['slug', 'subject', 'updatedAt'],
+        order: [['performanceDate', 'ASC']]
+      });
+
+      return events.map((event) => ({
+        url: `${this.baseDomain}/esemenyek/${event.slug}`,
+        changefreq: 'weekly',
+        priority: 0.6,
+        lastmod: event.updatedAt,
+        name: event.subject
+      }));
+    } catch (error) {
+      logger.error('Error generating event sitemap:', error);
+      return [];
+    }
+  }
+
   /**
    * Blog cikkek sitemap generálás
    */
@@ -233,12 +271,14 @@ class SitemapService {
       // Összes URL gyűjtése
       const staticPages = await this.generateStaticPages();
       const performerPages = await this.generatePerformerPages();
+      const eventPages = await this.generateEventPages();
       const blogPages = await this.generateBlogPages();
       const categoryPages = await this.generateBlogCategoryPages();
 
       const allPages = [
         ...staticPages,
         ...performerPages,
+        ...eventPages,
         ...blogPages,
         ...categoryPages
       ];
@@ -0,0 +1,160 @@
+/**
+ * Sync Service Deactivation Guard
+ * Protects the full performer sync against mass deactivation (truncated / interrupted vTiger answer)
+ *
+ * Performers missing from the vTiger list are only deactivated while their share of the active
+ * performers stays within vtiger.sync_max_deactivation_percent. Above that the admin has to confirm
+ * the previewed set (Admin → Cron feladatok) before the sync deactivates them.
+ */
+
+const { Performer, Setting } = require('../models');
+const { Op } = require('sequelize');
+const performerRevisionService = require('./performerRevisionService');
+const logger = require('../config/logger');
+
+// Tömeges deaktiválás elleni védelem (csonka / félbeszakadt vTiger lekérés)
+const DEACTIVATION_LIMIT_KEY = 'vtiger.sync_max_deactivation_percent';
+const DEFAULT_DEACTIVATION_LIMIT_PERCENT = 10;
+
+/**
+ * Active performers missing from the vTiger list, checked against the mass-deactivation limit
+ * Products that are in vTiger but could not be retrieved (failedIds) are never deactivated.
+ * @param {Array} vtigerPerformers - Complete (full sync) performer list from vTiger
+ * @param {Array<string>} failedIds - vTiger IDs of the products not retrieved
+ * @returns {Promise<Object>} { performers, activeCount, percent, limitPercent, exceedsLimit }
+ */
+async function checkDeactivation(vtigerPerformers, failedIds = []) {
+  const vtigerIds = [...vtigerPerformers.map((p) => p.vtigerId), ...failedIds];
+  const where = { isActive: true }; // Only deactivate currently active performers
+
+  if (vtigerIds.length > 0) {
+    where.vtigerId = { [Op.notIn]: vtigerIds };
+  }
+
+  const [performers, activeCount, limitSetting] = await Promise.all([
+    Performer.findAll({ where }),
+    Performer.count({ where: { isActive: true } }),
+    Setting.get(DEACTIVATION_LIMIT_KEY, DEFAULT_DEACTIVATION_LIMIT_PERCENT)
+  ]);
+
+  const limitPercent = parseFloat(limitSetting) || DEFAULT_DEACTIVATION_LIMIT_PERCENT;
+  const percent = activeCount > 0 ? Math.round((performers.length / activeCount) * 1000) / 10 : 0;
+
+  return {
+    performers,
+    activeCount,
+    percent,
+    limitPercent,
+    // An empty vTiger answer is never trusted
+    exceedsLimit: performers.length > 0 && (vtigerPerformers.length === 0 || percent > limitPercent)
+  };
+}
+
+/**
+ * Whether the admin confirmed exactly this deactivation set (the vtigerIds listed in the preview)
+ * @param {Array} performers - Performers that would be deactivated now
+ * @param {Array<string>|null} confirmedVtigerIds - vtigerIds of the confirmed preview
+ * @returns {boolean}
+ */
+function isDeactivationConfirmed(performers, confirmedVtigerIds) {
+  if (!Array.isArray(confirmedVtigerIds)) {
+    return false;
+  }
+
+  const confirmed = new Set(confirmedVtigerIds.map(String));
+  return confirmed.size === performers.length
+    && performers.every((performer) => confirmed.has(String(performer.vtigerId)));
+}
+
+/**
+ * Soft delete performers that are no longer in vTiger
+ * Sets isActive = false instead of physical deletion to preserve booking history
+ * Stops (stats.deactivationBlocked) when more than vtiger.sync_max_deactivation_percent of the active
+ * performers would be deactivated, unless the admin confirmed this very set after the dry-run preview
+ * (previewChanged: a confirmation was sent, but the set differs from the previewed one)
+ * @param {Array} vtigerPerformers - Array of performers from vTiger
+ * @param {Object} stats - Statistics object to update
+ * @param {Array<string>|null} confirmedVtigerIds - vtigerIds of the confirmed preview
+ * @param {Array<string>} failedIds - vTiger IDs of the products not retrieved (kept active)
+ * @returns {Promise<void>}
+ */
+async function deactivateRemovedPerformers(vtigerPerformers, stats, confirmedVtigerIds = null, failedIds = []) {
+  try {
+    const { performers: performersToDeactivate, ...check } = await checkDeactivation(
+      vtigerPerformers,
+      failedIds
+    );
+
+    if (check.exceedsLimit && !isDeactivationConfirmed(performersToDeactivate, confirmedVtigerIds)) {
+      stats.deactivationBlocked = {
+        count: performersToDeactivate.length,
+        activeCount: check.activeCount,
+        percent: check.percent,
+        limitPercent: check.limitPercent,
+        previewChanged: Array.isArray(confirmedVtigerIds)
+      };
+      logger.warn(
+        { service: 'sync', fetched: vtigerPerformers.length, ...stats.deactivationBlocked },
+        'Mass deactivation blocked - manual confirmation required'
+      );
+      return;
+    }
+
+    // Soft delete: set isActive = false instead of destroying (logged as a sync revision)
+    for (const performer of performersToDeactivate) {
+      await performerRevisionService.applySyncDeactivation(performer);
+      stats.deleted += 1;
+      logger.info(
+        { service: 'sync', performerId: performer.id, vtigerId: performer.vtigerId, name: performer.name },
+        'Performer deactivated (not in vTiger)'
+      );
+    }
+
+    if (stats.deleted > 0) {
+      logger.info(
+        { service: 'sync', deactivatedCount: stats.deleted },
+        'Deactivated performers no longer in vTiger'
+      );
+    }
+  } catch (error) {
+    logger.error(
+      { err: error, service: 'sync' },
+      'Error deactivating removed performers'
+    );
+    // Don't throw - continue with sync even if deactivation fails
+  }
+}
+
+/**
+ * Notification block of a blocked mass deactivation
+ * @param {Object|undefined} blocked - stats.deactivationBlocked
+ * @returns {Object} { html, text } (empty strings if nothing was blocked)
+ */
+function buildDeactivationGuardNotice(blocked) {
+  if (!blocked) {
+    return { html: '', text: '' };
+  }
+
+  const summary = `${blocked.count} előadó (az aktívak ${blocked.percent}%-a) tűnt el a vTiger válaszból, `
+    + `ez meghaladja a ${blocked.limitPercent}%-os korlátot, ezért a deaktiválás elmaradt.`;
+  const action = 'Ellenőrizd az Admin → Cron feladatok oldalon az előnézetet, '
+    + 'és ha a törlés valós, futtasd a megerősített teljes szinkront.';
+
+  return {
+    html: `
+              <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 15px 0;">
+                <p><strong>🛡️ Tömeges deaktiválás leállítva</strong></p>
+                <p>${summary}</p>
+                <p>${action}</p>
+              </div>`,
+    text: `\nTömeges deaktiválás leállítva: ${summary}\n${action}\n`
+  };
+}
+
+module.exports = {
+  DEACTIVATION_LIMIT_KEY,
+  checkDeactivation,
+  isDeactivationConfirmed,
+  deactivateRemovedPerformers,
+  buildDeactivationGuardNotice
+};
@@ -1,11 +1,18 @@
-const { Performer, Booking } = require('../models');
-const { VTigerService } = require('./vtigerService');
+const { Performer, Booking, Setting } = require('../models');
+const { getCrmProvider, CRM_PAUSED_MESSAGE } = require('./crmProviderService');
 const emailService = require('./emailService');
+const performerRevisionService = require('./performerRevisionService');
+const deactivationGuard = require('./syncService-deactivation');
 const logger = require('../config/logger');
 const { Op } = require('sequelize');
 
-// VTiger service instance létrehozása
-const vtigerService = new VTigerService();
+// Delta sync: cursor = start time of the last successful sync, full reconciliation on a schedule
+const SYNC_CURSOR_KEY = 'vtiger.sync_cursor';
+const LAST_FULL_SYNC_KEY = 'vtiger.sync_last_full_at';
+const FULL_SYNC_INTERVAL_KEY = 'vtiger.sync_full_interval_hours';
+const DEFAULT_FULL_SYNC_INTERVAL_HOURS = 24;
+const CURSOR_OVERLAP_MS = 5 * 60 * 1000; // órakülönbség / egyidejű módosítások miatti átfedés
+const SYNC_MODES = ['auto', 'delta', 'full'];
 
 /**
  * Service for synchronizing data between vTiger and local database
@@ -36,25 +43,51 @@ class SyncService {
 
   /**
    * Szinkronizálja a vTiger előadókat a helyi adatbázisba
+   * Delta mode only fetches products modified since the sync cursor; full mode fetches every
+   * active product and also deactivates the ones removed from vTiger
    * @param {boolean} isManual - Whether this is a manual sync or scheduled
+   * @param {Object} options - { mode: 'auto' | 'delta' | 'full', confirmedVtigerIds }
+   *   mode auto: full when the schedule is due; confirmedVtigerIds: the deactivation set confirmed
+   *   after the preview, bypasses the mass-deactivation guard only if it still matches
    * @returns {Promise<Object>} Sync result with stats
    */
-  async syncPerformers(isManual = false) {
+  async syncPerformers(isManual = false, options = {}) {
     const startTime = Date.now();
+    const syncStartedAt = new Date(startTime);
     const stats = this.initializeSyncStats();
 
     try {
-      const syncType = isManual ? 'Manual' : 'Automatic';
-      logger.info({ service: 'sync', type: syncType }, 'vTiger performer sync started');
+      const crmProvider = await getCrmProvider();
 
-      const vtigerPerformers = await vtigerService.getPerformers();
-      stats.total = vtigerPerformers.length;
+      if (!crmProvider.isAvailable()) {
+        logger.warn({ service: 'sync', provider: crmProvider.key }, 'CRM circuit breaker open - performer sync paused');
+        return { success: false, paused: true, error: CRM_PAUSED_MESSAGE };
+      }
+
+      const { mode, modifiedSince } = await this.resolveSyncMode(options.mode);
+      stats.mode = mode;
+      logger.info(
+        { service: 'sync', type: isManual ? 'Manual' : 'Automatic', mode, modifiedSince },
+        'vTiger performer sync started'
+      );
 
-      // Delete performers that are no longer in vTiger
-      await this.deleteRemovedPerformers(vtigerPerformers, stats);
+      const { vtigerPerformers, failedIds } = await this.fetchPerformers(crmProvider, modifiedSince, stats);
+
+      // Delete performers that are no longer in vTiger (a delta result is not the complete list)
+      if (mode === 'full') {
+        await deactivationGuard.deactivateRemovedPerformers(
+          vtigerPerformers,
+          stats,
+          options.confirmedVtigerIds,
+          failedIds
+        );
+      }
 
       // Process (create/update) performers from vTiger
-      await this.processPerformers(vtigerPerformers, stats);
+      const reviewSettings = await performerRevisionService.getReviewSettings();
+      await this.processPerformers(vtigerPerformers, stats, reviewSettings);
+
+      await this.saveSyncCursor(mode, syncStartedAt, stats);
 
       return await this.completeSyncProcess(stats, startTime, isManual);
     } catch (error) {
@@ -62,15 +95,90 @@ class SyncService {
     }
   }
 
+  /**
+   * Fetch the performers of the sync from the CRM
+   * Products that could not be retrieved count as errors, so the cursor is not advanced past them
+   * @param {Object} crmProvider - Active CRM provider
+   * @param {Date|null} modifiedSince - Delta sync start (null: full sync)
+   * @param {Object} stats - Statistics object to update
+   * @returns {Promise<Object>} { vtigerPerformers, failedIds }
+   */
+  async fetchPerformers(crmProvider, modifiedSince, stats) {
+    const failedIds = [];
+    const vtigerPerformers = await crmProvider.getPerformers({ modifiedSince, failedIds });
+
+    stats.total = vtigerPerformers.length;
+    stats.errors += failedIds.length;
+
+    return { vtigerPerformers, failedIds };
+  }
+
+  /**
+   * Decide between delta and full sync
+   * Full sync runs when requested, when there is no cursor yet, or when the scheduled
+   * full reconciliation is due (vtiger.sync_full_interval_hours)
+   * @param {string} requestedMode - auto | delta | full
+   * @returns {Promise<Object>} { mode, modifiedSince }
+   */
+  async resolveSyncMode(requestedMode = 'auto') {
+    const mode = SYNC_MODES.includes(requestedMode) ? requestedMode : 'auto';
+    const cursor = await Setting.get(SYNC_CURSOR_KEY);
+
+    if (mode === 'full' || !cursor || Number.isNaN(new Date(cursor).getTime())) {
+      return { mode: 'full', modifiedSince: null };
+    }
+
+    if (mode === 'auto') {
+      const lastFullSync = await Setting.get(LAST_FULL_SYNC_KEY);
+      const intervalHours = parseFloat(await Setting.get(FULL_SYNC_INTERVAL_KEY, DEFAULT_FULL_SYNC_INTERVAL_HOURS))
+        || DEFAULT_FULL_SYNC_INTERVAL_HOURS;
+      const fullSyncDue = !lastFullSync
+        || Date.now() - new Date(lastFullSync).getTime() >= intervalHours * 60 * 60 * 1000;
+
+      if (fullSyncDue) {
+        return { mode: 'full', modifiedSince: null };
+      }
+    }
+
+    return { mode: 'delta', modifiedSince: new Date(new Date(cursor).getTime() - CURSOR_OVERLAP_MS) };
+  }
+
+  /**
+   * Advance the sync cursor after a sync without errors
+   * (on errors - including products that could not be retrieved - the cursor stays,
+   * so the failed records are fetched again next time)
+   * @param {string} mode - delta | full
+   * @param {Date} syncStartedAt - Start time of the sync
+   * @param {Object} stats - Statistics object
+   * @returns {Promise<void>}
+   */
+  async saveSyncCursor(mode, syncStartedAt, stats) {
+    if (stats.errors > 0) {
+      logger.warn({ service: 'sync', mode, errors: stats.errors }, 'Sync had errors - cursor not advanced');
+      return;
+    }
+
+    const timestamp = syncStartedAt.toISOString();
+    const description = 'Start time of the last successful performer sync';
+    await Setting.set(SYNC_CURSOR_KEY, timestamp, 'string', 'vtiger', description);
+
+    if (mode === 'full') {
+      await Setting.set(LAST_FULL_SYNC_KEY, timestamp, 'string', 'vtiger', `${description} (full)`);
+    }
+  }
+
   /**
    * Initialize sync statistics object
    * @returns {Object} Empty stats object
    */
   initializeSyncStats() {
     return {
+      mode: null,
       total: 0,
       created: 0,
       updated: 0,
+      unchanged: 0,
+      flagged: 0,
       deleted: 0,
       errors: 0,
       categories: new Set()
@@ -78,65 +186,35 @@ class SyncService {
   }
 
   /**
-   * Soft delete performers that are no longer in vTiger
-   * Sets isActive = false instead of physical deletion to preserve booking history
-   * @param {Array} vtigerPerformers - Array of performers from vTiger
-   * @param {Object} stats - Statistics object to update
-   * @returns {Promise<void>}
+   * Dry run of the deactivation step: fetch the full vTiger list and report who would be deactivated
+   * Nothing is written to the database.
+   * @returns {Promise<Object>} { fetched, failed, activeCount, percent, limitPercent, exceedsLimit, performers }
    */
-  async deleteRemovedPerformers(vtigerPerformers, stats) {
-    try {
-      // Extract all vTiger IDs from the current sync data
-      const vtigerIds = vtigerPerformers.map((p) => p.vtigerId);
+  async previewDeactivation() {
+    const crmProvider = await getCrmProvider();
+    const failedIds = [];
+    const vtigerPerformers = await crmProvider.getPerformers({ failedIds });
+    const check = await deactivationGuard.checkDeactivation(vtigerPerformers, failedIds);
 
-      // Find all active performers whose vtigerId is not in the current vTiger data
-      const performersToDeactivate = await Performer.findAll({
-        where: {
-          vtigerId: {
-            [Op.notIn]: vtigerIds
-          },
-          isActive: true // Only deactivate currently active performers
-        }
-      });
-
-      // Soft delete: set isActive = false instead of destroying
-      for (const performer of performersToDeactivate) {
-        await performer.update({
-          isActive: false,
-          updatedAt: new Date()
-        });
-        stats.deleted += 1;
-        logger.info(
-          { service: 'sync', performerId: performer.id, vtigerId: performer.vtigerId, name: performer.name },
-          'Performer deactivated (not in vTiger)'
-        );
-      }
-
-      if (stats.deleted > 0) {
-        logger.info(
-          { service: 'sync', deactivatedCount: stats.deleted },
-          'Deactivated performers no longer in vTiger'
-        );
-      }
-    } catch (error) {
-      logger.error(
-        { err: error, service: 'sync' },
-        'Error deactivating removed performers'
-      );
-      // Don't throw - continue with sync even if deactivation fails
-    }
+    return {
+      ...check,
+      fetched: vtigerPerformers.length,
+      failed: failedIds.length,
+      performers: check.performers.map(({ id, name, vtigerId, category }) => ({ id, name, vtigerId, category }))
+    };
   }
 
   /**
    * Process all performers from vTiger
    * @param {Array} vtigerPerformers - Array of performers from vTiger
    * @param {Object} stats - Statistics object to update
+   * @param {Object} reviewSettings - Suspicious change review settings (performerRevisionService)
    * @returns {Promise<void>}
    */
-  async processPerformers(vtigerPerformers, stats) {
+  async processPerformers(vtigerPerformers, stats, reviewSettings) {
     for (const vtigerPerformer of vtigerPerformers) {
       try {
-        await this.syncSinglePerformer(vtigerPerformer, stats);
+        await this.syncSinglePerformer(vtigerPerformer, stats, reviewSettings);
       } catch (error) {
         stats.errors += 1;
         logger.error(
@@ -152,9 +230,10 @@ class SyncService {
    * Creates new performer or updates existing one (reactivating if necessary)
    * @param {Object} vtigerPerformer - Performer data from vTiger
    * @param {Object} stats - Statistics object to update
+   * @param {Object} reviewSettings - Suspicious change review settings (performerRevisionService)
    * @returns {Promise<void>}
    */
-  async syncSinglePerformer(vtigerPerformer, stats) {
+  async syncSinglePerformer(vtigerPerformer, stats, reviewSettings) {
     if (vtigerPerformer.category) {
       stats.categories.add(vtigerPerformer.category);
     }
@@ -163,28 +242,87 @@ class SyncService {
     const performerData = this.buildPerformerData(vtigerPerformer);
 
     if (performer) {
-      // Update existing performer and reactivate if it was deactivated
-      await performer.update({
-        ...performerData,
-        isActive: true // Reactivate if performer is back in vTiger
-      });
-      stats.updated += 1;
-
-      // Log reactivation if performer was inactive
-      if (!performer.isActive) {
-        logger.info(
-          { service: 'sync', performerId: performer.id, vtigerId: performer.vtigerId, name: performer.name },
-          'Performer reactivated (back in vTiger)'
-        );
-      }
-    } else {
+      // Update existing performer (fields approved locally in the performer portal are kept)
+      await this.updateExistingPerformer(
+        performer,
+        this.omitLockedFields(performerData, performer.lockedFields),
+        stats,
+        reviewSettings
+      );
+    } else if (performerData.isActive) {
       performerData.slug = await this.generateUniqueSlug(vtigerPerformer.name);
-      performerData.isActive = true; // New performers are active by default
       await Performer.create(performerData);
       stats.created += 1;
+    } else {
+      // Delta sync: a product discontinued in vTiger that was never synced - nothing to do
+      stats.unchanged += 1;
     }
   }
 
+  /**
+   * Update a synced performer, isActive follows vTiger (reactivated if it is back)
+   * Changes are logged as revisions; suspicious changes may be held for review
+   * @param {Object} performer - Performer instance
+   * @param {Object} updateData - Data built from vTiger without locked fields
+   * @param {Object} stats - Statistics object to update
+   * @param {Object} reviewSettings - Suspicious change review settings (performerRevisionService)
+   * @returns {Promise<void>}
+   */
+  async updateExistingPerformer(performer, updateData, stats, reviewSettings) {
+    const changedFields = performerRevisionService.getChangedFields(performer, updateData);
+    const wasActive = performer.isActive;
+
+    if (changedFields.length === 0) {
+      await performerRevisionService.supersedeRevertedChanges(performer.id);
+      stats.unchanged += 1;
+      return;
+    }
+
+    const { applied, held } = await performerRevisionService.applySyncChanges(
+      performer,
+      updateData,
+      changedFields,
+      reviewSettings
+    );
+
+    if (held > 0) {
+      stats.flagged += 1;
+    }
+
+    if (applied > 0) {
+      stats.updated += 1;
+    } else if (held === 0) {
+      stats.unchanged += 1; // only already rejected values
+    }
+
+    // Log reactivation if performer was inactive
+    if (!wasActive && performer.isActive) {
+      logger.info(
+        { service: 'sync', performerId: performer.id, vtigerId: performer.vtigerId, name: performer.name },
+        'Performer reactivated (back in vTiger)'
+      );
+    }
+  }
+
+  /**
+   * Remove locally locked fields (approved performer portal changes) from sync data
+   * @param {Object} performerData - Data built from vTiger
+   * @param {Array<string>|null} lockedFields - Performer.lockedFields
+   * @returns {Object} Data safe to write
+   */
+  omitLockedFields(performerData, lockedFields) {
+    if (!Array.isArray(lockedFields) || lockedFields.length === 0) {
+      return performerData;
+    }
+
+    const data = { ...performerData };
+    lockedFields.forEach((field) => {
+      delete data[field];
+    });
+
+    return data;
+  }
+
   /**
    * Build performer data object from vTiger data
    * @param {Object} vtigerPerformer - Performer data from vTiger
@@ -233,16 +371,19 @@ class SyncService {
 
     logger.info({
       service: 'sync',
+      mode: stats.mode,
       duration,
       created: stats.created,
       updated: stats.updated,
+      unchanged: stats.unchanged,
+      flagged: stats.flagged,
       deleted: stats.deleted,
       errors: stats.errors,
       categoriesCount: stats.categoriesCount,
       categories: stats.categories.join(', ')
     }, 'Performer sync completed');
 
-    if (stats.errors > 0) {
+    if (stats.errors > 0 || stats.deactivationBlocked) {
       await this.sendSyncErrorNotification(stats, duration, false);
     }
 
@@ -350,13 +491,18 @@ class SyncService {
         raw: true
       });
 
+      // Delta sync leaves unchanged performers untouched, so the cursor is the real last sync time
+      const syncCursor = await Setting.get(SYNC_CURSOR_KEY);
+      const lastFullSync = await Setting.get(LAST_FULL_SYNC_KEY);
+
       return {
         totalPerformers,
         activePerformers,
         inactivePerformers,
         categories: categories.map((category) => category.category).filter(Boolean).sort(),
         categoriesCount: categories.length,
-        lastSync: lastSync ? lastSync.lastSyncAt : null
+        lastSync: syncCursor || (lastSync ? lastSync.lastSyncAt : null),
+        lastFullSync
       };
     } catch (error) {
       logger.error('Error getting sync stats:', error);
@@ -383,18 +529,24 @@ class SyncService {
             duration: `${duration}ms`,
             stats: {
               total: stats.total,
-              processed: stats.created + stats.updated,
+              mode: stats.mode,
+              processed: stats.created + stats.updated + stats.unchanged,
               created: stats.created,
               updated: stats.updated,
+              unchanged: stats.unchanged,
               deleted: stats.deleted,
               errors: stats.errors
             }
           }
         );
       } else {
-        // Partial errors during sync
-        const subject = `⚠️ VTiger Szinkronizáció Hibák - ${stats.errors} hiba történt`;
+        // Partial errors during sync / blocked mass deactivation
+        const subject = stats.deactivationBlocked
+          ? `⚠️ VTiger Szinkronizáció - tömeges deaktiválás leállítva (${stats.deactivationBlocked.count} előadó)`
+          : `⚠️ VTiger Szinkronizáció Hibák - ${stats.errors} hiba történt`;
         const timestamp = new Date().toLocaleString('hu-HU');
+        const modeLabel = stats.mode === 'delta' ? 'Delta (módosult előadók)' : 'Teljes';
+        const guardNotice = deactivationGuard.buildDeactivationGuardNotice(stats.deactivationBlocked);
 
         const htmlContent = `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -408,14 +560,19 @@ class SyncService {
                 <h3>📊 Szinkronizáció Összefoglaló</h3>
                 <p><strong>Időpont:</strong> ${timestamp}</p>
                 <p><strong>Időtartam:</strong> ${duration}ms</p>
+                <p><strong>Mód:</strong> ${modeLabel}</p>
                 <p><strong>Összes előadó:</strong> ${stats.total}</p>
                 <p><strong>Létrehozott:</strong> ${stats.created}</p>
                 <p><strong>Frissített:</strong> ${stats.updated}</p>
+                <p><strong>Változatlan:</strong> ${stats.unchanged}</p>
+                <p><strong>Jóváhagyásra vár:</strong> ${stats.flagged}</p>
                 <p><strong>Törölve:</strong> ${stats.deleted}</p>
                 <p><strong>Hibák:</strong> ${stats.errors}</p>
                 <p><strong>Kategóriák:</strong> ${stats.categoriesCount}</p>
               </div>
               
+              ${guardNotice.html}
+
               <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 15px 0;">
                 <p><strong>🔍 Ajánlott műveletek:</strong></p>
                 <ul>
@@ -434,13 +591,16 @@ class SyncService {
 
 Időpont: ${timestamp}
 Időtartam: ${duration}ms
+Mód: ${modeLabel}
 Összes előadó: ${stats.total}
 Létrehozott: ${stats.created}
 Frissített: ${stats.updated}
+Változatlan: ${stats.unchanged}
+Jóváhagyásra vár: ${stats.flagged}
 Törölve: ${stats.deleted}
 Hibák: ${stats.errors}
 Kategóriák: ${stats.categoriesCount}
-
+${guardNotice.text}
 Ajánlott műveletek:
 - Ellenőrizd a VTiger kapcsolatot
 - Nézd át a log fájlokat részletekért
@@ -0,0 +1,181 @@
+/**
+ * Travel Cost Service
+ * Estimated travel cost of a performer to an event location
+ *
+ * Base city (performer.travelCostCalculation, default: Budapest) and the event location are
+ * resolved against the GeoNames Location table. Distance = great-circle distance × road factor,
+ * counted both ways, multiplied by the performer's Ft/km rate.
+ */
+
+const { Op } = require('sequelize');
+const { Location, Setting } = require('../models');
+const logger = require('../config/logger');
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_ROAD_FACTOR = 1.3;
+const DEFAULT_BASE_CITY = 'Budapest';
+const ROUND_TOTAL_TO = 100;
+
+// "Budapesttől", "Szegedről" → "Budapest", "Szeged"
+const ORIGIN_SUFFIX_PATTERN = /(tól|től|ról|ről)$/u;
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+function greatCircleDistanceKm(from, to) {
+  const toRad = (deg) => (Number(deg) * Math.PI) / 180;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const lat1 = toRad(from.latitude);
+  const lat2 = toRad(to.latitude);
+
+  const a = (Math.sin(dLat / 2) ** 2) + (Math.cos(lat1) * Math.cos(lat2) * (Math.sin(dLon / 2) ** 2));
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Split a free-text location ("Siófok, Hungary", "Budapest, XIII. kerület") into name + country
+ * @private
+ */
+function parseLocationText(text) {
+  const parts = String(text).split(',').map((part) => part.trim()).filter(Boolean);
+  return {
+    name: parts[0] || '',
+    country: parts.length > 1 ? parts[parts.length - 1] : null
+  };
+}
+
+/**
+ * Find the most populous Location with coordinates for a name
+ * @private
+ */
+async function findLocationByName(name, country) {
+  const where = {
+    [Op.or]: [{ name }, { nameEn: name }],
+    latitude: { [Op.ne]: null },
+    longitude: { [Op.ne]: null }
+  };
+
+  if (country) {
+    const withCountry = await Location.findOne({
+      where: { ...where, countryName: country },
+      order: [['population', 'DESC']]
+    });
+
+    if (withCountry) {
+      return withCountry;
+    }
+  }
+
+  return await Location.findOne({
+    where,
+    order: [['population', 'DESC']]
+  });
+}
+
+/**
+ * Resolve free-text location to a Location row with coordinates
+ * @param {string} text - e.g. "Siófok, Hungary" or "Budapesttől"
+ * @returns {Promise<Object|null>} Location or null
+ */
+async function resolveLocation(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const { name, country } = parseLocationText(text);
+  if (name.length < 2) {
+    return null;
+  }
+
+  const location = await findLocationByName(name, country);
+  if (location || !ORIGIN_SUFFIX_PATTERN.test(name)) {
+    return location;
+  }
+
+  return await findLocationByName(name.replace(ORIGIN_SUFFIX_PATTERN, ''), country);
+}
+
+/**
+ * Configured road factor (great-circle → road distance)
+ * @returns {Promise<number>}
+ */
+async function getRoadFactor() {
+  const value = parseFloat(await Setting.get('travel.road_factor', DEFAULT_ROAD_FACTOR));
+  return value >= 1 ? value : DEFAULT_ROAD_FACTOR;
+}
+
+/**
+ * Estimate the travel cost of a performer to an event location
+ * @param {Object} performer - Performer (travelCost, travelCostCalculation)
+ * @param {string} eventLocation - Free-text event location
+ * @returns {Promise<Object|null>} Estimate or null when not computable
+ *   { baseCity, destination, oneWayKm, roundTripKm, ratePerKm, roadFactor, total }
+ */
+async function estimateTravelCost(performer, eventLocation) {
+  const ratePerKm = performer ? Number(performer.travelCost) : 0;
+
+  if (!ratePerKm || ratePerKm <= 0 || !eventLocation) {
+    return null;
+  }
+
+  try {
+    const [base, destination] = await Promise.all([
+      resolveLocation(performer.travelCostCalculation || DEFAULT_BASE_CITY),
+      resolveLocation(eventLocation)
+    ]);
+
+    if (!base || !destination) {
+      return null;
+    }
+
+    const roadFactor = await getRoadFactor();
+    const oneWayKm = Math.round(greatCircleDistanceKm(base, destination) * roadFactor);
+    const roundTripKm = oneWayKm * 2;
+    const total = Math.round((roundTripKm * ratePerKm) / ROUND_TOTAL_TO) * ROUND_TOTAL_TO;
+
+    return {
+      baseCity: base.name,
+      destination: destination.name,
+      oneWayKm,
+      roundTripKm,
+      ratePerKm,
+      roadFactor,
+      total
+    };
+  } catch (error) {
+    logger.error({
+      err: error,
+      service: 'travelCost',
+      operation: 'estimateTravelCost',
+      performerId: performer.id,
+      eventLocation
+    }, 'Travel cost estimation failed');
+    return null;
+  }
+}
+
+/**
+ * Human readable summary, e.g. "≈ 36 000 Ft (2 × 90 km, Budapest → Szeged)"
+ * @param {Object} estimate - Result of estimateTravelCost
+ * @returns {string}
+ */
+function formatEstimate(estimate) {
+  if (!estimate) {
+    return '';
+  }
+
+  const formatter = new Intl.NumberFormat('hu-HU');
+  return `≈ ${formatter.format(estimate.total)} Ft (2 × ${formatter.format(estimate.oneWayKm)} km, `
+    + `${estimate.baseCity} → ${estimate.destination})`;
+}
+
+module.exports = {
+  greatCircleDistanceKm,
+  resolveLocation,
+  estimateTravelCost,
+  formatEstimate
+};
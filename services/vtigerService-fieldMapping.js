@@ -0,0 +1,214 @@
+/**
+ * vTiger Service Field Mapping
+ * Which vTiger product field feeds which Performer attribute (instead of hard-coded cf_ numbers)
+ *
+ * The mapping is stored in the vtiger.performer_field_mapping setting (JSON):
+ * { attribute: [{ field, transform }, ...] } - the sources are tried in order, the first
+ * non-empty transformed value wins, otherwise the attribute default is used.
+ * Attributes missing from the setting fall back to DEFAULT_MAPPING (the former hard-coded fields).
+ * Edited on /admin/vtiger-field-mapping (live field list from describe, sample record preview).
+ */
+
+const logger = require('../config/logger');
+const { Setting } = require('../models');
+
+const MAPPING_SETTING_KEY = 'vtiger.performer_field_mapping';
+const FIELD_NAME_PATTERN = /^\w+$/;
+const MAX_SOURCES = 3;
+
+/**
+ * Parse duration from text format (e.g., "40 perc", "90 min") → minutes
+ * @param {string} durationText
+ * @returns {number}
+ */
+function parseDuration(durationText) {
+  if (!durationText || typeof durationText !== 'string') {
+    return 0;
+  }
+
+  // Extract number from text like "40 perc", "90 min", "120"
+  const match = durationText.match(/(\d+)/);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Parse multi-select field from vTiger (values separated by |##|)
+ * @param {string} fieldValue
+ * @returns {Array|null}
+ */
+function parseMultiSelectField(fieldValue) {
+  if (!fieldValue || typeof fieldValue !== 'string') {
+    return null;
+  }
+
+  const values = fieldValue.split(' |##| ').map((val) => val.trim()).filter((val) => val.length > 0);
+
+  return values.length > 0 ? values : null;
+}
+
+// Transform → { label, apply(raw) } - apply returns null/0/'' for "empty" (next source is tried)
+const TRANSFORMS = {
+  text: { label: 'Szöveg', apply: (value) => (value ? String(value) : null) },
+  number: { label: 'Szám', apply: (value) => parseFloat(value) || 0 },
+  integer: { label: 'Egész szám', apply: (value) => parseInt(value, 10) || 0 },
+  boolean: { label: 'Igen/nem (1/0)', apply: (value) => Boolean(value) && value !== '0' },
+  multiSelect: { label: 'Többes választó (|##|)', apply: parseMultiSelectField },
+  duration: { label: 'Időtartam ("40 perc" → 40)', apply: parseDuration }
+};
+
+// Performer attributes fed from product fields → { label, default }
+const MAPPABLE_ATTRIBUTES = {
+  duration: { label: 'Időtartam (perc)', default: 0 },
+  performanceType: { label: 'Előadás típusa', default: 'élő' },
+  travelCost: { label: 'Utazási költség (Ft/km)', default: 0 },
+  travelCostCalculation: { label: 'Utazási költség számítása', default: null },
+  technicalRequirements: { label: 'Technikai igény', default: null },
+  style: { label: 'Stílus', default: null },
+  status: { label: 'Státusz címke (Kiemelt, Népszerű…)', default: '' },
+  priceListRestriction: { label: 'Árlista korlátozás', default: false }
+};
+
+/* eslint-disable camelcase -- vTiger custom field names */
+const DEFAULT_MAPPING = {
+  duration: [{ field: 'cf_785', transform: 'duration' }, { field: 'cf_1074', transform: 'integer' }],
+  performanceType: [{ field: 'cf_809', transform: 'text' }, { field: 'cf_1075', transform: 'text' }],
+  travelCost: [{ field: 'cf_787', transform: 'number' }, { field: 'cf_1077', transform: 'number' }],
+  travelCostCalculation: [{ field: 'cf_877', transform: 'text' }],
+  technicalRequirements: [{ field: 'cf_811', transform: 'text' }],
+  style: [{ field: 'cf_1123', transform: 'multiSelect' }],
+  status: [{ field: 'cf_1125', transform: 'text' }],
+  priceListRestriction: [{ field: 'cf_1079', transform: 'boolean' }]
+};
+/* eslint-enable camelcase */
+
+/**
+ * Check a mapping
+ * @param {Object} mapping - { attribute: [{ field, transform }] }
+ * @param {Array<string>} knownFields - Live product field names (optional, skipped if empty)
+ * @returns {Array<string>} Error messages (empty = valid)
+ */
+function validateMapping(mapping, knownFields = []) {
+  const errors = [];
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['A mezőmegfeleltetés formátuma érvénytelen'];
+  }
+
+  Object.entries(mapping).forEach(([attribute, sources]) => {
+    const label = MAPPABLE_ATTRIBUTES[attribute] ? MAPPABLE_ATTRIBUTES[attribute].label : attribute;
+
+    if (!MAPPABLE_ATTRIBUTES[attribute]) {
+      errors.push(`Ismeretlen előadó mező: ${attribute}`);
+      return;
+    }
+    if (!Array.isArray(sources) || sources.length > MAX_SOURCES) {
+      errors.push(`${label}: legfeljebb ${MAX_SOURCES} forrás mező adható meg`);
+      return;
+    }
+
+    sources.forEach((source, index) => {
+      if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        errors.push(`${label}: a(z) ${index + 1}. forrás mező formátuma érvénytelen`);
+        return;
+      }
+
+      const { field, transform } = source;
+      if (!FIELD_NAME_PATTERN.test(field || '')) {
+        errors.push(`${label}: érvénytelen vTiger mezőnév (${field})`);
+      } else if (knownFields.length > 0 && !knownFields.includes(field)) {
+        errors.push(`${label}: a(z) ${field} mező nem létezik a vTiger termékeknél`);
+      }
+      if (!TRANSFORMS[transform]) {
+        errors.push(`${label}: ismeretlen átalakítás (${transform})`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Mapping used by the sync (saved setting over the defaults)
+ * Falls back to the defaults when the setting is missing or invalid.
+ * @returns {Promise<Object>}
+ */
+async function getFieldMapping() {
+  try {
+    const saved = await Setting.get(MAPPING_SETTING_KEY, null);
+
+    if (!saved) {
+      return { ...DEFAULT_MAPPING };
+    }
+
+    const errors = validateMapping(saved);
+    if (errors.length > 0) {
+      logger.warn(
+        { service: 'vtiger', operation: 'loadFieldMapping', errors },
+        'Invalid field mapping, using defaults'
+      );
+      return { ...DEFAULT_MAPPING };
+    }
+
+    return { ...DEFAULT_MAPPING, ...saved };
+  } catch (error) {
+    logger.warn({ err: error, service: 'vtiger', operation: 'loadFieldMapping' }, 'Using default field mapping');
+    return { ...DEFAULT_MAPPING };
+  }
+}
+
+/**
+ * Save the mapping (validated against the live field list if given)
+ * @param {Object} mapping
+ * @param {Array<string>} knownFields
+ * @returns {Promise<void>}
+ * @throws {Error} Invalid mapping (messages joined)
+ */
+async function saveFieldMapping(mapping, knownFields = []) {
+  const errors = validateMapping(mapping, knownFields);
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  await Setting.set(
+    MAPPING_SETTING_KEY,
+    mapping,
+    'json',
+    'vtiger',
+    'vTiger product field → performer attribute mapping'
+  );
+}
+
+/**
+ * Performer attributes of a product according to the mapping
+ * @param {Object} product - vTiger product record
+ * @param {Object} mapping - Field mapping (defaults if omitted)
+ * @returns {Object} { attribute: value }
+ */
+function applyFieldMapping(product, mapping = DEFAULT_MAPPING) {
+  const result = {};
+
+  Object.entries(MAPPABLE_ATTRIBUTES).forEach(([attribute, definition]) => {
+    const sources = mapping[attribute] || DEFAULT_MAPPING[attribute] || [];
+    const values = sources.map(({ field, transform }) => TRANSFORMS[transform].apply(product[field]));
+    const found = values.find((value) => value !== null && value !== 0 && value !== '' && value !== false);
+
+    result[attribute] = found === undefined ? definition.default : found;
+  });
+
+  return result;
+}
+
+module.exports = {
+  MAPPING_SETTING_KEY,
+  TRANSFORMS,
+  MAPPABLE_ATTRIBUTES,
+  DEFAULT_MAPPING,
+  MAX_SOURCES,
+  parseDuration,
+  parseMultiSelectField,
+  validateMapping,
+  getFieldMapping,
+  saveFieldMapping,
+  applyFieldMapping
+};
@@ -0,0 +1,320 @@
+/**
+ * vTiger Service Resilience
+ * Request layer of VTigerService: timeout, retry with exponential backoff,
+ * per-minute request budget and circuit breaker
+ *
+ * - Network errors, timeouts and 5xx answers are retried (vtiger.max_retries, backoff from
+ *   vtiger.retry_base_delay_ms). Non-idempotent operations (create) are only retried when the
+ *   request surely did not reach the server (connection refused, DNS error) - no duplicate leads.
+ * - At most vtiger.requests_per_minute requests are sent per minute - above that the caller waits.
+ * - After vtiger.breaker_failure_threshold failed requests in a row the breaker opens: every
+ *   request fails immediately for vtiger.breaker_cooldown_seconds, then one trial request decides
+ *   (half-open → closed or open again). Syncs check isCircuitOpen() and pause meanwhile.
+ *
+ * The state is per process (shared by every VTigerService instance).
+ */
+
+const logger = require('../config/logger');
+const { Setting } = require('../models');
+
+const DEFAULT_CONFIG = {
+  timeoutMs: 15000,
+  maxRetries: 3,
+  retryBaseDelayMs: 1000,
+  requestsPerMinute: 60,
+  breakerFailureThreshold: 5,
+  breakerCooldownSeconds: 300
+};
+
+const SETTING_KEYS = {
+  timeoutMs: 'vtiger.request_timeout_ms',
+  maxRetries: 'vtiger.max_retries',
+  retryBaseDelayMs: 'vtiger.retry_base_delay_ms',
+  requestsPerMinute: 'vtiger.requests_per_minute',
+  breakerFailureThreshold: 'vtiger.breaker_failure_threshold',
+  breakerCooldownSeconds: 'vtiger.breaker_cooldown_seconds'
+};
+
+const BREAKER_STATE_LABELS = {
+  closed: 'Zárt (rendben)',
+  open: 'Nyitott (szünetel)',
+  halfOpen: 'Félig nyitott (próba)'
+};
+
+const NON_IDEMPOTENT_OPERATIONS = ['create'];
+const CONFIG_CACHE_MS = 60 * 1000;
+const BUDGET_WINDOW_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 30 * 1000;
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const TRANSIENT_ERROR_CODES = [...CONNECTION_ERROR_CODES, 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+let cachedConfig = null;
+let configLoadedAt = 0;
+const requestTimestamps = [];
+
+const breaker = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  lastFailureAt: null,
+  lastError: null,
+  trialInFlight: false
+};
+
+/**
+ * Error thrown while the breaker is open
+ */
+class CircuitOpenError extends Error {
+  constructor(reopensAt) {
+    super(`A vTiger kapcsolat szünetel ismételt hibák miatt (újrapróbálás: ${reopensAt.toLocaleString('hu-HU')})`);
+    this.name = 'CircuitOpenError';
+    this.reopensAt = reopensAt;
+  }
+}
+
+/**
+ * Resilience settings (cached for a minute)
+ * @returns {Promise<Object>}
+ */
+async function getResilienceConfig() {
+  if (cachedConfig && Date.now() - configLoadedAt < CONFIG_CACHE_MS) {
+    return cachedConfig;
+  }
+
+  const config = { ...DEFAULT_CONFIG };
+
+  try {
+    for (const [name, key] of Object.entries(SETTING_KEYS)) {
+      const value = parseFloat(await Setting.get(key));
+      if (value >= 0) {
+        config[name] = value;
+      }
+    }
+  } catch (error) {
+    logger.warn({ err: error, service: 'vtiger', operation: 'loadResilienceConfig' }, 'Using default settings');
+  }
+
+  cachedConfig = config;
+  configLoadedAt = Date.now();
+  return config;
+}
+
+/**
+ * Drop the cached settings (after saving them on the admin page)
+ */
+function clearConfigCache() {
+  cachedConfig = null;
+}
+
+/**
+ * Time the open breaker allows a trial request
+ * @private
+ */
+function getReopensAt(config) {
+  return new Date(breaker.openedAt.getTime() + (config.breakerCooldownSeconds * 1000));
+}
+
+/**
+ * Breaker open and still cooling down
+ * @param {Object} config - Resilience config (defaults to the cached one)
+ * @returns {boolean}
+ */
+function isCircuitOpen(config = cachedConfig || DEFAULT_CONFIG) {
+  return breaker.state === 'open' && Date.now() < getReopensAt(config).getTime();
+}
+
+/**
+ * Let the request through or fail fast while the breaker is open
+ * @private
+ */
+function enterCircuit(config) {
+  if (breaker.state === 'closed') {
+    return;
+  }
+
+  if (isCircuitOpen(config) || (breaker.state === 'halfOpen' && breaker.trialInFlight)) {
+    throw new CircuitOpenError(breaker.state === 'open' ? getReopensAt(config) : new Date());
+  }
+
+  breaker.state = 'halfOpen';
+  breaker.trialInFlight = true;
+}
+
+/**
+ * @private
+ */
+function recordSuccess() {
+  if (breaker.state !== 'closed') {
+    logger.info({ service: 'vtiger', operation: 'circuitBreaker' }, 'vTiger circuit breaker closed');
+  }
+
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+}
+
+/**
+ * @private
+ */
+function recordFailure(error, config) {
+  breaker.consecutiveFailures += 1;
+  breaker.lastFailureAt = new Date();
+  breaker.lastError = error.message;
+  breaker.trialInFlight = false;
+
+  if (breaker.state === 'halfOpen' || breaker.consecutiveFailures >= config.breakerFailureThreshold) {
+    breaker.state = 'open';
+    breaker.openedAt = new Date();
+
+    logger.error({
+      service: 'vtiger',
+      operation: 'circuitBreaker',
+      consecutiveFailures: breaker.consecutiveFailures,
+      reopensAt: getReopensAt(config),
+      error: error.message
+    }, 'vTiger circuit breaker opened');
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Wait for a free slot of the per-minute request budget
+ * @private
+ */
+async function acquireRequestSlot(config) {
+  if (!(config.requestsPerMinute > 0)) {
+    return;
+  }
+
+  for (;;) {
+    const windowStart = Date.now() - BUDGET_WINDOW_MS;
+    while (requestTimestamps.length > 0 && requestTimestamps[0] <= windowStart) {
+      requestTimestamps.shift();
+    }
+
+    if (requestTimestamps.length < config.requestsPerMinute) {
+      requestTimestamps.push(Date.now());
+      return;
+    }
+
+    const waitMs = requestTimestamps[0] - windowStart + 1;
+    logger.debug({ service: 'vtiger', operation: 'requestBudget', waitMs }, 'Request budget exhausted, waiting');
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Error worth retrying (network problem, timeout, 5xx)
+ * @private
+ */
+function isTransientError(error, idempotent) {
+  if (!idempotent) {
+    return CONNECTION_ERROR_CODES.includes(error.code);
+  }
+
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+
+  return TRANSIENT_ERROR_CODES.includes(error.code) || Boolean(error.request);
+}
+
+/**
+ * Backoff before the given retry (exponential with jitter)
+ * @private
+ */
+function getBackoffDelay(attempt, config) {
+  const delay = config.retryBaseDelayMs * (2 ** (attempt - 1));
+  return Math.min(delay + Math.round(Math.random() * config.retryBaseDelayMs), MAX_BACKOFF_MS);
+}
+
+/**
+ * Send an HTTP request through the resilience layer
+ *
+ * @param {Function} send - (timeoutMs) => axios promise
+ * @param {Object} options - { operation } (webservice operation name)
+ * @returns {Promise<Object>} axios response
+ * @throws {CircuitOpenError} While the breaker is open
+ */
+async function executeRequest(send, options = {}) {
+  const config = await getResilienceConfig();
+  const idempotent = !NON_IDEMPOTENT_OPERATIONS.includes(options.operation);
+
+  enterCircuit(config);
+
+  for (let attempt = 0; ; attempt += 1) {
+    await acquireRequestSlot(config);
+
+    try {
+      const response = await send(config.timeoutMs);
+      recordSuccess();
+      return response;
+    } catch (error) {
+      if (attempt >= config.maxRetries || !isTransientError(error, idempotent)) {
+        if (isTransientError(error, true)) {
+          recordFailure(error, config);
+        } else {
+          recordSuccess();
+        }
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt + 1, config);
+      logger.warn({
+        service: 'vtiger',
+        operation: options.operation,
+        attempt: attempt + 1,
+        delay,
+        error: error.message
+      }, 'vTiger request failed, retrying');
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Breaker state for the admin integrations page and the health check
+ * @returns {Object} { state, stateLabel, consecutiveFailures, openedAt, reopensAt, lastFailureAt, lastError }
+ */
+function getBreakerStatus() {
+  const config = cachedConfig || DEFAULT_CONFIG;
+  const state = breaker.state === 'open' && !isCircuitOpen(config) ? 'halfOpen' : breaker.state;
+
+  return {
+    state,
+    stateLabel: BREAKER_STATE_LABELS[state],
+    consecutiveFailures: breaker.consecutiveFailures,
+    failureThreshold: config.breakerFailureThreshold,
+    openedAt: breaker.openedAt,
+    reopensAt: breaker.openedAt ? getReopensAt(config) : null,
+    lastFailureAt: breaker.lastFailureAt,
+    lastError: breaker.lastError
+  };
+}
+
+/**
+ * Close the breaker manually (admin)
+ */
+function resetBreaker() {
+  recordSuccess();
+  breaker.lastError = null;
+  logger.info({ service: 'vtiger', operation: 'circuitBreaker' }, 'vTiger circuit breaker reset manually');
+}
+
+module.exports = {
+  CircuitOpenError,
+  DEFAULT_CONFIG,
+  SETTING_KEYS,
+  getResilienceConfig,
+  clearConfigCache,
+  executeRequest,
+  isCircuitOpen,
+  getBreakerStatus,
+  resetBreaker
+};
@@ -3,6 +3,8 @@ const crypto = require('crypto');
 const logger = require('../config/logger');
 const { URLSearchParams } = require('url');
 const { Setting } = require('../models');
+const { executeRequest, CircuitOpenError } = require('./vtigerService-resilience');
+const { getFieldMapping, applyFieldMapping, DEFAULT_MAPPING } = require('./vtigerService-fieldMapping');
 
 /**
  * VTiger CRM webservice integration class
@@ -18,6 +20,7 @@ class VTigerService {
     this.sessionId = null;
     this.challengeToken = null;
     this.configLoaded = false;
+    this.fieldMapping = null;
   }
 
   /**
@@ -75,6 +78,11 @@ class VTigerService {
     } catch (error) {
       this.logAuthenticationError(error);
 
+      // Paused connection: let the caller see why
+      if (error instanceof CircuitOpenError) {
+        throw error;
+      }
+
       return false;
     }
   }
@@ -101,12 +109,13 @@ class VTigerService {
    * @returns {Promise<string>} Challenge token
    */
   async getChallengeToken() {
-    const challengeResponse = await axios.get(`${this.baseUrl}/webservice.php`, {
+    const challengeResponse = await executeRequest((timeout) => axios.get(`${this.baseUrl}/webservice.php`, {
       params: {
         operation: 'getchallenge',
         username: this.username
-      }
-    });
+      },
+      timeout
+    }), { operation: 'getchallenge' });
 
     if (!challengeResponse.data.success) {
       throw new Error(`Challenge failed: ${challengeResponse.data.error.message}`);
@@ -140,11 +149,12 @@ class VTigerService {
       accessKey: accessKeyHash
     });
 
-    const loginResponse = await axios.post(`${this.baseUrl}/webservice.php`, loginParams, {
+    const loginResponse = await executeRequest((timeout) => axios.post(`${this.baseUrl}/webservice.php`, loginParams, {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
-      }
-    });
+      },
+      timeout
+    }), { operation: 'login' });
 
     if (!loginResponse.data.success) {
       throw new Error(`Login failed: ${loginResponse.data.error.message}`);
@@ -187,9 +197,7 @@ class VTigerService {
         ...params
       };
 
-      const response = await axios.get(`${this.baseUrl}/webservice.php`, {
-        params: requestParams
-      });
+      const response = await this.sendRequest(requestParams);
 
       if (!response.data.success) {
         return await this.handleApiError(response.data.error, requestParams);
@@ -202,6 +210,18 @@ class VTigerService {
     }
   }
 
+  /**
+   * Send a webservice GET request through the resilience layer (timeout, retry, budget, breaker)
+   * @param {Object} requestParams - Query parameters incl. operation and sessionName
+   * @returns {Promise<Object>} axios response
+   */
+  async sendRequest(requestParams) {
+    return await executeRequest((timeout) => axios.get(`${this.baseUrl}/webservice.php`, {
+      params: requestParams,
+      timeout
+    }), { operation: requestParams.operation });
+  }
+
   /**
    * Handle API errors and retry if session expired
    * @param {Object} error - API error object
@@ -221,9 +241,7 @@ class VTigerService {
 
       if (authenticated) {
         requestParams.sessionName = this.sessionId;
-        const retryResponse = await axios.get(`${this.baseUrl}/webservice.php`, {
-          params: requestParams
-        });
+        const retryResponse = await this.sendRequest(requestParams);
 
         if (retryResponse.data.success) {
           return retryResponse.data.result;
@@ -233,6 +251,22 @@ class VTigerService {
     throw new Error(`vTiger API error: ${error.message}`);
   }
 
+  /**
+   * Field list of a module (describe)
+   * @param {string} elementType - Module name (e.g. Products)
+   * @returns {Promise<Array>} [{ name, label, type }]
+   */
+  async describeFields(elementType) {
+    await this.loadConfig();
+    const result = await this.makeRequest('describe', { elementType });
+
+    return (result.fields || []).map((field) => ({
+      name: field.name,
+      label: field.label,
+      type: field.type ? field.type.name : null
+    }));
+  }
+
   /**
    * Execute a SQL-like query on vTiger
    * @param {string} queryString - SQL-like query string
@@ -384,11 +418,13 @@ class VTigerService {
 
   /**
    * Process a batch of performers from vTiger
+   * Products that could not be retrieved are collected in failedIds (they are not in allPerformers)
    * @param {Array} performers - Array of basic performer data
    * @param {Array} allPerformers - Array to accumulate all performers
+   * @param {Array<string>} failedIds - Array to accumulate the IDs of products not retrieved
    * @returns {Promise<void>}
    */
-  async processPerformerBatch(performers, allPerformers) {
+  async processPerformerBatch(performers, allPerformers, failedIds = []) {
     // Retrieve full data for each performer using retrieve method
     for (const basicProduct of performers) {
       try {
@@ -396,8 +432,11 @@ class VTigerService {
 
         if (fullProduct) {
           allPerformers.push(fullProduct);
+        } else {
+          failedIds.push(basicProduct.id);
         }
       } catch (error) {
+        failedIds.push(basicProduct.id);
         logger.error({
           service: 'vtiger',
           operation: 'processPerformerBatch',
@@ -414,9 +453,10 @@ class VTigerService {
    * @param {Array} allPerformers - Array to accumulate all performers
    * @param {number} offset - Current offset
    * @param {number} limit - Page size
+   * @param {Array<string>} failedIds - Array to accumulate the IDs of products not retrieved
    * @returns {Object} Processing result with updated pagination
    */
-  async processPerformerQueryResult(result, allPerformers, offset, limit) {
+  async processPerformerQueryResult(result, allPerformers, offset, limit, failedIds = []) {
     if (!result || !Array.isArray(result)) {
       logger.warn({
         service: 'vtiger',
@@ -435,7 +475,7 @@ class VTigerService {
       return { hasMore: false, newOffset: offset };
     }
 
-    await this.processPerformerBatch(result, allPerformers);
+    await this.processPerformerBatch(result, allPerformers, failedIds);
     const newOffset = offset + limit;
     const hasMore = result.length >= limit;
 
@@ -443,21 +483,31 @@ class VTigerService {
   }
 
   /**
-   * Get all active performers from vTiger
+   * Get performers from vTiger
+   * Full mode: every active product; delta mode: every product modified since the given time
+   * (including deactivated ones, so the local isActive flag follows the CRM)
+   * @param {Object} options - { modifiedSince: Date|null, failedIds: Array collecting the IDs of
+   *   products whose data could not be retrieved (missing from the result, but still in vTiger) }
    * @returns {Promise<Array>} Array of performer objects
    */
-  async getPerformers() {
+  async getPerformers(options = {}) {
     try {
       await this.loadConfig();
       await this.authenticate();
 
-      const allPerformers = await this.fetchAllPerformersWithPagination();
+      const modifiedSince = options.modifiedSince || null;
+      this.fieldMapping = await getFieldMapping();
+      const failedIds = options.failedIds || [];
+      const allPerformers = await this.fetchAllPerformersWithPagination(modifiedSince, failedIds);
       const performers = this.transformProductsToPerformers(allPerformers);
 
       logger.info({
         service: 'vtiger',
         operation: 'getActivePerformers',
-        count: performers.length
+        mode: modifiedSince ? 'delta' : 'full',
+        modifiedSince,
+        count: performers.length,
+        failed: failedIds.length
       }, 'Performers loaded from vTiger');
 
       return performers;
@@ -469,22 +519,28 @@ class VTigerService {
 
   /**
    * Fetch all performers with pagination
+   * @param {Date|null} modifiedSince - Only products modified after this time (delta sync)
+   * @param {Array<string>} failedIds - Array to accumulate the IDs of products not retrieved
    * @returns {Promise<Array>} All performer products
    */
-  async fetchAllPerformersWithPagination() {
+  async fetchAllPerformersWithPagination(modifiedSince = null, failedIds = []) {
     const allPerformers = [];
     let offset = 0;
     const limit = 100;
     let hasMore = true;
 
+    // NOTE: discontinued = '1' means ACTIVE, discontinued = '0' means INACTIVE in vTiger
+    const condition = modifiedSince
+      ? `modifiedtime > '${this.formatQueryDateTime(modifiedSince)}' ORDER BY modifiedtime`
+      : 'discontinued = \'1\'';
+
     while (hasMore) {
-      // NOTE: discontinued = '1' means ACTIVE, discontinued = '0' means INACTIVE in vTiger
-      const query = `SELECT id FROM Products WHERE discontinued = '1' LIMIT ${offset}, ${limit};`;
+      const query = `SELECT id FROM Products WHERE ${condition} LIMIT ${offset}, ${limit};`;
 
       // Removed verbose query log - unnecessary
 
       const result = await this.makeRequest('query', { query });
-      const queryResult = await this.processPerformerQueryResult(result, allPerformers, offset, limit);
+      const queryResult = await this.processPerformerQueryResult(result, allPerformers, offset, limit, failedIds);
 
       if (queryResult.hasMore) {
         offset = queryResult.newOffset;
@@ -498,6 +554,15 @@ class VTigerService {
     return allPerformers;
   }
 
+  /**
+   * Format a date for vTiger query conditions (vTiger stores datetimes in UTC)
+   * @param {Date} date
+   * @returns {string} YYYY-MM-DD HH:MM:SS
+   */
+  formatQueryDateTime(date) {
+    return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+  }
+
   /**
    * Transform vTiger products to performer objects
    * @param {Array} allPerformers - Raw product data from vTiger
@@ -516,30 +581,24 @@ class VTigerService {
 
   /**
    * Build a single performer object from product data
+   * Standard product fields are fixed, custom fields come from the field mapping
+   * (vtiger.performer_field_mapping, see vtigerService-fieldMapping)
    * @param {Object} product - Product data from vTiger
+   * @param {Object} mapping - Field mapping (loaded by getPerformers, defaults otherwise)
    * @returns {Object} Performer object
    */
-  buildPerformerObject(product) {
+  buildPerformerObject(product, mapping = this.fieldMapping || DEFAULT_MAPPING) {
     const category = this.mapCategory(product.productcategory);
     const netPrice = parseFloat(product.unit_price) || 0;
     const imageUrl = this.processPerformerImageUrl(product);
-    const style = this.parseMultiSelectField(product.cf_1123);
-    const status = product.cf_1125 || '';
 
     return {
       vtigerId: product.id,
       name: product.productname || 'Névtelen előadó',
       category,
       isActive: product.discontinued === '1',
-      priceListRestriction: Boolean(product.cf_1079) || false,
       price: netPrice,
-      duration: this.parseDuration(product.cf_785) || parseInt(product.cf_1074) || 0,
-      performanceType: product.cf_809 || product.cf_1075 || 'élő',
-      travelCost: parseFloat(product.cf_787) || parseFloat(product.cf_1077) || 0,
-      travelCostCalculation: product.cf_877 || null,
-      technicalRequirements: product.cf_811 || null,
-      style,
-      status, // Raw status from VTiger (Kiemelt, Népszerű, Kedvezményes, Akciós)
+      ...applyFieldMapping(product, mapping),
       imageUrl,
       description: product.description || ''
     };
@@ -627,34 +686,60 @@ class VTigerService {
   }
 
   /**
-   * Parse duration from text format (e.g., "40 perc", "90 min")
-   * @param {string} durationText - Duration text from vTiger
-   * @returns {number} Duration in minutes
+   * Create a lead in vTiger from a quote request (performer-specific or recommendation)
+   * @param {Object} quote - Quote instance with optional performer association
+   * @returns {Promise<string>} Created lead ID
    */
-  parseDuration(durationText) {
-    if (!durationText || typeof durationText !== 'string') {
-      return 0;
-    }
+  async createQuoteLead(quote) {
+    try {
+      const joinList = (values) => (Array.isArray(values) && values.length > 0 ? values.join(', ') : null);
+      const description = [`Ajánlatkérés: ${quote.referenceId}`, quote.notes].filter(Boolean).join('\n\n');
 
-    // Extract number from text like "40 perc", "90 min", "120"
-    const match = durationText.match(/(\d+)/);
-    return match ? parseInt(match[1], 10) : 0;
-  }
+      // vTiger custom fields (cf_*) are snake_case by API requirement
+      /* eslint-disable camelcase */
+      const leadData = {
+        lastname: quote.contactName,
+        email: quote.contactEmail,
+        phone: quote.contactPhone,
+        company: 'Magánszemély',
+        cf_reference_id: quote.referenceId,
+        cf_event_date: quote.eventDate,
+        cf_event_location: quote.eventLocation,
+        cf_event_type: joinList(quote.eventTypes),
+        cf_expected_guests: quote.guestCount,
+        cf_performer_id: quote.performer?.vtigerId,
+        cf_performer_name: quote.performer?.name,
+        cf_budget: quote.budget,
+        cf_styles: joinList(quote.styles),
+        cf_performer_count: quote.performerCount,
+        description,
+        leadsource: quote.performerId ? 'Website - Ajánlatkérés' : 'Website - Előadó ajánlás',
+        leadstatus: 'Not Contacted'
+      };
+      /* eslint-enable camelcase */
 
-  /**
-   * Parse multi-select field from vTiger (values separated by |##|)
-   * @param {string} fieldValue - Multi-select field value from vTiger
-   * @returns {Array|null} Array of values or null
-   */
-  parseMultiSelectField(fieldValue) {
-    if (!fieldValue || typeof fieldValue !== 'string') {
-      return null;
-    }
+      const result = await this.makeRequest('create', {
+        elementType: 'Leads',
+        element: JSON.stringify(leadData)
+      });
 
-    // vTiger multi-select uses |##| as separator
-    const values = fieldValue.split(' |##| ').map((val) => val.trim()).filter((val) => val.length > 0);
+      logger.info({
+        service: 'vtiger',
+        operation: 'createQuoteLead',
+        leadId: result.id,
+        referenceId: quote.referenceId
+      }, 'Quote lead created in vTiger');
 
-    return values.length > 0 ? values : null;
+      return result.id;
+    } catch (error) {
+      logger.error({
+        err: error,
+        service: 'vtiger',
+        operation: 'createQuoteLead',
+        referenceId: quote.referenceId
+      }, 'Failed to create quote lead in vTiger');
+      throw error;
+    }
   }
 
   /**
@@ -0,0 +1,446 @@
+/**
+ * Wizard Draft Service
+ * Server-side drafts of the booking (/foglalas) and quote (/ajanlat) wizards
+ *
+ * - Every step submission is stored in wizard_drafts under a random token
+ *   (kept in the session and in a long-lived cookie), so an expired session can be restored
+ * - Logged-in users get their latest open draft back automatically
+ * - "Folytatás később": the resume link is sent by email, only to the draft's contact address
+ * - Open drafts older than the abandon threshold are listed for sales follow-up
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { WizardDraft, Performer, Setting } = require('../models');
+const bookingEmailService = require('./bookingEmailService');
+const logger = require('../config/logger');
+
+const DRAFT_TYPES = {
+  booking: {
+    label: 'Foglalás',
+    sessionKey: 'bookingData',
+    cookieName: 'koncert24.booking_draft',
+    basePath: '/foglalas',
+    maxStep: 6
+  },
+  quote: {
+    label: 'Ajánlatkérés',
+    sessionKey: 'quoteData',
+    cookieName: 'koncert24.quote_draft',
+    basePath: '/ajanlat',
+    maxStep: 3
+  }
+};
+
+const DRAFT_RETENTION_DAYS = 30; // a folytatási link ennyi ideig érvényes
+const COOKIE_MAX_AGE = DRAFT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const DEFAULT_ABANDON_HOURS = 24;
+const RESUME_EMAIL_INTERVAL_MS = 10 * 60 * 1000; // piszkozatonként legfeljebb 10 percenként
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Current draft token of the visitor (session first, then cookie)
+ * @private
+ */
+function getToken(req, type) {
+  const sessionTokens = req.session.draftTokens || {};
+  return sessionTokens[type] || (req.cookies && req.cookies[DRAFT_TYPES[type].cookieName]) || null;
+}
+
+/**
+ * Store the draft token in the session and in the cookie
+ * @private
+ */
+function rememberToken(req, res, type, token) {
+  req.session.draftTokens = { ...req.session.draftTokens, [type]: token };
+  res.cookie(DRAFT_TYPES[type].cookieName, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: COOKIE_MAX_AGE
+  });
+}
+
+/**
+ * Forget the draft token (after submission)
+ * @private
+ */
+function forgetToken(req, res, type) {
+  if (req.session.draftTokens) {
+    delete req.session.draftTokens[type];
+  }
+  res.clearCookie(DRAFT_TYPES[type].cookieName);
+}
+
+/**
+ * Wizard URL of the step the draft was left at
+ * @param {Object} draft - WizardDraft
+ * @returns {string}
+ */
+function getResumePath(draft) {
+  const { basePath } = DRAFT_TYPES[draft.type];
+  const prefix = draft.performerSlug ? `${basePath}/${draft.performerSlug}` : basePath;
+
+  return `${prefix}?step=${draft.lastStep}`;
+}
+
+/**
+ * Absolute resume link of a draft (emails, chat assistant)
+ * @param {Object} draft - WizardDraft
+ * @returns {string}
+ */
+function getResumeUrl(draft) {
+  return `${process.env.BASE_URL || ''}${DRAFT_TYPES[draft.type].basePath}/folytatas/${draft.token}`;
+}
+
+/**
+ * Column values of a draft from the session data (contact details are kept once given)
+ * @private
+ */
+function buildDraftValues(req, data, draft, lastStep) {
+  const previous = draft || {};
+
+  return {
+    performerId: data.performerId || null,
+    performerSlug: data.performerSlug || null,
+    userId: req.session.user ? req.session.user.id : previous.userId || null,
+    data,
+    lastStep,
+    contactName: data.contactName || previous.contactName || null,
+    contactEmail: data.contactEmail || previous.contactEmail || null,
+    contactPhone: data.contactPhone || previous.contactPhone || null
+  };
+}
+
+/**
+ * Create or update the visitor's draft from the current session data
+ * Errors are logged only - the wizard must keep working without drafts
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} type - booking | quote
+ * @param {number} step - Step the visitor continues with
+ * @returns {Promise<Object|null>} WizardDraft
+ */
+async function saveDraft(req, res, type, step) {
+  const config = DRAFT_TYPES[type];
+  const data = req.session[config.sessionKey];
+
+  if (!data) {
+    return null;
+  }
+
+  try {
+    const token = getToken(req, type);
+    const existing = token ? await WizardDraft.findOne({ where: { token, type, status: 'open' } }) : null;
+    // Másik előadóhoz tartozó piszkozatot nem írunk felül
+    const draft = existing && existing.performerSlug === (data.performerSlug || null) ? existing : null;
+
+    const values = buildDraftValues(req, data, draft, Math.min(Math.max(parseInt(step, 10) || 1, 1), config.maxStep));
+
+    if (draft) {
+      await draft.update(values);
+      return draft;
+    }
+
+    const created = await WizardDraft.create({
+      ...values,
+      token: crypto.randomBytes(24).toString('hex'),
+      type
+    });
+    rememberToken(req, res, type, created.token);
+
+    return created;
+  } catch (error) {
+    logger.warn({ service: 'wizardDraft', operation: 'save', type, error: error.message }, 'Failed to save draft');
+    return null;
+  }
+}
+
+/**
+ * Restore a draft into the empty session (expired session or new device of a logged-in user)
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} type - booking | quote
+ * @param {string|null} performerSlug - Wizard performer (null: quote recommendation flow)
+ * @returns {Promise<Object|null>} Restored WizardDraft
+ */
+async function restoreDraft(req, res, type, performerSlug) {
+  const config = DRAFT_TYPES[type];
+
+  if (req.session[config.sessionKey]) {
+    return null;
+  }
+
+  try {
+    const where = { type, status: 'open', performerSlug: performerSlug || null };
+    const token = getToken(req, type);
+
+    let draft = token ? await WizardDraft.findOne({ where: { ...where, token } }) : null;
+
+    if (!draft && req.session.user) {
+      draft = await WizardDraft.findOne({
+        where: { ...where, userId: req.session.user.id },
+        order: [['updatedAt', 'DESC']]
+      });
+    }
+
+    if (!draft) {
+      return null;
+    }
+
+    req.session[config.sessionKey] = draft.data;
+    rememberToken(req, res, type, draft.token);
+
+    logger.info({ service: 'wizardDraft', operation: 'restore', type, draftId: draft.id }, 'Draft restored');
+
+    return draft;
+  } catch (error) {
+    logger.warn({ service: 'wizardDraft', operation: 'restore', type, error: error.message }, 'Draft restore failed');
+    return null;
+  }
+}
+
+/**
+ * Route middleware: restore the draft before the wizard handlers run
+ * On a plain GET (no ?step) the visitor is sent to the step the draft was left at
+ *
+ * @param {string} type - booking | quote
+ * @returns {Function} Express middleware
+ */
+function restoreDraftMiddleware(type) {
+  return async (req, res, next) => {
+    const draft = await restoreDraft(req, res, type, req.params.performerSlug || null);
+
+    if (draft && req.method === 'GET' && !req.query.step) {
+      return res.redirect(getResumePath(draft));
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Open a draft from the emailed resume link
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} type - booking | quote
+ * @param {string} token
+ * @returns {Promise<string|null>} Wizard URL to continue with, null if the draft is gone
+ */
+async function resumeByToken(req, res, type, token) {
+  const draft = await WizardDraft.findOne({ where: { token, type, status: 'open' } });
+
+  if (!draft) {
+    return null;
+  }
+
+  req.session[DRAFT_TYPES[type].sessionKey] = draft.data;
+  rememberToken(req, res, type, draft.token);
+
+  return getResumePath(draft);
+}
+
+/**
+ * Wizard submitted: mark the visitor's draft as submitted and clear the wizard session data
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} type - booking | quote
+ * @returns {Promise<void>}
+ */
+async function completeDraft(req, res, type) {
+  const token = getToken(req, type);
+
+  delete req.session[DRAFT_TYPES[type].sessionKey];
+
+  if (!token) {
+    return;
+  }
+
+  try {
+    await WizardDraft.update(
+      { status: 'submitted', submittedAt: new Date() },
+      { where: { token, status: 'open' } }
+    );
+    forgetToken(req, res, type);
+  } catch (error) {
+    logger.warn(
+      { service: 'wizardDraft', operation: 'complete', type, error: error.message },
+      'Draft update failed'
+    );
+  }
+}
+
+/**
+ * Recipient of the resume link: the draft's contact email (or the logged-in user's email)
+ * The entered address is only accepted for a draft without one, and is stored with the draft.
+ * @private
+ */
+function resolveResumeRecipient(req, draft, address) {
+  const stored = draft.contactEmail || (req.session.user && req.session.user.email) || null;
+
+  if (stored && stored.trim().toLowerCase() !== address) {
+    throw new Error('A folytatási linket csak az űrlapon megadott email címre küldhetjük');
+  }
+
+  return stored || address;
+}
+
+/**
+ * "Folytatás később": save the draft and email the resume link
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} type - booking | quote
+ * @param {Object} options - { email, step }
+ * @returns {Promise<Object>} WizardDraft
+ * @throws {Error} If there is nothing to save, the email is invalid or not the draft's address,
+ *   or the email could not be sent
+ */
+async function sendResumeLink(req, res, type, { email, step }) {
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+  if (!EMAIL_PATTERN.test(address)) {
+    throw new Error('Kérjük, adjon meg egy érvényes email címet');
+  }
+
+  const draft = await saveDraft(req, res, type, step);
+
+  if (!draft) {
+    throw new Error('A kitöltött adatok nem menthetők, kérjük, kezdje újra az űrlapot');
+  }
+
+  if (draft.resumeEmailSentAt && Date.now() - new Date(draft.resumeEmailSentAt).getTime() < RESUME_EMAIL_INTERVAL_MS) {
+    throw new Error('A folytatási linket már elküldtük, kérjük, ellenőrizze postafiókját');
+  }
+
+  const recipient = resolveResumeRecipient(req, draft, address);
+
+  const sent = await bookingEmailService.sendDraftResumeEmail({
+    to: recipient,
+    name: draft.contactName,
+    typeLabel: DRAFT_TYPES[type].label,
+    performerName: draft.data.performerName,
+    resumeUrl: getResumeUrl(draft)
+  });
+
+  if (!sent) {
+    throw new Error('A folytatási link küldése most nem sikerült, kérjük, próbálja újra később');
+  }
+
+  await draft.update({
+    resumeEmailSentAt: new Date(),
+    contactEmail: recipient
+  });
+
+  logger.info({ service: 'wizardDraft', operation: 'sendResumeLink', type, draftId: draft.id }, 'Resume link sent');
+
+  return draft;
+}
+
+/**
+ * Create a pre-filled draft outside the wizard (e.g. by the chat assistant)
+ * The visitor opens it with the resume link and reviews every step before submitting.
+ *
+ * @param {string} type - booking | quote
+ * @param {Object} data - Wizard session data (performerId, performerSlug, eventDate, contactName, ...)
+ * @param {Object} options - { userId, lastStep }
+ * @returns {Promise<Object>} WizardDraft
+ */
+async function createDraft(type, data, { userId = null, lastStep = 1 } = {}) {
+  const draft = await WizardDraft.create({
+    token: crypto.randomBytes(24).toString('hex'),
+    type,
+    performerId: data.performerId || null,
+    performerSlug: data.performerSlug || null,
+    userId,
+    data,
+    lastStep: Math.min(Math.max(lastStep, 1), DRAFT_TYPES[type].maxStep),
+    contactName: data.contactName || null,
+    contactEmail: data.contactEmail || null,
+    contactPhone: data.contactPhone || null
+  });
+
+  logger.info({ service: 'wizardDraft', operation: 'create', type, draftId: draft.id }, 'Pre-filled draft created');
+
+  return draft;
+}
+
+/**
+ * Abandoned drafts (open, inactive for longer than the threshold), most advanced first
+ *
+ * @param {Object} filters - { type, minStep, withContactOnly }
+ * @returns {Promise<Object>} { drafts, abandonHours }
+ */
+async function listAbandonedDrafts(filters = {}) {
+  const abandonHours = parseInt(await Setting.get('wizard.draft_abandon_hours'), 10) || DEFAULT_ABANDON_HOURS;
+  const where = {
+    status: 'open',
+    updatedAt: { [Op.lt]: new Date(Date.now() - (abandonHours * 60 * 60 * 1000)) }
+  };
+
+  if (DRAFT_TYPES[filters.type]) {
+    where.type = filters.type;
+  }
+
+  if (filters.minStep) {
+    where.lastStep = { [Op.gte]: parseInt(filters.minStep, 10) };
+  }
+
+  if (filters.withContactOnly) {
+    where.contactEmail = { [Op.ne]: null };
+  }
+
+  const drafts = await WizardDraft.findAll({
+    where,
+    include: [{ model: Performer, as: 'performer', attributes: ['id', 'name', 'slug'], required: false }],
+    order: [['lastStep', 'DESC'], ['updatedAt', 'DESC']],
+    limit: 200
+  });
+
+  return { drafts, abandonHours };
+}
+
+/**
+ * Progress of a draft in percent (lead intent indicator)
+ * @param {Object} draft - WizardDraft
+ * @returns {number}
+ */
+function getProgress(draft) {
+  return Math.round((draft.lastStep / DRAFT_TYPES[draft.type].maxStep) * 100);
+}
+
+/**
+ * Delete old drafts (submitted or abandoned)
+ * @param {number} days - Retention in days
+ * @returns {Promise<number>} Deleted row count
+ */
+async function cleanupOldDrafts(days = DRAFT_RETENTION_DAYS) {
+  const deleted = await WizardDraft.destroy({
+    where: { updatedAt: { [Op.lt]: new Date(Date.now() - (days * 24 * 60 * 60 * 1000)) } }
+  });
+
+  if (deleted > 0) {
+    logger.info({ service: 'wizardDraft', operation: 'cleanup', deleted }, 'Old wizard drafts deleted');
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  DRAFT_TYPES,
+  getResumePath,
+  getResumeUrl,
+  saveDraft,
+  createDraft,
+  restoreDraft,
+  restoreDraftMiddleware,
+  resumeByToken,
+  completeDraft,
+  sendResumeLink,
+  listAbandonedDrafts,
+  getProgress,
+  cleanupOldDrafts
+};
@@ -1,112 +1,273 @@
 /**
  * Calendar Integration Utilities
- * Generates .ics files and calendar URLs
+ * Generates .ics files, subscribable iCal feeds, calendar URLs and the month/week grid
+ *
+ * Event dates are stored as Budapest local date + time (performanceDate, performanceTime);
+ * they are converted to UTC with the Europe/Budapest rules (CET/CEST), independently of
+ * the server timezone, so calendar apps show the correct time everywhere.
  */
 
+const EVENT_TIMEZONE = 'Europe/Budapest';
+const DEFAULT_START_TIME = '19:00';
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000; // Event duration: 2 hours default
+const FEED_REFRESH_INTERVAL = 'PT6H';
+const PRODID = '-//koncert24.hu//Events//HU';
+const ICS_LINE_LIMIT = 75; // octets, RFC 5545 3.1
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_LABELS = ['Hé', 'Ke', 'Sze', 'Csü', 'Pé', 'Szo', 'Va'];
+
+const localPartsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: EVENT_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
 /**
- * Generate .ics file content for an event
- * @param {Object} event - Event object
- * @returns {string} .ics file content
+ * Budapest wall clock parts of an instant
+ * @private
  */
-function generateICS(event) {
-  const startDate = new Date(event.performanceDate);
-
-  // If we have a time, use it; otherwise use 19:00 as default
-  if (event.performanceTime) {
-    const [hours, minutes] = event.performanceTime.split(':');
-    startDate.setHours(parseInt(hours, 10), parseInt(minutes, 10), 0);
-  } else {
-    startDate.setHours(19, 0, 0);
+function getLocalParts(date) {
+  const parts = {};
+
+  localPartsFormatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  return parts;
+}
+
+/**
+ * Budapest offset from UTC at an instant (ms, +1h in winter, +2h in summer)
+ * @private
+ */
+function getTimezoneOffset(date) {
+  const parts = getLocalParts(date);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Budapest local date (YYYY-MM-DD) of an instant - "today" for the calendar views
+ * @param {Date} date
+ * @returns {string}
+ */
+function getLocalDateString(date = new Date()) {
+  const parts = getLocalParts(date);
+
+  return [
+    parts.year,
+    String(parts.month).padStart(2, '0'),
+    String(parts.day).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Convert Budapest wall clock time to a UTC instant
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {string} timeString - HH:MM or HH:MM:SS
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateString, timeString) {
+  const [year, month, day] = dateString.split('-').map((part) => parseInt(part, 10));
+  const [hours, minutes] = timeString.split(':').map((part) => parseInt(part, 10));
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, 0);
+
+  // Offset of the guessed instant, corrected once more around the DST switch
+  const firstGuess = wallClock - getTimezoneOffset(new Date(wallClock));
+  return new Date(wallClock - getTimezoneOffset(new Date(firstGuess)));
+}
+
+/**
+ * Start and end instant of an event
+ * DATEONLY columns arrive as strings; a Date is read as a Budapest calendar day.
+ * @param {Object} event - Event object (performanceDate, performanceTime)
+ * @returns {Object} { start: Date, end: Date }
+ */
+function getEventTimes(event) {
+  const dateString = event.performanceDate instanceof Date
+    ? getLocalDateString(event.performanceDate)
+    : String(event.performanceDate).slice(0, 10);
+  const time = /^\d{1,2}:\d{2}/.test(event.performanceTime || '') ? event.performanceTime : DEFAULT_START_TIME;
+  const start = zonedTimeToUtc(dateString, time);
+
+  return { start, end: new Date(start.getTime() + DEFAULT_DURATION_MS) };
+}
+
+/**
+ * Format an instant as Budapest local ISO 8601 with offset (schema.org, e.g. 2025-07-10T20:30:00+02:00)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatZonedDateTime(date) {
+  const parts = getLocalParts(date);
+  const offsetMinutes = Math.round(getTimezoneOffset(date) / 60000);
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:00${offset}`;
+}
+
+/**
+ * Format an instant as iCal / Google UTC date-time (YYYYMMDDTHHmmssZ)
+ * @private
+ */
+function formatUtcDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT property value (RFC 5545 3.3.11)
+ * @private
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ * @private
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= ICS_LINE_LIMIT) {
+    return line;
   }
 
-  // Event duration: 2 hours default
-  const endDate = new Date(startDate.getTime() + (2 * 60 * 60 * 1000));
-
-  // Format dates for .ics (YYYYMMDDTHHmmss)
-  const formatDate = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
-    return `${year}${month}${day}T${hours}${minutes}${seconds}`;
-  };
+  const lines = [];
+  let current = '';
 
-  const now = formatDate(new Date());
-  const start = formatDate(startDate);
-  const end = formatDate(endDate);
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = lines.length === 0 ? ICS_LINE_LIMIT : ICS_LINE_LIMIT - 1;
 
-  // Build description
+    if (Buffer.byteLength(current + char) > limit) {
+      lines.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+}
+
+/**
+ * Event description shared by the .ics and the Google Calendar link
+ * @private
+ */
+function buildDescription(event, separator) {
   let description = event.subject;
+
   if (event.performer && event.performer.name) {
-    description += `\\nElőadó: ${event.performer.name}`;
+    description += `${separator}Előadó: ${event.performer.name}`;
   }
   if (event.itemName) {
-    description += `\\n${event.itemName}`;
+    description += `\n${event.itemName}`;
+  }
+
+  return description;
+}
+
+/**
+ * VEVENT lines of an event
+ * @private
+ */
+function buildEventLines(event, siteUrl) {
+  const { start, end } = getEventTimes(event);
+  // A stable DTSTAMP keeps feed responses identical between polls
+  const stamp = formatUtcDate(event.updatedAt ? new Date(event.updatedAt) : new Date());
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:event-${event.id}@koncert24.hu`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtcDate(start)}`,
+    `DTEND:${formatUtcDate(end)}`,
+    `SUMMARY:${escapeText(event.subject)}`,
+    `DESCRIPTION:${escapeText(buildDescription(event, '\n'))}`,
+    `LOCATION:${escapeText(event.performanceLocation || 'Helyszín nincs megadva')}`
+  ];
+
+  if (siteUrl && event.performer) {
+    lines.push(`URL:${siteUrl}/eloadok/${event.performer.slug || event.performer.id}`);
   }
 
-  // Build location
-  const location = event.performanceLocation || 'Helyszín nincs megadva';
+  lines.push('STATUS:CONFIRMED', 'SEQUENCE:0', 'END:VEVENT');
 
-  // Generate .ics content
+  return lines;
+}
+
+/**
+ * Assemble a VCALENDAR document
+ * @private
+ */
+function buildCalendar(headerLines, events, siteUrl) {
   return [
     'BEGIN:VCALENDAR',
     'VERSION:2.0',
-    'PRODID:-//koncert24.hu//Events//HU',
+    `PRODID:${PRODID}`,
     'CALSCALE:GREGORIAN',
     'METHOD:PUBLISH',
-    'BEGIN:VEVENT',
-    `UID:event-${event.id}@koncert24.hu`,
-    `DTSTAMP:${now}`,
-    `DTSTART:${start}`,
-    `DTEND:${end}`,
-    `SUMMARY:${event.subject}`,
-    `DESCRIPTION:${description.replace(/\n/g, '\\n')}`,
-    `LOCATION:${location}`,
-    'STATUS:CONFIRMED',
-    'SEQUENCE:0',
-    'END:VEVENT',
+    ...headerLines,
+    ...events.flatMap((event) => buildEventLines(event, siteUrl)),
     'END:VCALENDAR'
-  ].join('\r\n');
+  ].map(foldLine).join('\r\n');
 }
 
 /**
- * Generate Google Calendar URL
+ * Generate .ics file content for an event
  * @param {Object} event - Event object
- * @returns {string} Google Calendar URL
+ * @returns {string} .ics file content
  */
-function generateGoogleCalendarUrl(event) {
-  const startDate = new Date(event.performanceDate);
-
-  if (event.performanceTime) {
-    const [hours, minutes] = event.performanceTime.split(':');
-    startDate.setHours(parseInt(hours, 10), parseInt(minutes, 10), 0);
-  } else {
-    startDate.setHours(19, 0, 0);
-  }
+function generateICS(event) {
+  return buildCalendar([], [event]);
+}
 
-  const endDate = new Date(startDate.getTime() + (2 * 60 * 60 * 1000));
+/**
+ * Generate a subscribable iCal feed (calendar apps poll it periodically)
+ * @param {Array<Object>} events - Event objects (with performer)
+ * @param {Object} options - { name, description, siteUrl }
+ * @returns {string} .ics feed content
+ */
+function generateCalendarFeed(events, { name, description, siteUrl } = {}) {
+  const headerLines = [
+    `X-WR-CALNAME:${escapeText(name || 'koncert24.hu események')}`,
+    `X-WR-TIMEZONE:${EVENT_TIMEZONE}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`
+  ];
 
-  // Format for Google Calendar (YYYYMMDDTHHmmssZ)
-  const formatGoogleDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  if (description) {
+    headerLines.splice(1, 0, `X-WR-CALDESC:${escapeText(description)}`);
+  }
 
-  const dates = `${formatGoogleDate(startDate)}/${formatGoogleDate(endDate)}`;
+  return buildCalendar(headerLines, events, siteUrl);
+}
 
-  let details = event.subject;
-  if (event.performer && event.performer.name) {
-    details += `\n\nElőadó: ${event.performer.name}`;
-  }
-  if (event.itemName) {
-    details += `\n${event.itemName}`;
-  }
+/**
+ * Generate Google Calendar URL
+ * @param {Object} event - Event object
+ * @returns {string} Google Calendar URL
+ */
+function generateGoogleCalendarUrl(event) {
+  const { start, end } = getEventTimes(event);
 
   const baseUrl = 'https://www.google.com/calendar/render';
   const params = new URLSearchParams({
     action: 'TEMPLATE',
     text: event.subject,
-    dates,
-    details,
+    dates: `${formatUtcDate(start)}/${formatUtcDate(end)}`,
+    ctz: EVENT_TIMEZONE,
+    details: buildDescription(event, '\n\n'),
     location: event.performanceLocation || '',
     sprop: 'website:koncert24.hu'
   });
@@ -114,13 +275,127 @@ function generateGoogleCalendarUrl(event) {
   return `${baseUrl}?${params.toString()}`;
 }
 
+/**
+ * YYYY-MM-DD → UTC midnight (calendar grid arithmetic is independent of the server timezone)
+ * @private
+ */
+function parseDay(dateString) {
+  const [year, month, day] = dateString.split('-').map((part) => parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * UTC midnight → YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Valid YYYY-MM-DD day (query parameter check)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDay(parseDay(value)) === value;
+}
+
+/**
+ * Monday of the week of a day
+ * @private
+ */
+function startOfWeek(date) {
+  const weekday = (date.getUTCDay() + 6) % 7; // 0 = hétfő
+  return new Date(date.getTime() - (weekday * DAY_MS));
+}
+
+/**
+ * Grid range, title and navigation of a month or week calendar view
+ * The month grid covers full weeks (Monday to Sunday) around the month;
+ * current is the first day of the period (view switch links).
+ * @param {string} view - 'honap' | 'het'
+ * @param {string} anchor - YYYY-MM-DD day within the period
+ * @returns {Object} { start, end, periodStart, periodEnd, current, title, prev, next }
+ */
+function buildCalendarRange(view, anchor) {
+  const anchorDay = parseDay(anchor);
+  const shortDate = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' };
+
+  if (view === 'het') {
+    const start = startOfWeek(anchorDay);
+    const end = new Date(start.getTime() + (6 * DAY_MS));
+
+    return {
+      start,
+      end,
+      periodStart: start,
+      periodEnd: end,
+      current: formatDay(start),
+      title: `${start.toLocaleDateString('hu-HU', shortDate)} – ${end.toLocaleDateString('hu-HU', shortDate)}`,
+      prev: formatDay(new Date(start.getTime() - (7 * DAY_MS))),
+      next: formatDay(new Date(start.getTime() + (7 * DAY_MS)))
+    };
+  }
+
+  const year = anchorDay.getUTCFullYear();
+  const month = anchorDay.getUTCMonth();
+  const periodStart = new Date(Date.UTC(year, month, 1));
+  const periodEnd = new Date(Date.UTC(year, month + 1, 0));
+
+  return {
+    start: startOfWeek(periodStart),
+    end: new Date(startOfWeek(periodEnd).getTime() + (6 * DAY_MS)),
+    periodStart,
+    periodEnd,
+    current: formatDay(periodStart),
+    title: periodStart.toLocaleDateString('hu-HU', { year: 'numeric', month: 'long', timeZone: 'UTC' }),
+    prev: formatDay(new Date(Date.UTC(year, month - 1, 1))),
+    next: formatDay(new Date(Date.UTC(year, month + 1, 1)))
+  };
+}
+
+/**
+ * Weeks of day cells with their events
+ * @param {Object} range - buildCalendarRange() result
+ * @param {Array<Object>} events - Events within the range
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<Array<Object>>} [[{ date, day, inPeriod, isToday, events }]]
+ */
+function buildCalendarWeeks(range, events, today) {
+  const eventsByDay = {};
+  events.forEach((event) => {
+    eventsByDay[event.performanceDate] = eventsByDay[event.performanceDate] || [];
+    eventsByDay[event.performanceDate].push(event);
+  });
+
+  const weeks = [];
+  for (let day = range.start; day <= range.end; day = new Date(day.getTime() + DAY_MS)) {
+    if (day.getUTCDay() === 1) {
+      weeks.push([]);
+    }
+
+    const date = formatDay(day);
+    weeks[weeks.length - 1].push({
+      date,
+      day: day.getUTCDate(),
+      inPeriod: day >= range.periodStart && day <= range.periodEnd,
+      isToday: date === today,
+      events: eventsByDay[date] || []
+    });
+  }
+
+  return weeks;
+}
+
 /**
  * Generate Outlook Calendar URL (.ics download)
  * Same as .ics generation
  */
 function generateOutlookUrl(event) {
   // Outlook uses .ics files
-  return `/api/events/${event.id}/calendar.ics`;
+  return `/esemenyek/${event.id}/calendar.ics`;
 }
 
 /**
@@ -129,12 +404,23 @@ function generateOutlookUrl(event) {
  */
 function generateAppleCalendarUrl(event) {
   // Apple Calendar uses .ics files
-  return `/api/events/${event.id}/calendar.ics`;
+  return `/esemenyek/${event.id}/calendar.ics`;
 }
 
 module.exports = {
+  EVENT_TIMEZONE,
+  WEEKDAY_LABELS,
+  getLocalDateString,
+  zonedTimeToUtc,
+  getEventTimes,
+  formatZonedDateTime,
   generateICS,
+  generateCalendarFeed,
   generateGoogleCalendarUrl,
   generateOutlookUrl,
-  generateAppleCalendarUrl
+  generateAppleCalendarUrl,
+  formatDay,
+  isValidDay,
+  buildCalendarRange,
+  buildCalendarWeeks
 };
@@ -31,6 +31,25 @@ function generateSlug(text) {
     .replace(/^-+|-+$/g, '');
 }
 
+const EVENT_SLUG_BASE_LENGTH = 80;
+
+/**
+ * Esemény slug: tárgy + dátum + a vTiger rekord szám (egyedi, és a tárgy
+ * változása után is megtalálható belőle az esemény)
+ * @param {Object} event - { subject, performanceDate, vtigerId }
+ * @returns {string} - pl. "jazz-koncert-gyor-2025-03-05-1234"
+ */
+function generateEventSlug({ subject, performanceDate, vtigerId }) {
+  const base = generateSlug(`${subject || 'esemeny'} ${performanceDate || ''}`)
+    .substring(0, EVENT_SLUG_BASE_LENGTH)
+    .replace(/-+$/, '');
+  // vTiger ID formátum: "6x1234" → 1234
+  const recordNumber = String(vtigerId || '').split('x').pop();
+
+  return recordNumber ? `${base}-${generateSlug(recordNumber)}` : base;
+}
+
 module.exports = {
-  generateSlug
+  generateSlug,
+  generateEventSlug
 };